@@ -5,9 +5,12 @@ import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 
 // Import from new lib modules
-import { CONFIG_PATH, DEBUG, TRANSPORT, PORT, HOST, argv } from './lib/config.js';
-import { loadManifest, validateManifest } from './lib/manifest.js';
+import { CONFIG_PATH, DEBUG, WATCH, TRANSPORT, PORT, HOST, argv } from './lib/config.js';
+import { loadManifest, validateManifest, watchManifest } from './lib/manifest.js';
 import { createMcpServer } from './lib/mcp-server.js';
+import { resolveManifestFile } from './lib/manifestResolver.js';
+import { DEFAULT_VAULT_PATH, readVaultFile, resolveSecretsPath, writeVaultFile } from './lib/secrets.js';
+import { redactor } from './lib/redaction.js';
 
 // Replicate __dirname for ES Modules
 const __filename = fileURLToPath(import.meta.url);
@@ -16,6 +19,7 @@ const __dirname = path.dirname(__filename);
 const INIT_FLAG = argv.init;
 const VALIDATE_FLAG = argv.validate;
 const HELP_FLAG = argv.help || argv.h;
+const VAULT_FLAG = argv['vault-set'] !== undefined || argv['vault-list'];
 
 let toolsConfig = {};
 
@@ -91,19 +95,25 @@ Usage: wyreup-mcp [options]
 
 Options:
   --config [file]     Path to a wyreup.json manifest (default: ./${CONFIG_PATH})
-  --transport [type]  Communication transport: stdio or sse (default: stdio)
-  --port [number]     Port for SSE transport (default: 3333)
-  --host [host]       Host for SSE transport (default: localhost)
+  --transport [type]  Communication transport: stdio, sse or http (default: stdio)
+  --port [number]     Port for SSE/HTTP transport (default: 3333)
+  --host [host]       Host for SSE/HTTP transport (default: localhost)
   --init              Create a starter wyreup.json in the current folder
   --validate          Check wyreup.json for structural issues
+  --print-resolved    With --validate, print the manifest after merging extends/include files
   --debug             Enable detailed logging for tool execution
+  --no-watch          Do not reload the manifest when it changes
+  --vault-set [name]  Store the value piped on stdin in the encrypted secrets vault
+  --vault-list        List the secret names in the vault
+  --vault [file]      Vault file for --vault-set/--vault-list (default: secrets.vaultPath or ~/.wyreup-secrets/vault.json)
   --help, -h          Show this help message
 
 Transport modes:
   stdio               Standard input/output (for Claude Desktop and other MCP clients) [default]
-  sse                 Server-Sent Events (for remote MCP clients via HTTP)
+  sse                 Server-Sent Events (legacy remote transport, /sse + /messages)
+  http                Streamable HTTP (current MCP remote transport, single /mcp endpoint)
 
-Note: Server starts automatically unless --init, --validate, or --help is specified.
+Note: Server starts automatically unless --init, --validate, --vault-set, --vault-list or --help is specified.
 `);
   process.exit(0);
 }
@@ -112,6 +122,53 @@ if (HELP_FLAG) {
   displayHelp();
 }
 
+async function manageVault() {
+  // Vault location and passphrase variable come from the manifest's "secrets" block when there is one
+  let secrets = {};
+  try {
+    secrets = resolveManifestFile(path.resolve(process.cwd(), CONFIG_PATH)).config.secrets || {};
+  } catch {
+    // No readable manifest: use the defaults
+  }
+  const vaultPath = resolveSecretsPath(argv.vault || secrets.vaultPath || DEFAULT_VAULT_PATH);
+  const passphraseEnv = secrets.vaultPassphraseEnv || 'WYREUP_VAULT_PASSPHRASE';
+  const passphrase = process.env[passphraseEnv];
+  if (!passphrase) {
+    throw new Error(`Set the vault passphrase in the ${passphraseEnv} environment variable.`);
+  }
+  const entries = fs.existsSync(vaultPath) ? await readVaultFile(vaultPath, passphrase) : {};
+
+  if (argv['vault-list']) {
+    const names = Object.keys(entries).sort();
+    console.log(names.length > 0 ? names.join('\n') : chalk.yellow(`Vault ${vaultPath} is empty.`));
+    return;
+  }
+
+  const name = argv['vault-set'];
+  if (!name || !name.trim()) {
+    throw new Error('Usage: printf %s "$VALUE" | wyreup-mcp --vault-set <name>');
+  }
+  if (process.stdin.isTTY) {
+    throw new Error(`Pipe the secret value on stdin, e.g. printf %s "$VALUE" | wyreup-mcp --vault-set ${name}`);
+  }
+  let value = '';
+  for await (const chunk of process.stdin) {
+    value += chunk;
+  }
+  entries[name] = value.replace(/\r?\n$/, '');
+  await writeVaultFile(vaultPath, passphrase, entries);
+  console.log(chalk.green(`Stored "${name}" in ${vaultPath}. Reference it as secret://vault/${name}`));
+}
+
+if (VAULT_FLAG) {
+  manageVault()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(chalk.red(`Vault error: ${error.message}`));
+      process.exit(1);
+    });
+}
+
 if (VALIDATE_FLAG) {
   console.log(chalk.blue(`Validating manifest: ${path.resolve(process.cwd(), CONFIG_PATH)}`));
   // Pass relevant flags to manifest loading/validation
@@ -127,6 +184,11 @@ if (VALIDATE_FLAG) {
   // We call validateManifest again just to get the boolean for the success message,
   // though loadManifest would have already printed errors and exited if invalid.
   if (validateManifest(loadedConfig, path.resolve(process.cwd(), CONFIG_PATH), { VALIDATE_FLAG: true, SERVE_FLAG: false, shouldStartServer: false })) {
+      if (argv['print-resolved']) {
+        // The configuration that runs (interpolated and transformed), with credentials masked
+        console.log(chalk.blue('\nResolved manifest:'));
+        console.log(JSON.stringify(redactor.manifest(loadedConfig), null, 2));
+      }
       console.log(chalk.green.bold('\nManifest valid.'));
   } else {
       // This else block might not be reached if loadManifest exits on validation failure.
@@ -138,7 +200,7 @@ if (VALIDATE_FLAG) {
 }
 
 // Server starts by default unless a specific action flag is provided
-const shouldStartServer = !INIT_FLAG && !VALIDATE_FLAG && !HELP_FLAG;
+const shouldStartServer = !INIT_FLAG && !VALIDATE_FLAG && !HELP_FLAG && !VAULT_FLAG;
 
 async function startServer() {
   console.log(chalk.blue(`Attempting to start MCP server with manifest: ${CONFIG_PATH}`));
@@ -157,12 +219,18 @@ async function startServer() {
     process.exit(1);
   }
 
+  const mcpServer = createMcpServer(toolsConfig, { DEBUG });
+
+  // Pick up manifest edits without dropping connected sessions
+  if (WATCH) {
+    watchManifest(CONFIG_PATH, config => mcpServer.reloadTools(config));
+  }
+
   // Handle different transport modes
   if (TRANSPORT === 'stdio') {
     // Run MCP server over stdio
-    const mcpServer = createMcpServer(toolsConfig, { DEBUG });
     try {
-      await mcpServer.runStdio();
+      await mcpServer.runStdio(PORT, HOST);
       // Server will run indefinitely in stdio mode
     } catch (error) {
       console.error(chalk.red(`Failed to start MCP server in stdio mode: ${error.message}`));
@@ -170,7 +238,6 @@ async function startServer() {
     }
   } else if (TRANSPORT === 'sse') {
     // Run MCP server over SSE
-    const mcpServer = createMcpServer(toolsConfig, { DEBUG });
     try {
       await mcpServer.runSse(PORT, HOST);
       // Server will run indefinitely in SSE mode
@@ -178,6 +245,15 @@ async function startServer() {
       console.error(chalk.red(`Failed to start MCP server in SSE mode: ${error.message}`));
       process.exit(1);
     }
+  } else if (TRANSPORT === 'http') {
+    // Run MCP server over Streamable HTTP
+    try {
+      await mcpServer.runHttp(PORT, HOST);
+      // Server will run indefinitely in HTTP mode
+    } catch (error) {
+      console.error(chalk.red(`Failed to start MCP server in HTTP mode: ${error.message}`));
+      process.exit(1);
+    }
   } else {
     console.error(chalk.red(`Unknown transport mode: ${TRANSPORT}`));
     process.exit(1);
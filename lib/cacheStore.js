@@ -0,0 +1,196 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import chalk from 'chalk'
+
+/**
+ * Response cache stores
+ *
+ * Entries are grouped per tool and kept in least-recently-used order. Every
+ * backend exposes the same interface (results may also be promises):
+ *   get(tool, key)                    - the entry, or undefined
+ *   set(tool, key, entry, limits)     - store an entry, then evict the least recently
+ *                                       used ones beyond limits {maxEntries, maxBytes}
+ *   delete(tool, key)                 - drop one entry
+ *   clear(tool)                       - drop a tool's entries (every tool's without
+ *                                       a name) and return how many were dropped
+ *   stats(tool)                       - {entries, bytes}
+ *   close()                           - release resources
+ */
+
+export const CACHE_STORE_TYPES = ['memory', 'file']
+
+// Relative to the working directory; cached responses may hold customer data, so only the owner may read them
+const DEFAULT_CACHE_DIR = '.wyreup-cache'
+
+/**
+ * In-memory store (default). Entries are lost on restart.
+ */
+export class MemoryCacheStore {
+  constructor() {
+    // Tool name -> Map(key -> record), least recently used first
+    this.tools = new Map()
+  }
+
+  get(tool, key) {
+    const records = this.tools.get(tool)
+    const record = records?.get(key)
+    if (!record) {
+      return undefined
+    }
+    records.delete(key)
+    records.set(key, record)
+    return this.readRecord(record)
+  }
+
+  set(tool, key, entry, { maxEntries, maxBytes } = {}) {
+    const data = JSON.stringify(entry)
+    const bytes = Buffer.byteLength(data)
+    this.delete(tool, key)
+    if (maxBytes && bytes > maxBytes) {
+      return false
+    }
+    if (!this.tools.has(tool)) {
+      this.tools.set(tool, new Map())
+    }
+    const records = this.tools.get(tool)
+    records.set(key, this.writeRecord(tool, key, data, bytes))
+
+    let total = 0
+    for (const record of records.values()) {
+      total += record.bytes
+    }
+    for (const [oldestKey, oldest] of records) {
+      if (records.size <= (maxEntries || Infinity) && total <= (maxBytes || Infinity)) {
+        break
+      }
+      total -= oldest.bytes
+      this.removeRecord(oldest)
+      records.delete(oldestKey)
+    }
+    return true
+  }
+
+  delete(tool, key) {
+    const records = this.tools.get(tool)
+    const record = records?.get(key)
+    if (record) {
+      this.removeRecord(record)
+      records.delete(key)
+    }
+  }
+
+  clear(tool) {
+    const names = tool ? [tool] : [...this.tools.keys()]
+    let removed = 0
+    for (const name of names) {
+      for (const record of this.tools.get(name)?.values() || []) {
+        this.removeRecord(record)
+        removed++
+      }
+      this.tools.delete(name)
+    }
+    return removed
+  }
+
+  stats(tool) {
+    const records = this.tools.get(tool)
+    let bytes = 0
+    for (const record of records?.values() || []) {
+      bytes += record.bytes
+    }
+    return { entries: records?.size || 0, bytes }
+  }
+
+  close() {}
+
+  // Entries are kept serialized so cached results cannot be changed by their receivers
+  readRecord(record) {
+    return JSON.parse(record.data)
+  }
+
+  writeRecord(tool, key, data, bytes) {
+    return { data, bytes }
+  }
+
+  removeRecord() {}
+}
+
+/**
+ * Disk-backed store: one JSON file per entry in a directory, so entries survive restarts
+ * The index of entries is rebuilt from the directory on startup.
+ */
+export class FileCacheStore extends MemoryCacheStore {
+  /**
+   * @param {string} directory - Directory holding the entry files
+   */
+  constructor(directory) {
+    super()
+    this.directory = path.resolve(process.cwd(), directory)
+    fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 })
+    this.load()
+  }
+
+  load() {
+    const files = fs.readdirSync(this.directory)
+      .filter(name => name.endsWith('.json'))
+      .map(name => {
+        const file = path.join(this.directory, name)
+        try {
+          return { file, stat: fs.statSync(file) }
+        } catch {
+          return null
+        }
+      })
+      .filter(Boolean)
+      // Oldest first, so the least recently written entries are evicted first
+      .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs)
+
+    for (const { file } of files) {
+      try {
+        const { tool, key, entry } = JSON.parse(fs.readFileSync(file, 'utf-8'))
+        if (!this.tools.has(tool)) {
+          this.tools.set(tool, new Map())
+        }
+        this.tools.get(tool).set(key, { file, bytes: Buffer.byteLength(JSON.stringify(entry)) })
+      } catch (error) {
+        console.warn(chalk.yellow(`Removing unreadable cache file ${file}: ${error.message}`))
+        fs.rmSync(file, { force: true })
+      }
+    }
+  }
+
+  readRecord(record) {
+    try {
+      return JSON.parse(fs.readFileSync(record.file, 'utf-8')).entry
+    } catch {
+      // Removed or torn by another process: treat as a miss
+      return undefined
+    }
+  }
+
+  writeRecord(tool, key, data, bytes) {
+    const name = crypto.createHash('sha256').update(`${tool}\0${key}`).digest('hex')
+    const file = path.join(this.directory, `${name}.json`)
+    const tempPath = `${file}.${process.pid}.tmp`
+    fs.writeFileSync(tempPath, `{"tool":${JSON.stringify(tool)},"key":${JSON.stringify(key)},"entry":${data}}`, { mode: 0o600 })
+    fs.renameSync(tempPath, file)
+    return { file, bytes }
+  }
+
+  removeRecord(record) {
+    fs.rmSync(record.file, { force: true })
+  }
+}
+
+/**
+ * Create a response cache store from manifest configuration
+ * @param {Object} config - `caching` block from the manifest ({store, path})
+ * @returns {MemoryCacheStore|FileCacheStore} - Configured store
+ */
+export function createCacheStore(config = {}) {
+  if (config.store === 'file') {
+    return new FileCacheStore(config.path || DEFAULT_CACHE_DIR)
+  }
+  return new MemoryCacheStore()
+}
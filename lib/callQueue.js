@@ -0,0 +1,309 @@
+import chalk from 'chalk'
+import { rateLimiter } from './rateLimiter.js'
+
+/**
+ * Admission control for tool calls
+ *
+ * Before a webhook is called, the call has to pass the rate limits and, for
+ * tools with `maxConcurrent`, take one of the tool's execution slots.
+ * A rate-limited call fails with 429 unless the tool sets
+ * `rateLimit.onExceeded: "queue"`, in which case it waits its turn. Calls
+ * waiting for a slot always queue. Queued calls are admitted in FIFO order;
+ * at most `rateLimit.maxQueue` of them wait per tool, each for at most
+ * `rateLimit.maxWait` milliseconds. A call that times out waiting for the rate
+ * limit fails with 429 and retryAfter, one waiting for a slot with 503.
+ */
+
+export const RATE_LIMIT_OVERFLOW_MODES = ['reject', 'queue']
+
+const DEFAULT_MAX_WAIT = 30000
+const DEFAULT_MAX_QUEUE = 100
+const PROGRESS_INTERVAL = 5000
+
+class CallQueue {
+  constructor() {
+    // Rate limit queue key -> promise that settles when the last queued caller is done
+    this.rateTurns = new Map()
+    // Tool name -> {active, waiting}
+    this.slots = new Map()
+    // Tool name -> calls currently queued (for either reason)
+    this.queued = new Map()
+  }
+
+  /**
+   * Wait until a call may run
+   * @param {Object} toolConfig - Tool configuration
+   * @param {Object} options - {caller, DEBUG, signal, onProgress}; onProgress(message) is called while queued
+   * @returns {Promise<Object>} - {admitted: true, release} or {admitted: false, failure} with
+   *   the status, error and errorType (and retryAfter in seconds) of the failed result
+   */
+  async admit(toolConfig, { caller, DEBUG = false, signal, onProgress } = {}) {
+    const ticket = new Ticket(this, toolConfig, { DEBUG, signal, onProgress })
+    try {
+      const rate = await this.passRateLimit(toolConfig, caller, ticket)
+      if (!rate.admitted) {
+        return rate
+      }
+      return await this.takeSlot(toolConfig, ticket)
+    } finally {
+      ticket.leave()
+    }
+  }
+
+  async passRateLimit(toolConfig, caller, ticket) {
+    const name = toolConfig.name
+    const queueKey = toolConfig.rateLimit?.key === 'client' ? `${name}|${caller}` : name
+    const queueing = toolConfig.rateLimit?.onExceeded === 'queue'
+
+    // Newcomers only try directly when nobody is queued ahead of them
+    if (!queueing || !this.rateTurns.has(queueKey)) {
+      const check = await rateLimiter.consume(name, toolConfig.rateLimit, caller, ticket.DEBUG)
+      if (check.allowed || !queueing) {
+        return check.allowed ? { admitted: true } : { admitted: false, failure: rateLimitFailure(check) }
+      }
+    }
+
+    if (!ticket.enter('rate limit')) {
+      return { admitted: false, failure: queueFullFailure(toolConfig, 429) }
+    }
+    const previous = this.rateTurns.get(queueKey) || Promise.resolve()
+    let finishTurn
+    const turn = previous.then(() => new Promise(resolve => { finishTurn = resolve }))
+    this.rateTurns.set(queueKey, turn)
+
+    try {
+      if (!await ticket.waitFor(previous)) {
+        return { admitted: false, failure: await this.rateLimitTimeout(toolConfig, caller, ticket) }
+      }
+      for (;;) {
+        const check = await rateLimiter.consume(name, toolConfig.rateLimit, caller, ticket.DEBUG)
+        if (check.allowed) {
+          return { admitted: true }
+        }
+        if (Date.now() + check.retryAfterMs > ticket.deadline) {
+          return { admitted: false, failure: rateLimitFailure(check, ticket.maxWait) }
+        }
+        if (!await ticket.sleep(check.retryAfterMs)) {
+          return { admitted: false, failure: await this.rateLimitTimeout(toolConfig, caller, ticket, check) }
+        }
+      }
+    } finally {
+      // The turn promise only exists once our predecessor is done
+      previous.then(() => finishTurn())
+      turn.then(() => {
+        if (this.rateTurns.get(queueKey) === turn) {
+          this.rateTurns.delete(queueKey)
+        }
+      })
+    }
+  }
+
+  /**
+   * Failure of a call that gave up waiting for the rate limit
+   * Times out with 429 and retryAfter like a rejected call; a cancelled call gets 499.
+   * @param {Object} toolConfig - Tool configuration
+   * @param {string} caller - Client identity
+   * @param {Ticket} ticket - The call's ticket
+   * @param {Object} check - Last rate limit check of the call, if it made one
+   * @returns {Promise<Object>} - Failure fields
+   */
+  async rateLimitTimeout(toolConfig, caller, ticket, check = null) {
+    if (ticket.signal?.aborted) {
+      return ticket.cancelledOrTimedOut('the rate limit')
+    }
+    if (check) {
+      return rateLimitFailure(check, ticket.maxWait)
+    }
+    // Calls queued ahead used up the wait: report the limit as it stands now
+    let status = {}
+    try {
+      status = await rateLimiter.getStatus(toolConfig.name, toolConfig.rateLimit, caller)
+    } catch {
+      // Store unavailable: fall through to a generic retry hint
+    }
+    const scope = status.global && (!status.tool || status.global.retryAfter > status.tool.retryAfter) ? 'global' : 'tool'
+    const limit = status[scope] || { limit: toolConfig.rateLimit?.requests, window: toolConfig.rateLimit?.window, retryAfter: 1 }
+    return rateLimitFailure({ scope, status: limit, retryAfter: Math.max(1, limit.retryAfter) }, ticket.maxWait)
+  }
+
+  async takeSlot(toolConfig, ticket) {
+    const max = toolConfig.maxConcurrent
+    if (!max) {
+      return { admitted: true, release: () => {} }
+    }
+    if (!this.slots.has(toolConfig.name)) {
+      this.slots.set(toolConfig.name, { active: 0, waiting: [] })
+    }
+    const slots = this.slots.get(toolConfig.name)
+    const release = () => {
+      const next = slots.waiting.shift()
+      if (next) {
+        // Hand the slot straight to the next caller in line
+        next()
+      } else {
+        slots.active--
+      }
+    }
+
+    if (slots.active < max && slots.waiting.length === 0) {
+      slots.active++
+      return { admitted: true, release: once(release) }
+    }
+    if (!ticket.enter('a free slot')) {
+      return { admitted: false, failure: queueFullFailure(toolConfig, 503) }
+    }
+
+    let handOver
+    const granted = new Promise(resolve => { handOver = resolve })
+    slots.waiting.push(handOver)
+    if (await ticket.waitFor(granted)) {
+      return { admitted: true, release: once(release) }
+    }
+    const index = slots.waiting.indexOf(handOver)
+    if (index !== -1) {
+      slots.waiting.splice(index, 1)
+    } else {
+      // The slot was handed over just as we gave up: pass it on
+      release()
+    }
+    return { admitted: false, failure: ticket.cancelledOrTimedOut(`a free slot (maxConcurrent ${max})`) }
+  }
+
+  /**
+   * Queue lengths and busy slots per tool
+   * @param {string} toolName - Tool identifier
+   * @returns {Object} - {queued, active}
+   */
+  getStatus(toolName) {
+    return {
+      queued: this.queued.get(toolName) || 0,
+      active: this.slots.get(toolName)?.active || 0
+    }
+  }
+}
+
+/**
+ * One call's stay in the queue: depth accounting, deadline, cancellation and progress
+ */
+class Ticket {
+  constructor(queue, toolConfig, { DEBUG, signal, onProgress }) {
+    this.queue = queue
+    this.toolConfig = toolConfig
+    this.DEBUG = DEBUG
+    this.signal = signal
+    this.onProgress = onProgress
+    this.maxWait = toolConfig.rateLimit?.maxWait ?? DEFAULT_MAX_WAIT
+    this.deadline = Date.now() + this.maxWait
+    this.startedAt = null
+    this.progressTimer = null
+  }
+
+  /**
+   * Join the tool's queue if it has room
+   * @param {string} reason - What the call waits for
+   * @returns {boolean} - False if the queue is full
+   */
+  enter(reason) {
+    const name = this.toolConfig.name
+    if (this.startedAt === null) {
+      const queued = this.queue.queued.get(name) || 0
+      if (queued >= (this.toolConfig.rateLimit?.maxQueue ?? DEFAULT_MAX_QUEUE)) {
+        return false
+      }
+      this.queue.queued.set(name, queued + 1)
+      this.startedAt = Date.now()
+    }
+
+    if (this.DEBUG) {
+      console.log(chalk.blueBright(`[DEBUG] Queued call to ${name}, waiting for ${reason}`))
+    }
+    clearInterval(this.progressTimer)
+    if (this.onProgress) {
+      const report = () => {
+        const waited = Math.round((Date.now() - this.startedAt) / 1000)
+        this.onProgress(`Queued: waiting for ${reason} on ${name} (${waited}s)`, waited)
+      }
+      report()
+      this.progressTimer = setInterval(report, PROGRESS_INTERVAL)
+    }
+    return true
+  }
+
+  leave() {
+    clearInterval(this.progressTimer)
+    if (this.startedAt !== null) {
+      const name = this.toolConfig.name
+      this.queue.queued.set(name, Math.max(0, (this.queue.queued.get(name) || 0) - 1))
+      this.startedAt = null
+    }
+  }
+
+  /**
+   * Wait for a promise until the deadline or cancellation
+   * @returns {Promise<boolean>} - True if the promise settled first
+   */
+  waitFor(promise) {
+    if (this.signal?.aborted) {
+      return Promise.resolve(false)
+    }
+    return new Promise((resolve) => {
+      const finish = (settled) => {
+        clearTimeout(timer)
+        this.signal?.removeEventListener('abort', abort)
+        resolve(settled)
+      }
+      const abort = () => finish(false)
+      const timer = setTimeout(abort, Math.max(0, this.deadline - Date.now()))
+      this.signal?.addEventListener('abort', abort)
+      promise.then(() => finish(true), () => finish(true))
+    })
+  }
+
+  sleep(ms) {
+    return this.waitFor(new Promise(resolve => setTimeout(resolve, ms)))
+  }
+
+  cancelledOrTimedOut(reason) {
+    if (this.signal?.aborted) {
+      return { status: 499, error: 'Request cancelled while queued', errorType: 'AbortError' }
+    }
+    return {
+      status: 503,
+      error: `Timed out after ${this.maxWait}ms in the queue of ${this.toolConfig.name} waiting for ${reason}`,
+      errorType: 'QueueTimeoutError'
+    }
+  }
+}
+
+function rateLimitFailure(check, waited = null) {
+  return {
+    status: 429,
+    error: `Rate limit exceeded${check.scope === 'global' ? ' (global limit)' : ''}: ` +
+      `${check.status.limit} requests per ${check.status.window}ms, retry after ${check.retryAfter}s` +
+      (waited !== null ? ` (gave up after queueing up to ${waited}ms)` : ''),
+    errorType: 'RateLimitError',
+    retryAfter: check.retryAfter,
+    rateLimit: check.status
+  }
+}
+
+function queueFullFailure(toolConfig, status) {
+  return {
+    status,
+    error: `Queue for ${toolConfig.name} is full (maxQueue ${toolConfig.rateLimit?.maxQueue ?? DEFAULT_MAX_QUEUE})`,
+    errorType: 'QueueFullError'
+  }
+}
+
+function once(fn) {
+  let called = false
+  return () => {
+    if (!called) {
+      called = true
+      fn()
+    }
+  }
+}
+
+// Export singleton instance
+export const callQueue = new CallQueue()
@@ -0,0 +1,206 @@
+import crypto from 'crypto'
+import chalk from 'chalk'
+import { acceptsJobCallback, bufferJobCallback, getJob, resolveJobCallback } from './jobs.js'
+
+const DEFAULT_SIGNATURE_HEADER = 'X-Wyreup-Signature'
+const DEFAULT_TOLERANCE = 5 * 60 * 1000 // Reject signed timestamps older than 5 minutes
+const MAX_CALLBACK_BODY = 10 * 1024 * 1024
+
+export const CALLBACK_PATH_PREFIX = '/callback/'
+export const SIGNATURE_ALGORITHMS = ['sha256', 'sha384', 'sha512', 'sha1']
+export const SIGNATURE_ENCODINGS = ['hex', 'base64']
+
+/**
+ * Resolve the shared secret of a webhookVerification block
+ * @param {Object} verification - Tool webhookVerification config
+ * @returns {string|null} - Secret, or null if none is available
+ */
+export function resolveVerificationSecret(verification) {
+  if (verification.secretFromEnv && process.env[verification.secretFromEnv]) {
+    return process.env[verification.secretFromEnv]
+  }
+  return typeof verification.secret === 'string' && verification.secret ? verification.secret : null
+}
+
+/**
+ * Verify the HMAC signature of an inbound callback
+ * The signed payload is the raw body, or `${timestamp}.${body}` when a
+ * timestampHeader is configured. Signatures may carry an `algo=` prefix
+ * (e.g. `sha256=ab12...`).
+ *
+ * @param {Object} verification - Tool webhookVerification config
+ * @param {Buffer|string} rawBody - Raw request body; pass the received bytes, as decoding
+ *   and re-encoding may change them
+ * @param {Object} headers - Request headers (lower-cased keys, as Node provides them)
+ * @returns {{valid: boolean, reason?: string}} - Verification outcome
+ */
+export function verifyWebhookSignature(verification, rawBody, headers) {
+  const secret = resolveVerificationSecret(verification)
+  if (!secret) {
+    return { valid: false, reason: 'No verification secret configured' }
+  }
+
+  const algorithm = verification.algorithm || 'sha256'
+  const encoding = verification.encoding || 'hex'
+  const headerName = (verification.header || DEFAULT_SIGNATURE_HEADER).toLowerCase()
+  const provided = headers[headerName]
+  if (typeof provided !== 'string' || !provided) {
+    return { valid: false, reason: `Missing ${verification.header || DEFAULT_SIGNATURE_HEADER} header` }
+  }
+
+  let signedPayload = rawBody
+  if (verification.timestampHeader) {
+    const timestamp = headers[verification.timestampHeader.toLowerCase()]
+    if (!timestamp) {
+      return { valid: false, reason: `Missing ${verification.timestampHeader} header` }
+    }
+    // Accept both seconds and milliseconds since the epoch
+    const timestampMs = Number(timestamp) < 1e12 ? Number(timestamp) * 1000 : Number(timestamp)
+    if (!Number.isFinite(timestampMs) || Math.abs(Date.now() - timestampMs) > (verification.tolerance || DEFAULT_TOLERANCE)) {
+      return { valid: false, reason: 'Signature timestamp outside tolerance' }
+    }
+    signedPayload = Buffer.concat([Buffer.from(`${timestamp}.`), Buffer.from(rawBody)])
+  }
+
+  const expected = crypto.createHmac(algorithm, secret).update(signedPayload).digest(encoding)
+  const signature = provided.startsWith(`${algorithm}=`)
+    ? provided.slice(algorithm.length + 1)
+    : provided
+
+  const expectedBuffer = Buffer.from(expected)
+  const signatureBuffer = Buffer.from(signature)
+  if (expectedBuffer.length !== signatureBuffer.length || !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+    return { valid: false, reason: 'Signature mismatch' }
+  }
+  return { valid: true }
+}
+
+/**
+ * Handle POST /callback/:jobId, completing the job with the delivered result
+ * Body `{ "result": ... }` completes the job, `{ "error": ... }` fails it, and any
+ * other JSON body is taken as the result itself. A callback that arrives while the
+ * original request is still in flight is answered 202 and applied once the
+ * webhook's acknowledgement is recorded.
+ *
+ * @param {IncomingMessage} req - HTTP request
+ * @param {ServerResponse} res - HTTP response
+ * @param {Object} options - Handler options
+ * @param {Array} options.tools - Validated tool configurations
+ * @param {boolean} options.DEBUG - Debug logging
+ */
+export async function handleCallbackRequest(req, res, { tools, DEBUG }) {
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method not allowed' })
+    return
+  }
+
+  const jobId = decodeURIComponent(new URL(req.url, 'http://localhost').pathname.slice(CALLBACK_PATH_PREFIX.length))
+  const job = getJob(jobId)
+  if (!job) {
+    sendJson(res, 404, { error: `Job '${jobId}' not found` })
+    return
+  }
+
+  const tool = tools.find(t => t.name === job.toolName)
+  if (!tool || !tool.awaitCallback || !tool.webhookVerification) {
+    sendJson(res, 404, { error: `Job '${jobId}' does not accept callbacks` })
+    return
+  }
+
+  let rawBody
+  try {
+    rawBody = await readRawBody(req)
+  } catch (error) {
+    sendJson(res, 413, { error: error.message })
+    return
+  }
+
+  const verification = verifyWebhookSignature(tool.webhookVerification, rawBody, req.headers)
+  if (!verification.valid) {
+    if (DEBUG) {
+      console.error(chalk.red(`[DEBUG] Rejected callback for job ${jobId}: ${verification.reason}`))
+    }
+    sendJson(res, 401, { error: 'Invalid signature' })
+    return
+  }
+
+  if (!acceptsJobCallback(job)) {
+    sendJson(res, 409, { error: `Job '${jobId}' is not awaiting a callback (status: ${job.status})` })
+    return
+  }
+
+  let payload
+  try {
+    payload = rawBody.length > 0 ? JSON.parse(rawBody.toString('utf-8')) : null
+  } catch (error) {
+    sendJson(res, 400, { error: 'Invalid JSON' })
+    return
+  }
+
+  // A callback sent before the webhook answered the original request waits for that answer
+  if (!job.awaitingCallback) {
+    bufferJobCallback(jobId, payload)
+    if (DEBUG) {
+      console.log(chalk.blue(`[DEBUG] Callback for job ${jobId} arrived before the acknowledgement; applying it once recorded`))
+    }
+    sendJson(res, 202, { ok: true, jobId, status: job.status })
+    return
+  }
+
+  const updated = resolveJobCallback(jobId, payload)
+  if (DEBUG) {
+    console.log(chalk.blue(`[DEBUG] Callback accepted for job ${jobId}: ${updated.status}`))
+  }
+  sendJson(res, 200, { ok: true, jobId, status: updated.status })
+}
+
+/**
+ * Start a standalone HTTP listener that only serves callbacks (used in stdio mode)
+ * @param {number} port - Port to listen on
+ * @param {string} host - Host to bind to
+ * @param {Function} handler - Async (req, res) handler for /callback/ requests
+ * @returns {Promise<Server>} - Listening HTTP server
+ */
+export async function startCallbackListener(port, host, handler) {
+  const { createServer } = await import('http')
+  const httpServer = createServer(async (req, res) => {
+    const pathname = new URL(req.url || '', `http://${host}:${port}`).pathname
+    if (!pathname.startsWith(CALLBACK_PATH_PREFIX)) {
+      sendJson(res, 404, { error: 'Not found' })
+      return
+    }
+    await handler(req, res)
+  })
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject)
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject)
+      resolve(httpServer)
+    })
+  })
+}
+
+// Chunks are kept as bytes: decoding each one separately would mangle a UTF-8
+// character split across two chunks and break the signature check
+function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', chunk => {
+      chunks.push(chunk)
+      size += chunk.length
+      if (size > MAX_CALLBACK_BODY) {
+        reject(new Error('Callback body too large'))
+        req.destroy()
+      }
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
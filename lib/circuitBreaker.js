@@ -0,0 +1,284 @@
+import chalk from 'chalk'
+
+/**
+ * Per-tool circuit breakers
+ *
+ * A tool with a `circuitBreaker` block stops calling its webhook once the
+ * endpoint looks down. The circuit starts closed and trips open when, over the
+ * rolling `window`, at least `failureRate` percent of `minimumRequests` or more
+ * calls failed, or after `consecutiveFailures` failures in a row. While open,
+ * calls fail fast with a CircuitOpenError. After `openDuration` the circuit is
+ * half-open: `halfOpenRequests` trial calls go through (one attempt each, no
+ * retries). It closes once they all succeed and opens again on any failure.
+ *
+ * Only endpoint failures count against the circuit: network errors, timeouts
+ * and 5xx responses. Other responses show the endpoint is up, and calls that
+ * never reached it (missing secrets, cancellation, queue limits) are not counted.
+ */
+
+export const CIRCUIT_BREAKER_DEFAULTS = {
+  failureRate: 50,
+  minimumRequests: 10,
+  consecutiveFailures: 5,
+  window: 60000,
+  openDuration: 30000,
+  halfOpenRequests: 1
+}
+
+// The rolling window is kept as this many buckets
+const WINDOW_BUCKETS = 10
+// Failures caused by our own configuration rather than the endpoint
+const LOCAL_ERROR_TYPES = ['ConfigurationError', 'SecretError']
+
+class CircuitBreaker {
+  constructor() {
+    // Tool name -> circuit state
+    this.circuits = new Map()
+  }
+
+  /**
+   * Ask whether a call may go to the tool's webhook
+   * @param {Object} toolConfig - Tool configuration
+   * @param {boolean} DEBUG - Debug logging
+   * @returns {Object} - {allowed: true, trial, record(result)} or {allowed: false, failure} with the
+   *   status, error, errorType, retryAfter (seconds) and circuit status of the failed result.
+   *   record(result) reports the call's outcome; without a result the call is not counted.
+   */
+  acquire(toolConfig, DEBUG = false) {
+    if (!toolConfig.circuitBreaker) {
+      return { allowed: true, trial: false, record: () => {} }
+    }
+    const name = toolConfig.name
+    const settings = getSettings(toolConfig.circuitBreaker)
+    const circuit = this.getCircuit(name)
+    if (circuit.state === 'open' && Date.now() >= circuit.openUntil) {
+      this.transition(name, circuit, 'half-open', DEBUG)
+    }
+
+    // Half-open circuits only let the trial calls through
+    if (circuit.state === 'open' || (circuit.state === 'half-open' && circuit.trials >= settings.halfOpenRequests)) {
+      if (DEBUG) {
+        console.log(chalk.yellowBright(`[DEBUG] Circuit for ${name} is ${circuit.state}, failing fast`))
+      }
+      return { allowed: false, failure: openFailure(name, circuit, settings) }
+    }
+
+    const trial = circuit.state === 'half-open'
+    if (trial) {
+      circuit.trials++
+    }
+    const generation = circuit.generation
+    let recorded = false
+    return {
+      allowed: true,
+      trial,
+      record: (result) => {
+        if (!recorded) {
+          recorded = true
+          this.record(toolConfig, circuit, generation, trial, result, DEBUG)
+        }
+      }
+    }
+  }
+
+  record(toolConfig, circuit, generation, trial, result, DEBUG) {
+    // Calls started before the last state change say nothing about the current state
+    if (circuit.generation !== generation) {
+      return
+    }
+    const name = toolConfig.name
+    const settings = getSettings(toolConfig.circuitBreaker)
+    const outcome = classify(result)
+
+    if (trial) {
+      if (outcome === 'failure') {
+        this.open(name, circuit, settings, `trial request failed (${result.error})`)
+      } else if (outcome === 'success') {
+        circuit.successes++
+        if (circuit.successes >= settings.halfOpenRequests) {
+          this.transition(name, circuit, 'closed', DEBUG)
+        }
+      } else {
+        // Free the trial slot for another call
+        circuit.trials--
+      }
+      return
+    }
+
+    if (outcome === 'ignored') {
+      return
+    }
+    const now = Date.now()
+    const bucket = currentBucket(circuit, settings, now)
+    if (outcome === 'success') {
+      bucket.successes++
+      circuit.consecutiveFailures = 0
+      return
+    }
+    bucket.failures++
+    circuit.consecutiveFailures++
+    circuit.lastFailure = { timestamp: new Date(now).toISOString(), error: result.error }
+
+    const { calls, failures } = windowCounts(circuit, settings, now)
+    if (circuit.consecutiveFailures >= settings.consecutiveFailures) {
+      this.open(name, circuit, settings, `${circuit.consecutiveFailures} consecutive failures`)
+    } else if (calls >= settings.minimumRequests && (failures / calls) * 100 >= settings.failureRate) {
+      this.open(name, circuit, settings, `${failures} of the last ${calls} calls failed`)
+    }
+  }
+
+  open(name, circuit, settings, reason) {
+    this.transition(name, circuit, 'open', false, reason)
+    circuit.openedAt = Date.now()
+    circuit.openUntil = circuit.openedAt + settings.openDuration
+    console.warn(chalk.yellow(`Circuit for ${name} opened: ${reason}. Failing fast for ${settings.openDuration}ms`))
+  }
+
+  transition(name, circuit, state, DEBUG, reason = null) {
+    const previous = circuit.state
+    circuit.state = state
+    circuit.generation++
+    circuit.trials = 0
+    circuit.successes = 0
+    circuit.reason = reason
+    if (state === 'closed') {
+      circuit.buckets = []
+      circuit.consecutiveFailures = 0
+      circuit.openedAt = null
+      circuit.openUntil = null
+      console.warn(chalk.green(`Circuit for ${name} closed: endpoint recovered`))
+    } else if (DEBUG && state === 'half-open') {
+      console.log(chalk.blueBright(`[DEBUG] Circuit for ${name} ${previous} -> half-open, probing for recovery`))
+    }
+  }
+
+  getCircuit(name) {
+    if (!this.circuits.has(name)) {
+      this.circuits.set(name, {
+        state: 'closed',
+        generation: 0,
+        buckets: [],
+        consecutiveFailures: 0,
+        trials: 0,
+        successes: 0,
+        openedAt: null,
+        openUntil: null,
+        reason: null,
+        lastFailure: null
+      })
+    }
+    return this.circuits.get(name)
+  }
+
+  /**
+   * Get the circuit status of a tool
+   * @param {string} toolName - Tool identifier
+   * @param {Object} config - Tool circuitBreaker config (may be undefined)
+   * @returns {Object|null} - {state, failureRate, calls, failures, consecutiveFailures, openedAt,
+   *   retryAfter, reason, lastFailure, settings}; null when the tool has no circuit breaker
+   */
+  getStatus(toolName, config) {
+    if (!config) {
+      return null
+    }
+    const settings = getSettings(config)
+    const circuit = this.getCircuit(toolName)
+    const now = Date.now()
+    const { calls, failures } = windowCounts(circuit, settings, now)
+    // An open circuit past its openDuration lets the next call through as a trial
+    const state = circuit.state === 'open' && now >= circuit.openUntil ? 'half-open' : circuit.state
+    return {
+      state,
+      failureRate: calls > 0 ? Math.round((failures / calls) * 10000) / 100 : 0,
+      calls,
+      failures,
+      consecutiveFailures: circuit.consecutiveFailures,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+      retryAfter: state === 'open' ? Math.ceil((circuit.openUntil - now) / 1000) : null,
+      reason: circuit.reason,
+      lastFailure: circuit.lastFailure,
+      settings
+    }
+  }
+
+  /**
+   * Close a tool's circuit and forget its history
+   * @param {string} toolName - Tool identifier
+   */
+  reset(toolName) {
+    this.circuits.delete(toolName)
+  }
+
+  /**
+   * Reset every circuit
+   */
+  clearAll() {
+    this.circuits.clear()
+  }
+}
+
+function getSettings(config) {
+  return { ...CIRCUIT_BREAKER_DEFAULTS, ...config }
+}
+
+/**
+ * Decide what a call's result says about the endpoint
+ * @returns {string} - 'success', 'failure' or 'ignored'
+ */
+function classify(result) {
+  if (!result || result.status === 499 || LOCAL_ERROR_TYPES.includes(result.errorType)) {
+    return 'ignored'
+  }
+  if (result.success) {
+    return 'success'
+  }
+  return result.status === undefined || result.status === 408 || result.status >= 500 ? 'failure' : 'success'
+}
+
+function currentBucket(circuit, settings, now) {
+  const size = settings.window / WINDOW_BUCKETS
+  const start = Math.floor(now / size) * size
+  let bucket = circuit.buckets[circuit.buckets.length - 1]
+  if (!bucket || bucket.start !== start) {
+    bucket = { start, successes: 0, failures: 0 }
+    circuit.buckets.push(bucket)
+    circuit.buckets = circuit.buckets.filter(entry => entry.start > now - settings.window)
+  }
+  return bucket
+}
+
+function windowCounts(circuit, settings, now) {
+  let calls = 0
+  let failures = 0
+  for (const bucket of circuit.buckets) {
+    if (bucket.start > now - settings.window) {
+      calls += bucket.successes + bucket.failures
+      failures += bucket.failures
+    }
+  }
+  return { calls, failures }
+}
+
+function openFailure(name, circuit, settings) {
+  const now = Date.now()
+  const halfOpen = circuit.state === 'half-open'
+  // Trial calls decide soon; an open circuit stays open for the rest of openDuration
+  const retryAfter = halfOpen ? 1 : Math.max(1, Math.ceil((circuit.openUntil - now) / 1000))
+  return {
+    status: 503,
+    error: halfOpen
+      ? `Circuit for ${name} is half-open and waiting for its trial requests, retry after ${retryAfter}s`
+      : `Circuit for ${name} is open (${circuit.reason}), retry after ${retryAfter}s`,
+    errorType: 'CircuitOpenError',
+    retryAfter,
+    circuit: {
+      state: circuit.state,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+      reason: circuit.reason,
+      openDuration: settings.openDuration
+    }
+  }
+}
+
+// Export singleton instance
+export const circuitBreaker = new CircuitBreaker()
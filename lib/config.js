@@ -1,10 +1,14 @@
+import fs from 'fs';
+import path from 'path';
 import minimist from 'minimist';
 import chalk from 'chalk';
+import { MANIFEST_EXTENSIONS } from './manifestFormats.js';
 
 const argv = minimist(process.argv.slice(2), {
-  string: ['host', 'config', 'transport'], // Ensure host, config, and transport are treated as strings
+  string: ['host', 'config', 'transport', 'vault', 'vault-set'], // Ensure host, config, transport and vault options are treated as strings
   alias: { p: 'port' }, // Add alias for port
-  boolean: ['debug'] // Add debug flag
+  boolean: ['debug', 'watch', 'print-resolved', 'vault-list'], // Add debug flag; --no-watch disables manifest hot-reload
+  default: { watch: true }
 });
 
 // Determine HOST
@@ -43,7 +47,7 @@ if (portConfigSource === 'default' && process.env.PORT) { // Check env only if C
 
 // Determine TRANSPORT
 const TRANSPORT = argv.transport || 'stdio'; // Default to stdio for MCP compatibility
-const VALID_TRANSPORTS = ['stdio', 'sse'];
+const VALID_TRANSPORTS = ['stdio', 'sse', 'http'];
 
 if (!VALID_TRANSPORTS.includes(TRANSPORT)) {
     console.error(chalk.red(`Invalid transport "${TRANSPORT}". Must be one of: ${VALID_TRANSPORTS.join(', ')}`));
@@ -51,8 +55,12 @@ if (!VALID_TRANSPORTS.includes(TRANSPORT)) {
 }
 
 const BASE_URL = `http://${HOST}:${PORT}`;
-const CONFIG_PATH = argv.config || 'wyreup.json'; // Use --config or default
+// Use --config, or the first wyreup.{json,jsonc,yaml,yml} found in the working directory
+const CONFIG_PATH = argv.config
+    || MANIFEST_EXTENSIONS.map(extension => `wyreup${extension}`).find(file => fs.existsSync(path.resolve(process.cwd(), file)))
+    || 'wyreup.json';
 const DEBUG = argv.debug || false;
+const WATCH = argv.watch !== false;
 
 // Export determined values
 export {
@@ -61,6 +69,7 @@ export {
     BASE_URL,
     CONFIG_PATH,
     DEBUG,
+    WATCH,
     TRANSPORT,
     argv // Exporting argv as it's used for other flags like --init, --validate, --help, --serve
 };
\ No newline at end of file
@@ -0,0 +1,71 @@
+import { randomUUID } from 'crypto'
+
+/**
+ * In-memory event store for resumable Streamable HTTP sessions
+ * One instance is created per session so standalone stream ids never collide
+ */
+export class InMemoryEventStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxEvents - Maximum events retained before the oldest are dropped
+   */
+  constructor({ maxEvents = 1000 } = {}) {
+    this.events = new Map()
+    this.maxEvents = maxEvents
+  }
+
+  /**
+   * Store an outgoing message and return its event id
+   * @param {string} streamId - Stream the message was sent on
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<string>} - Generated event id
+   */
+  async storeEvent(streamId, message) {
+    const eventId = `${streamId}::${randomUUID()}`
+    this.events.set(eventId, { streamId, message })
+
+    // Map preserves insertion order, so the first key is always the oldest event
+    while (this.events.size > this.maxEvents) {
+      this.events.delete(this.events.keys().next().value)
+    }
+
+    return eventId
+  }
+
+  /**
+   * Replay every event on the same stream that was stored after lastEventId
+   * @param {string} lastEventId - Last event id the client received
+   * @param {Object} handlers - Replay handlers
+   * @param {Function} handlers.send - Callback invoked for each replayed event
+   * @returns {Promise<string>} - Stream id the events belong to, or '' when unknown
+   */
+  async replayEventsAfter(lastEventId, { send }) {
+    const lastEvent = this.events.get(lastEventId)
+    if (!lastEvent) {
+      return ''
+    }
+
+    let found = false
+    for (const [eventId, { streamId, message }] of this.events) {
+      if (streamId !== lastEvent.streamId) {
+        continue
+      }
+      if (eventId === lastEventId) {
+        found = true
+        continue
+      }
+      if (found) {
+        await send(eventId, message)
+      }
+    }
+
+    return lastEvent.streamId
+  }
+
+  /**
+   * Drop all stored events
+   */
+  clear() {
+    this.events.clear()
+  }
+}
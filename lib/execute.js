@@ -1,66 +1,172 @@
-import fs from 'fs'
-import path from 'path'
-import os from 'os'
 
 import { fetch } from 'undici'
 import chalk from 'chalk'
 // import https from 'https'; // No longer needed with undici
 import { Buffer } from 'buffer'
-import { jobs } from './jobs.js'
-import { rateLimiter } from './rateLimiter.js'
+import { randomUUID } from 'crypto'
+import { getJob, updateJob, startJob, finishJob, awaitJobCallback, waitForJob, recordCallbackAttempt } from './jobs.js'
+import { callQueue } from './callQueue.js'
+import { circuitBreaker } from './circuitBreaker.js'
+import { responseCache } from './responseCache.js'
+import { singleFlight } from './singleFlight.js'
 import { healthMonitor } from './healthMonitor.js'
+import { getOutputValidationMode, validateToolOutput } from './outputValidation.js'
+import { fillPathParams, isInternalUrl } from './toolUrl.js'
+import { applyRequestTemplate, applyResponseMapping } from './transforms.js'
+import { oauth2Tokens, OAUTH2_AUTH_TYPES } from './oauth2.js'
+import { getSigningHeaderNames, signRequest } from './requestSigning.js'
+import { resolveVerificationSecret } from './callbackReceiver.js'
+import { resolveTlsOptions } from './mtls.js'
+import { httpAgents } from './httpAgents.js'
+import { secretStore } from './secrets.js'
+import { redactor } from './redaction.js'
+import { getRetryPolicy, getRetryDelay, isRetryableError, needsIdempotencyKey, parseRetryAfter } from './retryPolicy.js'
 
-// Secret loader (outside function)
-function loadSecretAuth(user, toolName) {
-  const baseDir = path.join(os.homedir(), '.wyreup-secrets')
-  const filePath = path.join(baseDir, `${user}.json`)
-  if (!fs.existsSync(filePath)) return null
+// Auth field value, preferring the `<field>FromEnv` environment variable when it is set
+function resolveAuthValue(auth, field) {
+  const envName = auth[`${field}FromEnv`]
+  if (envName && process.env[envName]) {
+    return process.env[envName]
+  }
+  return auth[field]
+}
+
+/**
+ * Execute a tool's webhook
+ * Failed results have secrets and the tool's `redact` fields masked, so they are
+ * safe to return to the agent, store in jobs and send to callbacks. Tools with a
+ * `cache` block are answered from the response cache when possible, and tools
+ * with `singleFlight` share one execution between identical concurrent calls.
+ * A `requestTemplate` reshapes the input sent and a `responseMapping` the data
+ * returned (see transforms.js).
+ *
+ * @param {Object} toolConfig - Tool configuration
+ * @param {*} requestPayload - Tool input
+ * @param {Object} originalHeaders - Headers to forward
+ * @param {Object} options - Execution options ({ DEBUG, signal, caller, onProgress, idempotencyKey, allowedTools });
+ *   `caller` identifies the client for per-client rate limits, `onProgress(message, progress)`
+ *   is called while the call waits in the tool's queue, `idempotencyKey` replaces the
+ *   generated key of retried POST/PATCH calls, and `allowedTools` limits what
+ *   internal://health-monitor reports
+ * @returns {Promise<Object>} - Execution result
+ */
+async function executeTool(toolConfig, requestPayload, originalHeaders, options = {}) {
+  // Identical calls in flight at the same time share one execution
+  const execute = (callOptions) => toolConfig.singleFlight
+    ? singleFlight.run(toolConfig, requestPayload, callOptions, (signal) =>
+      callWebhook(toolConfig, requestPayload, originalHeaders, { ...callOptions, signal }))
+    : callWebhook(toolConfig, requestPayload, originalHeaders, callOptions)
+
+  if (!toolConfig.cache) {
+    return execute(options)
+  }
+  // Background refreshes of stale entries outlive the call, so they drop its signal and progress
+  return responseCache.fetch(
+    toolConfig,
+    requestPayload,
+    (cacheValidators, background) => execute(
+      background
+        ? { DEBUG: options.DEBUG, caller: options.caller, cacheValidators }
+        : { ...options, cacheValidators }
+    ),
+    options.DEBUG
+  )
+}
+
+// Circuit breaker, admission and the webhook call itself, with failures redacted
+async function callWebhook(toolConfig, requestPayload, originalHeaders, options) {
+  // An open circuit fails fast without calling the webhook
+  const permit = circuitBreaker.acquire(toolConfig, options.DEBUG)
+  if (!permit.allowed) {
+    return rejectedResult(toolConfig, permit.failure)
+  }
+
+  // Rate limits and maxConcurrent: wait for a turn or fail fast
+  const admission = await callQueue.admit(toolConfig, options)
+  if (!admission.admitted) {
+    permit.record()
+    return rejectedResult(toolConfig, admission.failure)
+  }
+
+  let result
   try {
-    const raw = fs.readFileSync(filePath, 'utf-8')
-    const parsed = JSON.parse(raw)
-    return parsed[toolName] || null
-  } catch {
-    return null
+    // Trial calls of a half-open circuit get a single attempt
+    const requestConfig = permit.trial ? { ...toolConfig, maxRetries: 1 } : toolConfig
+    result = await executeToolRequest(requestConfig, requestPayload, originalHeaders, options)
+  } finally {
+    admission.release()
+    permit.record(result)
+  }
+  if (result.success) {
+    return result
+  }
+  // `redact` paths are relative to the upstream body, as in the debug logs
+  const redacted = redactor.value(result)
+  if (result.details !== undefined) {
+    redacted.details = redactor.value(result.details, toolConfig.redact)
+  }
+  return redacted
+}
+
+// A call turned away before reaching the webhook
+function rejectedResult(toolConfig, failure) {
+  return {
+    success: false,
+    ...failure,
+    tool: toolConfig.name,
+    timestamp: new Date().toISOString()
   }
 }
 
-async function executeTool(
+async function executeToolRequest(
   toolConfig,
   requestPayload,
   originalHeaders,
-  { DEBUG }
+  { DEBUG, signal, idempotencyKey, cacheValidators, allowedTools }
 ) {
   const startTime = Date.now()
-  let currentTargetUrl = toolConfig.url // Use toolConfig.url directly
+
+  // internal:// tools are answered by the server itself
+  if (isInternalUrl(toolConfig.url)) {
+    return executeInternalTool(toolConfig, requestPayload, allowedTools)
+  }
+
+  // Fill /orders/{orderId} style path parameters from the input (and drop them from the body)
+  const pathParams = fillPathParams(toolConfig.url, requestPayload)
+  if (pathParams.missing.length > 0) {
+    return {
+      success: false,
+      error: `Missing path parameter${pathParams.missing.length > 1 ? 's' : ''}: ${pathParams.missing.join(', ')}`,
+      status: 400,
+      tool: toolConfig.name,
+      timestamp: new Date().toISOString()
+    }
+  }
+  let currentTargetUrl = pathParams.url
+  const input = requestPayload
+  requestPayload = pathParams.payload
+
+  // Reshape the input into the webhook's body and headers (see transforms.js)
+  let templateHeaders = {}
+  if (toolConfig.requestTemplate) {
+    const request = applyRequestTemplate(toolConfig.requestTemplate, input, requestPayload)
+    requestPayload = request.payload
+    templateHeaders = request.headers
+  }
 
   if (DEBUG) {
     console.log(
       chalk.blueBright(`[DEBUG] Executing tool: ${chalk.cyan(toolConfig.name)}`)
     )
-    console.log(chalk.blueBright(`[DEBUG]   Target URL: ${currentTargetUrl}`))
+    console.log(chalk.blueBright(`[DEBUG]   Target URL: ${redactor.text(currentTargetUrl)}`))
     console.log(
       chalk.blueBright(
-        `[DEBUG]   Request Payload: ${JSON.stringify(requestPayload, null, 2)}`
+        `[DEBUG]   Request Payload: ${redactor.json(requestPayload, toolConfig.redact)}`
       )
     )
   }
 
-  // Check rate limiting first
-  if (toolConfig.rateLimit) {
-    if (!rateLimiter.isAllowed(toolConfig.name, toolConfig.rateLimit, DEBUG)) {
-      const status = rateLimiter.getStatus(toolConfig.name, toolConfig.rateLimit)
-      return {
-        success: false,
-        error: `Rate limit exceeded: ${status.requests}/${status.limit} requests`,
-        status: 429,
-        tool: toolConfig.name,
-        timestamp: new Date().toISOString(),
-        rateLimit: status
-      }
-    }
-  }
-
-  const finalHeaders = { ...originalHeaders } // Start with all original headers
+  const finalHeaders = { ...originalHeaders, ...templateHeaders } // Start with all original headers
 
   // The loop for preserving only Content-Type is removed as all headers are now copied.
 
@@ -75,26 +181,38 @@ async function executeTool(
 
   let auth = toolConfig.auth
 
-  // Check for external auth override
-  if (toolConfig.authFrom && toolConfig.authFrom.user && toolConfig.name) {
-    const loaded = loadSecretAuth(toolConfig.authFrom.user, toolConfig.name)
-    if (loaded) {
-      auth = loaded
-      if (DEBUG) {
-        console.log(chalk.blueBright(`[DEBUG]   Loaded auth for tool ${toolConfig.name} from .wyreup-secrets/${toolConfig.authFrom.user}.json`))
+  try {
+    // Check for external auth override
+    if (toolConfig.authFrom && toolConfig.authFrom.user && toolConfig.name) {
+      const loaded = await secretStore.loadAuthFrom(toolConfig.authFrom.user, toolConfig.name)
+      if (loaded) {
+        auth = loaded
+        if (DEBUG) {
+          console.log(chalk.blueBright(`[DEBUG]   Loaded auth for tool ${toolConfig.name} from .wyreup-secrets/${toolConfig.authFrom.user}.json`))
+        }
+      } else if (DEBUG) {
+        console.warn(chalk.yellowBright(`[DEBUG]   No external auth found for ${toolConfig.name} in .wyreup-secrets/${toolConfig.authFrom.user}.json`))
       }
-    } else if (DEBUG) {
-      console.warn(chalk.yellowBright(`[DEBUG]   No external auth found for ${toolConfig.name} in .wyreup-secrets/${toolConfig.authFrom.user}.json`))
     }
+    // Replace secret://provider/key references in any auth field
+    if (auth) {
+      auth = await secretStore.resolveRefs(auth)
+      redactor.addAuthSecrets(auth)
+    }
+  } catch (error) {
+    return authFailureResult(toolConfig, error.message, 500, 'SecretError', DEBUG)
   }
 
   if (auth) {
     if (auth.type === 'header' && auth.name) {
       deleteHeaderCaseInsensitive(finalHeaders, auth.name)
     }
-    if (auth.type === 'jwt') {
+    if (auth.type === 'jwt' || auth.type === 'basic' || OAUTH2_AUTH_TYPES.includes(auth.type)) {
       deleteHeaderCaseInsensitive(finalHeaders, 'Authorization')
     }
+    if (auth.type === 'hmac') {
+      getSigningHeaderNames(auth).forEach(name => deleteHeaderCaseInsensitive(finalHeaders, name))
+    }
   }
 
   const method = toolConfig.method?.toUpperCase() || 'POST'
@@ -136,7 +254,7 @@ async function executeTool(
     effectiveTargetUrl = currentUrl.toString()
     if (DEBUG)
       console.log(
-        chalk.blueBright(`[DEBUG]   GET URL with params: ${effectiveTargetUrl}`)
+        chalk.blueBright(`[DEBUG]   GET URL with params: ${redactor.text(effectiveTargetUrl)}`)
       )
   }
   // Auth processing (which modifies finalHeaders) will occur after this block.
@@ -145,6 +263,7 @@ async function executeTool(
   // overriding originalHeaders if necessary.
   // The redundant Content-Type check block that was here is removed.
 
+  let tls = null
   if (auth) {
     if (DEBUG)
       console.log(
@@ -247,6 +366,75 @@ async function executeTool(
           )
         }
         break
+      case 'basic': {
+        const username = resolveAuthValue(auth, 'username')
+        const password = resolveAuthValue(auth, 'password')
+        if (typeof username === 'string' && typeof password === 'string') {
+          finalHeaders['Authorization'] = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`
+          if (DEBUG) {
+            console.log(chalk.blueBright(`[DEBUG]   Set Authorization header with Basic credentials for user ${username}.`))
+          }
+        } else if (DEBUG) {
+          console.warn(
+            chalk.yellowBright(
+              `[DEBUG] Auth type 'basic' for tool ${toolConfig.name} is missing a username or password (inline or from env).`
+            )
+          )
+        }
+        break
+      }
+      case 'query': {
+        const apiKey = resolveAuthValue(auth, 'value')
+        if (auth.name && typeof apiKey === 'string') {
+          // Set after the GET payload so tool input cannot replace the key
+          const urlWithKey = new URL(effectiveTargetUrl)
+          urlWithKey.searchParams.set(auth.name, apiKey)
+          effectiveTargetUrl = urlWithKey.toString()
+          if (DEBUG) {
+            console.log(chalk.blueBright(`[DEBUG]   Set query parameter ${auth.name} with ${auth.valueFromEnv ? 'env-resolved' : 'manifest-defined'} value.`))
+          }
+        } else if (DEBUG) {
+          console.warn(
+            chalk.yellowBright(
+              `[DEBUG] Auth type 'query' for tool ${toolConfig.name} has no valid name or value (neither auth.value nor env var ${auth.valueFromEnv}).`
+            )
+          )
+        }
+        break
+      }
+      case 'mtls':
+        try {
+          tls = resolveTlsOptions(auth)
+        } catch (error) {
+          return authFailureResult(toolConfig, error.message, 500, 'ConfigurationError', DEBUG)
+        }
+        if (DEBUG) {
+          console.log(chalk.blueBright(`[DEBUG]   Using mTLS client certificate for ${toolConfig.name}.`))
+        }
+        break
+      case 'oauth2_client_credentials':
+      case 'oauth2_refresh_token':
+        try {
+          // The token request goes through the same pools and proxy as the tool's calls
+          const tokenDispatcher = httpAgents.getDispatcher(toolConfig, auth.tokenUrl, tls)
+          finalHeaders['Authorization'] = `Bearer ${await oauth2Tokens.getAccessToken(auth, DEBUG, tokenDispatcher)}`
+        } catch (error) {
+          return authFailureResult(toolConfig, error.message, 502, 'OAuth2Error', DEBUG)
+        }
+        break
+      case 'hmac':
+        // Signed per attempt in executeWithRetry, so every retry gets a fresh timestamp and nonce
+        if (!resolveVerificationSecret(auth)) {
+          return authFailureResult(toolConfig, 'No HMAC signing secret configured', 500, 'ConfigurationError', DEBUG)
+        }
+        if (DEBUG) {
+          console.log(
+            chalk.blueBright(
+              `[DEBUG]   Signing request with HMAC-${(auth.algorithm || 'sha256').toUpperCase()} (${auth.canonicalization || 'custom'} canonicalization).`
+            )
+          )
+        }
+        break
       default:
         if (DEBUG)
           console.warn(
@@ -257,16 +445,42 @@ async function executeTool(
     }
   }
 
+  // Pooled connections for this host and tool, through a proxy if one applies (see httpAgents.js)
+  const dispatcher = httpAgents.getDispatcher(toolConfig, effectiveTargetUrl, tls)
+
+  // Encoded credentials (e.g. Basic) are masked too if the webhook echoes them back
+  if (auth && typeof finalHeaders['Authorization'] === 'string') {
+    redactor.addSecret(finalHeaders['Authorization'].split(' ').pop())
+  }
+
   // Remove Host header (case-insensitively) to allow undici/node to set it automatically
   deleteHeaderCaseInsensitive(finalHeaders, 'Host')
   deleteHeaderCaseInsensitive(finalHeaders, 'Content-Length'); // Let undici set this
   deleteHeaderCaseInsensitive(finalHeaders, 'User-Agent'); // Let undici use its default or be absent
 
+  // Retried POST/PATCH calls send one idempotency key with every attempt
+  const retryPolicy = getRetryPolicy(toolConfig)
+  const retryable = retryPolicy.methods.includes(method)
+  if (needsIdempotencyKey(retryPolicy, method)) {
+    const header = retryPolicy.idempotencyHeader.toLowerCase()
+    if (!Object.keys(finalHeaders).some(name => name.toLowerCase() === header)) {
+      finalHeaders[retryPolicy.idempotencyHeader] = idempotencyKey || randomUUID()
+    }
+  }
+
+  // Revalidate an expired cache entry instead of downloading it again
+  if (cacheValidators?.etag) {
+    finalHeaders['If-None-Match'] = cacheValidators.etag
+  }
+  if (cacheValidators?.lastModified) {
+    finalHeaders['If-Modified-Since'] = cacheValidators.lastModified
+  }
+
   if (DEBUG) {
     console.log(
       chalk.blueBright(
         `[DEBUG]   Final Forwarding Headers: ${JSON.stringify(
-          finalHeaders,
+          redactor.headers(finalHeaders),
           null,
           2
         )}`
@@ -277,57 +491,100 @@ async function executeTool(
 
   // Enhanced timeout handling with tool-specific configuration
   const timeout = toolConfig.timeout || 30000 // Default timeout 30s
-  const maxRetries = toolConfig.maxRetries || 3
-  const retryDelay = toolConfig.retryDelay || 1000 // 1s base delay
-  
-  // Retry logic with exponential backoff
-  async function executeWithRetry(attempt = 1) {
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), timeout)
-
-    try {
-      const response = await fetch(effectiveTargetUrl, {
-        method: method,
-        headers: finalHeaders,
-        body: bodyToSend,
-        signal: controller.signal,
-      })
-      clearTimeout(timeoutId)
-      return response
-    } catch (error) {
-      clearTimeout(timeoutId)
-      
+
+  // Retry logic with jittered exponential backoff (see retryPolicy.js)
+  async function executeWithRetry() {
+    const deadline = retryPolicy.maxElapsed ? Date.now() + retryPolicy.maxElapsed : Infinity
+    for (let attempt = 1; ; attempt++) {
+      const controller = new AbortController()
+      const timeoutId = setTimeout(() => controller.abort(), Math.min(timeout, deadline - Date.now()))
+      // Propagate caller cancellation (e.g. job-cancel) to the in-flight request
+      const onCallerAbort = () => controller.abort()
+      signal?.addEventListener('abort', onCallerAbort)
+
+      let response
+      let failure
+      try {
+        const headers = auth?.type === 'hmac'
+          ? { ...finalHeaders, ...signRequest(auth, { method, url: effectiveTargetUrl, body: bodyToSend }) }
+          : finalHeaders
+        response = await fetch(effectiveTargetUrl, {
+          method: method,
+          headers,
+          body: bodyToSend,
+          signal: controller.signal,
+          dispatcher,
+        })
+      } catch (error) {
+        failure = error
+      } finally {
+        clearTimeout(timeoutId)
+        signal?.removeEventListener('abort', onCallerAbort)
+      }
+
       // Check if we should retry
-      if (attempt < maxRetries && isRetryableError(error)) {
-        const delay = retryDelay * Math.pow(2, attempt - 1) // Exponential backoff
-        if (DEBUG) {
-          console.log(
-            chalk.yellowBright(
-              `[DEBUG] Attempt ${attempt} failed for ${toolConfig.name}, retrying in ${delay}ms: ${error.message}`
-            )
-          )
+      const transient = failure
+        ? !signal?.aborted && isRetryableError(failure)
+        : retryPolicy.statusCodes.includes(response.status)
+      const delay = transient && retryable && attempt < retryPolicy.maxAttempts
+        ? getRetryDelay(retryPolicy, attempt, response)
+        : null
+      if (delay === null || Date.now() + delay >= deadline) {
+        if (failure) {
+          throw failure
         }
-        await new Promise(resolve => setTimeout(resolve, delay))
-        return executeWithRetry(attempt + 1)
+        return response
       }
-      
-      throw error
-    }
-  }
 
-  // Helper function to determine if error is retryable
-  function isRetryableError(error) {
-    return (
-      error.name === 'AbortError' || // Timeout
-      error.code === 'ECONNRESET' || // Connection reset
-      error.code === 'ENOTFOUND' || // DNS resolution failed
-      error.code === 'ETIMEDOUT' || // Connection timeout
-      (error.response && error.response.status >= 500) // Server errors
-    )
+      if (DEBUG) {
+        console.log(
+          chalk.yellowBright(
+            `[DEBUG] Attempt ${attempt} failed for ${toolConfig.name}, retrying in ${delay}ms: ${failure ? failure.message : `HTTP ${response.status}`}`
+          )
+        )
+      }
+      await response?.body?.cancel()
+      if (!await sleep(delay, signal)) {
+        const cancelled = new Error('Request cancelled')
+        cancelled.name = 'AbortError'
+        throw cancelled
+      }
+    }
   }
 
   try {
-    const response = await executeWithRetry()
+    let response = await executeWithRetry()
+
+    // An OAuth2 token may be revoked before it expires: re-authenticate once and retry
+    if (response.status === 401 && OAUTH2_AUTH_TYPES.includes(auth?.type)) {
+      if (DEBUG) {
+        console.log(chalk.yellowBright(`[DEBUG] ${toolConfig.name} rejected the OAuth2 token, re-authenticating`))
+      }
+      await response.body?.cancel()
+      oauth2Tokens.invalidate(auth, finalHeaders['Authorization'].slice('Bearer '.length))
+      try {
+        const tokenDispatcher = httpAgents.getDispatcher(toolConfig, auth.tokenUrl, tls)
+        finalHeaders['Authorization'] = `Bearer ${await oauth2Tokens.getAccessToken(auth, DEBUG, tokenDispatcher)}`
+      } catch (error) {
+        return authFailureResult(toolConfig, error.message, 502, 'OAuth2Error', DEBUG)
+      }
+      response = await executeWithRetry()
+    }
+
+    if (response.status === 304 && cacheValidators) {
+      await response.body?.cancel()
+      const result = {
+        success: true,
+        notModified: true,
+        status: response.status,
+        cacheHeaders: readCacheHeaders(response),
+        tool: toolConfig.name,
+        timestamp: new Date().toISOString(),
+        responseTime: Date.now() - startTime
+      }
+      healthMonitor.recordExecution(toolConfig.name, result)
+      return result
+    }
 
     if (!response.ok) {
       // Try to get error details from response body
@@ -349,16 +606,12 @@ async function executeTool(
         )
         console.error(
           chalk.redBright(
-            `[DEBUG]   Error Response Data: ${JSON.stringify(
-              errorData,
-              null,
-              2
-            )}`
+            `[DEBUG]   Error Response Data: ${redactor.json(errorData, toolConfig.redact)}`
           )
         )
       }
       // Return structured error for better agent handling
-      return {
+      const result = {
         success: false,
         error: `HTTP ${response.status}: ${response.statusText}`,
         status: response.status,
@@ -366,6 +619,13 @@ async function executeTool(
         tool: toolConfig.name,
         timestamp: new Date().toISOString()
       }
+      // Pass the webhook's Retry-After on to the agent (in seconds)
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'))
+      if (retryAfter !== null) {
+        result.retryAfter = Math.ceil(retryAfter / 1000)
+      }
+      healthMonitor.recordExecution(toolConfig.name, result)
+      return result
     }
 
     // Check for streaming response
@@ -376,7 +636,8 @@ async function executeTool(
       contentType.includes('text/plain; charset=utf-8') // Common for streaming
     )
     
-    if (isStreamResponse && response.body) {
+    // Strict tools publish an outputSchema, so their streams are read whole and validated below
+    if (isStreamResponse && response.body && getOutputValidationMode(toolConfig) !== 'strict') {
       if (DEBUG) {
         console.log(
           chalk.greenBright(
@@ -398,6 +659,14 @@ async function executeTool(
       responseData = await response.json()
     } else {
       responseData = await response.text()
+      if (isStreamResponse) {
+        // A buffered stream of a strict tool may carry one JSON document (e.g. a single NDJSON line)
+        try {
+          responseData = JSON.parse(responseData)
+        } catch {
+          // Validated as text
+        }
+      }
     }
 
     if (DEBUG) {
@@ -408,10 +677,46 @@ async function executeTool(
       )
       console.log(
         chalk.greenBright(
-          `[DEBUG]   Response Data: ${JSON.stringify(responseData, null, 2)}`
+          `[DEBUG]   Response Data: ${redactor.json(responseData, toolConfig.redact)}`
+        )
+      )
+    }
+    // Give the agent the mapped response; the output schema describes its shape
+    if (toolConfig.responseMapping) {
+      responseData = applyResponseMapping(toolConfig.responseMapping, responseData)
+      if (DEBUG) {
+        console.log(
+          chalk.greenBright(
+            `[DEBUG]   Mapped Response Data: ${redactor.json(responseData, toolConfig.redact)}`
+          )
+        )
+      }
+    }
+    // Check the response against the tool's declared output schema
+    const outputCheck = validateToolOutput(toolConfig, responseData)
+    if (outputCheck && !outputCheck.valid) {
+      const mismatchedPaths = outputCheck.errors.map(error => error.path).join(', ')
+      if (getOutputValidationMode(toolConfig) === 'strict') {
+        const result = {
+          success: false,
+          error: `Response did not match output schema at ${mismatchedPaths}`,
+          status: 502,
+          tool: toolConfig.name,
+          timestamp: new Date().toISOString(),
+          errorType: 'OutputValidationError',
+          validationErrors: outputCheck.errors,
+          details: responseData
+        }
+        healthMonitor.recordExecution(toolConfig.name, result)
+        return result
+      }
+      console.warn(
+        chalk.yellow(
+          `Warning: response from ${toolConfig.name} did not match output schema at ${mismatchedPaths}`
         )
       )
     }
+
     // Enhanced success response with metadata
     const result = {
       success: true,
@@ -421,6 +726,12 @@ async function executeTool(
       timestamp: new Date().toISOString(),
       responseTime: Date.now() - startTime
     }
+    if (outputCheck && !outputCheck.valid) {
+      result.validationErrors = outputCheck.errors
+    }
+    if (cacheValidators) {
+      result.cacheHeaders = readCacheHeaders(response)
+    }
     
     // Record execution for health monitoring
     healthMonitor.recordExecution(toolConfig.name, result)
@@ -430,7 +741,7 @@ async function executeTool(
     if (DEBUG) {
       console.error(
         chalk.redBright(
-          `[DEBUG] Error executing tool ${toolConfig.name}: ${error.message}`
+          `[DEBUG] Error executing tool ${toolConfig.name}: ${redactor.text(error.message)}`
         )
       )
       if (error.code) {
@@ -443,15 +754,16 @@ async function executeTool(
         } catch (stringifyError) {
           causeString = `Could not stringify error.cause: ${stringifyError.message}. Cause: ${error.cause}`;
         }
-        console.error(chalk.redBright(`[DEBUG]   Error Cause: ${causeString}`));
+        console.error(chalk.redBright(`[DEBUG]   Error Cause: ${redactor.text(causeString)}`));
       }
     }
     
     // Enhanced error response with more context
+    const cancelled = error.name === 'AbortError' && signal?.aborted
     const result = {
       success: false,
-      error: error.message,
-      status: error.name === 'AbortError' ? 408 : 500,
+      error: cancelled ? 'Request cancelled' : error.message,
+      status: cancelled ? 499 : error.name === 'AbortError' ? 408 : 500,
       tool: toolConfig.name,
       timestamp: new Date().toISOString(),
       errorType: error.name,
@@ -465,76 +777,200 @@ async function executeTool(
   }
 }
 
-async function executeToolAndCallback(
+// Built-in endpoints (see INTERNAL_TOOL_URLS in toolUrl.js)
+function executeInternalTool(toolConfig, input, allowedTools) {
+  // internal://health-monitor: recorded health of the tools the caller may use
+  const summary = healthMonitor.getOverallHealth(allowedTools)
+  const overallStatus = summary.critical > 0 ? 'critical'
+    : summary.degraded > 0 ? 'degraded'
+      : summary.healthy > 0 ? 'healthy'
+        : 'unknown'
+  const data = {
+    overall_status: overallStatus,
+    total_tools: summary.totalTools,
+    healthy_tools: summary.healthy,
+    degraded_tools: summary.degraded,
+    critical_tools: summary.critical
+  }
+  if (input?.check_all !== false) {
+    data.tool_details = summary.tools
+  }
+  return {
+    success: true,
+    data,
+    status: 200,
+    tool: toolConfig.name,
+    timestamp: new Date().toISOString(),
+    responseTime: 0
+  }
+}
+
+// A tool whose credentials cannot be obtained fails without calling the webhook
+function authFailureResult(toolConfig, message, status, errorType, DEBUG) {
+  if (DEBUG) {
+    console.error(chalk.redBright(`[DEBUG] ${message}`))
+  }
+  const result = {
+    success: false,
+    error: `Authentication failed: ${message}`,
+    status,
+    tool: toolConfig.name,
+    timestamp: new Date().toISOString(),
+    errorType,
+    data: null,
+  }
+  healthMonitor.recordExecution(toolConfig.name, result)
+  return result
+}
+
+// Response headers the response cache decides on
+function readCacheHeaders(response) {
+  return {
+    cacheControl: response.headers.get('cache-control'),
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified')
+  }
+}
+
+// Wait between attempts; resolves false if the caller cancels meanwhile
+function sleep(ms, signal) {
+  if (signal?.aborted) {
+    return Promise.resolve(false)
+  }
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer)
+      resolve(false)
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve(true)
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+const DEFAULT_CALLBACK_TIMEOUT = 60 * 60 * 1000 // Wait up to an hour for an inbound callback
+
+/**
+ * Execute a tool for an async job, tracking its status in the job store
+ * Tools with `awaitCallback` are told where to deliver their result via the
+ * X-Wyreup-Job-Id and X-Wyreup-Callback-Url headers; their immediate response
+ * is kept as the job's acknowledgement until the callback arrives.
+ *
+ * @param {string} jobId - Job created with createJob
+ * @param {Object} toolConfig - Tool configuration
+ * @param {*} requestPayload - Tool input
+ * @param {Object} originalHeaders - Headers to forward
+ * @param {Object} options - Execution options ({ DEBUG, callbackBaseUrl, caller })
+ * @returns {Promise<Object|undefined>} - Execution result, or undefined if the job does not exist
+ */
+async function executeToolJob(
   jobId,
   toolConfig,
   requestPayload,
-  callbackUrl,
   originalHeaders,
-  { DEBUG }
+  { DEBUG, callbackBaseUrl, caller }
 ) {
-  const job = jobs[jobId]
-  if (!job) {
+  if (!getJob(jobId)) {
     if (DEBUG)
       console.error(
-        chalk.redBright(
-          `[DEBUG] Job ${jobId} not found for callback execution.`
-        )
+        chalk.redBright(`[DEBUG] Job ${jobId} not found for execution.`)
       )
-    return
+    return undefined
   }
 
-  job.status = 'processing'
-  job.timestamp = new Date().toISOString()
+  const signal = startJob(jobId)
   if (DEBUG)
     console.log(
       chalk.blueBright(
-        `[DEBUG] Processing job ${jobId} for tool ${toolConfig.name} with callback to ${callbackUrl}`
+        `[DEBUG] Processing job ${jobId} for tool ${toolConfig.name}`
       )
     )
 
+  const headers = toolConfig.awaitCallback
+    ? {
+        ...originalHeaders,
+        'X-Wyreup-Job-Id': jobId,
+        'X-Wyreup-Callback-Url': `${callbackBaseUrl}/callback/${encodeURIComponent(jobId)}`
+      }
+    : originalHeaders
+
   const executionResult = await executeTool(
+    toolConfig,
+    requestPayload,
+    headers,
+    // A job resumed after a restart sends the same idempotency key again
+    { DEBUG, signal, caller, idempotencyKey: jobId }
+  )
+  // A callback that already arrived settles the job even if the acknowledgement failed
+  const callbackArrived = getJob(jobId)?.earlyCallback !== undefined
+  const job = toolConfig.awaitCallback && (executionResult.success || callbackArrived)
+    ? awaitJobCallback(jobId, {
+        acknowledgement: executionResult.data,
+        timeoutMs: toolConfig.callbackTimeout || DEFAULT_CALLBACK_TIMEOUT
+      })
+    : finishJob(jobId, executionResult)
+
+  if (DEBUG)
+    console.log(
+      chalk.blueBright(`[DEBUG] Job ${jobId} status: ${job.status}`)
+    )
+
+  return executionResult
+}
+
+async function executeToolAndCallback(
+  jobId,
+  toolConfig,
+  requestPayload,
+  callbackUrl,
+  originalHeaders,
+  { DEBUG, callbackBaseUrl }
+) {
+  if (DEBUG)
+    console.log(
+      chalk.blueBright(
+        `[DEBUG] Job ${jobId} will call back to ${redactor.text(callbackUrl)}`
+      )
+    )
+
+  const executionResult = await executeToolJob(
+    jobId,
     toolConfig,
     requestPayload,
     originalHeaders,
-    { DEBUG }
+    { DEBUG, callbackBaseUrl }
   )
+  if (!executionResult) {
+    return
+  }
+  let job = getJob(jobId)
+  if (job.awaitingCallback) {
+    // Relay the result only once the webhook has delivered it (or timed out)
+    job = await waitForJob(jobId, Date.parse(job.callbackDeadline) - Date.now() + 1000)
+  }
+  if (job.status === 'cancelled') {
+    return
+  }
 
   const callbackPayload = {
     job_id: jobId,
     tool_name: toolConfig.name,
-    status: executionResult.success ? 'completed' : 'failed',
+    status: job.status,
     timestamp: new Date().toISOString(),
   }
 
-  if (executionResult.success) {
-    callbackPayload.result = executionResult.data
-    job.status = 'completed'
-    job.result = executionResult.data
+  if (job.status === 'completed') {
+    callbackPayload.result = job.result
   } else {
-    callbackPayload.error = {
-      message: executionResult.error,
-      status_code: executionResult.status,
-      details: executionResult.data, // This might be null if error was not HTTP error with body
-    }
-    job.status = 'failed'
-    job.error = callbackPayload.error
+    callbackPayload.error = job.error || { message: `Job ${job.status}` }
   }
-  job.timestamp = new Date().toISOString()
 
   if (DEBUG) {
     console.log(
       chalk.blueBright(
-        `[DEBUG] Job ${jobId} status: ${job.status}. Preparing callback.`
-      )
-    )
-    console.log(
-      chalk.blueBright(
-        `[DEBUG]   Callback Payload: ${JSON.stringify(
-          callbackPayload,
-          null,
-          2
-        )}`
+        `[DEBUG]   Callback Payload: ${redactor.json(callbackPayload, toolConfig.redact)}`
       )
     )
   }
@@ -563,30 +999,33 @@ async function executeToolAndCallback(
         `Callback request failed: ${response.status} ${response.statusText}. Body: ${errorBodyText}`
       )
     }
+    recordCallbackAttempt(jobId, { success: true, status: response.status })
     if (DEBUG)
       console.log(
         chalk.greenBright(
-          `[DEBUG] Callback successful for job ${jobId} to ${callbackUrl}`
+          `[DEBUG] Callback successful for job ${jobId} to ${redactor.text(callbackUrl)}`
         )
       )
   } catch (callbackError) {
     clearTimeout(timeoutId)
     console.error(
       chalk.red(
-        `Error sending callback for job ${jobId} to ${callbackUrl}: ${callbackError.message}`
+        `Error sending callback for job ${jobId} to ${redactor.text(callbackUrl)}: ${redactor.text(callbackError.message)}`
       )
     )
     // callbackError.response is not available with undici.fetch
     if (DEBUG) {
       // Log status if available (e.g. from the error message string if we parsed it)
       console.error(
-        chalk.redBright(`[DEBUG]   Callback Error: ${callbackError.message}`)
+        chalk.redBright(`[DEBUG]   Callback Error: ${redactor.text(callbackError.message)}`)
       )
     }
-    job.status = 'callback_failed'
-    job.error = { ...job.error, callback_error: callbackError.message }
-    job.timestamp = new Date().toISOString()
+    recordCallbackAttempt(jobId, { success: false, error: callbackError.message })
+    updateJob(jobId, {
+      status: 'callback_failed',
+      error: { ...job.error, callback_error: callbackError.message }
+    })
   }
 }
 
-export { executeTool, executeToolAndCallback }
+export { executeTool, executeToolJob, executeToolAndCallback }
@@ -1,5 +1,9 @@
 import { fetch } from 'undici'
 import chalk from 'chalk'
+import { redactor } from './redaction.js'
+import { httpAgents } from './httpAgents.js'
+import { resolveTlsOptions } from './mtls.js'
+import { getPathParams, isInternalUrl } from './toolUrl.js'
 
 /**
  * Webhook health monitoring for tracking endpoint reliability
@@ -43,7 +47,7 @@ class HealthMonitor {
       stats.errors++
       stats.lastError = {
         timestamp: result.timestamp,
-        error: result.error,
+        error: redactor.text(result.error),
         status: result.status
       }
       
@@ -97,10 +101,11 @@ class HealthMonitor {
 
   /**
    * Get health summary for all tools
+   * @param {Array<string>} toolNames - Only include these tools (default: every tool with stats)
    * @returns {Object} - Health summary
    */
-  getOverallHealth() {
-    const tools = Array.from(this.stats.keys())
+  getOverallHealth(toolNames) {
+    const tools = Array.from(this.stats.keys()).filter(name => !toolNames || toolNames.includes(name))
     const summary = {
       totalTools: tools.length,
       healthy: 0,
@@ -127,15 +132,33 @@ class HealthMonitor {
    */
   async performHealthCheck(toolConfig, DEBUG = false) {
     const startTime = Date.now()
+    // Built-in internal:// endpoints have nothing to reach
+    if (isInternalUrl(toolConfig.url)) {
+      return { tool: toolConfig.name, healthy: true, status: 200, responseTime: 0, timestamp: new Date().toISOString() }
+    }
+    // A URL with {param} placeholders cannot be requested as written, so only its origin is checked
+    const templated = getPathParams(toolConfig.url).length > 0
+    const url = templated ? toolConfig.url.match(/^https?:\/\/[^/?#]*/)?.[0] : toolConfig.url
+    if (templated && (!url || getPathParams(url).length > 0)) {
+      return {
+        tool: toolConfig.name,
+        skipped: true,
+        reason: 'The URL host has path parameters, so there is no fixed endpoint to check',
+        timestamp: new Date().toISOString()
+      }
+    }
     
     try {
+      // Same connection pool, proxy and client certificate as the tool's calls
+      const tls = toolConfig.auth?.type === 'mtls' ? resolveTlsOptions(toolConfig.auth) : null
       // Use HEAD request for health check to avoid side effects
-      const response = await fetch(toolConfig.url, {
+      const response = await fetch(templated ? `${url}/` : url, {
         method: 'HEAD',
         headers: {
           'User-Agent': 'WyreUP-MCP-HealthCheck/1.0'
         },
-        signal: AbortSignal.timeout(5000) // 5 second timeout for health checks
+        signal: AbortSignal.timeout(5000), // 5 second timeout for health checks
+        dispatcher: httpAgents.getDispatcher(toolConfig, url, tls)
       })
 
       const responseTime = Date.now() - startTime
@@ -153,6 +176,7 @@ class HealthMonitor {
         tool: toolConfig.name,
         healthy: isHealthy,
         status: response.status,
+        ...(templated ? { checked: 'origin' } : {}),
         responseTime,
         timestamp: new Date().toISOString()
       }
@@ -162,7 +186,7 @@ class HealthMonitor {
       if (DEBUG) {
         console.error(
           chalk.red(
-            `[DEBUG] Health check failed for ${toolConfig.name}: ${error.message} (${responseTime}ms)`
+            `[DEBUG] Health check failed for ${toolConfig.name}: ${redactor.text(error.message)} (${responseTime}ms)`
           )
         )
       }
@@ -170,7 +194,7 @@ class HealthMonitor {
       return {
         tool: toolConfig.name,
         healthy: false,
-        error: error.message,
+        error: redactor.text(error.message),
         responseTime,
         timestamp: new Date().toISOString()
       }
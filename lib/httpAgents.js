@@ -0,0 +1,248 @@
+import crypto from 'crypto'
+import { Agent, Pool, ProxyAgent } from 'undici'
+
+/**
+ * Connection pools for webhook calls
+ *
+ * Calls go through undici Agents that keep a connection Pool per origin, so
+ * connections (and TLS sessions) are reused between calls. Pool options come
+ * from the manifest's `http` block, then `http.hosts[<hostname>]`, then the
+ * tool's own `http` block. A call goes through a proxy when the tool sets
+ * `http.proxy`, or else when the manifest's `http.proxy` or the
+ * HTTPS_PROXY/HTTP_PROXY variables name one and the host is not excluded by
+ * `http.noProxy` or NO_PROXY. A tool with `"proxy": false` always connects
+ * directly. Calls with identical settings share an Agent and its connections.
+ */
+
+// connectTimeout is undici's connect.timeout; the others are Pool options
+export const HTTP_POOL_OPTIONS = ['connections', 'pipelining', 'keepAliveTimeout', 'keepAliveMaxTimeout', 'connectTimeout', 'allowH2']
+
+class HttpAgentPool {
+  constructor() {
+    this.settings = {}
+    // Settings fingerprint -> {agent, proxy, options, pools, tools}
+    this.agents = new Map()
+    // Tool name -> Map of hostname -> fingerprint of the Agent it used last for that host
+    this.toolAgents = new Map()
+  }
+
+  /**
+   * Apply the manifest's "http" block
+   * @param {Object} settings - Pool options plus {proxy, noProxy, hosts}
+   */
+  configure(settings = {}) {
+    this.settings = settings || {}
+    this.closeAll()
+  }
+
+  /**
+   * Get the dispatcher for a call
+   * Also used for requests made on a tool's behalf, such as OAuth2 token requests.
+   * @param {Object} toolConfig - Tool configuration
+   * @param {string} url - Request URL
+   * @param {Object} tls - Extra TLS connect options (client certificate), if any
+   * @returns {Agent|ProxyAgent} - Dispatcher for undici fetch
+   */
+  getDispatcher(toolConfig, url, tls = null) {
+    const target = new URL(url)
+    const options = this.resolveOptions(toolConfig, target.hostname)
+    const proxy = this.resolveProxy(toolConfig, target)
+    const fingerprint = crypto.createHash('sha256').update(JSON.stringify({ options, proxy, tls })).digest('hex')
+
+    if (!this.agents.has(fingerprint)) {
+      this.agents.set(fingerprint, createAgent(options, proxy, tls))
+    }
+    const entry = this.agents.get(fingerprint)
+    entry.tools.add(toolConfig.name)
+
+    // A tool whose settings or certificate changed for this host moves to another Agent
+    if (!this.toolAgents.has(toolConfig.name)) {
+      this.toolAgents.set(toolConfig.name, new Map())
+    }
+    const hosts = this.toolAgents.get(toolConfig.name)
+    const previous = hosts.get(target.hostname)
+    if (previous !== fingerprint) {
+      hosts.set(target.hostname, fingerprint)
+      this.detach(toolConfig.name, previous)
+    }
+    return entry.agent
+  }
+
+  resolveOptions(toolConfig, hostname) {
+    const merged = {
+      ...pickPoolOptions(this.settings),
+      ...pickPoolOptions(this.settings.hosts?.[hostname]),
+      ...pickPoolOptions(toolConfig.http)
+    }
+    const { connectTimeout, ...options } = merged
+    if (connectTimeout !== undefined) {
+      options.connect = { timeout: connectTimeout }
+    }
+    return options
+  }
+
+  resolveProxy(toolConfig, target) {
+    const toolProxy = toolConfig.http?.proxy
+    if (toolProxy !== undefined) {
+      return toolProxy || null
+    }
+    if (this.settings.proxy === false) {
+      return null
+    }
+    const proxy = this.settings.proxy || (target.protocol === 'https:'
+      ? readEnv('HTTPS_PROXY') || readEnv('HTTP_PROXY')
+      : readEnv('HTTP_PROXY'))
+    if (!proxy) {
+      return null
+    }
+    return bypassesProxy(target, this.settings.noProxy ?? readEnv('NO_PROXY')) ? null : proxy
+  }
+
+  /**
+   * Stop tracking a tool; its Agent is closed once no other tool uses it
+   * @param {string} toolName - Tool identifier
+   */
+  release(toolName) {
+    const hosts = this.toolAgents.get(toolName)
+    this.toolAgents.delete(toolName)
+    new Set(hosts?.values()).forEach(fingerprint => this.detach(toolName, fingerprint))
+  }
+
+  // Drop a tool from an Agent it no longer uses for any host; close the Agent once unused
+  detach(toolName, fingerprint) {
+    const entry = this.agents.get(fingerprint)
+    if (!entry) {
+      return
+    }
+    const hosts = this.toolAgents.get(toolName)
+    if (hosts && [...hosts.values()].includes(fingerprint)) {
+      return
+    }
+    entry.tools.delete(toolName)
+    if (entry.tools.size === 0) {
+      this.agents.delete(fingerprint)
+      entry.agent.close().catch(() => {})
+    }
+  }
+
+  /**
+   * Connection pool statistics
+   * @param {Array<string>} toolNames - Only include Agents used by these tools (default: all)
+   * @returns {Array<Object>} - One {tools, proxy, options, origins} per Agent; origins maps each
+   *   origin to its pool's {connected, free, pending, queued, running, size}
+   */
+  getStats(toolNames) {
+    const stats = []
+    for (const entry of this.agents.values()) {
+      const tools = [...entry.tools].filter(name => !toolNames || toolNames.includes(name))
+      if (tools.length === 0) {
+        continue
+      }
+      const origins = {}
+      for (const [origin, pool] of entry.pools) {
+        if (pool.closed || pool.destroyed) {
+          entry.pools.delete(origin)
+          continue
+        }
+        const { connected, free, pending, queued, running, size } = pool.stats
+        origins[origin] = { connected, free, pending, queued, running, size }
+      }
+      stats.push({
+        tools,
+        proxy: entry.proxy ? maskCredentials(entry.proxy) : null,
+        options: entry.options,
+        origins
+      })
+    }
+    return stats
+  }
+
+  /**
+   * Close every Agent (idle connections are released)
+   */
+  async closeAll() {
+    const agents = Array.from(this.agents.values(), entry => entry.agent)
+    this.agents.clear()
+    this.toolAgents.clear()
+    await Promise.allSettled(agents.map(agent => agent.close()))
+  }
+}
+
+function createAgent(options, proxy, tls) {
+  const entry = { proxy, options, pools: new Map(), tools: new Set() }
+  // Keep a handle on each origin's Pool for the statistics
+  const factory = (origin, poolOptions) => {
+    const pool = new Pool(origin, poolOptions)
+    entry.pools.set(String(origin), pool)
+    return pool
+  }
+  if (proxy) {
+    entry.agent = new ProxyAgent({
+      ...options,
+      uri: proxy,
+      factory,
+      // Over a proxy, connect options apply to the tunnelled connection to the origin
+      requestTls: { ...options.connect, ...tls }
+    })
+  } else {
+    entry.agent = new Agent({
+      ...options,
+      factory,
+      connect: { ...options.connect, ...tls }
+    })
+  }
+  return entry
+}
+
+function pickPoolOptions(source) {
+  const options = {}
+  HTTP_POOL_OPTIONS.forEach(option => {
+    if (source?.[option] !== undefined) {
+      options[option] = source[option]
+    }
+  })
+  return options
+}
+
+function readEnv(name) {
+  return process.env[name] || process.env[name.toLowerCase()] || null
+}
+
+/**
+ * Check a URL against a NO_PROXY list
+ * Entries are separated by commas or spaces; "*" matches every host, and an
+ * entry matches the host and its subdomains, on any port unless it names one.
+ */
+function bypassesProxy(target, noProxy) {
+  const entries = (Array.isArray(noProxy) ? noProxy : String(noProxy || '').split(/[\s,]+/))
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean)
+  const hostname = target.hostname.toLowerCase().replace(/^\[|\]$/g, '')
+  const port = target.port || (target.protocol === 'https:' ? '443' : '80')
+  return entries.some(entry => {
+    if (entry === '*') {
+      return true
+    }
+    const match = entry.match(/^(.*?)(?::(\d+))?$/)
+    const host = match[1].replace(/^\*?\./, '').replace(/^\[|\]$/g, '')
+    if (match[2] && match[2] !== port) {
+      return false
+    }
+    return hostname === host || hostname.endsWith(`.${host}`)
+  })
+}
+
+function maskCredentials(proxy) {
+  try {
+    const url = new URL(proxy)
+    if (url.password) {
+      url.password = '***'
+    }
+    return url.toString()
+  } catch {
+    return proxy
+  }
+}
+
+// Export singleton instance
+export const httpAgents = new HttpAgentPool()
@@ -0,0 +1,42 @@
+import crypto from 'crypto'
+
+/**
+ * Keys that identify identical tool calls (response cache and request deduplication)
+ *
+ * A key covers the whole input, or only the listed `fields`; dotted paths reach
+ * into nested objects. Object keys are sorted first, so the order in which an
+ * agent sends its arguments does not matter.
+ */
+
+/**
+ * Hash the parts of a tool input that make up its key
+ * @param {*} input - Tool input
+ * @param {Array<string>} fields - Field names or dotted paths (default: the whole input)
+ * @returns {string} - Hex digest
+ */
+export function getInputKey(input, fields) {
+  const source = fields
+    ? fields.map(field => [field, getPath(input, field) ?? null])
+    : input ?? null
+  return crypto.createHash('sha256').update(stableStringify(source)).digest('hex')
+}
+
+function getPath(value, dottedPath) {
+  return dottedPath.split('.').reduce((current, segment) => (
+    current !== null && typeof current === 'object' ? current[segment] : undefined
+  ), value)
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item ?? null)).join(',')}]`
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+    return `{${entries.join(',')}}`
+  }
+  return JSON.stringify(value)
+}
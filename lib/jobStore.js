@@ -0,0 +1,137 @@
+import fs from 'fs'
+import path from 'path'
+import chalk from 'chalk'
+
+/**
+ * Job store backends
+ *
+ * A store keeps job records keyed by job id. Every backend exposes the same
+ * interface: get(id), set(id, job), delete(id), entries() and close().
+ * Records are plain JSON-serializable objects.
+ */
+
+/**
+ * In-memory job store (default). Jobs are lost when the process exits.
+ */
+export class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map()
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId)
+  }
+
+  set(jobId, job) {
+    this.jobs.set(jobId, job)
+  }
+
+  delete(jobId) {
+    this.jobs.delete(jobId)
+  }
+
+  entries() {
+    return Array.from(this.jobs.entries())
+  }
+
+  close() {}
+}
+
+/**
+ * File-backed job store using an append-only JSON lines log
+ * Each write appends `{"id": ..., "job": {...}}` (or `{"id": ..., "deleted": true}`);
+ * the log is replayed on startup and compacted when it grows too large.
+ */
+export class FileJobStore extends MemoryJobStore {
+  /**
+   * @param {string} filePath - Path to the JSON lines file
+   */
+  constructor(filePath) {
+    super()
+    this.filePath = path.resolve(process.cwd(), filePath)
+    this.lineCount = 0
+    this.load()
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf-8').split('\n')
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return
+      }
+      try {
+        const entry = JSON.parse(line)
+        if (entry.deleted) {
+          this.jobs.delete(entry.id)
+        } else {
+          this.jobs.set(entry.id, entry.job)
+        }
+      } catch (error) {
+        // A torn final line from a crash is expected; anything else is worth a warning
+        if (index < lines.length - 1) {
+          console.warn(chalk.yellow(`Skipping corrupt job store line ${index + 1} in ${this.filePath}`))
+        }
+      }
+    })
+
+    this.compact()
+  }
+
+  set(jobId, job) {
+    super.set(jobId, job)
+    this.append({ id: jobId, job })
+  }
+
+  delete(jobId) {
+    if (!this.jobs.has(jobId)) {
+      return
+    }
+    super.delete(jobId)
+    this.append({ id: jobId, deleted: true })
+  }
+
+  append(entry) {
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n')
+    this.lineCount++
+
+    if (this.lineCount > Math.max(1000, this.jobs.size * 4)) {
+      this.compact()
+    }
+  }
+
+  /**
+   * Rewrite the log with one line per live job
+   */
+  compact() {
+    const content = this.entries()
+      .map(([id, job]) => JSON.stringify({ id, job }) + '\n')
+      .join('')
+    const tempPath = `${this.filePath}.tmp`
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+    fs.writeFileSync(tempPath, content)
+    fs.renameSync(tempPath, this.filePath)
+    this.lineCount = this.jobs.size
+  }
+
+  close() {
+    this.compact()
+  }
+}
+
+export const JOB_STORE_TYPES = ['memory', 'file']
+
+/**
+ * Create a job store from manifest configuration
+ * @param {Object} config - `jobs` block from the manifest ({store, path})
+ * @returns {MemoryJobStore} - Configured store
+ */
+export function createJobStore(config = {}) {
+  if (config.store === 'file') {
+    return new FileJobStore(config.path || '.wyreup-jobs.jsonl')
+  }
+  return new MemoryJobStore()
+}
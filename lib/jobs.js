@@ -1,33 +1,374 @@
-// In-memory store for async jobs
-const jobs = {};
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { createJobStore, MemoryJobStore } from './jobStore.js';
 
-// Helper function to generate unique job IDs
+const DEFAULT_JOB_TTL = 24 * 60 * 60 * 1000; // Finished jobs are kept for a day by default
+const MAX_PRUNE_INTERVAL = 60 * 60 * 1000;
+
+// Pluggable store for async jobs (in-memory unless configured otherwise)
+let store = new MemoryJobStore();
+let jobTtl = DEFAULT_JOB_TTL;
+let pruneTimer = null;
+
+// Abort controllers for running jobs (kept outside the job records so they stay serializable)
+const jobControllers = new Map();
+
+// Timers that fail jobs whose inbound callback never arrives
+const callbackTimers = new Map();
+
+// Emits 'update' with (jobId, job) whenever a job changes
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const TERMINAL_JOB_STATUSES = ['completed', 'failed', 'callback_failed', 'cancelled'];
+
+// Job ids are unguessable: holding one is not enough to read another client's job,
+// but they also end up in callback URLs
 function generateJobId() {
-  return `job_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  return `job_${randomUUID()}`;
 }
 
-function createJob(toolName, requestBody, callbackUrl, originalHeaders, appBaseUrl) {
+/**
+ * Create a pending job
+ * @param {string} toolName - Tool the job runs
+ * @param {*} requestBody - Tool input
+ * @param {string|null} callbackUrl - Where to send the result, if anywhere
+ * @param {Object} originalHeaders - Headers of the original request
+ * @param {string} appBaseUrl - Base URL for the poll URL, if any
+ * @param {string} owner - Identity of the client that started the job
+ * @returns {string} - Job id
+ */
+function createJob(toolName, requestBody, callbackUrl, originalHeaders, appBaseUrl, owner) {
     const jobId = generateJobId();
-    const pollUrl = `${appBaseUrl}/status/${jobId}`;
+    const now = new Date().toISOString();
 
-    jobs[jobId] = {
+    store.set(jobId, {
         toolName: toolName,
+        owner: owner,
         input: requestBody,
-        timestamp: new Date().toISOString(),
+        createdAt: now,
+        timestamp: now,
         status: 'pending',
-        poll_url: pollUrl,
+        poll_url: appBaseUrl ? `${appBaseUrl}/status/${jobId}` : null,
         callback_url: callbackUrl, // Store callback_url if provided
         headers: originalHeaders // Store original request headers for later use
-    };
+    });
     return jobId;
 }
 
 function getJob(jobId) {
-    return jobs[jobId];
+    return store.get(jobId);
+}
+
+/**
+ * List all stored jobs
+ * @returns {Array<[string, Object]>} - [jobId, job] pairs
+ */
+function listJobs() {
+    return store.entries();
+}
+
+/**
+ * Merge updates into a job record and notify listeners
+ * @param {string} jobId - Job identifier
+ * @param {Object} updates - Fields to merge into the job
+ * @returns {Object|undefined} - Updated job, or undefined if not found
+ */
+function updateJob(jobId, updates) {
+    const job = store.get(jobId);
+    if (!job) {
+        return undefined;
+    }
+    Object.assign(job, updates, { timestamp: new Date().toISOString() });
+    store.set(jobId, job);
+    jobEvents.emit('update', jobId, job);
+    return job;
+}
+
+function isJobFinished(job) {
+    return !!job && TERMINAL_JOB_STATUSES.includes(job.status);
+}
+
+/**
+ * Mark a job as processing and return a signal that fires when it is cancelled
+ * @param {string} jobId - Job identifier
+ * @returns {AbortSignal} - Cancellation signal for the job's execution
+ */
+function startJob(jobId) {
+    const controller = new AbortController();
+    jobControllers.set(jobId, controller);
+    updateJob(jobId, { status: 'processing', startedAt: new Date().toISOString() });
+    return controller.signal;
+}
+
+/**
+ * Record the execution result of a job, unless it was cancelled meanwhile
+ * @param {string} jobId - Job identifier
+ * @param {Object} executionResult - Result returned by executeTool
+ * @returns {Object|undefined} - Updated job
+ */
+function finishJob(jobId, executionResult) {
+    jobControllers.delete(jobId);
+    const job = store.get(jobId);
+    if (!job || job.status === 'cancelled') {
+        return job;
+    }
+
+    if (executionResult.success) {
+        return updateJob(jobId, { status: 'completed', result: executionResult.data });
+    }
+    return updateJob(jobId, {
+        status: 'failed',
+        error: {
+            message: executionResult.error,
+            status_code: executionResult.status,
+            details: executionResult.details ?? executionResult.data ?? null
+        }
+    });
+}
+
+/**
+ * Keep a job processing until its result is delivered to /callback/:jobId
+ * @param {string} jobId - Job identifier
+ * @param {Object} options - {acknowledgement, timeoutMs}
+ * @returns {Object|undefined} - Updated job
+ */
+function awaitJobCallback(jobId, { acknowledgement, timeoutMs }) {
+    jobControllers.delete(jobId);
+    const job = store.get(jobId);
+    if (!job || job.status === 'cancelled') {
+        return job;
+    }
+    // The callback may have arrived before the webhook's acknowledgement
+    if (job.earlyCallback !== undefined) {
+        updateJob(jobId, { acknowledgement: acknowledgement ?? null });
+        return resolveJobCallback(jobId, job.earlyCallback);
+    }
+    const updated = updateJob(jobId, {
+        status: 'processing',
+        awaitingCallback: true,
+        acknowledgement: acknowledgement ?? null,
+        callbackDeadline: new Date(Date.now() + timeoutMs).toISOString()
+    });
+    scheduleCallbackTimeout(jobId, timeoutMs);
+    return updated;
+}
+
+function scheduleCallbackTimeout(jobId, timeoutMs) {
+    clearTimeout(callbackTimers.get(jobId));
+    const timer = setTimeout(() => {
+        callbackTimers.delete(jobId);
+        const job = store.get(jobId);
+        if (job && job.awaitingCallback) {
+            updateJob(jobId, {
+                status: 'failed',
+                awaitingCallback: false,
+                error: { message: 'Timed out waiting for webhook callback', status_code: 504, details: null }
+            });
+        }
+    }, Math.max(0, timeoutMs));
+    timer.unref();
+    callbackTimers.set(jobId, timer);
+}
+
+/**
+ * Check whether a job takes a callback now: it is awaiting one, or the request
+ * that announced the callback URL is still in flight and nothing arrived yet
+ * @param {Object} job - Job record
+ * @returns {boolean} - True if a callback can be accepted
+ */
+function acceptsJobCallback(job) {
+    if (!job) {
+        return false;
+    }
+    return !!job.awaitingCallback || (job.status === 'processing' && job.earlyCallback === undefined);
+}
+
+/**
+ * Keep a callback that arrived before the webhook acknowledged the request
+ * It is applied by awaitJobCallback once the acknowledgement is recorded.
+ * @param {string} jobId - Job identifier
+ * @param {*} payload - Parsed callback body
+ * @returns {Object|undefined} - Updated job
+ */
+function bufferJobCallback(jobId, payload) {
+    return updateJob(jobId, { earlyCallback: payload });
+}
+
+/**
+ * Complete a job awaiting a callback with the delivered payload
+ * `{ result }` completes the job, `{ error }` fails it, anything else is the result itself.
+ * @param {string} jobId - Job identifier
+ * @param {*} payload - Parsed callback body
+ * @returns {Object|undefined} - Updated job
+ */
+function resolveJobCallback(jobId, payload) {
+    clearTimeout(callbackTimers.get(jobId));
+    callbackTimers.delete(jobId);
+    const job = store.get(jobId);
+    if (job) {
+        delete job.earlyCallback;
+    }
+
+    const isObject = payload !== null && typeof payload === 'object' && !Array.isArray(payload);
+    if (isObject && payload.error !== undefined) {
+        const error = typeof payload.error === 'object' && payload.error !== null
+            ? payload.error
+            : { message: String(payload.error) };
+        return updateJob(jobId, {
+            status: 'failed',
+            awaitingCallback: false,
+            error: { message: error.message || 'Webhook reported failure', status_code: error.status_code ?? null, details: error }
+        });
+    }
+    return updateJob(jobId, {
+        status: 'completed',
+        awaitingCallback: false,
+        result: isObject && payload.result !== undefined ? payload.result : payload
+    });
+}
+
+/**
+ * Cancel a pending or running job
+ * @param {string} jobId - Job identifier
+ * @returns {boolean} - True if the job was cancelled, false if unknown or already finished
+ */
+function cancelJob(jobId) {
+    const job = store.get(jobId);
+    if (!job || isJobFinished(job)) {
+        return false;
+    }
+    updateJob(jobId, { status: 'cancelled', awaitingCallback: false });
+    clearTimeout(callbackTimers.get(jobId));
+    callbackTimers.delete(jobId);
+    const controller = jobControllers.get(jobId);
+    if (controller) {
+        controller.abort();
+        jobControllers.delete(jobId);
+    }
+    return true;
+}
+
+/**
+ * Wait until a job reaches a terminal status
+ * @param {string} jobId - Job identifier
+ * @param {number} timeoutMs - Maximum time to wait
+ * @param {AbortSignal} [signal] - Stops waiting early when aborted
+ * @returns {Promise<Object|undefined>} - The job (finished or not) when waiting ends
+ */
+function waitForJob(jobId, timeoutMs, signal) {
+    const job = store.get(jobId);
+    if (!job || isJobFinished(job) || timeoutMs <= 0 || signal?.aborted) {
+        return Promise.resolve(job);
+    }
+
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            jobEvents.off('update', onUpdate);
+            signal?.removeEventListener('abort', done);
+            resolve(store.get(jobId));
+        };
+        const onUpdate = (updatedId, updatedJob) => {
+            if (updatedId === jobId && isJobFinished(updatedJob)) {
+                done();
+            }
+        };
+        const timer = setTimeout(done, timeoutMs);
+        jobEvents.on('update', onUpdate);
+        signal?.addEventListener('abort', done);
+    });
+}
+
+/**
+ * Record one delivery attempt of a job's result callback
+ * @param {string} jobId - Job identifier
+ * @param {Object} attempt - {success, status?, error?}
+ */
+function recordCallbackAttempt(jobId, attempt) {
+    const job = store.get(jobId);
+    if (!job) {
+        return;
+    }
+    const callbackAttempts = [...(job.callbackAttempts || []), { timestamp: new Date().toISOString(), ...attempt }];
+    updateJob(jobId, { callbackAttempts });
+}
+
+/**
+ * Remove finished jobs whose last update is older than the TTL
+ * @returns {number} - Number of jobs removed
+ */
+function pruneExpiredJobs() {
+    const cutoff = Date.now() - jobTtl;
+    let removed = 0;
+    store.entries().forEach(([jobId, job]) => {
+        if (isJobFinished(job) && Date.parse(job.timestamp) < cutoff) {
+            store.delete(jobId);
+            removed++;
+        }
+    });
+    return removed;
+}
+
+/**
+ * Jobs that were pending or processing when the previous process stopped
+ * (jobs awaiting an inbound callback keep waiting and are not included)
+ * @returns {Array<[string, Object]>} - [jobId, job] pairs
+ */
+function getInterruptedJobs() {
+    return store.entries().filter(([jobId, job]) =>
+        !isJobFinished(job) && !job.awaitingCallback && !jobControllers.has(jobId));
+}
+
+/**
+ * Configure the job store backend and retention
+ * @param {Object} config - `jobs` block from the manifest ({store, path, ttl})
+ */
+function configureJobStore(config = {}) {
+    store.close();
+    store = createJobStore(config);
+    jobTtl = config.ttl || DEFAULT_JOB_TTL;
+
+    clearInterval(pruneTimer);
+    pruneExpiredJobs();
+
+    // Jobs loaded from a persistent store may still be waiting for their callback
+    store.entries()
+        .filter(([, job]) => job.awaitingCallback && !isJobFinished(job))
+        .forEach(([jobId, job]) => {
+            scheduleCallbackTimeout(jobId, Date.parse(job.callbackDeadline) - Date.now());
+        });
+    pruneTimer = setInterval(pruneExpiredJobs, Math.min(jobTtl, MAX_PRUNE_INTERVAL));
+    pruneTimer.unref();
+}
+
+/**
+ * Flush and close the job store
+ */
+function closeJobStore() {
+    clearInterval(pruneTimer);
+    store.close();
 }
 
 export {
     createJob,
     getJob,
-    jobs // Exporting the raw store might be useful for some advanced scenarios or debugging
-};
\ No newline at end of file
+    updateJob,
+    startJob,
+    finishJob,
+    awaitJobCallback,
+    acceptsJobCallback,
+    bufferJobCallback,
+    resolveJobCallback,
+    cancelJob,
+    waitForJob,
+    isJobFinished,
+    jobEvents,
+    listJobs,
+    recordCallbackAttempt,
+    pruneExpiredJobs,
+    getInterruptedJobs,
+    configureJobStore,
+    closeJobStore,
+    TERMINAL_JOB_STATUSES
+};
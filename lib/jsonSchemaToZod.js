@@ -0,0 +1,388 @@
+import { z } from 'zod'
+
+const JSON_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null']
+
+// Keywords that are handled by the converter or carry no validation meaning
+const HANDLED_KEYWORDS = new Set([
+  'type', 'description', 'default', 'enum', 'const', 'nullable',
+  'properties', 'required', 'additionalProperties',
+  'items', 'minItems', 'maxItems', 'uniqueItems',
+  'minLength', 'maxLength', 'pattern', 'format',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'oneOf', 'anyOf', 'allOf', '$ref',
+  '$schema', '$id', '$comment', 'definitions', '$defs',
+  'title', 'examples', 'example', 'readOnly', 'writeOnly', 'deprecated'
+])
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const TIME_PATTERN = /^\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/
+
+/**
+ * Convert a JSON Schema to an equivalent Zod schema
+ * Supports nested objects and arrays, enums, defaults, numeric and string
+ * constraints, composition keywords and local $refs. Anything that cannot be
+ * represented is reported in the returned warnings instead of failing.
+ *
+ * @param {Object} jsonSchema - JSON Schema object
+ * @param {Object} options - Conversion options
+ * @param {string} options.path - Path prefix used in warnings (default: 'schema')
+ * @returns {{schema: Object, warnings: string[]}} - Zod schema and conversion warnings
+ */
+export function jsonSchemaToZod(jsonSchema, { path = 'schema' } = {}) {
+  const context = {
+    root: jsonSchema,
+    warnings: [],
+    refs: new Map()
+  }
+  const schema = convert(jsonSchema, path, context)
+  return { schema, warnings: context.warnings }
+}
+
+/**
+ * Check whether a schema uses the shorthand `{ field: "type" }` notation
+ * @param {Object} schema - Candidate schema
+ * @returns {boolean} - True if every value is a bare JSON type name
+ */
+export function isShorthandSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return false
+  }
+  const entries = Object.entries(schema)
+  return entries.length > 0 &&
+    !('type' in schema) &&
+    entries.every(([, value]) => typeof value === 'string' && JSON_TYPES.includes(value))
+}
+
+function convert(schema, path, context) {
+  if (schema === true || schema === undefined) {
+    return z.any()
+  }
+  if (schema === false) {
+    return z.never()
+  }
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    context.warnings.push(`${path}: schema must be an object, got ${JSON.stringify(schema)}; accepting any value`)
+    return z.any()
+  }
+
+  if (isShorthandSchema(schema)) {
+    const properties = Object.fromEntries(
+      Object.entries(schema).map(([key, type]) => [key, { type }])
+    )
+    return convert({ type: 'object', properties }, path, context)
+  }
+
+  Object.keys(schema)
+    .filter(keyword => !HANDLED_KEYWORDS.has(keyword))
+    .forEach(keyword => {
+      context.warnings.push(`${path}: unsupported keyword "${keyword}" is ignored`)
+    })
+
+  let zodType = convertBase(schema, path, context)
+
+  if (schema.nullable === true) {
+    zodType = zodType.nullable()
+  }
+  if (schema.description) {
+    zodType = zodType.describe(schema.description)
+  }
+  if (schema.default !== undefined) {
+    zodType = zodType.default(schema.default)
+  }
+
+  return zodType
+}
+
+function convertBase(schema, path, context) {
+  if (schema.$ref) {
+    return convertRef(schema, path, context)
+  }
+
+  if (schema.const !== undefined) {
+    return z.literal(schema.const)
+  }
+
+  if (Array.isArray(schema.enum)) {
+    return convertEnum(schema.enum, path, context)
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    return convertAllOf(schema, path, context)
+  }
+
+  const unionKeyword = Array.isArray(schema.anyOf) ? 'anyOf' : Array.isArray(schema.oneOf) ? 'oneOf' : null
+  if (unionKeyword) {
+    if (unionKeyword === 'oneOf') {
+      context.warnings.push(`${path}: "oneOf" is validated as "anyOf" (exactly-one matching is not enforced)`)
+    }
+    return convertUnion(schema[unionKeyword], `${path}.${unionKeyword}`, context)
+  }
+
+  if (Array.isArray(schema.type)) {
+    const variants = schema.type.map(type => convertBase({ ...schema, type }, path, context))
+    return unionOf(variants)
+  }
+
+  switch (schema.type) {
+    case 'string':
+      return convertString(schema, path, context)
+    case 'number':
+    case 'integer':
+      return convertNumber(schema, path, context)
+    case 'boolean':
+      return z.boolean()
+    case 'null':
+      return z.null()
+    case 'array':
+      return convertArray(schema, path, context)
+    case 'object':
+      return convertObject(schema, path, context)
+    case undefined:
+      // Infer from structural keywords when "type" is omitted
+      if (schema.properties || schema.additionalProperties !== undefined || schema.required) {
+        return convertObject(schema, path, context)
+      }
+      if (schema.items) {
+        return convertArray(schema, path, context)
+      }
+      return z.any()
+    default:
+      context.warnings.push(`${path}: unknown type ${JSON.stringify(schema.type)}; accepting any value`)
+      return z.any()
+  }
+}
+
+function convertString(schema, path, context) {
+  let zodType = z.string()
+
+  if (typeof schema.minLength === 'number') {
+    zodType = zodType.min(schema.minLength)
+  }
+  if (typeof schema.maxLength === 'number') {
+    zodType = zodType.max(schema.maxLength)
+  }
+  if (typeof schema.pattern === 'string') {
+    try {
+      zodType = zodType.regex(new RegExp(schema.pattern, 'u'))
+    } catch (error) {
+      context.warnings.push(`${path}: invalid pattern ${JSON.stringify(schema.pattern)} is ignored (${error.message})`)
+    }
+  }
+
+  switch (schema.format) {
+    case undefined:
+      break
+    case 'email':
+      zodType = zodType.email()
+      break
+    case 'uri':
+    case 'url':
+      zodType = zodType.url()
+      break
+    case 'uuid':
+      zodType = zodType.uuid()
+      break
+    case 'date-time':
+      zodType = zodType.datetime({ offset: true })
+      break
+    case 'date':
+      zodType = zodType.regex(DATE_PATTERN, 'Invalid date')
+      break
+    case 'time':
+      zodType = zodType.regex(TIME_PATTERN, 'Invalid time')
+      break
+    case 'ipv4':
+      zodType = zodType.ip({ version: 'v4' })
+      break
+    case 'ipv6':
+      zodType = zodType.ip({ version: 'v6' })
+      break
+    default:
+      context.warnings.push(`${path}: string format "${schema.format}" is not validated`)
+  }
+
+  return zodType
+}
+
+function convertNumber(schema, path, context) {
+  let zodType = schema.type === 'integer' ? z.number().int() : z.number()
+
+  if (typeof schema.minimum === 'number') {
+    // Draft 4 expresses exclusivity as a boolean alongside minimum
+    zodType = schema.exclusiveMinimum === true ? zodType.gt(schema.minimum) : zodType.gte(schema.minimum)
+  }
+  if (typeof schema.maximum === 'number') {
+    zodType = schema.exclusiveMaximum === true ? zodType.lt(schema.maximum) : zodType.lte(schema.maximum)
+  }
+  if (typeof schema.exclusiveMinimum === 'number') {
+    zodType = zodType.gt(schema.exclusiveMinimum)
+  }
+  if (typeof schema.exclusiveMaximum === 'number') {
+    zodType = zodType.lt(schema.exclusiveMaximum)
+  }
+  if (typeof schema.multipleOf === 'number') {
+    if (schema.multipleOf > 0) {
+      zodType = zodType.multipleOf(schema.multipleOf)
+    } else {
+      context.warnings.push(`${path}: multipleOf must be greater than 0; ignored`)
+    }
+  }
+
+  return zodType
+}
+
+function convertArray(schema, path, context) {
+  let zodType
+
+  if (Array.isArray(schema.items)) {
+    const items = schema.items.map((item, index) => convert(item, `${path}.items[${index}]`, context))
+    zodType = items.length > 0 ? z.tuple(items) : z.array(z.any())
+  } else {
+    zodType = z.array(convert(schema.items, `${path}.items`, context))
+  }
+
+  if (typeof schema.minItems === 'number' && zodType instanceof z.ZodArray) {
+    zodType = zodType.min(schema.minItems)
+  }
+  if (typeof schema.maxItems === 'number' && zodType instanceof z.ZodArray) {
+    zodType = zodType.max(schema.maxItems)
+  }
+  if (schema.uniqueItems === true) {
+    zodType = zodType.refine(
+      items => new Set(items.map(item => JSON.stringify(item))).size === items.length,
+      { message: 'Array items must be unique' }
+    )
+  }
+
+  return zodType
+}
+
+function convertObject(schema, path, context) {
+  const properties = schema.properties || {}
+  const required = Array.isArray(schema.required) ? schema.required : []
+  const shape = {}
+
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    let zodType = convert(propertySchema, `${path}.properties.${key}`, context)
+    if (!required.includes(key) && !(zodType instanceof z.ZodDefault)) {
+      zodType = zodType.optional()
+    }
+    shape[key] = zodType
+  }
+
+  required
+    .filter(key => !(key in properties))
+    .forEach(key => {
+      shape[key] = z.any().refine(value => value !== undefined, { message: 'Required' })
+    })
+
+  const zodObject = z.object(shape)
+
+  // JSON Schema allows additional properties unless told otherwise
+  if (schema.additionalProperties === false) {
+    return zodObject.strict()
+  }
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    return zodObject.catchall(convert(schema.additionalProperties, `${path}.additionalProperties`, context))
+  }
+  return zodObject.passthrough()
+}
+
+function convertEnum(values, path, context) {
+  if (values.length === 0) {
+    context.warnings.push(`${path}: empty enum can never match`)
+    return z.never()
+  }
+  if (values.every(value => typeof value === 'string')) {
+    return z.enum(values)
+  }
+  return unionOf(values.map(value => z.literal(value)))
+}
+
+function convertUnion(schemas, path, context) {
+  return unionOf(schemas.map((schema, index) => convert(schema, `${path}[${index}]`, context)))
+}
+
+function convertAllOf(schema, path, context) {
+  const { allOf, ...rest } = schema
+  const parts = allOf.map((part, index) => convert(part, `${path}.allOf[${index}]`, context))
+
+  // Sibling keywords next to allOf apply as one more constraint
+  const siblings = Object.keys(rest).filter(key => !['description', 'default', 'nullable'].includes(key))
+  if (siblings.length > 0) {
+    parts.push(convertBase(rest, path, context))
+  }
+
+  return parts.reduce((combined, part) => z.intersection(combined, part))
+}
+
+function convertRef(schema, path, context) {
+  const ref = schema.$ref
+  if (!ref.startsWith('#')) {
+    context.warnings.push(`${path}: remote $ref "${ref}" is not supported; accepting any value`)
+    return z.any()
+  }
+
+  if (context.refs.has(ref)) {
+    // Reference currently being resolved: defer to support recursive schemas
+    return z.lazy(() => context.refs.get(ref))
+  }
+
+  const target = resolvePointer(context.root, ref)
+  if (target === undefined) {
+    context.warnings.push(`${path}: $ref "${ref}" could not be resolved; accepting any value`)
+    return z.any()
+  }
+
+  context.refs.set(ref, z.any())
+  const resolved = convert(target, ref, context)
+  context.refs.set(ref, resolved)
+  return resolved
+}
+
+function resolvePointer(root, ref) {
+  const segments = ref.replace(/^#\/?/, '').split('/').filter(segment => segment.length > 0)
+  let current = root
+  for (const segment of segments) {
+    const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~')
+    if (current === null || typeof current !== 'object' || !(key in current)) {
+      return undefined
+    }
+    current = current[key]
+  }
+  return current
+}
+
+function unionOf(variants) {
+  if (variants.length === 0) {
+    return z.never()
+  }
+  if (variants.length === 1) {
+    return variants[0]
+  }
+  return z.union(variants)
+}
+
+/**
+ * Build the Zod object schema used to register a tool's input with MCP
+ * MCP requires tool arguments to be an object, so non-object root schemas are
+ * wrapped as `{ value: <schema> }` and reported in the warnings.
+ *
+ * @param {Object} inputSchema - Tool input JSON Schema
+ * @param {string} path - Path prefix used in warnings
+ * @returns {{schema: Object, wrapped: boolean, warnings: string[]}} - Object schema, wrap flag and warnings
+ */
+export function buildToolInputSchema(inputSchema, path = 'input') {
+  const { schema, warnings } = jsonSchemaToZod(inputSchema || { type: 'object', properties: {} }, { path })
+
+  if (schema instanceof z.ZodObject) {
+    // The SDK registers tools from the object's shape, so root-level extra arguments are always dropped
+    if (inputSchema?.additionalProperties !== undefined && inputSchema.additionalProperties !== true) {
+      warnings.push(`${path}.additionalProperties: not enforced at the root; unlisted arguments are dropped`)
+    }
+    return { schema, wrapped: false, warnings }
+  }
+
+  warnings.push(`${path}: root schema is not an object; agents pass it as the "value" argument`)
+  return { schema: z.object({ value: schema }), wrapped: true, warnings }
+}
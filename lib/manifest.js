@@ -1,8 +1,10 @@
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
 import { validateManifest } from './validateTool.js';
 import { transformToolsArray } from './transformTool.js';
+import { resolveManifestFile, displayPath, matchesIncludePattern } from './manifestResolver.js';
 
 // Helper function for environment variable interpolation
 function interpolateString(value) {
@@ -34,9 +36,23 @@ function interpolateConfig(obj) {
   }
 }
 
-function validateManifestWrapper(config, filePath, { VALIDATE_FLAG, SERVE_FLAG, shouldStartServer }) {
+// Apply interpolation and simplified-format transformation to a resolved manifest
+function prepareManifest(parsedConfig) {
+  interpolateConfig(parsedConfig);
+
+  // Transform simplified tool configurations to full format
+  if (parsedConfig.tools && Array.isArray(parsedConfig.tools)) {
+    parsedConfig.tools = transformToolsArray(parsedConfig.tools, {
+      baseUrl: parsedConfig.base_url,
+      username: parsedConfig.username
+    });
+  }
+  return parsedConfig;
+}
+
+function validateManifestWrapper(config, filePath, { VALIDATE_FLAG, SERVE_FLAG, shouldStartServer }, toolSources = []) {
   // Use centralized validation
-  const result = validateManifest(config, filePath, VALIDATE_FLAG);
+  const result = validateManifest(config, filePath, VALIDATE_FLAG, toolSources);
   
   if (!result.success) {
     console.error(chalk.bold.red(`\nValidation errors found in ${chalk.underline(path.basename(filePath))}:`));
@@ -56,6 +72,18 @@ function validateManifestWrapper(config, filePath, { VALIDATE_FLAG, SERVE_FLAG,
   return true;
 }
 
+// Print schema features that cannot be enforced at runtime (used by --validate)
+function reportSchemaWarnings(config, filePath) {
+  const { warnings = [] } = validateManifest(config, filePath, false);
+  if (warnings.length === 0) {
+    return;
+  }
+  console.warn(chalk.bold.yellow(`\nSchema warnings in ${chalk.underline(path.basename(filePath))}:`));
+  warnings.forEach(warning => {
+    console.warn(chalk.yellow(`  ⚠ ${warning}`));
+  });
+}
+
 // Legacy function name mapping for backward compatibility
 function validateManifestLegacy(config, filePath, { VALIDATE_FLAG, SERVE_FLAG, shouldStartServer }) {
   const errors = [];
@@ -115,7 +143,7 @@ function validateManifestLegacy(config, filePath, { VALIDATE_FLAG, SERVE_FLAG, s
         if (typeof tool.auth !== 'object' || tool.auth === null) {
           errors.push(chalk.red(`Tool ${toolIdentifier}: Field "auth": Must be an object if defined. Path: ${toolAuthPath}`));
         } else {
-          const validTypes = ['header', 'jwt'];
+          const validTypes = ['header', 'jwt', 'basic', 'query', 'mtls', 'hmac', 'oauth2_client_credentials', 'oauth2_refresh_token'];
           if (typeof tool.auth.type !== 'string' || !tool.auth.type.trim()) {
             errors.push(chalk.red(`Tool ${toolIdentifier}: Field "auth.type": Missing or invalid. Must be a non-empty string. Path: ${toolAuthPath}.type`));
           } else if (!validTypes.includes(tool.auth.type)) {
@@ -138,6 +166,28 @@ function validateManifestLegacy(config, filePath, { VALIDATE_FLAG, SERVE_FLAG, s
                   errors.push(chalk.red(`Tool ${toolIdentifier}: Field "auth.token": Required and must be a non-empty string for jwt auth. Path: ${toolAuthPath}.token`));
                 }
                 break;
+              case 'basic':
+                ['username', 'password'].forEach(field => {
+                  if (!tool.auth[field] && !tool.auth[`${field}FromEnv`]) {
+                    errors.push(chalk.red(`Tool ${toolIdentifier}: Field "auth.${field}" or "auth.${field}FromEnv": Required for basic auth. Path: ${toolAuthPath}`));
+                  }
+                });
+                break;
+              case 'query':
+                if (typeof tool.auth.name !== 'string' || !tool.auth.name.trim()) {
+                  errors.push(chalk.red(`Tool ${toolIdentifier}: Field "auth.name": Required and must be a non-empty string (the query parameter) for query auth. Path: ${toolAuthPath}.name`));
+                }
+                if (!tool.auth.value && !tool.auth.valueFromEnv) {
+                  errors.push(chalk.red(`Tool ${toolIdentifier}: Field "auth.value" or "auth.valueFromEnv": Required for query auth. Path: ${toolAuthPath}`));
+                }
+                break;
+              case 'mtls':
+                ['cert', 'key'].forEach(material => {
+                  if (!tool.auth[material] && !tool.auth[`${material}File`] && !tool.auth[`${material}FromEnv`]) {
+                    errors.push(chalk.red(`Tool ${toolIdentifier}: Field "auth.${material}", "auth.${material}File" or "auth.${material}FromEnv": Required for mtls auth. Path: ${toolAuthPath}`));
+                  }
+                });
+                break;
             }
           }
         }
@@ -191,16 +241,11 @@ function loadManifest(manifestFilePath, { VALIDATE_FLAG, SERVE_FLAG, shouldStart
   }
 
   try {
-    const rawData = fs.readFileSync(resolvedPath);
-    let parsedConfig = JSON.parse(rawData);
-    interpolateConfig(parsedConfig);
+    // Merge extends/include files into one manifest, then interpolate and transform it
+    const { config: parsedConfig, toolSources } = resolveManifestFile(resolvedPath);
+    prepareManifest(parsedConfig);
 
-    // Transform simplified tool configurations to full format
-    if (parsedConfig.tools && Array.isArray(parsedConfig.tools)) {
-      parsedConfig.tools = transformToolsArray(parsedConfig.tools);
-    }
-
-    if (!validateManifestWrapper(parsedConfig, resolvedPath, { VALIDATE_FLAG, SERVE_FLAG, shouldStartServer })) {
+    if (!validateManifestWrapper(parsedConfig, resolvedPath, { VALIDATE_FLAG, SERVE_FLAG, shouldStartServer }, toolSources)) {
       if (VALIDATE_FLAG) {
         console.error(chalk.red.bold('\nManifest invalid. Please check the errors above.'));
       } else {
@@ -208,7 +253,9 @@ function loadManifest(manifestFilePath, { VALIDATE_FLAG, SERVE_FLAG, shouldStart
       }
       process.exit(1);
     }
-    if (!VALIDATE_FLAG) {
+    if (VALIDATE_FLAG) {
+        reportSchemaWarnings(parsedConfig, resolvedPath);
+    } else {
         console.log(chalk.green(`Loaded and validated tool manifest from ${resolvedPath}`));
     }
     return parsedConfig;
@@ -218,8 +265,186 @@ function loadManifest(manifestFilePath, { VALIDATE_FLAG, SERVE_FLAG, shouldStart
   }
 }
 
+const MANIFEST_RELOAD_DEBOUNCE = 200; // Editors often write a file in several steps
+const MAX_DIFF_LINES = 40;
+
+/**
+ * Watch a manifest (and every file it extends or includes) and hand each valid edit to onReload
+ * Each change is resolved, re-interpolated, transformed and validated like at startup.
+ * Invalid edits are rejected with their errors and a diff of each changed file against
+ * its last good version, which stays active. Logs go to stderr so stdio sessions are unaffected.
+ * Only events for manifest files (or files matching an include pattern) count, and an
+ * edit is handled once: nothing happens until the files' contents change again.
+ *
+ * @param {string} manifestFilePath - Manifest path (relative to the working directory)
+ * @param {Function} onReload - Called with the new, validated configuration
+ * @returns {Function} - Stops watching
+ */
+function watchManifest(manifestFilePath, onReload) {
+  const resolvedPath = path.resolve(process.cwd(), manifestFilePath);
+  const fileName = path.basename(resolvedPath);
+  const initial = resolveManifestFile(resolvedPath);
+  let lastGood = snapshotFiles(initial.files);
+  // Hash of the contents last handled, valid or not
+  let lastSeen = hashSnapshot(lastGood);
+  let watched = initial;
+  let watchers = [];
+  let debounceTimer = null;
+
+  const reload = () => {
+    let resolved = null;
+    let errors = [];
+    try {
+      resolved = resolveManifestFile(resolvedPath);
+      watchFiles(resolved);
+    } catch (error) {
+      errors = [error.message];
+      // Also follow files and patterns read before the failure (e.g. a new include)
+      if (error.watch) {
+        watchFiles({
+          files: union(watched.files, error.watch.files),
+          patterns: union(watched.patterns, error.watch.patterns),
+          watchDirs: union(watched.watchDirs, error.watch.watchDirs)
+        });
+      }
+    }
+
+    const current = snapshotFiles(resolved ? resolved.files : union(watched.files, [...lastGood.keys()]));
+    const hash = hashSnapshot(current);
+    if (hash === lastSeen) {
+      return;
+    }
+    lastSeen = hash;
+    if (sameSnapshot(lastGood, current)) {
+      return;
+    }
+
+    if (resolved) {
+      prepareManifest(resolved.config);
+      errors = validateManifest(resolved.config, resolvedPath, false, resolved.toolSources).errors;
+    }
+
+    if (errors.length > 0) {
+      console.error(chalk.bold.red(`\nRejected edit to ${chalk.underline(fileName)}. Keeping the last good configuration.`));
+      errors.forEach(error => {
+        console.error(chalk.yellow(`  ✖ ${error}`));
+      });
+      new Set([...lastGood.keys(), ...current.keys()]).forEach(file => {
+        const before = lastGood.get(file) ?? '';
+        const after = current.get(file) ?? '';
+        if (before !== after) {
+          console.error(chalk.bold(displayPath(file)));
+          console.error(formatManifestDiff(before, after));
+        }
+      });
+      return;
+    }
+
+    lastGood = current;
+    console.error(chalk.green(`Reloaded tool manifest from ${resolvedPath}`));
+    onReload(resolved.config);
+  };
+
+  // Other files in these directories (job stores, caches, logs) change all the time
+  const isManifestFile = filePath => watched.files.includes(filePath) ||
+    watched.patterns.some(pattern => matchesIncludePattern(filePath, pattern)) ||
+    isDirectory(filePath);
+
+  // Watch directories rather than files: editors that save by renaming replace the inode,
+  // and new files can start matching an include pattern
+  const watchDirectories = directories => {
+    watchers.forEach(watcher => watcher.close());
+    watchers = directories.filter(directory => fs.existsSync(directory)).map(directory =>
+      fs.watch(directory, (eventType, changed) => {
+        // Some platforms do not report the file name; the content hash still filters those events
+        if (changed && !isManifestFile(path.join(directory, changed.toString()))) {
+          return;
+        }
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(reload, MANIFEST_RELOAD_DEBOUNCE);
+      })
+    );
+  };
+  const watchFiles = next => {
+    const directoriesChanged = next.watchDirs.join('\n') !== watched.watchDirs.join('\n');
+    watched = next;
+    if (directoriesChanged) {
+      watchDirectories(next.watchDirs);
+    }
+  };
+  watchDirectories(initial.watchDirs);
+
+  return () => {
+    clearTimeout(debounceTimer);
+    watchers.forEach(watcher => watcher.close());
+  };
+}
+
+// Current contents of each manifest file (null when unreadable)
+function snapshotFiles(files) {
+  return new Map(files.map(file => {
+    try {
+      return [file, fs.readFileSync(file, 'utf-8')];
+    } catch (error) {
+      return [file, null];
+    }
+  }));
+}
+
+function hashSnapshot(snapshot) {
+  const hash = crypto.createHash('sha256');
+  [...snapshot].sort(([a], [b]) => a.localeCompare(b)).forEach(([file, content]) => {
+    hash.update(`${file}\0${content ?? '\0missing'}\0`);
+  });
+  return hash.digest('hex');
+}
+
+function union(a, b) {
+  return [...new Set([...a, ...b])];
+}
+
+function isDirectory(filePath) {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+function sameSnapshot(a, b) {
+  return a.size === b.size && [...a].every(([file, content]) => b.get(file) === content);
+}
+
+// Show the changed region between two versions of the manifest (common head and tail trimmed)
+function formatManifestDiff(oldText, newText) {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const lines = [
+    chalk.cyan(`@@ -${start + 1},${oldEnd - start} +${start + 1},${newEnd - start} @@`),
+    ...oldLines.slice(start, oldEnd).map(line => chalk.red(`- ${line}`)),
+    ...newLines.slice(start, newEnd).map(line => chalk.green(`+ ${line}`))
+  ];
+  if (lines.length > MAX_DIFF_LINES + 1) {
+    return [...lines.slice(0, MAX_DIFF_LINES + 1), chalk.gray(`  … ${lines.length - MAX_DIFF_LINES - 1} more lines`)].join('\n');
+  }
+  return lines.join('\n');
+}
+
 export {
     loadManifest,
+    watchManifest,
     interpolateConfig,
     validateManifestWrapper as validateManifest,
     interpolateString // Exporting for potential direct use if needed elsewhere, though primarily internal
@@ -0,0 +1,221 @@
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * Manifest file formats
+ *
+ * Manifests can be written as JSON (.json), JSON with comments and trailing
+ * commas (.jsonc) or YAML (.yaml/.yml). Every parser also returns a locator
+ * mapping a JSON path (array of keys/indexes) to its line and column in the
+ * source, so validation errors can point into the file.
+ */
+
+export const MANIFEST_EXTENSIONS = ['.json', '.jsonc', '.yaml', '.yml'];
+
+/**
+ * Parse manifest text according to the file extension
+ * @param {string} text - File contents
+ * @param {string} filePath - File path (selects the format)
+ * @returns {Object} - {data, locate(segments) => {line, column}|null}
+ * @throws {Error} - Syntax errors, carrying `line` and `column` when known
+ */
+export function parseManifestText(text, filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.yaml' || extension === '.yml') {
+    return parseYaml(text);
+  }
+  return parseJson(text, { allowComments: extension === '.jsonc' });
+}
+
+function parseYaml(text) {
+  const lineCounter = new YAML.LineCounter();
+  const document = YAML.parseDocument(text, { lineCounter });
+  if (document.errors.length > 0) {
+    const error = document.errors[0];
+    const position = error.linePos?.[0];
+    // Drop the position suffix and source excerpt; the caller prefixes file:line:column
+    const message = error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '');
+    throw syntaxError(message, position?.line, position?.col);
+  }
+
+  return {
+    data: document.toJS(),
+    locate(segments) {
+      const node = segments.length === 0 ? document.contents : document.getIn(segments, true);
+      if (!node || !node.range) {
+        return null;
+      }
+      const { line, col } = lineCounter.linePos(node.range[0]);
+      return { line, column: col };
+    }
+  };
+}
+
+/**
+ * Parse JSON, optionally allowing // and block comments and trailing commas (JSONC)
+ * Records the start offset of every value along the way.
+ */
+function parseJson(text, { allowComments }) {
+  const offsets = new Map();
+  let pos = 0;
+
+  const fail = (message) => {
+    const { line, column } = lineColumn(text, pos);
+    throw syntaxError(message, line, column);
+  };
+
+  const skipWhitespace = () => {
+    for (;;) {
+      while (pos < text.length && /\s/.test(text[pos])) {
+        pos++;
+      }
+      if (allowComments && text.startsWith('//', pos)) {
+        const end = text.indexOf('\n', pos);
+        pos = end === -1 ? text.length : end + 1;
+      } else if (allowComments && text.startsWith('/*', pos)) {
+        const end = text.indexOf('*/', pos + 2);
+        if (end === -1) {
+          fail('Unterminated comment');
+        }
+        pos = end + 2;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const expect = (char) => {
+    skipWhitespace();
+    if (text[pos] !== char) {
+      fail(pos < text.length ? `Expected '${char}' but found '${text[pos]}'` : `Expected '${char}' but reached end of file`);
+    }
+    pos++;
+  };
+
+  const matchToken = (regex) => {
+    regex.lastIndex = pos;
+    const match = regex.exec(text);
+    if (!match) {
+      return null;
+    }
+    pos += match[0].length;
+    return match[0];
+  };
+
+  const parseString = () => {
+    const token = matchToken(/"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y);
+    if (token === null) {
+      fail('Invalid string');
+    }
+    return JSON.parse(token);
+  };
+
+  const parseValue = (segments) => {
+    skipWhitespace();
+    offsets.set(pathKey(segments), pos);
+    const char = text[pos];
+
+    if (char === '{') {
+      pos++;
+      const object = {};
+      skipWhitespace();
+      if (text[pos] === '}') {
+        pos++;
+        return object;
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[pos] !== '"') {
+          fail(pos < text.length ? `Expected property name but found '${text[pos]}'` : 'Expected property name but reached end of file');
+        }
+        const key = parseString();
+        expect(':');
+        const value = parseValue([...segments, key]);
+        // Keep "__proto__" as a plain property, as JSON.parse does
+        Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+        skipWhitespace();
+        if (text[pos] === ',') {
+          pos++;
+          skipWhitespace();
+          if (allowComments && text[pos] === '}') {
+            pos++;
+            return object;
+          }
+          continue;
+        }
+        expect('}');
+        return object;
+      }
+    }
+
+    if (char === '[') {
+      pos++;
+      const array = [];
+      skipWhitespace();
+      if (text[pos] === ']') {
+        pos++;
+        return array;
+      }
+      for (;;) {
+        array.push(parseValue([...segments, array.length]));
+        skipWhitespace();
+        if (text[pos] === ',') {
+          pos++;
+          skipWhitespace();
+          if (allowComments && text[pos] === ']') {
+            pos++;
+            return array;
+          }
+          continue;
+        }
+        expect(']');
+        return array;
+      }
+    }
+
+    if (char === '"') {
+      return parseString();
+    }
+
+    const number = matchToken(/-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y);
+    if (number !== null) {
+      return Number(number);
+    }
+    const literal = matchToken(/true|false|null/y);
+    if (literal !== null) {
+      return JSON.parse(literal);
+    }
+    fail(pos < text.length ? `Unexpected '${char}'` : 'Unexpected end of file');
+  };
+
+  const data = parseValue([]);
+  skipWhitespace();
+  if (pos < text.length) {
+    fail(`Unexpected '${text[pos]}' after the end of the document`);
+  }
+
+  return {
+    data,
+    locate(segments) {
+      const offset = offsets.get(pathKey(segments));
+      return offset === undefined ? null : lineColumn(text, offset);
+    }
+  };
+}
+
+function syntaxError(message, line, column) {
+  const error = new Error(message);
+  error.line = line;
+  error.column = column;
+  return error;
+}
+
+function pathKey(segments) {
+  return segments.join('\u0000');
+}
+
+function lineColumn(text, offset) {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
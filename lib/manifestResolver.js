@@ -0,0 +1,290 @@
+import fs from 'fs';
+import path from 'path';
+import { parseManifestText } from './manifestFormats.js';
+
+/**
+ * Multi-file manifest resolution
+ *
+ * A manifest may pull tools from other files with `include` (glob patterns) and
+ * layer itself over one or more base manifests with `extends`. Paths are relative
+ * to the file that declares them, and every file may be JSON, JSONC or YAML. The
+ * result is a single merged manifest, before environment interpolation and
+ * simplified-format transformation.
+ */
+
+// Keys whose objects replace the base value instead of being deep-merged
+// (mixing the fields of two different auth types never makes sense)
+const REPLACED_KEYS = ['auth', 'authFrom'];
+
+/**
+ * Resolve a manifest file with its includes and extends chain
+ * @param {string} filePath - Absolute path to the manifest
+ * @returns {Object} - {config, toolSources, files, patterns, watchDirs}
+ *   toolSources[i] describes where config.tools[i] was defined ({file, path, line, column, overriddenIn?});
+ *   patterns are the include globs as absolute paths
+ * @throws {Error} - When the manifest cannot be resolved; `error.watch` holds the
+ *   {files, patterns, watchDirs} read so far
+ */
+export function resolveManifestFile(filePath) {
+  const files = new Set();
+  const patterns = new Set();
+  const watchDirs = new Set();
+  const watch = () => ({ files: [...files], patterns: [...patterns], watchDirs: [...watchDirs] });
+  try {
+    const { config, toolSources } = resolveFile(path.resolve(filePath), [], files, patterns, watchDirs);
+    delete config.include;
+    delete config.extends;
+    return { config, toolSources, ...watch() };
+  } catch (error) {
+    error.watch = watch();
+    throw error;
+  }
+}
+
+/**
+ * Check whether a file matches an include pattern
+ * @param {string} filePath - Absolute file path
+ * @param {string} pattern - Absolute glob pattern (from resolveManifestFile's `patterns`)
+ * @returns {boolean} - True if the file matches
+ */
+export function matchesIncludePattern(filePath, pattern) {
+  const segments = pattern.split(path.sep);
+  const firstGlob = segments.findIndex(segment => /[*?]/.test(segment));
+  if (firstGlob === -1) {
+    return path.resolve(filePath) === pattern;
+  }
+  const root = segments.slice(0, firstGlob).join(path.sep) || path.sep;
+  const relativePath = path.relative(root, filePath);
+  if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    return false;
+  }
+  return globToRegExp(segments.slice(firstGlob).join('/')).test(relativePath.split(path.sep).join('/'));
+}
+
+/**
+ * Format a tool source for error messages, e.g. `teams/billing.yaml:12:5 $.tools[2]`
+ * @param {Object} source - Entry from toolSources
+ * @returns {string} - Human-readable location
+ */
+export function formatToolSource(source) {
+  const position = source.line ? `:${source.line}:${source.column}` : '';
+  const location = `${displayPath(source.file)}${position} ${source.path}`;
+  if (!source.overriddenIn || source.overriddenIn.length === 0) {
+    return location;
+  }
+  const overlays = source.overriddenIn.map(displayPath);
+  return `${location} (overridden in ${overlays.join(', ')})`;
+}
+
+/**
+ * Path shown in messages: relative to the working directory when inside it
+ * @param {string} filePath - Absolute path
+ * @returns {string} - Display path
+ */
+export function displayPath(filePath) {
+  const relativePath = path.relative(process.cwd(), filePath);
+  return relativePath && !relativePath.startsWith('..') ? relativePath : filePath;
+}
+
+function resolveFile(filePath, chain, files, patterns, watchDirs) {
+  if (chain.includes(filePath)) {
+    throw new Error(`Circular "extends" chain: ${[...chain, filePath].map(displayPath).join(' -> ')}`);
+  }
+  const { data: ownConfig, locate } = readManifestData(filePath, files, watchDirs);
+  if (typeof ownConfig !== 'object' || ownConfig === null || Array.isArray(ownConfig)) {
+    throw new Error(`${displayPath(filePath)}: Manifest must be a JSON object.`);
+  }
+  const baseDir = path.dirname(filePath);
+
+  // Own tools first, then tools pulled in through includes
+  const tools = [];
+  const toolSources = [];
+  if (Array.isArray(ownConfig.tools)) {
+    ownConfig.tools.forEach((tool, index) => {
+      tools.push(tool);
+      toolSources.push({ file: filePath, path: `$.tools[${index}]`, ...locate(['tools', index]) });
+    });
+  }
+  toArray(ownConfig.include, 'include', filePath).forEach(pattern => {
+    patterns.add(path.resolve(baseDir, pattern));
+    const matches = expandGlob(pattern, baseDir, watchDirs);
+    if (matches.length === 0) {
+      throw new Error(`${displayPath(filePath)}: "include" pattern "${pattern}" matched no files.`);
+    }
+    matches.forEach(includedPath => {
+      readIncludedTools(includedPath, files, watchDirs).forEach(({ tool, source }) => {
+        tools.push(tool);
+        toolSources.push(source);
+      });
+    });
+  });
+
+  const layer = { ...ownConfig };
+  delete layer.include;
+  delete layer.extends;
+  if (Array.isArray(ownConfig.tools) || ownConfig.include !== undefined) {
+    layer.tools = tools;
+  }
+
+  // Layer this file over its base manifests, in the order they are listed
+  const bases = toArray(ownConfig.extends, 'extends', filePath);
+  if (bases.length === 0) {
+    return { config: layer, toolSources };
+  }
+
+  let merged = null;
+  bases.forEach(basePath => {
+    const base = resolveFile(path.resolve(baseDir, basePath), [...chain, filePath], files, patterns, watchDirs);
+    merged = merged ? mergeLayer(merged, base.config, base.toolSources) : base;
+  });
+  return mergeLayer(merged, layer, toolSources);
+}
+
+// Merge `overlay` (with its tool sources) over an already resolved base
+function mergeLayer(base, overlay, overlaySources) {
+  const { tools: overlayTools, ...overlayRest } = overlay;
+  const config = deepMerge(base.config, overlayRest);
+  const tools = [...(base.config.tools || [])];
+  const toolSources = base.toolSources.map(source => ({ ...source }));
+
+  (overlayTools || []).forEach((tool, index) => {
+    const existing = tool && typeof tool.name === 'string'
+      ? tools.findIndex(baseTool => baseTool && baseTool.name === tool.name)
+      : -1;
+    if (existing === -1) {
+      tools.push(tool);
+      toolSources.push(overlaySources[index]);
+    } else {
+      tools[existing] = deepMerge(tools[existing], tool);
+      toolSources[existing].overriddenIn = [...(toolSources[existing].overriddenIn || []), overlaySources[index].file];
+    }
+  });
+
+  if (base.config.tools !== undefined || overlayTools !== undefined) {
+    config.tools = tools;
+  }
+  return { config, toolSources };
+}
+
+function deepMerge(base, overlay) {
+  if (!isPlainObject(base) || !isPlainObject(overlay)) {
+    return overlay;
+  }
+  const merged = { ...base };
+  Object.entries(overlay).forEach(([key, value]) => {
+    merged[key] = REPLACED_KEYS.includes(key) ? value : deepMerge(base[key], value);
+  });
+  return merged;
+}
+
+// An included file holds a tools array, a manifest-like {tools: [...]}, or a single tool
+function readIncludedTools(filePath, files, watchDirs) {
+  const { data: content, locate } = readManifestData(filePath, files, watchDirs);
+  const source = (jsonPath, segments) => ({ file: filePath, path: jsonPath, ...locate(segments) });
+  if (Array.isArray(content)) {
+    return content.map((tool, index) => ({ tool, source: source(`$[${index}]`, [index]) }));
+  }
+  if (isPlainObject(content) && Array.isArray(content.tools)) {
+    return content.tools.map((tool, index) => ({ tool, source: source(`$.tools[${index}]`, ['tools', index]) }));
+  }
+  if (isPlainObject(content)) {
+    return [{ tool: content, source: source('$', []) }];
+  }
+  throw new Error(`${displayPath(filePath)}: Included file must contain a tool, an array of tools or {"tools": [...]}.`);
+}
+
+function readManifestData(filePath, files, watchDirs) {
+  files.add(filePath);
+  watchDirs.add(path.dirname(filePath));
+  const shownPath = displayPath(filePath);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`${shownPath}: File not found.`);
+  }
+  try {
+    return parseManifestText(fs.readFileSync(filePath, 'utf-8'), filePath);
+  } catch (error) {
+    const position = error.line ? `:${error.line}:${error.column}` : '';
+    throw new Error(`${shownPath}${position}: ${error.message}`);
+  }
+}
+
+function toArray(value, field, filePath) {
+  if (value === undefined) {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : [value];
+  if (values.some(entry => typeof entry !== 'string' || !entry.trim())) {
+    throw new Error(`${displayPath(filePath)}: Field "${field}" must be a path or an array of paths.`);
+  }
+  return values;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Expand a glob pattern supporting `*`, `?` and `**` into sorted absolute file paths
+ * @param {string} pattern - Pattern relative to baseDir
+ * @param {string} baseDir - Directory the pattern is relative to
+ * @param {Set<string>} watchDirs - Collects the directories searched, so new matches can be noticed
+ * @returns {Array<string>} - Matching files
+ */
+function expandGlob(pattern, baseDir, watchDirs) {
+  const segments = path.resolve(baseDir, pattern).split(path.sep);
+  const firstGlob = segments.findIndex(segment => /[*?]/.test(segment));
+  if (firstGlob === -1) {
+    const filePath = segments.join(path.sep);
+    return fs.existsSync(filePath) ? [filePath] : [];
+  }
+
+  const root = segments.slice(0, firstGlob).join(path.sep) || path.sep;
+  const globSegments = segments.slice(firstGlob);
+  const matcher = globToRegExp(globSegments.join('/'));
+  const maxDepth = globSegments.includes('**') ? Infinity : globSegments.length;
+
+  const matches = [];
+  const walk = (dir, relativeDir, depth) => {
+    watchDirs.add(dir);
+    if (!fs.existsSync(dir)) {
+      return;
+    }
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (depth < maxDepth && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+          walk(fullPath, relativePath, depth + 1);
+        }
+      } else if (matcher.test(relativePath)) {
+        matches.push(fullPath);
+      }
+    });
+  };
+  walk(root, '', 1);
+  return matches.sort();
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` matches zero or more directories
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
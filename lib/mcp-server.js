@@ -1,18 +1,56 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js'
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js'
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js'
 import {
   CallToolRequestSchema,
   ErrorCode,
   ListToolsRequestSchema,
   McpError,
+  isInitializeRequest,
 } from '@modelcontextprotocol/sdk/types.js'
+import { randomUUID } from 'crypto'
 import chalk from 'chalk'
 import { z } from 'zod'
-import { executeTool } from './execute.js'
+import { executeTool, executeToolJob, executeToolAndCallback } from './execute.js'
+import {
+  createJob,
+  getJob,
+  updateJob,
+  cancelJob,
+  waitForJob,
+  isJobFinished,
+  configureJobStore,
+  closeJobStore,
+  getInterruptedJobs,
+} from './jobs.js'
 import { validateTool } from './validateTool.js'
 import { healthMonitor } from './healthMonitor.js'
 import { rateLimiter } from './rateLimiter.js'
+import { callQueue } from './callQueue.js'
+import { httpAgents } from './httpAgents.js'
+import { circuitBreaker } from './circuitBreaker.js'
+import { responseCache } from './responseCache.js'
+import { singleFlight } from './singleFlight.js'
+import { InMemoryEventStore } from './eventStore.js'
+import { buildToolInputSchema } from './jsonSchemaToZod.js'
+import { buildToolOutputSchema, toStructuredContent } from './outputValidation.js'
+import { CALLBACK_PATH_PREFIX, handleCallbackRequest, startCallbackListener } from './callbackReceiver.js'
+import { secretStore } from './secrets.js'
+import { clearTlsFiles } from './mtls.js'
+import { redactor } from './redaction.js'
+import { createAccessPolicy, authenticateRequest, canUseTool, applyCors, ANONYMOUS_CLIENT, STDIO_CLIENT } from './serverAuth.js'
+import { usageLedger, getToolCost, isChargeable } from './usage.js'
+
+// How often progress notifications are sent while waiting on a job
+const JOB_PROGRESS_INTERVAL = 5000
+// Upper bound for job-result waitMs
+const MAX_JOB_WAIT = 600000
+// Streamable HTTP sessions without requests for this long are closed (server.sessions.idleTimeout)
+const DEFAULT_SESSION_IDLE_TIMEOUT = 30 * 60 * 1000
+// Most Streamable HTTP sessions open at once (server.sessions.max)
+const DEFAULT_MAX_SESSIONS = 1000
+const MAX_SESSION_SWEEP_INTERVAL = 60000
 
 /**
  * WyreUP MCP Server implementation
@@ -25,47 +63,264 @@ export class WyreupMcpServer {
     this.toolsConfig = toolsConfig
     this.DEBUG = options.DEBUG || false
     this.transports = {};
+    // Registered manifest tools per server instance, so reloads can update them in place
+    this.webhookTools = new WeakMap()
+    // Client of each remote session server (absent: the stdio server, all tools allowed)
+    this.sessionClients = new WeakMap()
+    this.accessPolicy = createAccessPolicy(this.toolsConfig.server)
+    usageLedger.configure(this.toolsConfig.usage, this.accessPolicy.clients)
 
     // Cache validated tools on startup to avoid duplicate validation
     this.validatedTools = this.cacheValidatedTools()
 
+    secretStore.configure(this.toolsConfig.secrets)
+    rateLimiter.configure(this.toolsConfig.rateLimiting)
+    responseCache.configure(this.toolsConfig.caching)
+    httpAgents.configure(this.toolsConfig.http)
+
+    // Open the job store and deal with jobs a previous run left unfinished
+    configureJobStore(this.toolsConfig.jobs)
+    this.recoverInterruptedJobs()
+
     this.server = new McpServer({
       name: 'wyreup-mcp',
       version: '0.1.0'
     })
 
     this.validatedTools.forEach((tool) => {
-      // Convert JSON Schema to Zod schema for modern SDK
-      const zodSchema = this.convertJsonSchemaToZod(tool.input || {
-        type: 'object',
-        properties: {},
-        required: [],
-      })
+      this.registerWebhookTool(this.server, tool)
+    })
 
-      // Add description to the Zod schema
-      const schemaWithDescription = zodSchema.describe(tool.description || `Tool: ${tool.name}`)
+    // Add built-in health monitoring, job, usage and cache tools
+    this.setupHealthTools()
+    this.setupJobToolsForConnection(this.server)
+    this.setupUsageToolsForConnection(this.server)
+    this.setupCacheToolsForConnection(this.server)
+    this.setupErrorHandling()
+  }
+
+  /**
+   * Register a manifest webhook tool on a server instance
+   * @param {McpServer} server - Server to register the tool on
+   * @param {Object} tool - Validated tool configuration
+   * @returns {RegisteredTool} - SDK handle for the registered tool
+   */
+  registerWebhookTool(server, tool) {
+    const { schema, wrapped } = buildToolInputSchema(tool.input, `${tool.name}.input`)
+    // Async tools answer with a job ticket, so they never publish the webhook's output schema
+    const outputSchema = tool.async ? null : buildToolOutputSchema(tool)
 
-      this.server.tool(
-        tool.name,
-        schemaWithDescription,
-        async (params) => {
-          const result = await executeTool(
+    const registeredTool = server.registerTool(
+      tool.name,
+      {
+        description: tool.description || `Tool: ${tool.name}`,
+        inputSchema: schema.shape,
+        outputSchema: outputSchema ? outputSchema.shape : undefined,
+      },
+      async (params, extra) => {
+        const caller = this.getCaller(server, extra)
+        // Paid tools hold their cost until the call's outcome is known
+        let reservation = null
+        if (tool.paid) {
+          const held = usageLedger.reserve(this.sessionClients.get(server) || STDIO_CLIENT, tool)
+          if (held.error) {
+            return this.formatToolResponse({ success: false, error: held.error, status: 402 }, tool.name, { structured: !!outputSchema })
+          }
+          reservation = held.reservation
+        }
+        if (tool.async) {
+          return this.startAsyncJob(tool, wrapped ? params.value : params, reservation, caller)
+        }
+        let result
+        try {
+          result = await executeTool(
             tool,
-            params,
+            wrapped ? params.value : params,
             {},
-            {
-              DEBUG: this.DEBUG,
-              toolsBaseUrl: this.toolsConfig.base_url,
-            }
+            { DEBUG: this.DEBUG, signal: extra?.signal, caller, onProgress: this.progressReporter(extra), allowedTools: this.getAllowedToolNames(server) }
           )
-          return this.formatToolResponse(result, tool.name)
+        } finally {
+          if (reservation) {
+            usageLedger.settle(reservation, isChargeable(result))
+          }
         }
-      )
+        return this.formatToolResponse(result, tool.name, { structured: !!outputSchema })
+      }
+    )
+
+    if (!this.webhookTools.has(server)) {
+      this.webhookTools.set(server, new Map())
+    }
+    this.webhookTools.get(server).set(tool.name, registeredTool)
+    return registeredTool
+  }
+
+  /**
+   * Apply a reloaded manifest to the server and every live session
+   * Tools are added, replaced or removed in place; the SDK sends
+   * notifications/tools/list_changed to connected clients for each change.
+   * The jobs, server, usage, rateLimiting, caching and http blocks are only read
+   * at startup; secret settings are re-applied, and cached secrets and mTLS
+   * certificate files dropped. Cached responses of changed and removed tools are
+   * dropped, and removed tools release their pooled connections. Sessions only
+   * get the tools their client may use.
+   *
+   * @param {Object} toolsConfig - New, already validated manifest
+   * @returns {Object} - Tool names that were {added, updated, removed}
+   */
+  reloadTools(toolsConfig) {
+    const previousTools = new Map(this.validatedTools.map(tool => [tool.name, tool]))
+    const startupConfig = this.toolsConfig
+    this.toolsConfig = { ...toolsConfig, jobs: startupConfig.jobs, server: startupConfig.server }
+    this.validatedTools = this.cacheValidatedTools()
+    secretStore.configure(this.toolsConfig.secrets)
+    clearTlsFiles()
+    const nextTools = new Map(this.validatedTools.map(tool => [tool.name, tool]))
+
+    const added = [...nextTools.keys()].filter(name => !previousTools.has(name))
+    const removed = [...previousTools.keys()].filter(name => !nextTools.has(name))
+    const updated = [...nextTools.keys()].filter(name =>
+      previousTools.has(name) && JSON.stringify(previousTools.get(name)) !== JSON.stringify(nextTools.get(name)))
+
+    const servers = [this.server, ...Object.values(this.transports).map(connection => connection.server)]
+    servers.forEach(server => {
+      const registered = this.webhookTools.get(server) || new Map()
+      for (const name of [...removed, ...updated]) {
+        registered.get(name)?.remove()
+        registered.delete(name)
+      }
+      for (const name of [...updated, ...added]) {
+        if (this.isToolAllowed(server, name)) {
+          this.registerWebhookTool(server, nextTools.get(name))
+        }
+      }
     })
 
-    // Add built-in health monitoring tools
-    this.setupHealthTools()
-    this.setupErrorHandling()
+    removed.forEach(name => httpAgents.release(name))
+    for (const name of [...removed, ...updated]) {
+      responseCache.clear(name).catch((error) => {
+        console.error(chalk.red(`Failed to clear cached responses of ${name}: ${error.message}`))
+      })
+    }
+
+    if (this.stdioCallbackAddress) {
+      this.startStdioCallbackListener().catch((error) => {
+        console.error(chalk.red(`Failed to start callback receiver: ${error.message}`))
+      })
+    }
+
+    if (added.length + updated.length + removed.length > 0) {
+      console.error(chalk.green(
+        `Tools reloaded on ${servers.length} server(s): ` +
+        `${added.length} added, ${updated.length} updated, ${removed.length} removed`
+      ))
+    }
+    for (const block of ['jobs', 'server', 'usage', 'rateLimiting', 'caching', 'http']) {
+      if (JSON.stringify(toolsConfig[block]) !== JSON.stringify(startupConfig[block])) {
+        console.error(chalk.yellow(`Changes to the "${block}" block take effect after a restart.`))
+      }
+    }
+    return { added, updated, removed }
+  }
+
+  /**
+   * Create a server instance for a single remote session
+   * Only the tools the session's client may use are registered, so the others
+   * are neither listed nor callable.
+   *
+   * @param {Object} client - Authenticated client (see serverAuth.js)
+   * @returns {McpServer} Server ready to be connected to a session transport
+   */
+  createSessionServer(client) {
+    const connectionServer = new McpServer({
+      name: 'wyreup-mcp',
+      version: '0.1.0'
+    })
+    this.sessionClients.set(connectionServer, client)
+
+    this.validatedTools.forEach((tool) => {
+      if (canUseTool(client, tool)) {
+        this.registerWebhookTool(connectionServer, tool)
+      }
+    })
+
+    // Add built-in health monitoring, job, usage and cache tools to this connection
+    this.setupHealthToolsForConnection(connectionServer)
+    this.setupJobToolsForConnection(connectionServer)
+    this.setupUsageToolsForConnection(connectionServer)
+    this.setupCacheToolsForConnection(connectionServer)
+
+    return connectionServer
+  }
+
+  /**
+   * Options passed to background job executions
+   * Tools that await an inbound callback are pointed at jobs.callbackBaseUrl, or at
+   * the address this server listens on when none is configured.
+   * @returns {Object} - {DEBUG, callbackBaseUrl}
+   */
+  jobExecutionOptions() {
+    return {
+      DEBUG: this.DEBUG,
+      callbackBaseUrl: (this.toolsConfig.jobs?.callbackBaseUrl || this.listenUrl || '').replace(/\/$/, '')
+    }
+  }
+
+  /**
+   * Route /callback/:jobId requests to the inbound callback receiver
+   * @param {IncomingMessage} req - HTTP request
+   * @param {ServerResponse} res - HTTP response
+   */
+  async handleCallback(req, res) {
+    try {
+      await handleCallbackRequest(req, res, { tools: this.validatedTools, DEBUG: this.DEBUG })
+    } catch (error) {
+      console.error(chalk.red(`Error handling callback: ${error.message}`))
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ error: 'Internal server error' }))
+      }
+    }
+  }
+
+  /**
+   * Start an async tool execution in the background and answer with its job id
+   * @param {Object} tool - Tool configuration flagged async
+   * @param {*} payload - Tool input
+   * @param {Object} reservation - Credits held for a paid tool (see usage.js), or null
+   * @param {string} caller - Client identity for per-client rate limits; it also owns the job
+   * @returns {Object} MCP response describing the started job
+   */
+  startAsyncJob(tool, payload, reservation = null, caller = undefined) {
+    const jobId = createJob(tool.name, payload, null, {}, undefined, caller)
+
+    const execution = executeToolJob(jobId, tool, payload, {}, { ...this.jobExecutionOptions(), caller })
+    execution.catch((error) => {
+      console.error(chalk.red(`Async job ${jobId} for ${tool.name} crashed: ${redactor.text(error.message)}`))
+    })
+    if (reservation) {
+      // Charged once the webhook has accepted or finished the job
+      execution.then(
+        result => usageLedger.settle(reservation, isChargeable(result)),
+        () => usageLedger.settle(reservation, false)
+      )
+    }
+
+    if (this.DEBUG) {
+      console.log(chalk.blue(`[DEBUG] Started async job ${jobId} for ${tool.name}`))
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          jobId,
+          tool: tool.name,
+          status: 'pending',
+          message: 'Job started. Use job-status to check progress, job-result to fetch the result and job-cancel to stop it.'
+        }, null, 2)
+      }]
+    }
   }
 
   /**
@@ -74,72 +329,100 @@ export class WyreupMcpServer {
    * @returns {Object} Zod schema
    */
   convertJsonSchemaToZod(jsonSchema) {
-    if (!jsonSchema || typeof jsonSchema !== 'object') {
-      return z.object({})
-    }
-
-    if (jsonSchema.type === 'object') {
-      const properties = jsonSchema.properties || {}
-      const required = jsonSchema.required || []
-      
-      const zodObject = {}
-      
-      for (const [key, prop] of Object.entries(properties)) {
-        let zodType
-        
-        switch (prop.type) {
-          case 'string':
-            zodType = z.string()
-            break
-          case 'number':
-            zodType = z.number()
-            break
-          case 'integer':
-            zodType = z.number().int()
-            break
-          case 'boolean':
-            zodType = z.boolean()
-            break
-          case 'array':
-            zodType = z.array(z.any())
-            break
-          default:
-            zodType = z.any()
-        }
-        
-        // Add description if available
-        if (prop.description) {
-          zodType = zodType.describe(prop.description)
-        }
-        
-        // Make optional if not required
-        if (!required.includes(key)) {
-          zodType = zodType.optional()
-        }
-        
-        zodObject[key] = zodType
-      }
-      
-      return z.object(zodObject)
-    }
-    
-    // Fallback for non-object schemas
-    return z.object({})
+    const { schema, warnings } = buildToolInputSchema(jsonSchema)
+    if (this.DEBUG) {
+      warnings.forEach(warning => {
+        console.warn(chalk.yellow(`[DEBUG] Schema conversion: ${warning}`))
+      })
+    }
+    return schema
+  }
+
+  /**
+   * Check whether a manifest tool is available on a server instance
+   * @param {McpServer} server - Server the request arrived on
+   * @param {string} toolName - Tool name
+   * @returns {boolean} - True unless the session's client may not use the tool
+   */
+  isToolAllowed(server, toolName) {
+    const client = this.sessionClients.get(server)
+    if (!client) {
+      return true
+    }
+    const tool = this.validatedTools.find(t => t.name === toolName)
+    return !!tool && canUseTool(client, tool)
+  }
+
+  /**
+   * List the manifest tools available on a server instance
+   * @param {McpServer} server - Server the request arrived on
+   * @returns {Array<string>|undefined} - Tool names, or undefined when every tool is available
+   */
+  getAllowedToolNames(server) {
+    return this.sessionClients.has(server)
+      ? this.validatedTools.map(t => t.name).filter(name => this.isToolAllowed(server, name))
+      : undefined
+  }
+
+  /**
+   * Identify the caller of a request for per-client rate limits
+   * Authenticated clients share one identity across their sessions; anonymous
+   * sessions are told apart by session id.
+   *
+   * @param {McpServer} server - Server the request arrived on
+   * @param {Object} extra - MCP request handler extra
+   * @returns {string} - Caller identity
+   */
+  getCaller(server, extra) {
+    const client = this.sessionClients.get(server)
+    if (!client) {
+      return STDIO_CLIENT.name
+    }
+    return client === ANONYMOUS_CLIENT ? `session:${extra?.sessionId}` : `client:${client.name}`
+  }
+
+  /**
+   * Look up a job the session may see
+   * Remote sessions only see jobs their own client started, of tools it may
+   * still use; the stdio server sees every job.
+   *
+   * @param {McpServer} server - Server the request arrived on
+   * @param {string} jobId - Job identifier
+   * @param {Object} extra - MCP request handler extra
+   * @returns {Object|undefined} - The job, if it exists and is visible
+   */
+  getSessionJob(server, jobId, extra) {
+    const job = getJob(jobId)
+    if (!job || !this.isToolAllowed(server, job.toolName)) {
+      return undefined
+    }
+    if (this.sessionClients.has(server) && job.owner !== this.getCaller(server, extra)) {
+      return undefined
+    }
+    return job
   }
 
   /**
    * Setup built-in health monitoring and system tools
    */
   setupHealthTools() {
+    this.setupHealthToolsForConnection(this.server)
+  }
+
+  /**
+   * Setup built-in health monitoring tools for a specific server connection
+   */
+  setupHealthToolsForConnection(server) {
     // Health check tool for individual webhook endpoints
-    this.server.tool(
+    server.tool(
       'health-check',
-      z.object({
+      'Perform health check on a specific webhook tool',
+      {
         toolName: z.string().describe('Name of the tool to check')
-      }).describe('Perform health check on a specific webhook tool'),
+      },
       async ({ toolName }) => {
         const tool = this.validatedTools.find(t => t.name === toolName)
-        if (!tool) {
+        if (!tool || !this.isToolAllowed(server, toolName)) {
           return {
             content: [{
               type: 'text',
@@ -159,14 +442,29 @@ export class WyreupMcpServer {
     )
 
     // Health status tool for getting tool statistics
-    this.server.tool(
+    server.tool(
       'health-status',
-      z.object({
+      'Get health statistics, circuit breaker state and connection pool statistics for webhook tools',
+      {
         toolName: z.string().optional().describe('Specific tool name, or leave empty for all tools')
-      }).describe('Get health statistics for webhook tools'),
+      },
       async ({ toolName }) => {
         if (toolName) {
-          const health = healthMonitor.getHealth(toolName)
+          if (!this.isToolAllowed(server, toolName)) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({ error: `Tool '${toolName}' not found` }, null, 2)
+              }]
+            }
+          }
+          const tool = this.validatedTools.find(t => t.name === toolName)
+          const health = {
+            ...healthMonitor.getHealth(toolName),
+            circuit: circuitBreaker.getStatus(toolName, tool?.circuitBreaker),
+            singleFlight: tool?.singleFlight ? singleFlight.getStatus(toolName) : null,
+            connections: httpAgents.getStats([toolName])
+          }
           return {
             content: [{
               type: 'text',
@@ -174,7 +472,22 @@ export class WyreupMcpServer {
             }]
           }
         } else {
-          const overallHealth = healthMonitor.getOverallHealth()
+          const allowedTools = this.getAllowedToolNames(server)
+          const overallHealth = healthMonitor.getOverallHealth(allowedTools)
+          overallHealth.openCircuits = 0
+          this.validatedTools.forEach(tool => {
+            const health = overallHealth.tools[tool.name]
+            if (health && tool.circuitBreaker) {
+              health.circuit = circuitBreaker.getStatus(tool.name, tool.circuitBreaker)
+              if (health.circuit.state !== 'closed') {
+                overallHealth.openCircuits++
+              }
+            }
+            if (health && tool.singleFlight) {
+              health.singleFlight = singleFlight.getStatus(tool.name)
+            }
+          })
+          overallHealth.connectionPools = httpAgents.getStats(allowedTools)
           return {
             content: [{
               type: 'text',
@@ -186,14 +499,15 @@ export class WyreupMcpServer {
     )
 
     // Rate limit status tool
-    this.server.tool(
+    server.tool(
       'rate-limit-status',
-      z.object({
+      'Check rate limiting status for a webhook tool',
+      {
         toolName: z.string().describe('Name of the tool to check rate limit status')
-      }).describe('Check rate limiting status for a webhook tool'),
-      async ({ toolName }) => {
+      },
+      async ({ toolName }, extra) => {
         const tool = this.validatedTools.find(t => t.name === toolName)
-        if (!tool) {
+        if (!tool || !this.isToolAllowed(server, toolName)) {
           return {
             content: [{
               type: 'text',
@@ -202,7 +516,11 @@ export class WyreupMcpServer {
           }
         }
 
-        if (!tool.rateLimit) {
+        const status = await rateLimiter.getStatus(toolName, tool.rateLimit, this.getCaller(server, extra))
+        if (tool.rateLimit?.onExceeded === 'queue' || tool.maxConcurrent) {
+          status.queue = { ...callQueue.getStatus(toolName), maxConcurrent: tool.maxConcurrent || null }
+        }
+        if (!status.tool && !status.global && !status.queue) {
           return {
             content: [{
               type: 'text',
@@ -211,7 +529,6 @@ export class WyreupMcpServer {
           }
         }
 
-        const status = rateLimiter.getStatus(toolName, tool.rateLimit)
         return {
           content: [{
             type: 'text',
@@ -223,100 +540,289 @@ export class WyreupMcpServer {
   }
 
   /**
-   * Setup built-in health monitoring tools for a specific server connection
+   * Setup built-in async job tools for a specific server connection
    */
-  setupHealthToolsForConnection(server) {
-    // Health check tool for individual webhook endpoints
+  setupJobToolsForConnection(server) {
+    // Job status tool
     server.tool(
-      'health-check',
-      z.object({
-        toolName: z.string().describe('Name of the tool to check')
-      }).describe('Perform health check on a specific webhook tool'),
-      async ({ toolName }) => {
-        const tool = this.validatedTools.find(t => t.name === toolName)
-        if (!tool) {
+      'job-status',
+      'Get the status of an async tool job',
+      {
+        jobId: z.string().describe('Job id returned when the async tool was called')
+      },
+      async ({ jobId }, extra) => {
+        const job = this.getSessionJob(server, jobId, extra)
+        if (!job) {
           return {
             content: [{
               type: 'text',
-              text: JSON.stringify({ error: `Tool '${toolName}' not found` }, null, 2)
-            }]
+              text: JSON.stringify({ error: `Job '${jobId}' not found` }, null, 2)
+            }],
+            isError: true
           }
         }
 
-        const healthCheck = await healthMonitor.performHealthCheck(tool, this.DEBUG)
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify(healthCheck, null, 2)
+            text: JSON.stringify(summarizeJob(jobId, job), null, 2)
           }]
         }
       }
     )
 
-    // Health status tool for getting tool statistics
+    // Job result tool, optionally waiting for completion with progress notifications
     server.tool(
-      'health-status',
-      z.object({
-        toolName: z.string().optional().describe('Specific tool name, or leave empty for all tools')
-      }).describe('Get health statistics for webhook tools'),
-      async ({ toolName }) => {
-        if (toolName) {
-          const health = healthMonitor.getHealth(toolName)
+      'job-result',
+      'Get the result of an async tool job, optionally waiting for it to finish',
+      {
+        jobId: z.string().describe('Job id returned when the async tool was called'),
+        waitMs: z.number().int().min(0).max(MAX_JOB_WAIT).optional()
+          .describe('Wait up to this many milliseconds for the job to finish (default: 0)')
+      },
+      async ({ jobId, waitMs = 0 }, extra) => {
+        if (!this.getSessionJob(server, jobId, extra)) {
           return {
             content: [{
               type: 'text',
-              text: JSON.stringify(health, null, 2)
-            }]
+              text: JSON.stringify({ error: `Job '${jobId}' not found` }, null, 2)
+            }],
+            isError: true
           }
-        } else {
-          const overallHealth = healthMonitor.getOverallHealth()
+        }
+
+        const job = await this.waitForJobWithProgress(jobId, waitMs, extra)
+
+        if (job.status === 'completed') {
+          return this.formatToolResponse({ success: true, data: job.result }, job.toolName)
+        }
+        if (isJobFinished(job)) {
+          return this.formatToolResponse({
+            success: false,
+            error: job.error?.message || `Job ${job.status}`
+          }, job.toolName)
+        }
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(summarizeJob(jobId, job), null, 2)
+          }]
+        }
+      }
+    )
+
+    // Job cancel tool
+    server.tool(
+      'job-cancel',
+      'Cancel a pending or running async tool job',
+      {
+        jobId: z.string().describe('Job id to cancel')
+      },
+      async ({ jobId }, extra) => {
+        const job = this.getSessionJob(server, jobId, extra)
+        if (!job) {
           return {
             content: [{
               type: 'text',
-              text: JSON.stringify(overallHealth, null, 2)
-            }]
+              text: JSON.stringify({ error: `Job '${jobId}' not found` }, null, 2)
+            }],
+            isError: true
           }
         }
+
+        const cancelled = cancelJob(jobId)
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              cancelled,
+              ...summarizeJob(jobId, getJob(jobId))
+            }, null, 2)
+          }]
+        }
       }
     )
+  }
 
-    // Rate limit status tool
+  /**
+   * Setup the built-in usage-balance tool for a specific server connection
+   * Remote sessions see their own client's balance; stdio sees every client's.
+   */
+  setupUsageToolsForConnection(server) {
     server.tool(
-      'rate-limit-status',
-      z.object({
-        toolName: z.string().describe('Name of the tool to check rate limit status')
-      }).describe('Check rate limiting status for a webhook tool'),
+      'usage-balance',
+      'Get the remaining credits for paid tools',
+      {},
+      async () => {
+        const client = this.sessionClients.get(server)
+        const paidTools = this.validatedTools
+          .filter(tool => tool.paid === true && this.isToolAllowed(server, tool.name))
+          .map(tool => ({ name: tool.name, cost: getToolCost(tool) }))
+        const report = client
+          ? { ...usageLedger.getBalance(client), paidTools }
+          : { ...usageLedger.getBalance(STDIO_CLIENT), clients: usageLedger.getAllBalances(), paidTools }
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(report, null, 2)
+          }]
+        }
+      }
+    )
+  }
+
+  /**
+   * Setup the built-in cache-stats and cache-clear tools for a specific server connection
+   * Remote sessions only see and clear the caches of tools their client may use.
+   */
+  setupCacheToolsForConnection(server) {
+    const cachedToolNames = () => this.validatedTools
+      .filter(tool => tool.cache && this.isToolAllowed(server, tool.name))
+      .map(tool => tool.name)
+
+    server.tool(
+      'cache-stats',
+      'Get response cache statistics for webhook tools',
+      {
+        toolName: z.string().optional().describe('Specific tool name, or leave empty for all cached tools')
+      },
       async ({ toolName }) => {
-        const tool = this.validatedTools.find(t => t.name === toolName)
-        if (!tool) {
+        const names = cachedToolNames()
+        if (toolName && !names.includes(toolName)) {
           return {
             content: [{
               type: 'text',
-              text: JSON.stringify({ error: `Tool '${toolName}' not found` }, null, 2)
+              text: JSON.stringify({ error: `Tool '${toolName}' not found or not cached` }, null, 2)
             }]
           }
         }
+        const stats = toolName
+          ? await responseCache.getStats(toolName)
+          : { store: responseCache.storeType, tools: await Promise.all(names.map(name => responseCache.getStats(name))) }
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(stats, null, 2)
+          }]
+        }
+      }
+    )
 
-        if (!tool.rateLimit) {
+    server.tool(
+      'cache-clear',
+      'Drop cached responses so the next calls go to the webhooks',
+      {
+        toolName: z.string().optional().describe('Specific tool name, or leave empty for all cached tools')
+      },
+      async ({ toolName }) => {
+        const names = cachedToolNames()
+        if (toolName && !names.includes(toolName)) {
           return {
             content: [{
               type: 'text',
-              text: JSON.stringify({ message: `No rate limiting configured for '${toolName}'` }, null, 2)
+              text: JSON.stringify({ error: `Tool '${toolName}' not found or not cached` }, null, 2)
             }]
           }
         }
-
-        const status = rateLimiter.getStatus(toolName, tool.rateLimit)
+        const cleared = {}
+        for (const name of toolName ? [toolName] : names) {
+          cleared[name] = await responseCache.clear(name)
+        }
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify(status, null, 2)
+            text: JSON.stringify({ cleared }, null, 2)
           }]
         }
       }
     )
   }
 
+  /**
+   * Wait for a job to finish, sending progress notifications when the client asked for them
+   * @param {string} jobId - Job identifier
+   * @param {number} waitMs - Maximum time to wait
+   * @param {Object} extra - MCP request handler extra (progress token, signal, notifications)
+   * @returns {Promise<Object>} The job when waiting ends
+   */
+  async waitForJobWithProgress(jobId, waitMs, extra) {
+    const reportProgress = this.progressReporter(extra)
+    const startedAt = Date.now()
+    let progressTimer = null
+
+    if (reportProgress && waitMs > 0) {
+      progressTimer = setInterval(() => {
+        const job = getJob(jobId)
+        const elapsed = Math.round((Date.now() - startedAt) / 1000)
+        reportProgress(`Job ${jobId} is ${job?.status} (${elapsed}s)`, elapsed)
+      }, JOB_PROGRESS_INTERVAL)
+    }
+
+    try {
+      return await waitForJob(jobId, waitMs, extra?.signal)
+    } finally {
+      clearInterval(progressTimer)
+    }
+  }
+
+  /**
+   * Build a callback that sends progress notifications for a request
+   * @param {Object} extra - MCP request handler extra (progress token, notifications)
+   * @returns {Function|undefined} - (message, progress) => void, or undefined if the client did not ask for progress
+   */
+  progressReporter(extra) {
+    const progressToken = extra?._meta?.progressToken
+    if (progressToken === undefined) {
+      return undefined
+    }
+    return (message, progress) => {
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, message }
+      }).catch((error) => {
+        if (this.DEBUG) {
+          console.error(chalk.red(`[DEBUG] Failed to send progress notification: ${error.message}`))
+        }
+      })
+    }
+  }
+
+  /**
+   * Resume or fail jobs that were pending or processing when the server last stopped
+   * Controlled by `jobs.onRestart` in the manifest: 'fail' (default) or 'resume'
+   */
+  recoverInterruptedJobs() {
+    const onRestart = this.toolsConfig.jobs?.onRestart || 'fail'
+
+    getInterruptedJobs().forEach(([jobId, job]) => {
+      const tool = this.validatedTools.find(t => t.name === job.toolName)
+
+      if (onRestart === 'resume' && tool) {
+        const run = job.callback_url
+          ? executeToolAndCallback(jobId, tool, job.input, job.callback_url, job.headers || {}, this.jobExecutionOptions())
+          : executeToolJob(jobId, tool, job.input, job.headers || {}, this.jobExecutionOptions())
+        run.catch((error) => {
+          console.error(chalk.red(`Resumed job ${jobId} for ${tool.name} crashed: ${redactor.text(error.message)}`))
+        })
+        console.error(chalk.blue(`Resuming interrupted job ${jobId} (${job.toolName})`))
+        return
+      }
+
+      updateJob(jobId, {
+        status: 'failed',
+        error: {
+          message: tool
+            ? 'Job interrupted by server restart'
+            : `Job interrupted by server restart; tool '${job.toolName}' is no longer configured`,
+          status_code: 503,
+          details: null
+        }
+      })
+      console.error(chalk.yellow(`Marked interrupted job ${jobId} (${job.toolName}) as failed`))
+    })
+  }
+
   /**
    * Cache validated tools on startup to avoid duplicate validation
    * @returns {Array} Array of valid tools
@@ -350,6 +856,7 @@ export class WyreupMcpServer {
 
     process.on('SIGINT', async () => {
       await this.server.close()
+      closeJobStore()
       process.exit(0)
     })
   }
@@ -360,10 +867,14 @@ export class WyreupMcpServer {
    *
    * @param {Object} result - Tool execution result
    * @param {string} toolName - Name of the executed tool
+   * @param {Object} options - Formatting options
+   * @param {boolean} options.structured - Include structuredContent (tool publishes an outputSchema);
+   *   only successful results that passed output validation get it, errors are text only
    * @returns {Object|AsyncGenerator} MCP-compatible response or async generator for streams
    */
-  formatToolResponse(result, toolName) {
+  formatToolResponse(result, toolName, { structured = false } = {}) {
     if (result.success) {
+      structured = structured && !result.validationErrors
       // Handle streaming responses
       if (result.stream) {
         const contentType = result.contentType || 'text/plain'
@@ -388,7 +899,7 @@ export class WyreupMcpServer {
         result.data.contentType &&
         result.data.data
       ) {
-        return {
+        const response = {
           content: [
             {
               type: 'text',
@@ -400,9 +911,13 @@ export class WyreupMcpServer {
             },
           ],
         }
+        if (structured) {
+          response.structuredContent = toStructuredContent(result.data)
+        }
+        return response
       } else {
         // Standard JSON response
-        return {
+        const response = {
           content: [
             {
               type: 'text',
@@ -410,18 +925,32 @@ export class WyreupMcpServer {
             },
           ],
         }
+        if (structured) {
+          response.structuredContent = toStructuredContent(result.data)
+        }
+        return response
       }
     } else {
       // Tool execution failed
-      return {
+      let text = `Tool execution failed: ${result.error}`
+      if (result.retryAfter !== undefined) {
+        text += `\nRetry after ${result.retryAfter} seconds.`
+      }
+      if (result.validationErrors) {
+        text += '\n' + result.validationErrors
+          .map(error => `  - ${error.path}: ${error.message}`)
+          .join('\n')
+      }
+      const response = {
         content: [
           {
             type: 'text',
-            text: `Tool execution failed: ${result.error}`,
+            text,
           },
         ],
         isError: true,
       }
+      return response
     }
   }
 
@@ -461,7 +990,7 @@ export class WyreupMcpServer {
         if (this.DEBUG && chunkCount <= 5) {
           console.log(
             chalk.blue(
-              `[DEBUG] Stream chunk ${chunkCount}: ${text.substring(0, 100)}${
+              `[DEBUG] Stream chunk ${chunkCount}: ${redactor.text(text.substring(0, 100))}${
                 text.length > 100 ? '...' : ''
               }`
             )
@@ -506,7 +1035,32 @@ export class WyreupMcpServer {
     }
   }
 
-  async runStdio() {
+  /**
+   * Start the standalone callback listener of stdio mode once a tool awaits callbacks
+   */
+  async startStdioCallbackListener() {
+    if (this.callbackListener || !this.validatedTools.some(tool => tool.awaitCallback)) {
+      return
+    }
+    const { port, host } = this.stdioCallbackAddress
+    this.listenUrl = `http://${host}:${port}`
+    this.callbackListener = await startCallbackListener(port, host, (req, res) => this.handleCallback(req, res))
+    // stdout carries the MCP protocol, so log to stderr
+    console.error(chalk.green(`Callback receiver listening on ${this.listenUrl}${CALLBACK_PATH_PREFIX}:jobId`))
+  }
+
+  /**
+   * Run the server over stdio
+   * When a tool awaits inbound callbacks, a standalone HTTP listener serves
+   * /callback/:jobId on the given port.
+   *
+   * @param {number} port - Port for the callback listener
+   * @param {string} host - Host for the callback listener
+   */
+  async runStdio(port = 3333, host = 'localhost') {
+    this.stdioCallbackAddress = { port, host }
+    await this.startStdioCallbackListener()
+
     const transport = new StdioServerTransport()
     await this.server.connect(transport)
     if (this.DEBUG) {
@@ -515,16 +1069,21 @@ export class WyreupMcpServer {
   }
 
   async runSse(port = 3333, host = 'localhost') {
+    this.listenUrl = `http://${host}:${port}`
     try {
       const { createServer } = await import('http')
       const { URL } = await import('url')
       const httpServer = createServer(async (req, res) => {
-        // Enable CORS
-        res.setHeader('Access-Control-Allow-Origin', '*')
+        // Enable CORS for the configured origins
+        if (!applyCors(this.accessPolicy, req, res)) {
+          res.writeHead(403, { 'Content-Type': 'text/plain' })
+          res.end('Origin not allowed')
+          return
+        }
         res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
         res.setHeader(
           'Access-Control-Allow-Headers',
-          'Content-Type, Mcp-Session-Id'
+          'Content-Type, Mcp-Session-Id, Authorization, X-API-Key'
         )
 
         if (req.method === 'OPTIONS') {
@@ -535,45 +1094,23 @@ export class WyreupMcpServer {
 
         const url = new URL(req.url || '', `http://${host}:${port}`)
 
+        let client
+        if (url.pathname === '/sse' || url.pathname === '/messages') {
+          const auth = await authenticateRequest(this.accessPolicy, req)
+          if (!auth.client) {
+            res.writeHead(auth.status, { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Bearer' })
+            res.end(auth.error)
+            return
+          }
+          client = auth.client
+        }
+
         if (url.pathname === '/sse' && req.method === 'GET') {
           // Handle SSE connection establishment
           const transport = new SSEServerTransport('/messages', res)
           
-          // Create a new server instance for this connection
-          const connectionServer = new McpServer({
-            name: 'wyreup-mcp',
-            version: '0.1.0'
-          })
-          
-          // Re-register all tools for this connection
-          this.validatedTools.forEach((tool) => {
-            const zodSchema = this.convertJsonSchemaToZod(tool.input || {
-              type: 'object',
-              properties: {},
-              required: [],
-            })
-            const schemaWithDescription = zodSchema.describe(tool.description || `Tool: ${tool.name}`)
-            
-            connectionServer.tool(
-              tool.name,
-              schemaWithDescription,
-              async (params) => {
-                const result = await executeTool(
-                  tool,
-                  params,
-                  {},
-                  {
-                    DEBUG: this.DEBUG,
-                    toolsBaseUrl: this.toolsConfig.base_url,
-                  }
-                )
-                return this.formatToolResponse(result, tool.name)
-              }
-            )
-          })
-          
-          // Add built-in health monitoring tools to this connection
-          this.setupHealthToolsForConnection(connectionServer)
+          // Create a new server instance for this connection, limited to the client's tools
+          const connectionServer = this.createSessionServer(client)
           
           await connectionServer.connect(transport)
           
@@ -582,7 +1119,7 @@ export class WyreupMcpServer {
             console.log(chalk.blue(`[DEBUG] Transport available: ${!!transport}`))
           }
           
-          this.transports[transport.sessionId] = { transport, server: connectionServer }
+          this.transports[transport.sessionId] = { transport, server: connectionServer, client }
           
           res.on('close', () => {
             if (transport.sessionId && this.transports[transport.sessionId]) {
@@ -599,11 +1136,17 @@ export class WyreupMcpServer {
             console.log(chalk.blue(`[DEBUG] Stored transport for session: ${transport.sessionId}`))
             console.log(chalk.blue(`[DEBUG] Active sessions: ${Object.keys(this.transports).join(', ')}`))
           }
+        } else if (url.pathname.startsWith(CALLBACK_PATH_PREFIX)) {
+          await this.handleCallback(req, res)
         } else if (url.pathname === '/messages' && req.method === 'POST') {
           // Handle POST messages to the SSE transport
           const sessionId = url.searchParams.get('sessionId')
           const connectionInfo = this.transports[sessionId]
-          if (connectionInfo && connectionInfo.transport) {
+          if (connectionInfo && connectionInfo.client.name !== client.name) {
+            // Sessions stay bound to the client that opened them
+            res.writeHead(403, { 'Content-Type': 'text/plain' })
+            res.end('Session belongs to another client')
+          } else if (connectionInfo && connectionInfo.transport) {
             let body = ''
             req.on('data', chunk => {
               body += chunk.toString()
@@ -644,6 +1187,7 @@ export class WyreupMcpServer {
           console.log(
             chalk.green(`✅ SSE server active on http://${host}:${port}`)
           )
+          this.warnAboutHiddenTools()
           if (this.DEBUG) {
             console.log(
               chalk.blue(`[DEBUG] WyreUP MCP Server running on SSE transport`)
@@ -673,11 +1217,330 @@ export class WyreupMcpServer {
     }
   }
 
+  /**
+   * Point out tools remote clients cannot reach because no client authentication is configured
+   */
+  warnAboutHiddenTools() {
+    if (this.accessPolicy.enabled) {
+      return
+    }
+    const hidden = this.validatedTools.filter(tool => !canUseTool(ANONYMOUS_CLIENT, tool))
+    if (hidden.length > 0) {
+      console.log(chalk.yellow(
+        `Unauthenticated clients only get public, unpaid tools. Not offered: ${hidden.map(tool => tool.name).join(', ')} ` +
+        '(see server.auth in the README)'
+      ))
+    }
+  }
+
+  /**
+   * Run the server over the Streamable HTTP transport on a single /mcp endpoint
+   * POST carries JSON-RPC messages, GET opens the standalone SSE stream
+   * (resumable via Last-Event-ID) and DELETE terminates the session.
+   *
+   * @param {number} port - Port to listen on
+   * @param {string} host - Host to bind to
+   */
+  async runHttp(port = 3333, host = 'localhost') {
+    this.listenUrl = `http://${host}:${port}`
+    try {
+      const { createServer } = await import('http')
+      const { URL } = await import('url')
+      const httpServer = createServer(async (req, res) => {
+        // Enable CORS for the configured origins
+        if (!applyCors(this.accessPolicy, req, res)) {
+          res.writeHead(403, { 'Content-Type': 'text/plain' })
+          res.end('Origin not allowed')
+          return
+        }
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS')
+        res.setHeader(
+          'Access-Control-Allow-Headers',
+          'Content-Type, Accept, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID, Authorization, X-API-Key'
+        )
+        res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id')
+
+        if (req.method === 'OPTIONS') {
+          res.writeHead(200)
+          res.end()
+          return
+        }
+
+        const url = new URL(req.url || '', `http://${host}:${port}`)
+
+        if (url.pathname.startsWith(CALLBACK_PATH_PREFIX)) {
+          await this.handleCallback(req, res)
+          return
+        }
+
+        if (url.pathname !== '/mcp') {
+          res.writeHead(404, { 'Content-Type': 'text/plain' })
+          res.end('Not found')
+          return
+        }
+
+        try {
+          await this.handleHttpRequest(req, res)
+        } catch (error) {
+          console.error(chalk.red(`Error handling MCP HTTP request: ${error.message}`))
+          if (!res.headersSent) {
+            sendJsonRpcError(res, 500, -32603, 'Internal server error')
+          }
+        }
+      })
+
+      return new Promise((resolve, reject) => {
+        httpServer.listen(port, host, (error) => {
+          if (error) {
+            reject(error)
+            return
+          }
+
+          console.log(
+            chalk.green(`✅ Streamable HTTP server active on http://${host}:${port}/mcp`)
+          )
+          this.startSessionSweep()
+          this.warnAboutHiddenTools()
+          if (this.DEBUG) {
+            console.log(
+              chalk.blue(`[DEBUG] WyreUP MCP Server running on Streamable HTTP transport`)
+            )
+            console.log(
+              chalk.blue(
+                `[DEBUG] Available tools: ${this.validatedTools
+                  .map((t) => t.name)
+                  .join(', ')}`
+              )
+            )
+          }
+          resolve()
+        })
+
+        httpServer.on('error', reject)
+      })
+    } catch (error) {
+      console.error(chalk.red(`Failed to start HTTP server: ${error.message}`))
+      throw error
+    }
+  }
+
+  /**
+   * Periodically close Streamable HTTP sessions idle for longer than server.sessions.idleTimeout
+   * Clients that leave without sending DELETE would otherwise keep their transport,
+   * session server and event history for the life of the process.
+   */
+  startSessionSweep() {
+    const idleTimeout = this.toolsConfig.server?.sessions?.idleTimeout || DEFAULT_SESSION_IDLE_TIMEOUT
+    const timer = setInterval(() => this.closeIdleSessions(idleTimeout), Math.min(idleTimeout, MAX_SESSION_SWEEP_INTERVAL))
+    // The sweep alone must not keep the process running
+    timer.unref()
+  }
+
+  /**
+   * Close Streamable HTTP sessions without open requests that were last seen before the idle timeout
+   * @param {number} idleTimeout - Idle time in milliseconds
+   */
+  closeIdleSessions(idleTimeout) {
+    const now = Date.now()
+    for (const [sessionId, connection] of Object.entries(this.transports)) {
+      if (connection.lastSeen === undefined || connection.openRequests > 0 || now - connection.lastSeen < idleTimeout) {
+        continue
+      }
+      if (this.DEBUG) {
+        console.log(chalk.blue(`[DEBUG] Closing idle session: ${sessionId}`))
+      }
+      // Closing the server closes the transport, which removes the session
+      connection.server.close().catch((error) => {
+        console.error(chalk.red(`Error closing idle session ${sessionId}: ${error.message}`))
+      })
+    }
+  }
+
+  /**
+   * Record a request on a Streamable HTTP session for idle expiry
+   * A session with a request or stream still open is never idle.
+   *
+   * @param {Object} connection - Session entry in this.transports
+   * @param {ServerResponse} res - Response of the request
+   */
+  trackSessionRequest(connection, res) {
+    connection.lastSeen = Date.now()
+    connection.openRequests++
+    res.once('close', () => {
+      connection.openRequests--
+      connection.lastSeen = Date.now()
+    })
+  }
+
+  /**
+   * Route a single /mcp request to its session transport, creating a session on initialize
+   * Every request is authenticated; a session only accepts the client that created it.
+   *
+   * @param {IncomingMessage} req - HTTP request
+   * @param {ServerResponse} res - HTTP response
+   */
+  async handleHttpRequest(req, res) {
+    const auth = await authenticateRequest(this.accessPolicy, req)
+    if (!auth.client) {
+      res.setHeader('WWW-Authenticate', 'Bearer')
+      sendJsonRpcError(res, auth.status, -32001, auth.error)
+      return
+    }
+    const { client } = auth
+
+    const sessionId = req.headers['mcp-session-id']
+    const connectionInfo = sessionId ? this.transports[sessionId] : undefined
+
+    if (connectionInfo && !(connectionInfo.transport instanceof StreamableHTTPServerTransport)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: Session uses a different transport')
+      return
+    }
+
+    if (connectionInfo && connectionInfo.client.name !== client.name) {
+      sendJsonRpcError(res, 403, -32000, 'Forbidden: Session belongs to another client')
+      return
+    }
+    if (connectionInfo) {
+      this.trackSessionRequest(connectionInfo, res)
+    }
+
+    if (req.method !== 'POST') {
+      // GET (standalone stream / resume) and DELETE (teardown) need an existing session
+      if (!connectionInfo) {
+        sendJsonRpcError(res, sessionId ? 404 : 400, sessionId ? -32001 : -32000,
+          sessionId ? 'Session not found' : 'Bad Request: Mcp-Session-Id header is required')
+        return
+      }
+      if (this.DEBUG && req.method === 'GET' && req.headers['last-event-id']) {
+        console.log(chalk.blue(`[DEBUG] Resuming session ${sessionId} after event ${req.headers['last-event-id']}`))
+      }
+      await connectionInfo.transport.handleRequest(req, res)
+      return
+    }
+
+    let body
+    try {
+      body = await readJsonBody(req)
+    } catch (error) {
+      sendJsonRpcError(res, 400, -32700, 'Parse error: Invalid JSON')
+      return
+    }
+
+    if (connectionInfo) {
+      await connectionInfo.transport.handleRequest(req, res, body)
+      return
+    }
+
+    if (sessionId) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found')
+      return
+    }
+
+    if (!isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided')
+      return
+    }
+
+    const maxSessions = this.toolsConfig.server?.sessions?.max || DEFAULT_MAX_SESSIONS
+    const openSessions = Object.values(this.transports)
+      .filter(connection => connection.transport instanceof StreamableHTTPServerTransport).length
+    if (openSessions >= maxSessions) {
+      sendJsonRpcError(res, 503, -32000, 'Service Unavailable: Too many sessions')
+      return
+    }
+
+    const eventStore = new InMemoryEventStore()
+    const connectionServer = this.createSessionServer(client)
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      eventStore,
+      onsessioninitialized: (newSessionId) => {
+        this.transports[newSessionId] = { transport, server: connectionServer, client, lastSeen: Date.now(), openRequests: 0 }
+        if (this.DEBUG) {
+          console.log(chalk.blue(`[DEBUG] HTTP session initialized: ${newSessionId}`))
+          console.log(chalk.blue(`[DEBUG] Active sessions: ${Object.keys(this.transports).join(', ')}`))
+        }
+      }
+    })
+
+    // Protocol.connect() takes over transport.onclose, so hook the server's close instead
+    connectionServer.server.onclose = () => {
+      const closedSessionId = transport.sessionId
+      if (closedSessionId && this.transports[closedSessionId]) {
+        delete this.transports[closedSessionId]
+        eventStore.clear()
+        if (this.DEBUG) {
+          console.log(chalk.blue(`[DEBUG] Cleaned up session: ${closedSessionId}`))
+        }
+      }
+    }
+
+    await connectionServer.connect(transport)
+    await transport.handleRequest(req, res, body)
+  }
+
   async close() {
     await this.server.close()
   }
 }
 
+/**
+ * Public view of a job record (input and forwarded headers are left out)
+ * @param {string} jobId - Job identifier
+ * @param {Object} job - Job record
+ * @returns {Object} Job summary
+ */
+function summarizeJob(jobId, job) {
+  return {
+    jobId,
+    tool: job.toolName,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    updatedAt: job.timestamp,
+    ...(job.awaitingCallback && { awaitingCallback: true, callbackDeadline: job.callbackDeadline, acknowledgement: job.acknowledgement }),
+    ...(job.error && { error: job.error })
+  }
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {IncomingMessage} req - HTTP request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    req.on('data', chunk => {
+      body += chunk.toString()
+    })
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body))
+      } catch (error) {
+        reject(error)
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+/**
+ * Write a JSON-RPC error response with no request id
+ * @param {ServerResponse} res - HTTP response
+ * @param {number} httpStatus - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ */
+function sendJsonRpcError(res, httpStatus, code, message) {
+  res.writeHead(httpStatus, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  }))
+}
+
 /**
  * Factory function to create MCP server instances
  * This abstraction allows for future SDK changes without affecting main code
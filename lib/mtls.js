@@ -0,0 +1,79 @@
+import fs from 'fs'
+import path from 'path'
+
+// PEM material of an mtls auth block; each may be given inline, as a file path or via an env var
+export const MTLS_MATERIALS = ['cert', 'key', 'ca']
+
+// Absolute path -> file contents, read once per manifest load
+const loadedFiles = new Map()
+
+/**
+ * Build undici connect options from an mtls auth block (auth.type "mtls")
+ *
+ * Certificate files are read on first use and kept until the manifest is
+ * reloaded (see clearTlsFiles), so rotated files take effect on the next hot
+ * reload: the connection pool moves to a new Agent when the TLS material
+ * changes (see httpAgents.js).
+ * @param {Object} auth - Tool auth config
+ * @returns {Object} - {cert, key, ca?, passphrase?, servername?, rejectUnauthorized?}
+ * @throws {Error} - When certificate material cannot be loaded
+ */
+export function resolveTlsOptions(auth) {
+  const options = {}
+  MTLS_MATERIALS.forEach(material => {
+    const value = resolveMaterial(auth, material)
+    if (value) {
+      options[material] = value
+    }
+  })
+  if (!options.cert || !options.key) {
+    throw new Error('mTLS requires a client certificate and key')
+  }
+
+  const passphrase = auth.passphraseFromEnv && process.env[auth.passphraseFromEnv]
+    ? process.env[auth.passphraseFromEnv]
+    : auth.passphrase
+  if (passphrase) {
+    options.passphrase = passphrase
+  }
+  if (auth.servername) {
+    options.servername = auth.servername
+  }
+  if (auth.rejectUnauthorized === false) {
+    options.rejectUnauthorized = false
+  }
+  return options
+}
+
+/**
+ * Forget the certificate files read so far, so the next calls read them again
+ * Called when the manifest is reloaded.
+ */
+export function clearTlsFiles() {
+  loadedFiles.clear()
+}
+
+// Env var first, then inline PEM, then a file path (relative to the working directory)
+function resolveMaterial(auth, material) {
+  const envName = auth[`${material}FromEnv`]
+  if (envName && process.env[envName]) {
+    return process.env[envName]
+  }
+  if (auth[material]) {
+    return auth[material]
+  }
+  const file = auth[`${material}File`]
+  if (!file) {
+    return null
+  }
+  const filePath = path.resolve(process.cwd(), file)
+  if (!loadedFiles.has(filePath)) {
+    try {
+      loadedFiles.set(filePath, fs.readFileSync(filePath, 'utf-8'))
+    } catch (error) {
+      // Not remembered, so a file that appears later is picked up
+      throw new Error(`Cannot read mTLS ${material} file ${filePath}: ${error.code || error.message}`)
+    }
+  }
+  return loadedFiles.get(filePath)
+}
@@ -0,0 +1,162 @@
+import { fetch } from 'undici'
+import chalk from 'chalk'
+import { redactor } from './redaction.js'
+
+export const OAUTH2_AUTH_TYPES = ['oauth2_client_credentials', 'oauth2_refresh_token']
+export const OAUTH2_CLIENT_AUTH_METHODS = ['body', 'basic']
+
+const TOKEN_REQUEST_TIMEOUT = 10000
+const EXPIRY_MARGIN = 60 * 1000 // Refresh tokens a minute before they expire
+
+/**
+ * OAuth2 access token cache for webhook tools
+ *
+ * Tokens are fetched from the tool's tokenUrl and shared by every tool using the
+ * same client (tokenUrl, clientId, grant, scope and audience). Concurrent callers
+ * wait on a single token request. Rotated refresh tokens are kept in memory only.
+ */
+class OAuth2TokenManager {
+  constructor() {
+    this.tokens = new Map()
+    this.pending = new Map()
+    this.refreshTokens = new Map()
+  }
+
+  /**
+   * Get a valid access token, requesting one if none is cached or it is about to expire
+   * @param {Object} auth - Tool auth config (oauth2_* type)
+   * @param {boolean} DEBUG - Debug logging
+   * @param {Object} dispatcher - undici dispatcher for the token request (the tool's pools and proxy)
+   * @returns {Promise<string>} - Access token
+   */
+  async getAccessToken(auth, DEBUG = false, dispatcher = undefined) {
+    const key = this.cacheKey(auth)
+    const cached = this.tokens.get(key)
+    if (cached && (!cached.expiresAt || cached.expiresAt > Date.now())) {
+      return cached.accessToken
+    }
+
+    if (!this.pending.has(key)) {
+      const request = this.requestToken(auth, key, DEBUG, dispatcher)
+        .then((token) => {
+          this.tokens.set(key, token)
+          return token.accessToken
+        })
+        .finally(() => this.pending.delete(key))
+      this.pending.set(key, request)
+    } else if (DEBUG) {
+      console.log(chalk.blueBright(`[DEBUG]   Waiting for in-flight OAuth2 token request to ${auth.tokenUrl}`))
+    }
+    return this.pending.get(key)
+  }
+
+  /**
+   * Drop a token the webhook rejected, unless another caller already replaced it
+   * @param {Object} auth - Tool auth config
+   * @param {string} rejectedToken - Token that got a 401
+   */
+  invalidate(auth, rejectedToken) {
+    const key = this.cacheKey(auth)
+    if (this.tokens.get(key)?.accessToken === rejectedToken) {
+      this.tokens.delete(key)
+    }
+  }
+
+  /**
+   * Forget all cached tokens (rotated refresh tokens are kept)
+   */
+  clear() {
+    this.tokens.clear()
+  }
+
+  cacheKey(auth) {
+    return [auth.type, auth.tokenUrl, resolveSecret(auth.clientId, auth.clientIdFromEnv), auth.scope, auth.audience].join('|')
+  }
+
+  async requestToken(auth, key, DEBUG, dispatcher) {
+    const clientId = resolveSecret(auth.clientId, auth.clientIdFromEnv)
+    const clientSecret = resolveSecret(auth.clientSecret, auth.clientSecretFromEnv)
+    const params = new URLSearchParams()
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    }
+
+    if (auth.type === 'oauth2_refresh_token') {
+      const refreshToken = this.refreshTokens.get(key) || resolveSecret(auth.refreshToken, auth.refreshTokenFromEnv)
+      params.set('grant_type', 'refresh_token')
+      params.set('refresh_token', refreshToken || '')
+    } else {
+      params.set('grant_type', 'client_credentials')
+    }
+    if (auth.scope) {
+      params.set('scope', auth.scope)
+    }
+    if (auth.audience) {
+      params.set('audience', auth.audience)
+    }
+
+    if (auth.clientAuthMethod === 'basic' && clientSecret) {
+      const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`
+    } else {
+      params.set('client_id', clientId || '')
+      if (clientSecret) {
+        params.set('client_secret', clientSecret)
+      }
+    }
+
+    if (DEBUG) {
+      console.log(chalk.blueBright(`[DEBUG]   Requesting OAuth2 token (${params.get('grant_type')}) from ${auth.tokenUrl}`))
+    }
+
+    const response = await fetch(auth.tokenUrl, {
+      method: 'POST',
+      headers,
+      body: params.toString(),
+      signal: AbortSignal.timeout(TOKEN_REQUEST_TIMEOUT),
+      dispatcher
+    })
+
+    let body
+    try {
+      body = await response.json()
+    } catch {
+      body = null
+    }
+    if (!response.ok || !body || typeof body.access_token !== 'string') {
+      const reason = body && body.error
+        ? `${body.error}${body.error_description ? `: ${body.error_description}` : ''}`
+        : `HTTP ${response.status}`
+      throw new Error(`OAuth2 token request to ${auth.tokenUrl} failed (${reason})`)
+    }
+
+    redactor.addSecret(body.access_token)
+    if (typeof body.refresh_token === 'string' && body.refresh_token) {
+      this.refreshTokens.set(key, body.refresh_token)
+      redactor.addSecret(body.refresh_token)
+    }
+
+    // Without expires_in the token is kept until the webhook rejects it
+    const expiresIn = Number(body.expires_in) * 1000
+    const expiresAt = expiresIn > 0
+      ? Date.now() + expiresIn - Math.min(EXPIRY_MARGIN, expiresIn / 2)
+      : null
+
+    if (DEBUG) {
+      console.log(chalk.blueBright(`[DEBUG]   Received OAuth2 token${expiresAt ? `, valid until ${new Date(expiresAt).toISOString()}` : ''}`))
+    }
+    return { accessToken: body.access_token, expiresAt }
+  }
+}
+
+// Environment variable values take precedence over inline values
+function resolveSecret(value, envName) {
+  if (envName && process.env[envName]) {
+    return process.env[envName]
+  }
+  return value
+}
+
+// Export singleton instance
+export const oauth2Tokens = new OAuth2TokenManager()
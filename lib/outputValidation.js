@@ -0,0 +1,90 @@
+import { z } from 'zod'
+import { jsonSchemaToZod } from './jsonSchemaToZod.js'
+
+export const OUTPUT_VALIDATION_MODES = ['off', 'warn', 'strict']
+
+// Compiled output schemas, keyed by tool config object
+const compiledSchemas = new WeakMap()
+
+/**
+ * Get the output validation mode for a tool
+ * @param {Object} toolConfig - Tool configuration
+ * @returns {string} - One of OUTPUT_VALIDATION_MODES (default: 'off')
+ */
+export function getOutputValidationMode(toolConfig) {
+  return OUTPUT_VALIDATION_MODES.includes(toolConfig.outputValidation)
+    ? toolConfig.outputValidation
+    : 'off'
+}
+
+function compileOutputSchema(toolConfig) {
+  if (!compiledSchemas.has(toolConfig)) {
+    const { schema } = jsonSchemaToZod(toolConfig.output, { path: `${toolConfig.name}.output` })
+    compiledSchemas.set(toolConfig, schema)
+  }
+  return compiledSchemas.get(toolConfig)
+}
+
+/**
+ * Build the object schema published as the tool's MCP outputSchema
+ * Only strict tools with an object root schema publish one: clients reject
+ * results whose structuredContent does not match a published schema, and only
+ * strict mode guarantees that successful responses match.
+ *
+ * @param {Object} toolConfig - Tool configuration
+ * @returns {Object|null} - Zod object schema, or null when nothing should be published
+ */
+export function buildToolOutputSchema(toolConfig) {
+  if (getOutputValidationMode(toolConfig) !== 'strict' || !toolConfig.output) {
+    return null
+  }
+  const schema = compileOutputSchema(toolConfig)
+  return schema instanceof z.ZodObject ? schema : null
+}
+
+/**
+ * Shape webhook data as MCP structuredContent (which must be an object)
+ * Non-object responses are wrapped as `{ result: data }`, matching the
+ * default output schema of simplified tools.
+ *
+ * @param {*} data - Webhook response data
+ * @returns {Object} - Structured content object
+ */
+export function toStructuredContent(data) {
+  if (data !== null && typeof data === 'object' && !Array.isArray(data)) {
+    return data
+  }
+  return { result: data }
+}
+
+/**
+ * Validate webhook response data against the tool's declared output schema
+ * @param {Object} toolConfig - Tool configuration
+ * @param {*} data - Parsed webhook response
+ * @returns {Object|null} - {valid, errors: [{path, message}]} or null when validation is off
+ */
+export function validateToolOutput(toolConfig, data) {
+  if (getOutputValidationMode(toolConfig) === 'off' || !toolConfig.output) {
+    return null
+  }
+
+  const result = compileOutputSchema(toolConfig).safeParse(data)
+  if (result.success) {
+    return { valid: true, errors: [] }
+  }
+
+  return {
+    valid: false,
+    errors: result.error.issues.map(issue => ({
+      path: formatPath(issue.path),
+      message: issue.message
+    }))
+  }
+}
+
+function formatPath(segments) {
+  return segments.reduce(
+    (path, segment) => typeof segment === 'number' ? `${path}[${segment}]` : `${path}.${segment}`,
+    '$'
+  )
+}
@@ -0,0 +1,175 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Rate limit state stores
+ *
+ * A store keeps one small JSON state per limit key. Every backend exposes the
+ * same interface:
+ *   update(keys, fn) - atomically read the states of `keys`, call
+ *                      fn(states) -> {states, result}, save the new states
+ *                      (a missing state deletes the key) and resolve to `result`
+ *   clear()          - drop every state
+ *   close()          - release resources
+ * States carry an `expiresAt` timestamp after which the store may drop them.
+ */
+
+export const RATE_LIMIT_STORE_TYPES = ['memory', 'file']
+
+// Relative to the working directory, so other users on the host cannot read or reset the limits
+const DEFAULT_FILE_PATH = '.wyreup-rate-limits.json'
+// How long to wait for another process to release the file lock
+const LOCK_TIMEOUT = 2000
+// A lock older than this was left behind by a crashed process
+const STALE_LOCK_AGE = 10000
+const SWEEP_INTERVAL = 1000
+
+/**
+ * In-memory store (default). Limits apply to this process only.
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.states = new Map()
+    this.updates = 0
+  }
+
+  async update(keys, fn) {
+    if (++this.updates % SWEEP_INTERVAL === 0) {
+      this.sweep()
+    }
+    const { states, result } = fn(keys.map(key => this.states.get(key)))
+    keys.forEach((key, index) => {
+      if (states[index]) {
+        this.states.set(key, states[index])
+      } else {
+        this.states.delete(key)
+      }
+    })
+    return result
+  }
+
+  sweep() {
+    const now = Date.now()
+    for (const [key, state] of this.states) {
+      if (state.expiresAt <= now) {
+        this.states.delete(key)
+      }
+    }
+  }
+
+  clear() {
+    this.states.clear()
+  }
+
+  close() {}
+}
+
+/**
+ * File-backed store shared by every process on the host that uses the same path
+ * Updates hold an exclusive lock file (`<path>.lock`) while they rewrite the JSON state file.
+ */
+export class FileRateLimitStore {
+  /**
+   * @param {string} filePath - Path to the JSON state file
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(process.cwd(), filePath)
+    this.lockPath = `${this.filePath}.lock`
+    // Updates from this process run one at a time instead of competing for the lock
+    this.queue = Promise.resolve()
+  }
+
+  update(keys, fn) {
+    const run = this.queue.then(() => this.withLock(() => {
+      const data = this.read()
+      const now = Date.now()
+      for (const [key, state] of Object.entries(data)) {
+        if (state.expiresAt <= now) {
+          delete data[key]
+        }
+      }
+      const { states, result } = fn(keys.map(key => data[key]))
+      keys.forEach((key, index) => {
+        if (states[index]) {
+          data[key] = states[index]
+        } else {
+          delete data[key]
+        }
+      })
+      this.write(data)
+      return result
+    }))
+    this.queue = run.catch(() => {})
+    return run
+  }
+
+  clear() {
+    return this.queue.then(() => this.withLock(() => this.write({})))
+  }
+
+  close() {}
+
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf-8'))
+    } catch (error) {
+      // Missing or torn file: start over rather than block every request
+      return {}
+    }
+  }
+
+  write(data) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`
+    fs.writeFileSync(tempPath, JSON.stringify(data), { mode: 0o600 })
+    fs.renameSync(tempPath, this.filePath)
+  }
+
+  async withLock(fn) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 })
+    const deadline = Date.now() + LOCK_TIMEOUT
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(this.lockPath, 'wx'))
+        break
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error
+        }
+      }
+      if (isStaleLock(this.lockPath)) {
+        fs.rmSync(this.lockPath, { force: true })
+        continue
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for rate limit lock ${this.lockPath}`)
+      }
+      await new Promise(resolve => setTimeout(resolve, 5))
+    }
+    try {
+      return fn()
+    } finally {
+      fs.rmSync(this.lockPath, { force: true })
+    }
+  }
+}
+
+function isStaleLock(lockPath) {
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_AGE
+  } catch {
+    // Released meanwhile
+    return false
+  }
+}
+
+/**
+ * Create a rate limit store from manifest configuration
+ * @param {Object} config - `rateLimiting` block from the manifest ({store, path})
+ * @returns {MemoryRateLimitStore|FileRateLimitStore} - Configured store
+ */
+export function createRateLimitStore(config = {}) {
+  if (config.store === 'file') {
+    return new FileRateLimitStore(config.path || DEFAULT_FILE_PATH)
+  }
+  return new MemoryRateLimitStore()
+}
@@ -1,105 +1,251 @@
 import chalk from 'chalk'
+import { MemoryRateLimitStore, createRateLimitStore } from './rateLimitStore.js'
 
 /**
- * Simple in-memory rate limiter for webhook tools
- * Production systems should use Redis or similar for distributed rate limiting
+ * Rate limiter for webhook tools
+ *
+ * A limit is {requests, window, algorithm, key, burst}:
+ *   sliding-window (default) - weighted count of the current and previous window
+ *   fixed-window             - plain count per window
+ *   token-bucket             - `requests` tokens refilled per `window`, holding up to `burst`
+ * `key: "shared"` (default) gives the limit one budget; `key: "client"` gives
+ * every client its own. Tools have their own limits, and the manifest's
+ * `rateLimiting.global` limit spans all tools. State lives in a pluggable store
+ * (see rateLimitStore.js) so several processes can share limits.
  */
+
+export const RATE_LIMIT_ALGORITHMS = ['sliding-window', 'fixed-window', 'token-bucket']
+export const RATE_LIMIT_KEYS = ['shared', 'client']
+
+const DEFAULT_CALLER = 'stdio'
+
 class RateLimiter {
   constructor() {
-    this.windows = new Map()
+    this.store = new MemoryRateLimitStore()
+    this.globalLimit = null
+  }
+
+  /**
+   * Apply the manifest's "rateLimiting" block
+   * @param {Object} settings - {store, path, global}; `store` may also be a store instance
+   */
+  configure(settings = {}) {
+    this.store.close()
+    this.store = settings?.store && typeof settings.store === 'object'
+      ? settings.store
+      : createRateLimitStore(settings || {})
+    this.globalLimit = settings?.global || null
   }
 
   /**
-   * Check if request is within rate limit
+   * Count a request against the global limit and the tool's limit
+   * Nothing is counted unless every limit allows the request.
+   *
    * @param {string} toolName - Tool identifier
-   * @param {Object} config - Rate limit config {requests: number, window: number}
+   * @param {Object} config - Tool rate limit config (may be undefined)
+   * @param {string} caller - Client identity for `key: "client"` limits
    * @param {boolean} DEBUG - Debug logging
-   * @returns {boolean} - True if request is allowed
+   * @returns {Promise<Object>} - {allowed, retryAfter (seconds), retryAfterMs, scope, status}
    */
-  isAllowed(toolName, config, DEBUG = false) {
-    if (!config || !config.requests || !config.window) {
-      return true // No rate limiting configured
+  async consume(toolName, config, caller = DEFAULT_CALLER, DEBUG = false) {
+    const limits = this.getLimits(toolName, config, caller)
+    if (limits.length === 0) {
+      return { allowed: true }
     }
 
-    const now = Date.now()
-    const windowStart = now - config.window
-    
-    // Get or create window for this tool
-    if (!this.windows.has(toolName)) {
-      this.windows.set(toolName, [])
+    let outcome
+    try {
+      outcome = await this.store.update(limits.map(limit => limit.key), (states) => {
+        const now = Date.now()
+        const checks = limits.map((limit, index) => evaluate(limit.config, states[index], now))
+        const allowed = checks.every(check => check.allowed)
+        const next = allowed
+          ? limits.map((limit, index) => take(limit.config, checks[index].state, now))
+          : checks.map(check => check.state)
+        return { states: next, result: { allowed, checks } }
+      })
+    } catch (error) {
+      // An unavailable shared store should not take every tool down with it
+      console.error(chalk.red(`Rate limit store unavailable, allowing request: ${error.message}`))
+      return { allowed: true }
     }
-    
-    const requests = this.windows.get(toolName)
-    
-    // Clean old requests outside the window
-    const validRequests = requests.filter(timestamp => timestamp > windowStart)
-    this.windows.set(toolName, validRequests)
-    
-    // Check if we're within limits
-    if (validRequests.length >= config.requests) {
+
+    const blocked = outcome.checks
+      .map((check, index) => ({ ...check, limit: limits[index] }))
+      .filter(check => !check.allowed)
+      .sort((a, b) => b.retryAfter - a.retryAfter)[0]
+
+    if (blocked) {
       if (DEBUG) {
         console.warn(
           chalk.yellowBright(
-            `[DEBUG] Rate limit exceeded for ${toolName}: ${validRequests.length}/${config.requests} requests in ${config.window}ms window`
+            `[DEBUG] Rate limit exceeded for ${toolName} (${blocked.limit.name} limit, key ${blocked.limit.key}): retry after ${blocked.retryAfter}ms`
           )
         )
       }
-      return false
+      return {
+        allowed: false,
+        retryAfter: Math.ceil(blocked.retryAfter / 1000),
+        retryAfterMs: blocked.retryAfter,
+        scope: blocked.limit.name,
+        status: describe(blocked.limit.config, blocked.state, Date.now())
+      }
     }
-    
-    // Add current request
-    validRequests.push(now)
-    this.windows.set(toolName, validRequests)
-    
+
     if (DEBUG) {
-      console.log(
-        chalk.blueBright(
-          `[DEBUG] Rate limit check for ${toolName}: ${validRequests.length}/${config.requests} requests`
-        )
-      )
+      console.log(chalk.blueBright(`[DEBUG] Rate limit check for ${toolName}: allowed (${limits.map(limit => limit.key).join(', ')})`))
     }
-    
-    return true
+    return { allowed: true }
   }
 
   /**
-   * Get rate limit status for a tool
+   * Get rate limit status for a tool without counting a request
    * @param {string} toolName - Tool identifier
-   * @param {Object} config - Rate limit config
-   * @returns {Object} - Status object with current usage
+   * @param {Object} config - Tool rate limit config (may be undefined)
+   * @param {string} caller - Client identity for `key: "client"` limits
+   * @returns {Promise<Object>} - {tool, global}; each is null when that limit is not configured
    */
-  getStatus(toolName, config) {
-    if (!config || !this.windows.has(toolName)) {
-      return { requests: 0, limit: config?.requests || 0, resetTime: null }
+  async getStatus(toolName, config, caller = DEFAULT_CALLER) {
+    const limits = this.getLimits(toolName, config, caller)
+    const states = await this.store.update(limits.map(limit => limit.key), states => ({ states, result: states }))
+    const now = Date.now()
+    const status = { tool: null, global: null }
+    limits.forEach((limit, index) => {
+      status[limit.name === 'global' ? 'global' : 'tool'] = describe(limit.config, states[index], now)
+    })
+    return status
+  }
+
+  /**
+   * Clear all rate limiting data
+   */
+  clearAll() {
+    return this.store.clear()
+  }
+
+  getLimits(toolName, config, caller) {
+    const limits = []
+    if (this.globalLimit) {
+      limits.push({ name: 'global', config: this.globalLimit, key: limitKey('global', this.globalLimit, caller) })
+    }
+    // Tool limits without `requests` only carry queue settings (see callQueue.js)
+    if (config?.requests) {
+      limits.push({ name: 'tool', config, key: limitKey(`tool:${toolName}`, config, caller) })
     }
+    return limits
+  }
+}
 
-    const now = Date.now()
-    const windowStart = now - config.window
-    const requests = this.windows.get(toolName)
-    const validRequests = requests.filter(timestamp => timestamp > windowStart)
-    
+function limitKey(base, config, caller) {
+  return config.key === 'client' ? `${base}|${caller || DEFAULT_CALLER}` : base
+}
+
+/**
+ * Bring a state up to date and decide whether one more request fits
+ * @returns {Object} - {allowed, retryAfter (ms), state}
+ */
+function evaluate(config, previous, now) {
+  const algorithm = config.algorithm || 'sliding-window'
+  // A state written by another algorithm (after a config change) starts over
+  const state = previous?.algorithm === algorithm ? previous : null
+
+  if (algorithm === 'token-bucket') {
+    const capacity = config.burst || config.requests
+    const rate = config.requests / config.window
+    const tokens = state ? Math.min(capacity, state.tokens + (now - state.updatedAt) * rate) : capacity
+    const allowed = tokens >= 1
     return {
-      requests: validRequests.length,
-      limit: config.requests,
-      resetTime: validRequests.length > 0 ? validRequests[0] + config.window : null
+      allowed,
+      retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / rate),
+      state: { algorithm, tokens, updatedAt: now, expiresAt: now + Math.ceil((capacity - tokens) / rate) }
     }
   }
 
-  /**
-   * Clear rate limiting data for a tool
-   * @param {string} toolName - Tool identifier
-   */
-  clear(toolName) {
-    this.windows.delete(toolName)
+  const windowStart = Math.floor(now / config.window) * config.window
+  if (algorithm === 'fixed-window') {
+    const count = state?.windowStart === windowStart ? state.count : 0
+    const allowed = count < config.requests
+    return {
+      allowed,
+      retryAfter: allowed ? 0 : windowStart + config.window - now,
+      state: { algorithm, windowStart, count, expiresAt: windowStart + config.window }
+    }
   }
 
-  /**
-   * Clear all rate limiting data
-   */
-  clearAll() {
-    this.windows.clear()
+  // Sliding window counter: the previous window counts in proportion to its overlap
+  let count = 0
+  let previousCount = 0
+  if (state?.windowStart === windowStart) {
+    count = state.count
+    previousCount = state.previousCount
+  } else if (state?.windowStart === windowStart - config.window) {
+    previousCount = state.count
+  }
+  const elapsed = now - windowStart
+  const estimate = previousCount * (1 - elapsed / config.window) + count
+  const allowed = estimate + 1 <= config.requests
+  let retryAfter = 0
+  if (!allowed) {
+    // Wait until the previous window's share has shrunk enough; if this window alone
+    // is full, until its own share shrinks in the next window
+    const slack = config.requests - 1 - count
+    retryAfter = slack >= 0
+      ? Math.ceil(config.window * (1 - slack / previousCount)) - elapsed
+      : config.window - elapsed + Math.ceil(config.window * (1 - (config.requests - 1) / count))
+    retryAfter = Math.max(1, retryAfter)
+  }
+  return {
+    allowed,
+    retryAfter,
+    state: { algorithm, windowStart, count, previousCount, expiresAt: windowStart + 2 * config.window }
+  }
+}
+
+/**
+ * Count one request in an evaluated state
+ */
+function take(config, state) {
+  if (state.algorithm === 'token-bucket') {
+    const rate = config.requests / config.window
+    const capacity = config.burst || config.requests
+    const tokens = state.tokens - 1
+    return { ...state, tokens, expiresAt: state.updatedAt + Math.ceil((capacity - tokens) / rate) }
+  }
+  return { ...state, count: state.count + 1 }
+}
+
+/**
+ * Summarize a limit for status reports
+ */
+function describe(config, previous, now) {
+  const { state, retryAfter } = evaluate(config, previous, now)
+  const algorithm = state.algorithm
+  const capacity = algorithm === 'token-bucket' ? config.burst || config.requests : config.requests
+  let remaining
+  let resetTime
+  if (algorithm === 'token-bucket') {
+    remaining = Math.floor(state.tokens)
+    resetTime = state.tokens >= capacity ? null : state.expiresAt
+  } else if (algorithm === 'fixed-window') {
+    remaining = Math.max(0, config.requests - state.count)
+    resetTime = state.count > 0 ? state.windowStart + config.window : null
+  } else {
+    const used = state.previousCount * (1 - (now - state.windowStart) / config.window) + state.count
+    remaining = Math.max(0, Math.floor(config.requests - used))
+    resetTime = used > 0 ? state.windowStart + config.window : null
+  }
+  return {
+    algorithm,
+    key: config.key || 'shared',
+    limit: config.requests,
+    window: config.window,
+    ...(algorithm === 'token-bucket' && { burst: capacity }),
+    requests: capacity - remaining,
+    remaining,
+    resetTime,
+    retryAfter: Math.ceil(retryAfter / 1000)
   }
 }
 
 // Export singleton instance
-export const rateLimiter = new RateLimiter()
\ No newline at end of file
+export const rateLimiter = new RateLimiter()
@@ -0,0 +1,184 @@
+/**
+ * Redaction of secrets in logs, health records and error results
+ *
+ * Three things are masked:
+ *   - well-known credential headers (Authorization, X-API-Key, Cookie, ...)
+ *   - fields named by a tool's `redact` paths, in payloads and error details
+ *   - any occurrence of a secret value the server has resolved (auth values,
+ *     env and secret:// lookups, OAuth2 tokens), wherever it appears in text
+ */
+
+export const REDACTED = '[REDACTED]'
+
+const SENSITIVE_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'api-key',
+  'x-auth-token',
+  'x-access-token'
+]
+// Auth fields holding credentials; their `<field>FromEnv` variants are resolved too
+const SENSITIVE_AUTH_FIELDS = ['value', 'token', 'password', 'secret', 'clientSecret', 'refreshToken', 'key', 'passphrase']
+// Shorter values would mask ordinary words and numbers
+const MIN_SECRET_LENGTH = 6
+const MAX_TRACKED_SECRETS = 1000
+
+class Redactor {
+  constructor() {
+    this.secrets = new Set()
+    this.pattern = null
+  }
+
+  /**
+   * Remember a secret value so it is masked wherever it appears
+   * @param {string} value - Secret value
+   */
+  addSecret(value) {
+    if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH) {
+      return
+    }
+    // The URL-encoded form shows up in query strings
+    const forms = [value, encodeURIComponent(value)]
+    forms.forEach((form) => {
+      if (this.secrets.has(form)) {
+        // Move to the end so recently used secrets are kept longest
+        this.secrets.delete(form)
+      }
+      this.secrets.add(form)
+      this.pattern = null
+    })
+    while (this.secrets.size > MAX_TRACKED_SECRETS) {
+      this.secrets.delete(this.secrets.values().next().value)
+    }
+  }
+
+  /**
+   * Remember the credential values of a resolved auth block
+   * @param {Object} auth - Tool auth config
+   */
+  addAuthSecrets(auth) {
+    if (!auth || typeof auth !== 'object') {
+      return
+    }
+    SENSITIVE_AUTH_FIELDS.forEach((field) => {
+      this.addSecret(auth[field])
+      const envName = auth[`${field}FromEnv`]
+      if (envName) {
+        this.addSecret(process.env[envName])
+      }
+    })
+  }
+
+  /**
+   * Mask known secret values in a string
+   * @param {string} text - Text to redact
+   * @returns {string} - Redacted text
+   */
+  text(text) {
+    if (typeof text !== 'string' || this.secrets.size === 0) {
+      return text
+    }
+    if (!this.pattern) {
+      // Longest first, so a secret containing another is masked whole
+      const alternatives = [...this.secrets]
+        .sort((a, b) => b.length - a.length)
+        .map(secret => secret.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      this.pattern = new RegExp(alternatives.join('|'), 'g')
+    }
+    return text.replace(this.pattern, REDACTED)
+  }
+
+  /**
+   * Copy headers with credential headers masked and secret values removed
+   * @param {Object} headers - Header map
+   * @returns {Object} - Redacted copy
+   */
+  headers(headers) {
+    return Object.fromEntries(Object.entries(headers || {}).map(([name, value]) =>
+      [name, SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : this.text(String(value))]))
+  }
+
+  /**
+   * Deep-copy a value, masking fields matched by redact paths and secret values in strings
+   * A path without dots (`password`) matches that key at any depth; a dotted path
+   * (`customer.card.number`) matches from the root, with `*` for any key or index.
+   *
+   * @param {*} value - Payload, response body or result
+   * @param {Array<string>} paths - Tool `redact` paths
+   * @returns {*} - Redacted copy
+   */
+  value(value, paths = []) {
+    const patterns = (paths || []).map(entry => entry.split('.'))
+    const walk = (node, trail) => {
+      if (typeof node === 'string') {
+        return this.text(node)
+      }
+      if (node === null || typeof node !== 'object') {
+        return node
+      }
+      const entries = Array.isArray(node) ? node.map((item, index) => [index, item]) : Object.entries(node)
+      const copy = entries.map(([key, item]) => {
+        const itemTrail = [...trail, String(key)]
+        return [key, patterns.some(pattern => matchesPath(pattern, itemTrail)) ? REDACTED : walk(item, itemTrail)]
+      })
+      return Array.isArray(node) ? copy.map(([, item]) => item) : Object.fromEntries(copy)
+    }
+    return walk(value, [])
+  }
+
+  /**
+   * JSON for debug logs, with redaction applied
+   * @param {*} value - Value to print
+   * @param {Array<string>} paths - Tool `redact` paths
+   * @returns {string} - Indented JSON
+   */
+  json(value, paths = []) {
+    return JSON.stringify(this.value(value, paths), null, 2)
+  }
+
+  /**
+   * Copy a prepared manifest for display, with its credentials masked
+   * Inline values in auth blocks, webhook verification secrets and server client tokens
+   * are replaced; secret:// references and `FromEnv` names stay visible. The masked
+   * values are also removed wherever else they were interpolated (URLs, templates).
+   *
+   * @param {Object} config - Manifest after interpolation and transformation
+   * @returns {Object} - Redacted copy
+   */
+  manifest(config) {
+    const copy = structuredClone(config)
+    const blocks = [
+      ...(copy.tools || []).flatMap(tool => [tool.auth, tool.webhookVerification]),
+      ...(copy.server?.auth?.clients || [])
+    ]
+    blocks.forEach((block) => {
+      if (!block || typeof block !== 'object') {
+        return
+      }
+      SENSITIVE_AUTH_FIELDS.forEach((field) => {
+        if (typeof block[field] === 'string' && !block[field].startsWith('secret://')) {
+          this.addSecret(block[field])
+          block[field] = REDACTED
+        }
+        const envName = block[`${field}FromEnv`]
+        if (envName) {
+          this.addSecret(process.env[envName])
+        }
+      })
+    })
+    return this.value(copy)
+  }
+}
+
+function matchesPath(pattern, trail) {
+  if (pattern.length === 1) {
+    return trail[trail.length - 1] === pattern[0]
+  }
+  return pattern.length === trail.length && pattern.every((segment, index) => segment === '*' || segment === trail[index])
+}
+
+// Export singleton instance
+export const redactor = new Redactor()
@@ -0,0 +1,95 @@
+import crypto from 'crypto'
+import { resolveVerificationSecret } from './callbackReceiver.js'
+
+/**
+ * HMAC signing of outbound webhook requests (auth.type "hmac")
+ *
+ * Every attempt gets a fresh timestamp (seconds since the epoch) and nonce, sent
+ * in their own headers so receivers can reject replays. The signed payload
+ * depends on the canonicalization:
+ *   github  - the raw body; header value `sha256=<signature>`
+ *   stripe  - `${timestamp}.${body}`; header value `t=<timestamp>,v1=<signature>`
+ *   custom  - the `template` with {method}, {path}, {timestamp}, {nonce} and {body}
+ *             filled in; header value is the bare signature (the default)
+ */
+
+export const HMAC_CANONICALIZATIONS = ['custom', 'github', 'stripe']
+export const HMAC_TEMPLATE_FIELDS = ['method', 'path', 'timestamp', 'nonce', 'body']
+
+const DEFAULT_TEMPLATE = '{method}\n{path}\n{timestamp}\n{nonce}\n{body}'
+const DEFAULT_SIGNATURE_HEADERS = {
+  custom: 'X-Wyreup-Signature',
+  github: 'X-Hub-Signature-256',
+  stripe: 'X-Wyreup-Signature'
+}
+const DEFAULT_TIMESTAMP_HEADER = 'X-Wyreup-Timestamp'
+const DEFAULT_NONCE_HEADER = 'X-Wyreup-Nonce'
+
+/**
+ * Names of the headers an hmac auth block sets (incoming copies are dropped)
+ * @param {Object} auth - Tool auth config
+ * @returns {Array<string>} - Signature, timestamp and nonce header names
+ */
+export function getSigningHeaderNames(auth) {
+  const canonicalization = auth.canonicalization || 'custom'
+  return [
+    auth.signatureHeader || DEFAULT_SIGNATURE_HEADERS[canonicalization],
+    auth.timestampHeader || DEFAULT_TIMESTAMP_HEADER,
+    auth.nonceHeader || DEFAULT_NONCE_HEADER
+  ]
+}
+
+/**
+ * Sign an outbound request
+ * @param {Object} auth - Tool auth config (type "hmac")
+ * @param {Object} request - {method, url, body} as they will be sent
+ * @returns {Object} - Headers to add to the request
+ * @throws {Error} - When no secret is available
+ */
+export function signRequest(auth, { method, url, body }) {
+  // Same {secret, secretFromEnv} resolution as inbound callback verification
+  const secret = resolveVerificationSecret(auth)
+  if (!secret) {
+    throw new Error('No HMAC signing secret configured')
+  }
+
+  const canonicalization = auth.canonicalization || 'custom'
+  const algorithm = auth.algorithm || 'sha256'
+  const encoding = auth.encoding || 'hex'
+  const timestamp = String(Math.floor(Date.now() / 1000))
+  const nonce = crypto.randomUUID()
+  const rawBody = typeof body === 'string' ? body : ''
+  const parsedUrl = new URL(url)
+
+  let signedPayload
+  if (canonicalization === 'github') {
+    signedPayload = rawBody
+  } else if (canonicalization === 'stripe') {
+    signedPayload = `${timestamp}.${rawBody}`
+  } else {
+    const fields = {
+      method: method.toUpperCase(),
+      path: `${parsedUrl.pathname}${parsedUrl.search}`,
+      timestamp,
+      nonce,
+      body: rawBody
+    }
+    signedPayload = (auth.template || DEFAULT_TEMPLATE).replace(/\{(\w+)\}/g, (placeholder, name) =>
+      Object.hasOwn(fields, name) ? fields[name] : placeholder)
+  }
+
+  const signature = crypto.createHmac(algorithm, secret).update(signedPayload).digest(encoding)
+  const [signatureHeader, timestampHeader, nonceHeader] = getSigningHeaderNames(auth)
+  let headerValue = signature
+  if (canonicalization === 'github') {
+    headerValue = `${algorithm}=${signature}`
+  } else if (canonicalization === 'stripe') {
+    headerValue = `t=${timestamp},v1=${signature}`
+  }
+
+  return {
+    [signatureHeader]: headerValue,
+    [timestampHeader]: timestamp,
+    [nonceHeader]: nonce
+  }
+}
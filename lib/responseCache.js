@@ -0,0 +1,281 @@
+import chalk from 'chalk'
+import { MemoryCacheStore, createCacheStore } from './cacheStore.js'
+import { getInputKey } from './inputKey.js'
+
+/**
+ * Response caching for tools with a `cache` block
+ *
+ * Successful results are kept for `ttl` milliseconds under a key built from
+ * the tool input (or only its `keyFields`). Within `staleWhileRevalidate`
+ * after that, the old result is still served while a background call
+ * refreshes it. Unless `respectHeaders` is false, the webhook's Cache-Control
+ * header wins over these settings (no-store, no-cache, max-age, s-maxage,
+ * stale-while-revalidate, must-revalidate), and entries with an ETag or
+ * Last-Modified header are refreshed with conditional requests: a 304 answer
+ * renews the entry without transferring it again. Each tool keeps at most
+ * `maxEntries` entries and `maxBytes` bytes, evicting the least recently used.
+ */
+
+export const CACHE_DEFAULTS = {
+  ttl: 60000,
+  keyFields: null,
+  maxEntries: 1000,
+  maxBytes: 5 * 1024 * 1024,
+  staleWhileRevalidate: 0,
+  respectHeaders: true
+}
+
+class ResponseCache {
+  constructor() {
+    this.store = new MemoryCacheStore()
+    this.storeType = 'memory'
+    // Tool name -> {hits, misses, stale, revalidated}
+    this.counters = new Map()
+    // Entries being refreshed in the background
+    this.refreshing = new Set()
+  }
+
+  /**
+   * Apply the manifest's "caching" block
+   * @param {Object} settings - {store, path}; `store` may also be a store instance
+   */
+  configure(settings = {}) {
+    this.store.close()
+    const custom = settings?.store && typeof settings.store === 'object'
+    this.store = custom ? settings.store : createCacheStore(settings || {})
+    this.storeType = custom ? 'custom' : settings?.store || 'memory'
+  }
+
+  /**
+   * Answer a tool call from the cache, or load it and cache the result
+   * @param {Object} toolConfig - Tool configuration with a `cache` block
+   * @param {*} input - Tool input
+   * @param {Function} load - load(validators, background) calls the webhook; validators
+   *   {etag, lastModified} come from an expired entry, background is true for refreshes
+   * @param {boolean} DEBUG - Debug logging
+   * @returns {Promise<Object>} - Execution result; results with `cache.status` "hit", "stale"
+   *   or "revalidated" came from the cache
+   */
+  async fetch(toolConfig, input, load, DEBUG = false) {
+    const name = toolConfig.name
+    const settings = getSettings(toolConfig.cache)
+    const key = getInputKey(input, settings.keyFields)
+    const counters = this.getCounters(name)
+
+    const entry = await this.read(name, key)
+    const now = Date.now()
+    if (entry && now < entry.expiresAt) {
+      counters.hits++
+      if (DEBUG) {
+        console.log(chalk.blueBright(`[DEBUG] Cache hit for ${name}`))
+      }
+      return cachedResult(name, entry, 'hit')
+    }
+    if (entry && now < entry.staleUntil) {
+      counters.stale++
+      if (DEBUG) {
+        console.log(chalk.blueBright(`[DEBUG] Serving stale cache entry for ${name}, refreshing in the background`))
+      }
+      this.refresh(toolConfig, key, entry, load, DEBUG)
+      return cachedResult(name, entry, 'stale')
+    }
+
+    counters.misses++
+    const result = await load(getValidators(entry), false)
+    return this.update(toolConfig, key, entry, result, DEBUG)
+  }
+
+  refresh(toolConfig, key, entry, load, DEBUG) {
+    const refreshKey = `${toolConfig.name}\0${key}`
+    if (this.refreshing.has(refreshKey)) {
+      return
+    }
+    this.refreshing.add(refreshKey)
+    load(getValidators(entry), true)
+      .then(result => this.update(toolConfig, key, entry, result, DEBUG))
+      .catch((error) => {
+        console.error(chalk.red(`Background cache refresh for ${toolConfig.name} failed: ${error.message}`))
+      })
+      .finally(() => this.refreshing.delete(refreshKey))
+  }
+
+  /**
+   * Store a loaded result as the settings and response headers allow
+   * @returns {Promise<Object>} - The result to hand to the caller
+   */
+  async update(toolConfig, key, entry, result, DEBUG) {
+    const name = toolConfig.name
+    const settings = getSettings(toolConfig.cache)
+    const { cacheHeaders, notModified, ...rest } = result
+
+    if (notModified && entry) {
+      this.getCounters(name).revalidated++
+      const renewed = { ...entry, ...getFreshness(settings, cacheHeaders, entry) }
+      await this.write(toolConfig, key, renewed, settings)
+      if (DEBUG) {
+        console.log(chalk.blueBright(`[DEBUG] Cache entry for ${name} revalidated (304 Not Modified)`))
+      }
+      return cachedResult(name, renewed, 'revalidated')
+    }
+    if (!rest.success || rest.stream || notModified) {
+      return rest
+    }
+
+    const freshness = getFreshness(settings, cacheHeaders)
+    if (freshness) {
+      await this.write(toolConfig, key, { data: rest.data, status: rest.status, ...freshness }, settings)
+    } else {
+      await this.remove(name, key)
+      if (DEBUG) {
+        console.log(chalk.blueBright(`[DEBUG] Response from ${name} is not cacheable`))
+      }
+    }
+    return { ...rest, cache: { status: 'miss' } }
+  }
+
+  // A failing store should not fail the tool call: carry on as if uncached
+  async read(name, key) {
+    try {
+      return await this.store.get(name, key)
+    } catch (error) {
+      console.error(chalk.red(`Response cache unavailable, calling ${name} directly: ${error.message}`))
+      return undefined
+    }
+  }
+
+  async write(toolConfig, key, entry, settings) {
+    try {
+      await this.store.set(toolConfig.name, key, entry, { maxEntries: settings.maxEntries, maxBytes: settings.maxBytes })
+    } catch (error) {
+      console.error(chalk.red(`Failed to cache response of ${toolConfig.name}: ${error.message}`))
+    }
+  }
+
+  async remove(name, key) {
+    try {
+      await this.store.delete(name, key)
+    } catch (error) {
+      console.error(chalk.red(`Failed to drop cached response of ${name}: ${error.message}`))
+    }
+  }
+
+  getCounters(name) {
+    if (!this.counters.has(name)) {
+      this.counters.set(name, { hits: 0, misses: 0, stale: 0, revalidated: 0 })
+    }
+    return this.counters.get(name)
+  }
+
+  /**
+   * Cache statistics for a tool
+   * @param {string} toolName - Tool identifier
+   * @returns {Promise<Object>} - {tool, entries, bytes, hits, misses, stale, revalidated, hitRate}
+   */
+  async getStats(toolName) {
+    const counters = this.getCounters(toolName)
+    const served = counters.hits + counters.stale
+    const calls = served + counters.misses
+    return {
+      tool: toolName,
+      ...await this.store.stats(toolName),
+      ...counters,
+      hitRate: calls > 0 ? Math.round((served / calls) * 10000) / 100 : 0
+    }
+  }
+
+  /**
+   * Drop cached responses
+   * @param {string} toolName - Tool identifier (default: every tool)
+   * @returns {Promise<number>} - Number of entries dropped
+   */
+  async clear(toolName) {
+    return this.store.clear(toolName)
+  }
+}
+
+function getSettings(config) {
+  return { ...CACHE_DEFAULTS, ...config }
+}
+
+function getValidators(entry) {
+  return {
+    ...(entry?.etag && { etag: entry.etag }),
+    ...(entry?.lastModified && { lastModified: entry.lastModified })
+  }
+}
+
+/**
+ * Work out how long a response stays fresh
+ * @param {Object} settings - Tool cache settings
+ * @param {Object} headers - {cacheControl, etag, lastModified} of the response
+ * @param {Object} previous - Entry being renewed, whose validators are kept
+ * @returns {Object|null} - {storedAt, expiresAt, staleUntil, etag, lastModified}, or null if
+ *   the response must not be stored
+ */
+function getFreshness(settings, headers = {}, previous = {}) {
+  const directives = settings.respectHeaders ? parseCacheControl(headers.cacheControl) : {}
+  if (directives['no-store']) {
+    return null
+  }
+  let ttl = settings.ttl
+  const maxAge = directives['s-maxage'] ?? directives['max-age']
+  if (maxAge !== undefined) {
+    ttl = maxAge * 1000
+  }
+  if (directives['no-cache']) {
+    ttl = 0
+  }
+  let stale = settings.staleWhileRevalidate
+  if (directives['stale-while-revalidate'] !== undefined) {
+    stale = directives['stale-while-revalidate'] * 1000
+  }
+  if (directives['must-revalidate'] || directives['proxy-revalidate']) {
+    stale = 0
+  }
+
+  const etag = settings.respectHeaders ? headers.etag || previous.etag || null : null
+  const lastModified = settings.respectHeaders ? headers.lastModified || previous.lastModified || null : null
+  // Nothing to serve and nothing to revalidate with
+  if (ttl + stale <= 0 && !etag && !lastModified) {
+    return null
+  }
+  const now = Date.now()
+  return { storedAt: now, expiresAt: now + ttl, staleUntil: now + ttl + stale, etag, lastModified }
+}
+
+/**
+ * Parse a Cache-Control header into {directive: true | seconds}
+ */
+function parseCacheControl(value) {
+  const directives = {}
+  for (const part of (value || '').split(',')) {
+    const [name, argument] = part.trim().toLowerCase().split('=')
+    if (!name) {
+      continue
+    }
+    if (argument === undefined) {
+      directives[name] = true
+    } else {
+      const seconds = Number(argument.replace(/"/g, ''))
+      if (Number.isFinite(seconds) && seconds >= 0) {
+        directives[name] = seconds
+      }
+    }
+  }
+  return directives
+}
+
+function cachedResult(name, entry, status) {
+  return {
+    success: true,
+    data: entry.data,
+    status: entry.status,
+    tool: name,
+    timestamp: new Date().toISOString(),
+    responseTime: 0,
+    cache: { status, age: Math.round((Date.now() - entry.storedAt) / 1000) }
+  }
+}
+
+// Export singleton instance
+export const responseCache = new ResponseCache()
@@ -0,0 +1,113 @@
+/**
+ * Retry policy for webhook calls
+ *
+ * `maxRetries` (total attempts, default 3) and `retryDelay` (base backoff,
+ * default 1000ms) stay top-level tool fields; the optional `retry` block refines them:
+ *   statusCodes       - responses worth another attempt (default 408, 429, 500, 502, 503, 504)
+ *   methods           - methods that are retried (default GET, PUT, DELETE). Listing
+ *                       POST or PATCH opts in and sends an idempotency key
+ *   jitter            - "full" (default), "equal" or "none"
+ *   maxDelay          - cap on one backoff wait (default 30000ms). A Retry-After
+ *                       header asking for longer ends the retries
+ *   maxElapsed        - cap on the total time spent on all attempts
+ *   idempotencyHeader - header carrying the idempotency key (default Idempotency-Key)
+ * Network errors and timeouts are retried too, within the same limits.
+ */
+
+export const RETRY_JITTER_MODES = ['full', 'equal', 'none']
+export const NON_IDEMPOTENT_METHODS = ['POST', 'PATCH']
+
+const DEFAULT_STATUS_CODES = [408, 429, 500, 502, 503, 504]
+const DEFAULT_METHODS = ['GET', 'PUT', 'DELETE']
+const DEFAULT_MAX_DELAY = 30000
+const DEFAULT_IDEMPOTENCY_HEADER = 'Idempotency-Key'
+// Connection failures worth another attempt (undici reports them as error.cause.code)
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]
+
+/**
+ * Resolve a tool's retry settings
+ * @param {Object} toolConfig - Tool configuration
+ * @returns {Object} - {maxAttempts, baseDelay, statusCodes, methods, jitter, maxDelay, maxElapsed, idempotencyHeader}
+ */
+export function getRetryPolicy(toolConfig) {
+  const retry = toolConfig.retry || {}
+  return {
+    maxAttempts: Math.max(1, toolConfig.maxRetries ?? 3),
+    baseDelay: toolConfig.retryDelay ?? 1000,
+    statusCodes: retry.statusCodes || DEFAULT_STATUS_CODES,
+    methods: (retry.methods || DEFAULT_METHODS).map(method => method.toUpperCase()),
+    jitter: retry.jitter || 'full',
+    maxDelay: retry.maxDelay ?? DEFAULT_MAX_DELAY,
+    maxElapsed: retry.maxElapsed ?? null,
+    idempotencyHeader: retry.idempotencyHeader || DEFAULT_IDEMPOTENCY_HEADER
+  }
+}
+
+/**
+ * Whether requests with this method should carry an idempotency key
+ * @param {Object} policy - From getRetryPolicy()
+ * @param {string} method - HTTP method
+ * @returns {boolean} - True for opted-in POST/PATCH retries
+ */
+export function needsIdempotencyKey(policy, method) {
+  return policy.maxAttempts > 1 && NON_IDEMPOTENT_METHODS.includes(method) && policy.methods.includes(method)
+}
+
+/**
+ * Whether a thrown fetch error is transient
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean} - True for timeouts and connection failures
+ */
+export function isRetryableError(error) {
+  return (
+    error.name === 'AbortError' || // Timeout
+    RETRYABLE_ERROR_CODES.includes(error.code) ||
+    RETRYABLE_ERROR_CODES.includes(error.cause?.code)
+  )
+}
+
+/**
+ * How long to wait before the next attempt
+ * @param {Object} policy - From getRetryPolicy()
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Object} response - The failed response, if any
+ * @returns {number|null} - Delay in milliseconds, or null if Retry-After asks for more than maxDelay
+ */
+export function getRetryDelay(policy, attempt, response) {
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1))
+  let delay = backoff
+  if (policy.jitter === 'full') {
+    delay = Math.random() * backoff
+  } else if (policy.jitter === 'equal') {
+    delay = backoff / 2 + Math.random() * (backoff / 2)
+  }
+
+  const retryAfter = response ? parseRetryAfter(response.headers.get('retry-after')) : null
+  if (retryAfter !== null) {
+    // Never come back sooner than the server asked
+    if (retryAfter > policy.maxDelay) {
+      return null
+    }
+    delay = Math.max(delay, retryAfter)
+  }
+  return Math.round(delay)
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Milliseconds to wait, or null if absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim()) * 1000
+  }
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
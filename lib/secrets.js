@@ -0,0 +1,311 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import crypto from 'crypto'
+import { execFile } from 'child_process'
+import { redactor } from './redaction.js'
+
+/**
+ * Secret providers
+ *
+ * Auth fields may hold `secret://<provider>/<key>` references instead of values:
+ *   file    - ~/.wyreup-secrets/<user>.json; key is `<user>/<name>`, or `<user>/<tool>/<field>` for nested values
+ *   env     - environment variable <key>
+ *   dotenv  - <key> from a dotenv file (secrets.dotenvPath, default .env)
+ *   vault   - <key> from an encrypted vault file unlocked by a passphrase env var
+ *   command - stdout of secrets.secretCommand with {key} filled in (pass, op, ...)
+ *
+ * Resolved values are cached for secrets.ttl milliseconds (default 5 minutes).
+ */
+
+export const SECRET_PROVIDERS = ['file', 'env', 'dotenv', 'vault', 'command']
+export const SECRET_REF_PREFIX = 'secret://'
+
+const DEFAULT_TTL = 5 * 60 * 1000
+const DEFAULT_SECRETS_DIR = path.join(os.homedir(), '.wyreup-secrets')
+export const DEFAULT_VAULT_PATH = path.join(DEFAULT_SECRETS_DIR, 'vault.json')
+const DEFAULT_VAULT_PASSPHRASE_ENV = 'WYREUP_VAULT_PASSPHRASE'
+const COMMAND_TIMEOUT = 10000
+const VAULT_KDF = { name: 'scrypt', N: 32768, r: 8, p: 1 }
+
+/**
+ * Split a secret reference into provider and key
+ * @param {string} value - Possibly a `secret://provider/key` reference
+ * @returns {Object|null} - {provider, key}, or null if the value is not a reference
+ */
+export function parseSecretRef(value) {
+  if (typeof value !== 'string' || !value.startsWith(SECRET_REF_PREFIX)) {
+    return null
+  }
+  const rest = value.slice(SECRET_REF_PREFIX.length)
+  const slash = rest.indexOf('/')
+  return slash === -1
+    ? { provider: rest, key: '' }
+    : { provider: rest.slice(0, slash), key: rest.slice(slash + 1) }
+}
+
+/**
+ * Resolve a secrets-related path: `~` is the home directory, relative paths start at the working directory
+ * @param {string} filePath - Path from the manifest or command line
+ * @returns {string} - Absolute path
+ */
+export function resolveSecretsPath(filePath) {
+  return path.resolve(process.cwd(), filePath.replace(/^~(?=$|\/)/, os.homedir()))
+}
+
+class SecretStore {
+  constructor() {
+    this.settings = {}
+    this.cache = new Map()
+    this.pending = new Map()
+    this.providers = {
+      file: key => this.readSecretsFile(key),
+      env: key => process.env[key],
+      dotenv: key => readDotenv(resolveSecretsPath(this.settings.dotenvPath || '.env'))[key],
+      vault: async key => (await this.readVault())[key],
+      command: key => this.runSecretCommand(key)
+    }
+  }
+
+  /**
+   * Apply the manifest's "secrets" block and forget cached values
+   * @param {Object} settings - {ttl, dir, dotenvPath, vaultPath, vaultPassphraseEnv, secretCommand}
+   */
+  configure(settings = {}) {
+    this.settings = settings || {}
+    this.cache.clear()
+  }
+
+  /**
+   * Look up a secret, using the cache while it is fresh
+   * @param {string} provider - Provider name
+   * @param {string} key - Provider-specific key
+   * @returns {Promise<*>} - The value, or undefined if the provider has no such key
+   */
+  async get(provider, key) {
+    if (!Object.hasOwn(this.providers, provider)) {
+      throw new Error(`Unknown secret provider "${provider}". Must be one of: ${SECRET_PROVIDERS.join(', ')}`)
+    }
+    const cacheKey = `${provider}/${key}`
+    const cached = this.cache.get(cacheKey)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value
+    }
+
+    // Concurrent lookups of the same secret share one provider call
+    if (!this.pending.has(cacheKey)) {
+      const lookup = Promise.resolve()
+        .then(() => this.providers[provider](key))
+        .then((value) => {
+          const ttl = this.settings.ttl ?? DEFAULT_TTL
+          if (ttl > 0 && value !== undefined) {
+            this.cache.set(cacheKey, { value, expiresAt: Date.now() + ttl })
+          }
+          return value
+        })
+        .finally(() => this.pending.delete(cacheKey))
+      this.pending.set(cacheKey, lookup)
+    }
+    return this.pending.get(cacheKey)
+  }
+
+  /**
+   * Resolve a single `secret://` reference to its string value
+   * @param {string} ref - Secret reference
+   * @returns {Promise<string>} - Secret value
+   * @throws {Error} - When the secret is missing or not a string (the value is never included)
+   */
+  async resolveRef(ref) {
+    const { provider, key } = parseSecretRef(ref)
+    if (!key) {
+      throw new Error(`Invalid secret reference ${ref}: expected ${SECRET_REF_PREFIX}<provider>/<key>`)
+    }
+    const value = await this.get(provider, key)
+    if (value === undefined || value === null) {
+      throw new Error(`Secret ${ref} not found`)
+    }
+    if (typeof value !== 'string') {
+      throw new Error(`Secret ${ref} is not a string`)
+    }
+    redactor.addSecret(value)
+    return value
+  }
+
+  /**
+   * Replace every `secret://` string in a value (e.g. an auth block) with its secret
+   * @param {*} value - Object, array or string
+   * @returns {Promise<*>} - Copy with references resolved; the input is returned as is when it has none
+   */
+  async resolveRefs(value) {
+    if (typeof value === 'string') {
+      return parseSecretRef(value) ? this.resolveRef(value) : value
+    }
+    if (Array.isArray(value)) {
+      return Promise.all(value.map(entry => this.resolveRefs(entry)))
+    }
+    if (value && typeof value === 'object') {
+      const entries = await Promise.all(
+        Object.entries(value).map(async ([field, entry]) => [field, await this.resolveRefs(entry)])
+      )
+      return Object.fromEntries(entries)
+    }
+    return value
+  }
+
+  /**
+   * Load a tool's auth block for `authFrom: {user}` from the secrets directory
+   * @param {string} user - Secrets file name (without .json)
+   * @param {string} toolName - Tool whose auth block to read
+   * @returns {Promise<Object|null>} - Auth block, or null if the file has none for the tool
+   */
+  async loadAuthFrom(user, toolName) {
+    return (await this.get('file', `${user}/${toolName}`)) ?? null
+  }
+
+  readSecretsFile(key) {
+    const [user, ...segments] = key.split('/')
+    if (!user || user.includes('..') || segments.length === 0) {
+      throw new Error(`Invalid file secret key "${key}": expected <user>/<name>`)
+    }
+    const filePath = path.join(resolveSecretsPath(this.settings.dir || DEFAULT_SECRETS_DIR), `${user}.json`)
+    if (!fs.existsSync(filePath)) {
+      return undefined
+    }
+    let data
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+    } catch (error) {
+      throw new Error(`Cannot read secrets file ${filePath}: ${error.message}`)
+    }
+    return segments.reduce((node, segment) =>
+      node !== null && typeof node === 'object' && Object.hasOwn(node, segment) ? node[segment] : undefined, data)
+  }
+
+  async readVault() {
+    const passphraseEnv = this.settings.vaultPassphraseEnv || DEFAULT_VAULT_PASSPHRASE_ENV
+    const passphrase = process.env[passphraseEnv]
+    if (!passphrase) {
+      throw new Error(`Vault passphrase environment variable ${passphraseEnv} is not set`)
+    }
+    return readVaultFile(resolveSecretsPath(this.settings.vaultPath || DEFAULT_VAULT_PATH), passphrase)
+  }
+
+  runSecretCommand(key) {
+    const command = this.settings.secretCommand
+    if (!command) {
+      throw new Error('No secrets.secretCommand configured for the command provider')
+    }
+    // No shell: the key is substituted into the arguments, never interpreted
+    const [file, ...args] = (Array.isArray(command) ? command : command.trim().split(/\s+/))
+      .map(part => part.replaceAll('{key}', key))
+
+    return new Promise((resolve, reject) => {
+      execFile(file, args, { timeout: COMMAND_TIMEOUT, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          const detail = String(stderr).trim().split('\n')[0].slice(0, 200) || error.message
+          reject(new Error(`Secret command "${file}" failed for key "${key}": ${detail}`))
+          return
+        }
+        resolve(stdout.replace(/\r?\n$/, ''))
+      })
+    })
+  }
+}
+
+/**
+ * Parse a dotenv file (KEY=value lines, `export` prefixes, quotes and # comments)
+ * @param {string} filePath - Absolute path
+ * @returns {Object} - Variables by name; empty if the file does not exist
+ */
+function readDotenv(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {}
+  }
+  const variables = {}
+  fs.readFileSync(filePath, 'utf-8').split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)?$/)
+    if (!match) {
+      return
+    }
+    let value = (match[2] || '').trim()
+    if (value.startsWith('"') && value.lastIndexOf('"') > 0) {
+      value = value.slice(1, value.lastIndexOf('"')).replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1')
+    } else if (value.startsWith("'") && value.lastIndexOf("'") > 0) {
+      value = value.slice(1, value.lastIndexOf("'"))
+    } else {
+      value = value.replace(/\s+#.*$/, '')
+    }
+    variables[match[1]] = value
+  })
+  return variables
+}
+
+/**
+ * Decrypt a vault file (AES-256-GCM with a scrypt-derived key)
+ * @param {string} filePath - Vault path
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Promise<Object>} - Secrets by name
+ */
+export async function readVaultFile(filePath, passphrase) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Vault file ${filePath} not found`)
+  }
+  let vault
+  try {
+    vault = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+  } catch (error) {
+    throw new Error(`Cannot read vault file ${filePath}: ${error.message}`)
+  }
+  if (vault.version !== 1 || vault.kdf?.name !== 'scrypt') {
+    throw new Error(`Unsupported vault file format in ${filePath}`)
+  }
+
+  const key = await deriveVaultKey(passphrase, vault.kdf)
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.iv, 'base64'))
+    decipher.setAuthTag(Buffer.from(vault.tag, 'base64'))
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()])
+    return JSON.parse(plaintext.toString('utf-8'))
+  } catch {
+    throw new Error(`Cannot unlock vault ${filePath} (wrong passphrase or corrupted file)`)
+  }
+}
+
+/**
+ * Encrypt secrets into a vault file, replacing its previous contents
+ * @param {string} filePath - Vault path
+ * @param {string} passphrase - Vault passphrase
+ * @param {Object} secrets - Secrets by name
+ */
+export async function writeVaultFile(filePath, passphrase, secrets) {
+  const kdf = { ...VAULT_KDF, salt: crypto.randomBytes(16).toString('base64') }
+  const key = await deriveVaultKey(passphrase, kdf)
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf-8'), cipher.final()])
+  const vault = {
+    version: 1,
+    kdf,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(filePath, JSON.stringify(vault, null, 2), { mode: 0o600 })
+}
+
+function deriveVaultKey(passphrase, kdf) {
+  return new Promise((resolve, reject) => {
+    const options = { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: 256 * kdf.N * kdf.r }
+    crypto.scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), 32, options, (error, key) => {
+      if (error) {
+        reject(error)
+      } else {
+        resolve(key)
+      }
+    })
+  })
+}
+
+// Export singleton instance
+export const secretStore = new SecretStore()
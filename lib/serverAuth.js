@@ -0,0 +1,154 @@
+import crypto from 'crypto'
+import chalk from 'chalk'
+import { secretStore } from './secrets.js'
+import { UNLIMITED_CREDITS } from './usage.js'
+
+/**
+ * Client authentication and tool authorization for the SSE and HTTP transports
+ *
+ * Clients are listed in the manifest's `server.auth.clients` (or a single
+ * full-access token in WYREUP_SERVER_TOKEN) and present their token as
+ * `Authorization: Bearer <token>` or `X-API-Key: <token>`. Each client sees the
+ * tools marked `public: true`, the tools it names in `tools` (`"*"` for all) and
+ * the tools carrying one of its `tags`. Unauthenticated clients only see public
+ * tools, and paid tools are only offered to clients with `credits`.
+ */
+
+export const SERVER_TOKEN_ENV = 'WYREUP_SERVER_TOKEN'
+export const CORS_ORIGINS_ENV = 'WYREUP_CORS_ORIGINS'
+
+// Unauthenticated remote clients: public tools only
+export const ANONYMOUS_CLIENT = { name: 'anonymous', tools: [], tags: [] }
+// The local stdio client: every tool, paid ones unmetered but still recorded
+export const STDIO_CLIENT = { name: 'stdio', tools: '*', tags: [], credits: UNLIMITED_CREDITS }
+
+/**
+ * Build the access policy from the manifest's "server" block and the environment
+ * @param {Object} serverConfig - Manifest `server` block
+ * @returns {Object} - {enabled, clients, allowAnonymous, corsOrigins}
+ */
+export function createAccessPolicy(serverConfig = {}) {
+  const auth = serverConfig?.auth || {}
+  const clients = (auth.clients || []).map(client => ({
+    name: client.name,
+    token: client.token,
+    tokenFromEnv: client.tokenFromEnv,
+    tools: client.tools === '*' ? '*' : client.tools || [],
+    tags: client.tags || [],
+    credits: client.credits,
+    creditsPeriod: client.creditsPeriod
+  }))
+  if (process.env[SERVER_TOKEN_ENV]) {
+    clients.push({ name: 'env', token: process.env[SERVER_TOKEN_ENV], tools: '*', tags: [], credits: UNLIMITED_CREDITS })
+  }
+
+  const envOrigins = process.env[CORS_ORIGINS_ENV]
+  const corsOrigins = envOrigins
+    ? envOrigins.split(',').map(origin => origin.trim()).filter(Boolean)
+    : serverConfig?.cors?.origins || '*'
+
+  return {
+    enabled: clients.length > 0,
+    clients,
+    allowAnonymous: auth.allowAnonymous === true,
+    corsOrigins: Array.isArray(corsOrigins) && corsOrigins.includes('*') ? '*' : corsOrigins
+  }
+}
+
+/**
+ * Identify the client making a request
+ * @param {Object} policy - From createAccessPolicy
+ * @param {IncomingMessage} req - HTTP request
+ * @returns {Promise<Object>} - {client} on success, {status, error} otherwise
+ */
+export async function authenticateRequest(policy, req) {
+  const token = getPresentedToken(req)
+  if (!policy.enabled || !token) {
+    return !policy.enabled || policy.allowAnonymous
+      ? { client: ANONYMOUS_CLIENT }
+      : { status: 401, error: 'Authentication required' }
+  }
+
+  for (const client of policy.clients) {
+    const expected = await resolveClientToken(client)
+    if (expected && tokensEqual(token, expected)) {
+      return { client }
+    }
+  }
+  return { status: 401, error: 'Invalid credentials' }
+}
+
+/**
+ * Check whether a client may see and call a tool
+ * @param {Object} client - Authenticated client
+ * @param {Object} tool - Tool configuration
+ * @returns {boolean} - True if the tool is allowed
+ */
+export function canUseTool(client, tool) {
+  if (tool.paid === true && client.credits === undefined) {
+    return false
+  }
+  if (client.tools === '*' || tool.public === true) {
+    return true
+  }
+  if (client.tools.includes(tool.name)) {
+    return true
+  }
+  return Array.isArray(tool.tags) && tool.tags.some(tag => client.tags.includes(tag))
+}
+
+/**
+ * Set CORS headers for the request origin
+ * @param {Object} policy - From createAccessPolicy
+ * @param {IncomingMessage} req - HTTP request
+ * @param {ServerResponse} res - HTTP response
+ * @returns {boolean} - False if the request comes from a browser origin that is not allowed
+ */
+export function applyCors(policy, req, res) {
+  if (policy.corsOrigins === '*') {
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    return true
+  }
+  res.setHeader('Vary', 'Origin')
+  const origin = req.headers.origin
+  if (!origin) {
+    // Not a browser request
+    return true
+  }
+  if (!policy.corsOrigins.includes(origin)) {
+    return false
+  }
+  res.setHeader('Access-Control-Allow-Origin', origin)
+  return true
+}
+
+function getPresentedToken(req) {
+  const authorization = req.headers.authorization
+  if (typeof authorization === 'string' && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim()
+  }
+  const apiKey = req.headers['x-api-key']
+  return typeof apiKey === 'string' ? apiKey.trim() : null
+}
+
+async function resolveClientToken(client) {
+  if (client.tokenFromEnv && process.env[client.tokenFromEnv]) {
+    return process.env[client.tokenFromEnv]
+  }
+  if (!client.token) {
+    return null
+  }
+  try {
+    return await secretStore.resolveRefs(client.token)
+  } catch (error) {
+    // An unresolvable token just never matches
+    console.error(chalk.red(`Cannot resolve token of client "${client.name}": ${error.message}`))
+    return null
+  }
+}
+
+// Compare digests so neither the length nor the content leaks through timing
+function tokensEqual(presented, expected) {
+  const digest = value => crypto.createHash('sha256').update(value).digest()
+  return crypto.timingSafeEqual(digest(presented), digest(expected))
+}
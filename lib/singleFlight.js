@@ -0,0 +1,145 @@
+import chalk from 'chalk'
+import { getInputKey } from './inputKey.js'
+
+/**
+ * Request deduplication ("single-flight") for tools with `singleFlight` set
+ *
+ * Concurrent calls from the same client with the same tool and input (or the
+ * same `keyFields`) share one webhook execution and all receive its result.
+ * Calls from different clients never share one: each is admitted, rate limited
+ * and charged on its own and gets a result made with its own credentials. The shared
+ * execution is only cancelled once every caller waiting for it has cancelled.
+ * Streaming responses cannot be shared: callers that joined such a call make
+ * their own.
+ */
+
+class SingleFlight {
+  constructor() {
+    // Tool name + caller + input key -> {tool, controller, waiting, promise}
+    this.flights = new Map()
+    // Tool name -> {executions, coalesced}
+    this.counters = new Map()
+  }
+
+  /**
+   * Run a call, or join an identical one already in flight
+   * @param {Object} toolConfig - Tool configuration with `singleFlight`
+   * @param {*} input - Tool input
+   * @param {Object} options - {signal, caller, DEBUG} of this caller; `caller` identifies the client
+   * @param {Function} call - call(signal) executes the webhook; the signal is the shared one
+   * @returns {Promise<Object>} - Execution result
+   */
+  async run(toolConfig, input, { signal, caller, DEBUG = false } = {}, call) {
+    const name = toolConfig.name
+    const fields = toolConfig.singleFlight === true ? undefined : toolConfig.singleFlight.keyFields
+    const key = `${name}\0${caller || ''}\0${getInputKey(input, fields)}`
+    const counters = this.getCounters(name)
+
+    let flight = this.flights.get(key)
+    const leader = !flight
+    if (leader) {
+      counters.executions++
+      const controller = new AbortController()
+      flight = { tool: name, controller, waiting: 0, promise: null }
+      flight.promise = call(controller.signal).finally(() => this.land(key, flight))
+      this.flights.set(key, flight)
+    } else {
+      counters.coalesced++
+      if (DEBUG) {
+        console.log(chalk.blueBright(`[DEBUG] Joining an identical call to ${name} already in flight`))
+      }
+    }
+
+    const result = await this.wait(key, flight, toolConfig, signal)
+    if (result.stream && !leader) {
+      return call(signal)
+    }
+    // Every caller gets its own copy of the shared result
+    return { ...result }
+  }
+
+  wait(key, flight, toolConfig, signal) {
+    if (signal?.aborted) {
+      return Promise.resolve(cancelledResult(toolConfig))
+    }
+    flight.waiting++
+    return new Promise((resolve, reject) => {
+      let done = false
+      const finish = () => {
+        done = true
+        flight.waiting--
+        signal?.removeEventListener('abort', onAbort)
+      }
+      const onAbort = () => {
+        if (done) {
+          return
+        }
+        finish()
+        if (flight.waiting === 0) {
+          // Nobody wants the result any more; later callers start a fresh call
+          this.land(key, flight)
+          flight.controller.abort()
+        }
+        resolve(cancelledResult(toolConfig))
+      }
+      signal?.addEventListener('abort', onAbort)
+      flight.promise.then(
+        (result) => {
+          if (!done) {
+            finish()
+            resolve(result)
+          }
+        },
+        (error) => {
+          if (!done) {
+            finish()
+            reject(error)
+          }
+        }
+      )
+    })
+  }
+
+  land(key, flight) {
+    if (this.flights.get(key) === flight) {
+      this.flights.delete(key)
+    }
+  }
+
+  getCounters(name) {
+    if (!this.counters.has(name)) {
+      this.counters.set(name, { executions: 0, coalesced: 0 })
+    }
+    return this.counters.get(name)
+  }
+
+  /**
+   * Deduplication statistics for a tool
+   * @param {string} toolName - Tool identifier
+   * @returns {Object} - {inFlight, executions, coalesced}: shared calls running now, calls
+   *   that went to the webhook and calls that joined one instead
+   */
+  getStatus(toolName) {
+    let inFlight = 0
+    for (const flight of this.flights.values()) {
+      if (flight.tool === toolName) {
+        inFlight++
+      }
+    }
+    return { inFlight, ...this.getCounters(toolName) }
+  }
+}
+
+function cancelledResult(toolConfig) {
+  return {
+    success: false,
+    error: 'Request cancelled',
+    status: 499,
+    tool: toolConfig.name,
+    timestamp: new Date().toISOString(),
+    errorType: 'AbortError'
+  }
+}
+
+// Export singleton instance
+export const singleFlight = new SingleFlight()
@@ -0,0 +1,107 @@
+/**
+ * Tool URL resolution
+ *
+ * Tool URLs may be relative to the manifest's base_url, may use `{username}`
+ * (filled from the manifest's username) and may contain path parameters such as
+ * `/orders/{orderId}`, which are filled from the tool input on every call.
+ * `internal://` URLs name tools the server answers itself, without HTTP.
+ */
+
+// Built-in tool endpoints
+export const INTERNAL_TOOL_URLS = ['internal://health-monitor']
+
+const PLACEHOLDER_PATTERN = /\{([A-Za-z_][A-Za-z0-9_]*)\}/g
+
+/**
+ * Resolve a tool's url/webhook against the manifest settings
+ * Relative paths are appended to base_url (a leading slash does not drop the
+ * base path). Path parameters are left in place.
+ *
+ * @param {string} url - Tool url or webhook as written in the manifest
+ * @param {Object} options - {baseUrl, username} from the manifest
+ * @returns {string} - Resolved URL
+ */
+export function resolveToolUrl(url, { baseUrl, username } = {}) {
+  if (typeof url !== 'string' || !url.trim()) {
+    return url
+  }
+  const resolved = isAbsoluteUrl(url) || typeof baseUrl !== 'string' || !baseUrl.trim()
+    ? url
+    : `${baseUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`
+  return typeof username === 'string' && username
+    ? resolved.replace(/\{username\}/g, encodeURIComponent(username))
+    : resolved
+}
+
+/**
+ * Check that a resolved URL is an absolute http(s) URL (path parameters allowed)
+ * or a built-in internal:// endpoint
+ * @param {string} url - Resolved tool URL
+ * @returns {boolean} - True if the URL can be called
+ */
+export function isCallableUrl(url) {
+  if (typeof url !== 'string') {
+    return false
+  }
+  if (isInternalUrl(url)) {
+    return INTERNAL_TOOL_URLS.includes(url)
+  }
+  try {
+    const parsed = new URL(url.replace(PLACEHOLDER_PATTERN, '$1'))
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:'
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Names of the path parameters in a URL, e.g. ['orderId'] for /orders/{orderId}
+ * @param {string} url - Tool URL
+ * @returns {Array<string>} - Parameter names in order of appearance
+ */
+export function getPathParams(url) {
+  if (typeof url !== 'string') {
+    return []
+  }
+  return [...new Set(Array.from(url.matchAll(PLACEHOLDER_PATTERN), match => match[1]))]
+}
+
+/**
+ * Fill path parameters from the tool input and remove them from the payload
+ * @param {string} url - Tool URL with {param} placeholders
+ * @param {*} payload - Tool input
+ * @returns {Object} - {url, payload, missing: Array<string>}
+ */
+export function fillPathParams(url, payload) {
+  const params = getPathParams(url)
+  if (params.length === 0) {
+    return { url, payload, missing: [] }
+  }
+
+  const input = payload !== null && typeof payload === 'object' && !Array.isArray(payload) ? payload : {}
+  const missing = params.filter(name => input[name] === undefined || input[name] === null || input[name] === '')
+  const filledUrl = url.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+    input[name] === undefined || input[name] === null ? placeholder : encodeURIComponent(String(input[name])))
+
+  if (input !== payload) {
+    return { url: filledUrl, payload, missing }
+  }
+  const remaining = { ...payload }
+  params.forEach(name => {
+    delete remaining[name]
+  })
+  return { url: filledUrl, payload: remaining, missing }
+}
+
+/**
+ * Check whether a URL uses the internal:// scheme of built-in endpoints
+ * @param {string} url - Tool URL
+ * @returns {boolean} - True for internal:// URLs
+ */
+export function isInternalUrl(url) {
+  return typeof url === 'string' && url.startsWith('internal://')
+}
+
+function isAbsoluteUrl(url) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(url)
+}
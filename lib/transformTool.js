@@ -3,6 +3,8 @@
  * Supports backward compatibility while enabling simplified onboarding
  */
 
+import { resolveToolUrl, getPathParams } from './toolUrl.js';
+
 /**
  * Transform a simplified tool configuration to the full internal format
  * @param {Object} tool - Tool configuration (can be simplified or full format)
@@ -72,7 +74,8 @@ export function transformSimplifiedTool(tool) {
 function getWebhookDescription(webhookUrl) {
   try {
     const url = new URL(webhookUrl);
-    const pathSegments = url.pathname.split('/').filter(segment => segment.length > 0);
+    // Skip {param} placeholders (URL-encoded by the parser)
+    const pathSegments = url.pathname.split('/').filter(segment => segment.length > 0 && !/^%7B.*%7D$/i.test(segment));
     
     // Extract meaningful part from the URL
     if (pathSegments.length > 0) {
@@ -92,15 +95,63 @@ function getWebhookDescription(webhookUrl) {
   }
 }
 
+/**
+ * Resolve a tool's webhook/url against the manifest's base_url and username
+ * @param {Object} tool - Tool configuration
+ * @param {Object} options - {baseUrl, username} from the manifest
+ * @returns {Object} - Tool with resolved webhook/url
+ */
+export function resolveToolUrls(tool, options) {
+  if (!tool || typeof tool !== 'object') {
+    return tool;
+  }
+  const resolved = { ...tool };
+  if (typeof tool.webhook === 'string') {
+    resolved.webhook = resolveToolUrl(tool.webhook, options);
+  }
+  if (typeof tool.url === 'string') {
+    resolved.url = resolveToolUrl(tool.url, options);
+  }
+  return resolved;
+}
+
+/**
+ * Declare a tool's path parameters (e.g. {orderId}) as required string inputs
+ * so agents know to supply them. Shorthand input schemas are left untouched.
+ * @param {Object} tool - Tool configuration in full format
+ * @returns {Object} - Tool with path parameters in its input schema
+ */
+function declarePathParams(tool) {
+  const params = getPathParams(tool && tool.url);
+  const input = tool && tool.input;
+  if (params.length === 0 || !input || typeof input !== 'object' || (input.type !== 'object' && !input.properties)) {
+    return tool;
+  }
+
+  const properties = { ...(input.properties || {}) };
+  const required = Array.isArray(input.required) ? [...input.required] : [];
+  params.forEach(name => {
+    if (!properties[name]) {
+      properties[name] = { type: 'string', description: `Path parameter {${name}}` };
+    }
+    if (!required.includes(name)) {
+      required.push(name);
+    }
+  });
+  return { ...tool, input: { ...input, properties, required } };
+}
+
 /**
  * Transform an entire tools array, supporting both simplified and full formats
+ * Relative webhook/url values are resolved against the manifest's base_url.
  * @param {Array} tools - Array of tool configurations
+ * @param {Object} options - {baseUrl, username} from the manifest
  * @returns {Array} - Array of transformed tools in full format
  */
-export function transformToolsArray(tools) {
+export function transformToolsArray(tools, options = {}) {
   if (!Array.isArray(tools)) {
     return tools;
   }
   
-  return tools.map(tool => transformSimplifiedTool(tool));
+  return tools.map(tool => declarePathParams(transformSimplifiedTool(resolveToolUrls(tool, options))));
 }
\ No newline at end of file
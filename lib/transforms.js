@@ -0,0 +1,343 @@
+/**
+ * Request templates and response mappings
+ *
+ * A tool's `requestTemplate` reshapes the agent's input before it is sent:
+ * fields are renamed or omitted, constants are set, or the whole body is built
+ * from a template, and headers are filled from the input. Its `responseMapping`
+ * reshapes the webhook's JSON before the agent sees it: n8n item arrays are
+ * unwrapped, a part is extracted, fields are picked or dropped and long strings
+ * are truncated.
+ *
+ * Paths use a JSONPath subset: `$` is the root, `.name` or `['name']` a field,
+ * `[0]` or `[-1]` an array element, `[1:3]` a slice and `*` or `[*]` every
+ * element or field. Paths with `*` or a slice return an array of matches. The
+ * leading `$.` may be left out (`customer.email`, `items.0.id`).
+ */
+
+export const REQUEST_TEMPLATE_FIELDS = ['body', 'rename', 'omit', 'set', 'headers']
+export const RESPONSE_MAPPING_FIELDS = ['unwrap', 'extract', 'pick', 'drop', 'maxStringLength']
+
+// {{path}} placeholders in body and header templates
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g
+const WHOLE_PLACEHOLDER_PATTERN = /^\{\{\s*([^{}]*?)\s*\}\}$/
+
+const PATH_TOKEN_PATTERN = /^(?:\.([^.[\]]+)|\[(?:(\*)|(-?\d+)|(-?\d*):(-?\d*)|'([^']*)'|"([^"]*)")\])/
+
+// Parsed paths, keyed by expression
+const parsedPaths = new Map()
+
+/**
+ * Build the webhook request from a tool's requestTemplate
+ * @param {Object} template - requestTemplate block
+ * @param {*} input - Tool input, which placeholders read from
+ * @param {*} payload - Input without path parameters, forwarded when there is no body template
+ * @returns {Object} - {payload, headers}
+ */
+export function applyRequestTemplate(template, input, payload) {
+  let body
+  if (template.body !== undefined) {
+    body = renderTemplate(template.body, input)
+  } else {
+    body = isPlainObject(payload) ? structuredClone(payload) : payload
+    if (isPlainObject(body)) {
+      Object.entries(template.rename || {}).forEach(([from, to]) => {
+        const value = evaluatePath(body, from)
+        if (value !== undefined) {
+          deletePath(body, from)
+          setPath(body, to, value)
+        }
+      })
+      for (const path of template.omit || []) {
+        deletePath(body, path)
+      }
+    }
+  }
+
+  if (template.set) {
+    body = body ?? {}
+    if (isPlainObject(body)) {
+      Object.entries(template.set).forEach(([path, value]) => setPath(body, path, structuredClone(value)))
+    }
+  }
+
+  // Headers whose placeholders are all missing are left out
+  const headers = {}
+  Object.entries(template.headers || {}).forEach(([name, value]) => {
+    const rendered = renderString(value, input)
+    if (rendered !== '') {
+      headers[name] = rendered
+    }
+  })
+  return { payload: body, headers }
+}
+
+/**
+ * Shape webhook response data with a tool's responseMapping
+ * Steps run in order: unwrap, extract, pick, drop, maxStringLength. Only
+ * maxStringLength applies to text responses. pick and drop apply to each
+ * element when the data is an array.
+ *
+ * @param {Object} mapping - responseMapping block
+ * @param {*} data - Parsed webhook response
+ * @returns {*} - Data for the agent
+ */
+export function applyResponseMapping(mapping, data) {
+  let result = data
+  if (result !== null && typeof result === 'object') {
+    if (mapping.unwrap) {
+      result = unwrapItems(result)
+    }
+    if (mapping.extract) {
+      result = evaluatePath(result, mapping.extract) ?? null
+    }
+    if (mapping.pick) {
+      result = mapRecords(result, record => pickFields(record, mapping.pick))
+    }
+    if (mapping.drop) {
+      result = mapRecords(result, record => dropFields(record, mapping.drop))
+    }
+  }
+  if (mapping.maxStringLength) {
+    result = truncateStrings(result, mapping.maxStringLength)
+  }
+  return result
+}
+
+/**
+ * Parse a path expression
+ * @param {string} expression - Path such as `$.data.items[*].name` or `customer.email`
+ * @returns {Array<Object>} - Tokens: {type: 'key', key}, {type: 'index', index},
+ *   {type: 'slice', start, end} or {type: 'wildcard'}
+ * @throws {Error} - When the expression is not a valid path
+ */
+export function parsePath(expression) {
+  if (parsedPaths.has(expression)) {
+    return parsedPaths.get(expression)
+  }
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Path must be a non-empty string')
+  }
+  let rest = expression.trim()
+  if (rest.startsWith('$')) {
+    rest = rest.slice(1)
+  } else if (!rest.startsWith('[')) {
+    rest = `.${rest}`
+  }
+
+  const tokens = []
+  while (rest) {
+    const match = rest.match(PATH_TOKEN_PATTERN)
+    if (!match) {
+      throw new Error(`Invalid path "${expression}" at "${rest}"`)
+    }
+    const [token, name, wildcard, index, sliceStart, sliceEnd, singleQuoted, doubleQuoted] = match
+    if (name === '*' || wildcard) {
+      tokens.push({ type: 'wildcard' })
+    } else if (index !== undefined) {
+      tokens.push({ type: 'index', index: Number(index) })
+    } else if (sliceStart !== undefined) {
+      tokens.push({
+        type: 'slice',
+        start: sliceStart === '' ? undefined : Number(sliceStart),
+        end: sliceEnd === '' ? undefined : Number(sliceEnd)
+      })
+    } else {
+      tokens.push({ type: 'key', key: name ?? singleQuoted ?? doubleQuoted })
+    }
+    rest = rest.slice(token.length)
+  }
+  parsedPaths.set(expression, tokens)
+  return tokens
+}
+
+/**
+ * Check that a path names a single location (no wildcards or slices)
+ * Renamed, omitted, set, picked and dropped fields must use such paths.
+ * @param {string} expression - Path expression
+ * @returns {boolean} - True if the path is valid and names one location
+ */
+export function isSimplePath(expression) {
+  try {
+    return parsePath(expression).every(token => token.type === 'key' || token.type === 'index')
+  } catch {
+    return false
+  }
+}
+
+/**
+ * List the placeholder paths used in a body or header template
+ * @param {*} template - Template value
+ * @returns {Array<string>} - Paths inside {{...}}
+ */
+export function getTemplatePaths(template) {
+  if (typeof template === 'string') {
+    return Array.from(template.matchAll(PLACEHOLDER_PATTERN), match => match[1])
+  }
+  if (template !== null && typeof template === 'object') {
+    return Object.values(template).flatMap(getTemplatePaths)
+  }
+  return []
+}
+
+/**
+ * Read a path from a value
+ * @param {*} data - Value to read from
+ * @param {string} expression - Path expression
+ * @returns {*} - The value at the path, an array of matches for paths with `*` or a
+ *   slice, or undefined when nothing is there
+ */
+export function evaluatePath(data, expression) {
+  const tokens = parsePath(expression)
+  let nodes = [data]
+  let multiple = false
+  for (const token of tokens) {
+    const next = []
+    for (const node of nodes) {
+      if (node === null || typeof node !== 'object') {
+        continue
+      }
+      if (token.type === 'key' && Object.hasOwn(node, token.key) && node[token.key] !== undefined) {
+        next.push(node[token.key])
+      } else if (token.type === 'index' && Array.isArray(node) && node.at(token.index) !== undefined) {
+        next.push(node.at(token.index))
+      } else if (token.type === 'slice' && Array.isArray(node)) {
+        next.push(...node.slice(token.start, token.end))
+      } else if (token.type === 'wildcard') {
+        next.push(...Object.values(node))
+      }
+    }
+    multiple = multiple || token.type === 'wildcard' || token.type === 'slice'
+    nodes = next
+  }
+  return multiple ? nodes : nodes[0]
+}
+
+// Set a value at a simple path, creating objects along the way
+function setPath(target, path, value) {
+  const tokens = parsePath(path)
+  let node = target
+  tokens.slice(0, -1).forEach(token => {
+    const key = getTokenKey(node, token)
+    if (node[key] === null || typeof node[key] !== 'object') {
+      node[key] = {}
+    }
+    node = node[key]
+  })
+  node[getTokenKey(node, tokens[tokens.length - 1])] = value
+}
+
+function deletePath(target, path) {
+  const tokens = parsePath(path)
+  let node = target
+  for (const token of tokens.slice(0, -1)) {
+    node = node?.[getTokenKey(node, token)]
+    if (node === null || typeof node !== 'object') {
+      return
+    }
+  }
+  const key = getTokenKey(node, tokens[tokens.length - 1])
+  if (Array.isArray(node) && Number.isInteger(Number(key))) {
+    node.splice(Number(key), 1)
+  } else {
+    delete node[key]
+  }
+}
+
+function getTokenKey(node, token) {
+  if (token.type === 'index') {
+    return token.index < 0 && Array.isArray(node) ? node.length + token.index : token.index
+  }
+  return token.key
+}
+
+function renderTemplate(template, input) {
+  if (typeof template === 'string') {
+    // A lone placeholder keeps the input value's type
+    const whole = template.match(WHOLE_PLACEHOLDER_PATTERN)
+    return whole ? structuredClone(evaluatePath(input, whole[1])) : renderString(template, input)
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, input) ?? null)
+  }
+  if (template !== null && typeof template === 'object') {
+    const rendered = {}
+    Object.entries(template).forEach(([key, value]) => {
+      const result = renderTemplate(value, input)
+      if (result !== undefined) {
+        rendered[key] = result
+      }
+    })
+    return rendered
+  }
+  return template
+}
+
+function renderString(template, input) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, path) => {
+    const value = evaluatePath(input, path)
+    if (value === undefined || value === null) {
+      return ''
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value)
+  })
+}
+
+// n8n answers with [{json: {...}}, ...]; a single item becomes a plain object
+function unwrapItems(data) {
+  if (!Array.isArray(data) || data.length === 0 || !data.every(item => isPlainObject(item) && isPlainObject(item.json))) {
+    return data
+  }
+  const items = data.map(item => item.json)
+  return items.length === 1 ? items[0] : items
+}
+
+function mapRecords(data, transform) {
+  if (Array.isArray(data)) {
+    return data.map(item => isPlainObject(item) ? transform(item) : item)
+  }
+  return isPlainObject(data) ? transform(data) : data
+}
+
+// An array of paths keeps those fields; an object maps new field names to paths
+function pickFields(record, pick) {
+  const picked = {}
+  if (Array.isArray(pick)) {
+    pick.forEach(path => {
+      const value = evaluatePath(record, path)
+      if (value !== undefined) {
+        setPath(picked, path, value)
+      }
+    })
+  } else {
+    Object.entries(pick).forEach(([name, path]) => {
+      const value = evaluatePath(record, path)
+      if (value !== undefined) {
+        picked[name] = value
+      }
+    })
+  }
+  return picked
+}
+
+function dropFields(record, drop) {
+  const remaining = structuredClone(record)
+  drop.forEach(path => deletePath(remaining, path))
+  return remaining
+}
+
+function truncateStrings(value, maxLength) {
+  if (typeof value === 'string') {
+    return value.length > maxLength ? `${value.slice(0, maxLength)}…` : value
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => truncateStrings(item, maxLength))
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, truncateStrings(item, maxLength)]))
+  }
+  return value
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
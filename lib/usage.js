@@ -0,0 +1,183 @@
+import fs from 'fs'
+import path from 'path'
+import chalk from 'chalk'
+
+/**
+ * Credit metering for paid tools
+ *
+ * Each server client may have a `credits` allowance: a number, optionally
+ * renewed every `creditsPeriod` ("day" or "month", UTC), or "unlimited".
+ * A paid tool call reserves the tool's `cost` (default 1) before it runs and is
+ * charged only if it succeeds. Every charge is appended to the usage ledger, a
+ * JSON lines file that is replayed on startup so balances survive restarts.
+ */
+
+export const CREDIT_PERIODS = ['day', 'month']
+export const UNLIMITED_CREDITS = 'unlimited'
+
+const DEFAULT_LEDGER_PATH = '.wyreup-usage.jsonl'
+
+/**
+ * Credits a paid tool call costs
+ * @param {Object} tool - Tool configuration
+ * @returns {number} - Cost in credits
+ */
+export function getToolCost(tool) {
+  return tool.cost ?? 1
+}
+
+/**
+ * Whether a paid tool call is charged: it succeeded and was not answered from the response cache
+ * @param {Object} result - Execution result
+ * @returns {boolean} - True if the reservation should be charged
+ */
+export function isChargeable(result) {
+  // Cached results carry cache.status "hit", "stale" or "revalidated"; fresh webhook responses "miss"
+  return !!result?.success && (!result.cache || result.cache.status === 'miss')
+}
+
+class UsageLedger {
+  constructor() {
+    this.filePath = path.resolve(process.cwd(), DEFAULT_LEDGER_PATH)
+    this.clients = []
+    // client name -> period key -> credits charged
+    this.spent = new Map()
+    // client name -> credits held by calls in flight
+    this.reserved = new Map()
+  }
+
+  /**
+   * Apply the manifest's "usage" block and replay the ledger
+   * @param {Object} settings - {ledgerPath}
+   * @param {Array<Object>} clients - Configured server clients (see serverAuth.js)
+   */
+  configure(settings = {}, clients = []) {
+    this.filePath = path.resolve(process.cwd(), settings?.ledgerPath || DEFAULT_LEDGER_PATH)
+    this.clients = clients
+    this.spent.clear()
+    this.load()
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return
+    }
+    const lines = fs.readFileSync(this.filePath, 'utf-8').split('\n')
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return
+      }
+      try {
+        const entry = JSON.parse(line)
+        this.addSpent(entry.client, entry.period, entry.credits)
+      } catch (error) {
+        // A torn final line from a crash is expected; anything else is worth a warning
+        if (index < lines.length - 1) {
+          console.warn(chalk.yellow(`Skipping corrupt usage ledger line ${index + 1} in ${this.filePath}`))
+        }
+      }
+    })
+  }
+
+  /**
+   * Hold the cost of a paid tool call against the client's balance
+   * @param {Object} client - Calling client
+   * @param {Object} tool - Paid tool configuration
+   * @returns {Object} - {reservation} when the call may proceed, {error} otherwise
+   */
+  reserve(client, tool) {
+    const credits = getToolCost(tool)
+    const balance = this.getBalance(client)
+    if (balance.credits === undefined) {
+      return { error: `Client "${client.name}" has no credits for paid tool ${tool.name}` }
+    }
+    if (balance.remaining !== null && balance.remaining < credits) {
+      return {
+        error: `Insufficient credits for ${tool.name}: costs ${credits}, ${balance.remaining} remaining` +
+          (balance.resetsAt ? ` (renews ${balance.resetsAt})` : '')
+      }
+    }
+    this.reserved.set(client.name, (this.reserved.get(client.name) || 0) + credits)
+    return { reservation: { client, tool: tool.name, credits, period: periodKey(client.creditsPeriod) } }
+  }
+
+  /**
+   * Release a reservation, charging it and writing the ledger if the call succeeded
+   * @param {Object} reservation - From reserve()
+   * @param {boolean} success - Whether the tool call succeeded
+   */
+  settle(reservation, success) {
+    const { client, tool, credits, period } = reservation
+    this.reserved.set(client.name, Math.max(0, (this.reserved.get(client.name) || 0) - credits))
+    if (!success) {
+      return
+    }
+    this.addSpent(client.name, period, credits)
+    const entry = { timestamp: new Date().toISOString(), client: client.name, tool, credits, period }
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n')
+    } catch (error) {
+      console.error(chalk.red(`Failed to write usage ledger ${this.filePath}: ${error.message}`))
+    }
+  }
+
+  /**
+   * Report a client's allowance and what is left of it
+   * @param {Object} client - Server client
+   * @returns {Object} - {client, credits, used, remaining, period, resetsAt}
+   */
+  getBalance(client) {
+    const period = client.creditsPeriod || null
+    const used = this.spent.get(client.name)?.get(periodKey(period)) || 0
+    const unlimited = client.credits === UNLIMITED_CREDITS
+    return {
+      client: client.name,
+      credits: client.credits,
+      used,
+      remaining: unlimited || client.credits === undefined
+        ? null
+        : Math.max(0, client.credits - used - (this.reserved.get(client.name) || 0)),
+      period,
+      resetsAt: period ? nextPeriodStart(period) : null
+    }
+  }
+
+  /**
+   * Balances of every configured client
+   * @returns {Array<Object>} - One getBalance() result per client
+   */
+  getAllBalances() {
+    return this.clients.map(client => this.getBalance(client))
+  }
+
+  addSpent(clientName, period, credits) {
+    if (!this.spent.has(clientName)) {
+      this.spent.set(clientName, new Map())
+    }
+    const periods = this.spent.get(clientName)
+    periods.set(period, (periods.get(period) || 0) + credits)
+  }
+}
+
+// Ledger entries are grouped by the period they were charged in
+function periodKey(period, date = new Date()) {
+  const iso = date.toISOString()
+  if (period === 'day') {
+    return iso.slice(0, 10)
+  }
+  if (period === 'month') {
+    return iso.slice(0, 7)
+  }
+  return 'total'
+}
+
+function nextPeriodStart(period, date = new Date()) {
+  const next = period === 'day'
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+  return new Date(next).toISOString()
+}
+
+// Export singleton instance
+export const usageLedger = new UsageLedger()
@@ -1,9 +1,29 @@
 import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 import chalk from 'chalk';
+import { buildToolInputSchema } from './jsonSchemaToZod.js';
+import { OUTPUT_VALIDATION_MODES } from './outputValidation.js';
+import { JOB_STORE_TYPES } from './jobStore.js';
+import { SIGNATURE_ALGORITHMS, SIGNATURE_ENCODINGS } from './callbackReceiver.js';
+import { formatToolSource } from './manifestResolver.js';
+import { INTERNAL_TOOL_URLS, isCallableUrl, isInternalUrl, resolveToolUrl } from './toolUrl.js';
+import { OAUTH2_AUTH_TYPES, OAUTH2_CLIENT_AUTH_METHODS } from './oauth2.js';
+import { HMAC_CANONICALIZATIONS, HMAC_TEMPLATE_FIELDS } from './requestSigning.js';
+import { MTLS_MATERIALS } from './mtls.js';
+import { SECRET_PROVIDERS, parseSecretRef } from './secrets.js';
+import { CREDIT_PERIODS, UNLIMITED_CREDITS } from './usage.js';
+import { RATE_LIMIT_ALGORITHMS, RATE_LIMIT_KEYS } from './rateLimiter.js';
+import { RATE_LIMIT_STORE_TYPES } from './rateLimitStore.js';
+import { RATE_LIMIT_OVERFLOW_MODES } from './callQueue.js';
+import { CIRCUIT_BREAKER_DEFAULTS } from './circuitBreaker.js';
+import { RETRY_JITTER_MODES } from './retryPolicy.js';
+import { CACHE_DEFAULTS } from './responseCache.js';
+import { CACHE_STORE_TYPES } from './cacheStore.js';
+import { HTTP_POOL_OPTIONS } from './httpAgents.js';
+import { REQUEST_TEMPLATE_FIELDS, RESPONSE_MAPPING_FIELDS, getTemplatePaths, isSimplePath, parsePath } from './transforms.js';
 
 // Constants for validation
 const VALID_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
-const VALID_AUTH_TYPES = ['header', 'jwt'];
+const VALID_AUTH_TYPES = ['header', 'jwt', 'basic', 'query', 'mtls', 'hmac', ...OAUTH2_AUTH_TYPES];
 const REQUIRED_FIELDS = ['name'];
 const SIMPLIFIED_REQUIRED_FIELDS = ['name', 'webhook'];
 const FULL_REQUIRED_FIELDS = ['name', 'description', 'url'];
@@ -33,6 +53,54 @@ const MESSAGES = {
  * @throws {McpError} - When throwOnError=true and validation fails
  */
 export function validateTool(tool, throwOnError = false, debug = false) {
+  const errors = getToolErrors(tool);
+  
+  if (debug) {
+    warnUnknownFields(tool);
+  }
+  
+  // Handle errors
+  if (errors.length > 0) {
+    const firstError = errors[0];
+    
+    if (throwOnError) {
+      throw new McpError(ErrorCode.InvalidRequest, firstError);
+    }
+    
+    if (debug) {
+      errors.forEach(error => {
+        console.warn(chalk.yellow(`[DEBUG] ${error}`));
+      });
+    }
+    
+    return false;
+  }
+  
+  return true;
+}
+
+// Check for unknown/extra fields (expanded for webhook features)
+function warnUnknownFields(tool) {
+  const knownFields = [
+    'name', 'description', 'url', 'webhook', 'method', 'input', 'output', 'auth', 'authFrom',
+    'public', 'paid', 'timeout', 'maxRetries', 'retryDelay', 'rateLimit',
+    'webhookVerification', 'healthCheck', 'tags', 'outputValidation', 'async',
+    'awaitCallback', 'callbackTimeout', 'redact', 'cost', 'maxConcurrent', 'circuitBreaker', 'retry', 'cache', 'singleFlight',
+    'http', 'requestTemplate', 'responseMapping'
+  ];
+  const unknownFields = Object.keys(tool).filter(field => !knownFields.includes(field));
+  
+  unknownFields.forEach(field => {
+    console.warn(chalk.yellow(`[DEBUG] ${MESSAGES.UNKNOWN_FIELD(tool.name || 'unknown', field)}`));
+  });
+}
+
+/**
+ * Collect every validation error of a tool configuration
+ * @param {Object} tool - Tool configuration object
+ * @returns {Array<string>} - Error messages (empty when the tool is valid)
+ */
+export function getToolErrors(tool) {
   const errors = [];
   
   // Validate required fields
@@ -68,6 +136,14 @@ export function validateTool(tool, throwOnError = false, debug = false) {
     errors.push(`Tool "${tool.name || 'unknown'}" must have either "webhook" (simplified format) or "url" with "description" (full format).`);
   }
   
+  // Relative URLs must have been resolved against base_url by now
+  const targetUrl = tool.url ?? tool.webhook;
+  if (isInternalUrl(targetUrl) && !isCallableUrl(targetUrl)) {
+    errors.push(`Tool "${tool.name || 'unknown'}" has unknown internal url ${JSON.stringify(targetUrl)}. Available: ${INTERNAL_TOOL_URLS.join(', ')}.`);
+  } else if (typeof targetUrl === 'string' && targetUrl.trim() && !isCallableUrl(targetUrl)) {
+    errors.push(`Tool "${tool.name || 'unknown'}" has url ${JSON.stringify(targetUrl)} that does not resolve to an absolute http(s) URL. Set "base_url" in the manifest or use an absolute URL.`);
+  }
+  
   // Validate method (optional, defaults to GET)
   if (tool.method !== undefined) {
     if (typeof tool.method !== 'string' || !VALID_METHODS.includes(tool.method.toUpperCase())) {
@@ -116,8 +192,34 @@ export function validateTool(tool, throwOnError = false, debug = false) {
           if (!hasToken && !hasTokenFromEnv) {
             errors.push(`Tool "${tool.name || 'unknown'}" auth requires either "token" or "tokenFromEnv" for jwt auth type.`);
           }
+        } else if (tool.auth.type === 'basic') {
+          ['username', 'password'].forEach(field => {
+            if (!tool.auth[field] && !tool.auth[`${field}FromEnv`]) {
+              errors.push(`Tool "${tool.name || 'unknown'}" auth requires either "${field}" or "${field}FromEnv" for basic auth type.`);
+            }
+          });
+        } else if (tool.auth.type === 'query') {
+          if (!tool.auth.name || typeof tool.auth.name !== 'string' || !tool.auth.name.trim()) {
+            errors.push(`Tool "${tool.name || 'unknown'}" auth.name (the query parameter) is required for query auth type.`);
+          }
+          if (!tool.auth.value && !tool.auth.valueFromEnv) {
+            errors.push(`Tool "${tool.name || 'unknown'}" auth requires either "value" or "valueFromEnv" for query auth type.`);
+          }
+        } else if (tool.auth.type === 'mtls') {
+          errors.push(...validateMtlsAuth(tool));
+        } else if (tool.auth.type === 'hmac') {
+          errors.push(...validateHmacAuth(tool));
+        } else if (OAUTH2_AUTH_TYPES.includes(tool.auth.type)) {
+          errors.push(...validateOAuth2Auth(tool));
         }
       }
+      errors.push(...getSecretRefs(tool.auth).flatMap(({ field, ref }) => {
+        const { provider, key } = parseSecretRef(ref);
+        if (!SECRET_PROVIDERS.includes(provider) || !key) {
+          return [`Tool "${tool.name || 'unknown'}" auth.${field} has invalid secret reference ${JSON.stringify(ref)}. Use secret://<provider>/<key> with provider one of: ${SECRET_PROVIDERS.join(', ')}.`];
+        }
+        return [];
+      }));
     }
   }
   
@@ -140,44 +242,469 @@ export function validateTool(tool, throwOnError = false, debug = false) {
     }
   }
   
+  if (tool.retry !== undefined) {
+    errors.push(...validateRetryConfig(tool));
+  }
+  
   if (tool.rateLimit !== undefined) {
-    if (typeof tool.rateLimit !== 'object' || !tool.rateLimit.requests || !tool.rateLimit.window) {
-      errors.push(`Tool "${tool.name || 'unknown'}" has invalid rateLimit. Must be {requests: number, window: number}.`);
+    getRateLimitErrors(tool.rateLimit, true).forEach(problem => {
+      errors.push(`Tool "${tool.name || 'unknown'}" has invalid rateLimit: ${problem}`);
+    });
+  }
+  
+  if (tool.maxConcurrent !== undefined && (!Number.isInteger(tool.maxConcurrent) || tool.maxConcurrent < 1)) {
+    errors.push(`Tool "${tool.name || 'unknown'}" has invalid maxConcurrent: ${JSON.stringify(tool.maxConcurrent)}. Must be a positive integer.`);
+  }
+
+  if (tool.circuitBreaker !== undefined) {
+    errors.push(...validateCircuitBreaker(tool));
+  }
+
+  if (tool.cache !== undefined) {
+    errors.push(...validateCacheConfig(tool));
+  }
+
+  if (tool.singleFlight !== undefined && typeof tool.singleFlight !== 'boolean') {
+    const singleFlight = tool.singleFlight;
+    if (typeof singleFlight !== 'object' || singleFlight === null || Array.isArray(singleFlight) || Object.keys(singleFlight).some(field => field !== 'keyFields')) {
+      errors.push(`Tool "${tool.name || 'unknown'}" has invalid singleFlight. Must be a boolean or {"keyFields": [...]}.`);
+    } else if (singleFlight.keyFields !== undefined && (!Array.isArray(singleFlight.keyFields) || !singleFlight.keyFields.every(field => typeof field === 'string' && field.trim()))) {
+      errors.push(`Tool "${tool.name || 'unknown'}" has invalid singleFlight.keyFields. Must be an array of input field names or dotted paths.`);
     }
   }
 
-  // Check for unknown/extra fields (expanded for webhook features)
-  const knownFields = [
-    'name', 'description', 'url', 'webhook', 'method', 'input', 'output', 'auth', 'authFrom',
-    'public', 'paid', 'timeout', 'maxRetries', 'retryDelay', 'rateLimit',
-    'webhookVerification', 'healthCheck', 'tags'
-  ];
-  const unknownFields = Object.keys(tool).filter(field => !knownFields.includes(field));
-  
-  if (unknownFields.length > 0 && debug) {
-    unknownFields.forEach(field => {
-      console.warn(chalk.yellow(`[DEBUG] ${MESSAGES.UNKNOWN_FIELD(tool.name || 'unknown', field)}`));
+  if (tool.http !== undefined) {
+    getHttpPoolErrors(tool.http, ['proxy']).forEach(problem => {
+      errors.push(`Tool "${tool.name || 'unknown'}" has invalid http: ${problem}`);
     });
   }
+
+  if (tool.requestTemplate !== undefined) {
+    errors.push(...validateRequestTemplate(tool));
+  }
+
+  if (tool.responseMapping !== undefined) {
+    errors.push(...validateResponseMapping(tool));
+  }
+
+  if (tool.outputValidation !== undefined) {
+    if (!OUTPUT_VALIDATION_MODES.includes(tool.outputValidation)) {
+      errors.push(`Tool "${tool.name || 'unknown'}" has invalid outputValidation: ${JSON.stringify(tool.outputValidation)}. Must be one of: ${OUTPUT_VALIDATION_MODES.join(', ')}.`);
+    }
+  }
+
+  if (tool.async !== undefined && typeof tool.async !== 'boolean') {
+    errors.push(`Tool "${tool.name || 'unknown'}" has invalid async: ${JSON.stringify(tool.async)}. Must be a boolean.`);
+  }
+
+  if (tool.webhookVerification !== undefined) {
+    errors.push(...validateWebhookVerification(tool));
+  }
+
+  if (tool.awaitCallback !== undefined) {
+    if (typeof tool.awaitCallback !== 'boolean') {
+      errors.push(`Tool "${tool.name || 'unknown'}" has invalid awaitCallback: ${JSON.stringify(tool.awaitCallback)}. Must be a boolean.`);
+    } else if (tool.awaitCallback && (tool.async !== true || !tool.webhookVerification)) {
+      errors.push(`Tool "${tool.name || 'unknown'}" uses awaitCallback, which requires "async": true and a "webhookVerification" block.`);
+    }
+  }
+
+  if (tool.callbackTimeout !== undefined && (typeof tool.callbackTimeout !== 'number' || tool.callbackTimeout <= 0)) {
+    errors.push(`Tool "${tool.name || 'unknown'}" has invalid callbackTimeout: ${tool.callbackTimeout}. Must be a positive number (milliseconds).`);
+  }
+  if (tool.redact !== undefined && (!Array.isArray(tool.redact) || !tool.redact.every(entry => typeof entry === 'string' && entry.trim()))) {
+    errors.push(`Tool "${tool.name || 'unknown'}" has invalid redact. Must be an array of field names or dotted paths (e.g. ["password", "customer.card.number"]).`);
+  }
   
-  // Handle errors
-  if (errors.length > 0) {
-    const firstError = errors[0];
-    
-    if (throwOnError) {
-      throw new McpError(ErrorCode.InvalidRequest, firstError);
+  // public and tags decide which server clients may use the tool
+  if (tool.public !== undefined && typeof tool.public !== 'boolean') {
+    errors.push(`Tool "${tool.name || 'unknown'}" has invalid public. Must be a boolean.`);
+  }
+  if (tool.tags !== undefined && (!Array.isArray(tool.tags) || !tool.tags.every(tag => typeof tag === 'string' && tag.trim()))) {
+    errors.push(`Tool "${tool.name || 'unknown'}" has invalid tags. Must be an array of non-empty strings.`);
+  }
+  
+  // Paid tools are metered in credits per call
+  if (tool.paid !== undefined && typeof tool.paid !== 'boolean') {
+    errors.push(`Tool "${tool.name || 'unknown'}" has invalid paid. Must be a boolean.`);
+  }
+  if (tool.cost !== undefined && (typeof tool.cost !== 'number' || !(tool.cost > 0))) {
+    errors.push(`Tool "${tool.name || 'unknown'}" has invalid cost. Must be a positive number of credits.`);
+  }
+  if (tool.cost !== undefined && tool.paid !== true) {
+    errors.push(`Tool "${tool.name || 'unknown'}" has cost but is not paid. Set "paid": true to meter it.`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a tool's retry block
+ * @param {Object} tool - Tool configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateRetryConfig(tool) {
+  const errors = [];
+  const prefix = `Tool "${tool.name || 'unknown'}" has invalid retry`;
+  const retry = tool.retry;
+  if (typeof retry !== 'object' || retry === null || Array.isArray(retry)) {
+    errors.push(`${prefix}. Must be an object if defined.`);
+    return errors;
+  }
+  const knownFields = ['statusCodes', 'methods', 'jitter', 'maxDelay', 'maxElapsed', 'idempotencyHeader'];
+  Object.keys(retry).filter(field => !knownFields.includes(field)).forEach(field => {
+    errors.push(`${prefix}: unknown field "${field}". Known fields: ${knownFields.join(', ')}.`);
+  });
+  if (retry.statusCodes !== undefined && (!Array.isArray(retry.statusCodes) || !retry.statusCodes.every(code => Number.isInteger(code) && code >= 400 && code <= 599))) {
+    errors.push(`${prefix}: "statusCodes" must be an array of HTTP status codes from 400 to 599.`);
+  }
+  if (retry.methods !== undefined && (!Array.isArray(retry.methods) || !retry.methods.every(method => typeof method === 'string' && VALID_METHODS.includes(method.toUpperCase())))) {
+    errors.push(`${prefix}: "methods" must be an array of: ${VALID_METHODS.join(', ')}.`);
+  }
+  if (retry.jitter !== undefined && !RETRY_JITTER_MODES.includes(retry.jitter)) {
+    errors.push(`${prefix}: "jitter" must be one of: ${RETRY_JITTER_MODES.join(', ')}.`);
+  }
+  ['maxDelay', 'maxElapsed'].forEach(field => {
+    if (retry[field] !== undefined && (typeof retry[field] !== 'number' || !(retry[field] > 0))) {
+      errors.push(`${prefix}: "${field}" must be a positive number (milliseconds).`);
     }
-    
-    if (debug) {
-      errors.forEach(error => {
-        console.warn(chalk.yellow(`[DEBUG] ${error}`));
+  });
+  if (retry.idempotencyHeader !== undefined && (typeof retry.idempotencyHeader !== 'string' || !/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(retry.idempotencyHeader))) {
+    errors.push(`${prefix}: "idempotencyHeader" must be a valid header name.`);
+  }
+  return errors;
+}
+
+/**
+ * Validate a tool's cache block
+ * @param {Object} tool - Tool configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateCacheConfig(tool) {
+  const errors = [];
+  const prefix = `Tool "${tool.name || 'unknown'}" has invalid cache`;
+  const cache = tool.cache;
+  if (typeof cache !== 'object' || cache === null || Array.isArray(cache)) {
+    errors.push(`${prefix}. Must be an object (use {} for the defaults).`);
+    return errors;
+  }
+  Object.keys(cache).filter(field => !(field in CACHE_DEFAULTS)).forEach(field => {
+    errors.push(`${prefix}: unknown field "${field}". Known fields: ${Object.keys(CACHE_DEFAULTS).join(', ')}.`);
+  });
+  if (cache.ttl !== undefined && (typeof cache.ttl !== 'number' || !(cache.ttl >= 0))) {
+    errors.push(`${prefix}: "ttl" must be a non-negative number (milliseconds).`);
+  }
+  if (cache.staleWhileRevalidate !== undefined && (typeof cache.staleWhileRevalidate !== 'number' || !(cache.staleWhileRevalidate >= 0))) {
+    errors.push(`${prefix}: "staleWhileRevalidate" must be a non-negative number (milliseconds).`);
+  }
+  ['maxEntries', 'maxBytes'].forEach(field => {
+    if (cache[field] !== undefined && (!Number.isInteger(cache[field]) || cache[field] < 1)) {
+      errors.push(`${prefix}: "${field}" must be a positive integer.`);
+    }
+  });
+  if (cache.keyFields !== undefined && (!Array.isArray(cache.keyFields) || !cache.keyFields.every(field => typeof field === 'string' && field.trim()))) {
+    errors.push(`${prefix}: "keyFields" must be an array of input field names or dotted paths.`);
+  }
+  if (cache.respectHeaders !== undefined && typeof cache.respectHeaders !== 'boolean') {
+    errors.push(`${prefix}: "respectHeaders" must be a boolean.`);
+  }
+  return errors;
+}
+
+/**
+ * Validate a tool's requestTemplate block
+ * @param {Object} tool - Tool configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateRequestTemplate(tool) {
+  const errors = [];
+  const prefix = `Tool "${tool.name || 'unknown'}" has invalid requestTemplate`;
+  const template = tool.requestTemplate;
+  if (typeof template !== 'object' || template === null || Array.isArray(template)) {
+    errors.push(`${prefix}. Must be an object.`);
+    return errors;
+  }
+  Object.keys(template).filter(field => !REQUEST_TEMPLATE_FIELDS.includes(field)).forEach(field => {
+    errors.push(`${prefix}: unknown field "${field}". Known fields: ${REQUEST_TEMPLATE_FIELDS.join(', ')}.`);
+  });
+  if (template.body !== undefined && (template.rename !== undefined || template.omit !== undefined)) {
+    errors.push(`${prefix}: "rename" and "omit" change the forwarded input and cannot be combined with "body".`);
+  }
+  [...getTemplatePaths(template.body), ...getTemplatePaths(template.headers)].forEach(path => {
+    const problem = getPathProblem(path);
+    if (problem) {
+      errors.push(`${prefix}: placeholder {{${path}}}: ${problem}`);
+    }
+  });
+  if (template.rename !== undefined) {
+    if (!isPlainObject(template.rename)) {
+      errors.push(`${prefix}: "rename" must map input field paths to new field paths.`);
+    } else {
+      Object.entries(template.rename).forEach(([from, to]) => {
+        if (!isSimplePath(from) || typeof to !== 'string' || !isSimplePath(to)) {
+          errors.push(`${prefix}: "rename.${from}" must map a field path to a field path (no wildcards or slices).`);
+        }
       });
     }
-    
-    return false;
   }
-  
-  return true;
+  if (template.omit !== undefined && (!Array.isArray(template.omit) || !template.omit.every(isSimplePath))) {
+    errors.push(`${prefix}: "omit" must be an array of input field names or dotted paths.`);
+  }
+  if (template.set !== undefined) {
+    if (!isPlainObject(template.set)) {
+      errors.push(`${prefix}: "set" must map field paths to constant values.`);
+    } else {
+      Object.keys(template.set).filter(path => !isSimplePath(path)).forEach(path => {
+        errors.push(`${prefix}: "set.${path}" is not a field name or dotted path.`);
+      });
+    }
+  }
+  if (template.headers !== undefined) {
+    if (!isPlainObject(template.headers)) {
+      errors.push(`${prefix}: "headers" must map header names to template strings.`);
+    } else {
+      Object.entries(template.headers).forEach(([name, value]) => {
+        if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name) || typeof value !== 'string') {
+          errors.push(`${prefix}: "headers.${name}" must be a valid header name with a string value.`);
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a tool's responseMapping block
+ * @param {Object} tool - Tool configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateResponseMapping(tool) {
+  const errors = [];
+  const prefix = `Tool "${tool.name || 'unknown'}" has invalid responseMapping`;
+  const mapping = tool.responseMapping;
+  if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+    errors.push(`${prefix}. Must be an object.`);
+    return errors;
+  }
+  Object.keys(mapping).filter(field => !RESPONSE_MAPPING_FIELDS.includes(field)).forEach(field => {
+    errors.push(`${prefix}: unknown field "${field}". Known fields: ${RESPONSE_MAPPING_FIELDS.join(', ')}.`);
+  });
+  if (mapping.unwrap !== undefined && typeof mapping.unwrap !== 'boolean') {
+    errors.push(`${prefix}: "unwrap" must be a boolean.`);
+  }
+  if (mapping.extract !== undefined) {
+    const problem = getPathProblem(mapping.extract);
+    if (problem) {
+      errors.push(`${prefix}: "extract": ${problem}`);
+    }
+  }
+  if (mapping.pick !== undefined) {
+    if (Array.isArray(mapping.pick)) {
+      if (mapping.pick.length === 0 || !mapping.pick.every(isSimplePath)) {
+        errors.push(`${prefix}: "pick" must be a non-empty array of field names or dotted paths.`);
+      }
+    } else if (isPlainObject(mapping.pick) && Object.keys(mapping.pick).length > 0) {
+      Object.entries(mapping.pick).forEach(([name, path]) => {
+        const problem = getPathProblem(path);
+        if (problem) {
+          errors.push(`${prefix}: "pick.${name}": ${problem}`);
+        }
+      });
+    } else {
+      errors.push(`${prefix}: "pick" must be an array of field paths or an object mapping new names to paths.`);
+    }
+  }
+  if (mapping.drop !== undefined && (!Array.isArray(mapping.drop) || !mapping.drop.every(isSimplePath))) {
+    errors.push(`${prefix}: "drop" must be an array of field names or dotted paths.`);
+  }
+  if (mapping.maxStringLength !== undefined && (!Number.isInteger(mapping.maxStringLength) || mapping.maxStringLength < 1)) {
+    errors.push(`${prefix}: "maxStringLength" must be a positive integer.`);
+  }
+  return errors;
+}
+
+// Why a path expression cannot be used, or null if it can
+function getPathProblem(path) {
+  try {
+    parsePath(path);
+    return null;
+  } catch (error) {
+    return `${error.message}.`;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validate a tool's circuitBreaker block
+ * @param {Object} tool - Tool configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateCircuitBreaker(tool) {
+  const errors = [];
+  const prefix = `Tool "${tool.name || 'unknown'}" has invalid circuitBreaker`;
+  const breaker = tool.circuitBreaker;
+  if (typeof breaker !== 'object' || breaker === null || Array.isArray(breaker)) {
+    errors.push(`${prefix}. Must be an object (use {} for the defaults).`);
+    return errors;
+  }
+  Object.keys(breaker).filter(field => !(field in CIRCUIT_BREAKER_DEFAULTS)).forEach(field => {
+    errors.push(`${prefix}: unknown field "${field}". Known fields: ${Object.keys(CIRCUIT_BREAKER_DEFAULTS).join(', ')}.`);
+  });
+  if (breaker.failureRate !== undefined && (typeof breaker.failureRate !== 'number' || !(breaker.failureRate > 0) || breaker.failureRate > 100)) {
+    errors.push(`${prefix}: "failureRate" must be a percentage above 0 and at most 100.`);
+  }
+  ['minimumRequests', 'consecutiveFailures', 'halfOpenRequests'].forEach(field => {
+    if (breaker[field] !== undefined && (!Number.isInteger(breaker[field]) || breaker[field] < 1)) {
+      errors.push(`${prefix}: "${field}" must be a positive integer.`);
+    }
+  });
+  ['window', 'openDuration'].forEach(field => {
+    if (breaker[field] !== undefined && (typeof breaker[field] !== 'number' || !(breaker[field] > 0))) {
+      errors.push(`${prefix}: "${field}" must be a positive number (milliseconds).`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate a tool's webhookVerification block (inbound callback signatures)
+ * @param {Object} tool - Tool configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateWebhookVerification(tool) {
+  const errors = [];
+  const verification = tool.webhookVerification;
+  const label = `Tool "${tool.name || 'unknown'}" webhookVerification`;
+
+  if (typeof verification !== 'object' || verification === null || Array.isArray(verification)) {
+    errors.push(`${label} must be an object.`);
+    return errors;
+  }
+  if (!verification.secret && !verification.secretFromEnv) {
+    errors.push(`${label} requires either "secret" or "secretFromEnv".`);
+  }
+  ['secret', 'secretFromEnv', 'header', 'timestampHeader'].forEach(field => {
+    if (verification[field] !== undefined && (typeof verification[field] !== 'string' || !verification[field].trim())) {
+      errors.push(`${label} has invalid ${field}. Must be a non-empty string.`);
+    }
+  });
+  if (verification.algorithm !== undefined && !SIGNATURE_ALGORITHMS.includes(verification.algorithm)) {
+    errors.push(`${label} has invalid algorithm: ${JSON.stringify(verification.algorithm)}. Must be one of: ${SIGNATURE_ALGORITHMS.join(', ')}.`);
+  }
+  if (verification.encoding !== undefined && !SIGNATURE_ENCODINGS.includes(verification.encoding)) {
+    errors.push(`${label} has invalid encoding: ${JSON.stringify(verification.encoding)}. Must be one of: ${SIGNATURE_ENCODINGS.join(', ')}.`);
+  }
+  if (verification.tolerance !== undefined && (typeof verification.tolerance !== 'number' || verification.tolerance <= 0)) {
+    errors.push(`${label} has invalid tolerance: ${verification.tolerance}. Must be a positive number (milliseconds).`);
+  }
+  return errors;
+}
+
+/**
+ * Validate the fields of an mtls (client certificate) auth block
+ * @param {Object} tool - Tool configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateMtlsAuth(tool) {
+  const errors = [];
+  const auth = tool.auth;
+  const label = `Tool "${tool.name || 'unknown'}" auth`;
+
+  ['cert', 'key'].forEach(material => {
+    if (!auth[material] && !auth[`${material}File`] && !auth[`${material}FromEnv`]) {
+      errors.push(`${label} requires one of "${material}", "${material}File" or "${material}FromEnv" for mtls auth type.`);
+    }
+  });
+  const stringFields = MTLS_MATERIALS.flatMap(material => [material, `${material}File`, `${material}FromEnv`])
+    .concat(['passphrase', 'passphraseFromEnv', 'servername']);
+  stringFields.forEach(field => {
+    if (auth[field] !== undefined && (typeof auth[field] !== 'string' || !auth[field].trim())) {
+      errors.push(`${label} has invalid ${field}. Must be a non-empty string.`);
+    }
+  });
+  if (auth.rejectUnauthorized !== undefined && typeof auth.rejectUnauthorized !== 'boolean') {
+    errors.push(`${label} has invalid rejectUnauthorized. Must be a boolean.`);
+  }
+  return errors;
+}
+
+/**
+ * Validate the fields of an hmac (outbound request signing) auth block
+ * @param {Object} tool - Tool configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateHmacAuth(tool) {
+  const errors = [];
+  const auth = tool.auth;
+  const label = `Tool "${tool.name || 'unknown'}" auth`;
+
+  if (!auth.secret && !auth.secretFromEnv) {
+    errors.push(`${label} requires either "secret" or "secretFromEnv" for hmac auth type.`);
+  }
+  ['secret', 'secretFromEnv', 'signatureHeader', 'timestampHeader', 'nonceHeader'].forEach(field => {
+    if (auth[field] !== undefined && (typeof auth[field] !== 'string' || !auth[field].trim())) {
+      errors.push(`${label} has invalid ${field}. Must be a non-empty string.`);
+    }
+  });
+  if (auth.algorithm !== undefined && !SIGNATURE_ALGORITHMS.includes(auth.algorithm)) {
+    errors.push(`${label} has invalid algorithm: ${JSON.stringify(auth.algorithm)}. Must be one of: ${SIGNATURE_ALGORITHMS.join(', ')}.`);
+  }
+  if (auth.encoding !== undefined && !SIGNATURE_ENCODINGS.includes(auth.encoding)) {
+    errors.push(`${label} has invalid encoding: ${JSON.stringify(auth.encoding)}. Must be one of: ${SIGNATURE_ENCODINGS.join(', ')}.`);
+  }
+  if (auth.canonicalization !== undefined && !HMAC_CANONICALIZATIONS.includes(auth.canonicalization)) {
+    errors.push(`${label} has invalid canonicalization: ${JSON.stringify(auth.canonicalization)}. Must be one of: ${HMAC_CANONICALIZATIONS.join(', ')}.`);
+  }
+  if (auth.template !== undefined) {
+    if ((auth.canonicalization || 'custom') !== 'custom') {
+      errors.push(`${label} "template" is only used with the custom canonicalization.`);
+    } else if (typeof auth.template !== 'string' || !auth.template.trim()) {
+      errors.push(`${label} has invalid template. Must be a non-empty string.`);
+    } else {
+      const unknownFields = Array.from(auth.template.matchAll(/\{(\w+)\}/g), match => match[1])
+        .filter(name => !HMAC_TEMPLATE_FIELDS.includes(name));
+      if (unknownFields.length > 0) {
+        errors.push(`${label} template has unknown placeholder(s): ${unknownFields.map(name => `{${name}}`).join(', ')}. Available: ${HMAC_TEMPLATE_FIELDS.map(name => `{${name}}`).join(', ')}.`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate the fields of an oauth2_client_credentials or oauth2_refresh_token auth block
+ * @param {Object} tool - Tool configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateOAuth2Auth(tool) {
+  const errors = [];
+  const auth = tool.auth;
+  const label = `Tool "${tool.name || 'unknown'}" auth`;
+
+  if (typeof auth.tokenUrl !== 'string' || !/^https?:\/\//.test(auth.tokenUrl)) {
+    errors.push(`${label} requires "tokenUrl" (an http(s) URL) for ${auth.type} auth type.`);
+  }
+  if (!auth.clientId && !auth.clientIdFromEnv) {
+    errors.push(`${label} requires either "clientId" or "clientIdFromEnv" for ${auth.type} auth type.`);
+  }
+  if (auth.type === 'oauth2_client_credentials' && !auth.clientSecret && !auth.clientSecretFromEnv) {
+    errors.push(`${label} requires either "clientSecret" or "clientSecretFromEnv" for ${auth.type} auth type.`);
+  }
+  if (auth.type === 'oauth2_refresh_token' && !auth.refreshToken && !auth.refreshTokenFromEnv) {
+    errors.push(`${label} requires either "refreshToken" or "refreshTokenFromEnv" for ${auth.type} auth type.`);
+  }
+  ['clientId', 'clientIdFromEnv', 'clientSecret', 'clientSecretFromEnv', 'refreshToken', 'refreshTokenFromEnv', 'scope', 'audience'].forEach(field => {
+    if (auth[field] !== undefined && (typeof auth[field] !== 'string' || !auth[field].trim())) {
+      errors.push(`${label} has invalid ${field}. Must be a non-empty string.`);
+    }
+  });
+  if (auth.clientAuthMethod !== undefined && !OAUTH2_CLIENT_AUTH_METHODS.includes(auth.clientAuthMethod)) {
+    errors.push(`${label} has invalid clientAuthMethod: ${JSON.stringify(auth.clientAuthMethod)}. Must be one of: ${OAUTH2_CLIENT_AUTH_METHODS.join(', ')}.`);
+  }
+  return errors;
 }
 
 /**
@@ -185,57 +712,457 @@ export function validateTool(tool, throwOnError = false, debug = false) {
  * @param {Object} config - Parsed manifest configuration
  * @param {string} filePath - Path to manifest file (for error reporting)
  * @param {boolean} debug - Whether to show debug logging
- * @returns {Object} - Validation result with success boolean and errors array
+ * @param {Array<Object>} toolSources - Where each tool was defined, from resolveManifestFile (optional)
+ * @returns {Object} - Validation result with success boolean, errors and warnings arrays
  */
-export function validateManifest(config, filePath, debug = false) {
+export function validateManifest(config, filePath, debug = false, toolSources = []) {
   const errors = [];
+  const warnings = [];
   
   // Check tools array
   if (!Array.isArray(config.tools)) {
     errors.push('Field "tools": Missing or invalid. Must be an array.');
-    return { success: false, errors };
+    return { success: false, errors, warnings };
   }
   
   if (config.tools.length === 0) {
     errors.push('Field "tools": Array must contain at least one tool.');
-    return { success: false, errors };
+    return { success: false, errors, warnings };
+  }
+  
+  errors.push(...validateJobsConfig(config.jobs));
+  errors.push(...validateSecretsConfig(config.secrets));
+  errors.push(...validateServerConfig(config.server));
+  errors.push(...validateUsageConfig(config.usage));
+  errors.push(...validateRateLimitingConfig(config.rateLimiting));
+  errors.push(...validateCachingConfig(config.caching));
+  errors.push(...validateHttpConfig(config.http));
+  if (!config.secrets?.secretCommand) {
+    const commandRefs = config.tools.filter(tool => tool && getSecretRefs(tool.auth).some(({ ref }) => parseSecretRef(ref).provider === 'command'));
+    if (commandRefs.length > 0) {
+      errors.push(`Field "secrets.secretCommand": Required by secret://command references (tools: ${commandRefs.map(tool => tool.name).join(', ')}).`);
+    }
+  }
+  
+  if (config.base_url !== undefined) {
+    const baseUrl = resolveToolUrl(config.base_url, { username: config.username });
+    if (isInternalUrl(baseUrl) || !isCallableUrl(baseUrl)) {
+      errors.push(`Field "base_url": ${JSON.stringify(config.base_url)} must be an absolute http(s) URL.`);
+    }
   }
   
   // Check for duplicate tool names
-  const toolNames = new Set();
+  const toolNames = new Map();
   const duplicates = [];
+  const locate = index => toolSources[index] ? formatToolSource(toolSources[index]) : `index ${index}`;
   
   config.tools.forEach((tool, index) => {
     // Validate individual tool
-    try {
-      if (!validateTool(tool, false, debug)) {
-        errors.push(`Tool at index ${index}: Invalid tool configuration`);
-      }
-    } catch (error) {
-      errors.push(`Tool at index ${index}: ${error.message}`);
+    if (typeof tool !== 'object' || tool === null || Array.isArray(tool)) {
+      errors.push(`Tool at ${locate(index)}: Must be an object.`);
+      return;
+    }
+    if (debug) {
+      warnUnknownFields(tool);
+    }
+    getToolErrors(tool).forEach(error => {
+      errors.push(`Tool at ${locate(index)}: ${error}`);
+    });
+    
+    // Report schema features the Zod conversion cannot represent
+    if (tool.input && typeof tool.input === 'object' && !Array.isArray(tool.input)) {
+      const toolLabel = tool.name && typeof tool.name === 'string' ? tool.name : `tools[${index}]`;
+      warnings.push(...buildToolInputSchema(tool.input, `${toolLabel}.input`).warnings);
     }
     
     // Check for duplicate names
     if (tool.name && typeof tool.name === 'string') {
       if (toolNames.has(tool.name)) {
-        duplicates.push(tool.name);
+        duplicates.push({ name: tool.name, first: toolNames.get(tool.name), index });
       } else {
-        toolNames.add(tool.name);
+        toolNames.set(tool.name, index);
       }
     }
   });
   
   // Report duplicates
   if (duplicates.length > 0) {
-    duplicates.forEach(name => {
-      errors.push(`Duplicate tool name found: "${name}". Tool names must be unique.`);
+    duplicates.forEach(({ name, first, index }) => {
+      const location = toolSources.length > 0 ? ` (${locate(first)} and ${locate(index)})` : '';
+      errors.push(`Duplicate tool name found: "${name}"${location}. Tool names must be unique.`);
     });
   }
   
   return {
     success: errors.length === 0,
     errors,
+    warnings,
     toolCount: config.tools.length,
-    toolNames: Array.from(toolNames)
+    toolNames: Array.from(toolNames.keys())
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Validate the top-level "jobs" block (async job store and callback settings)
+ * @param {Object} jobs - Jobs configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateJobsConfig(jobs) {
+  const errors = [];
+  if (jobs === undefined) {
+    return errors;
+  }
+  if (typeof jobs !== 'object' || jobs === null || Array.isArray(jobs)) {
+    errors.push('Field "jobs": Must be an object if defined.');
+    return errors;
+  }
+  if (jobs.store !== undefined && !JOB_STORE_TYPES.includes(jobs.store)) {
+    errors.push(`Field "jobs.store": Must be one of: ${JOB_STORE_TYPES.join(', ')}.`);
+  }
+  if (jobs.path !== undefined && (typeof jobs.path !== 'string' || !jobs.path.trim())) {
+    errors.push('Field "jobs.path": Must be a non-empty string.');
+  }
+  if (jobs.ttl !== undefined && (typeof jobs.ttl !== 'number' || jobs.ttl <= 0)) {
+    errors.push('Field "jobs.ttl": Must be a positive number (milliseconds).');
+  }
+  if (jobs.onRestart !== undefined && !['fail', 'resume'].includes(jobs.onRestart)) {
+    errors.push('Field "jobs.onRestart": Must be "fail" or "resume".');
+  }
+  if (jobs.callbackBaseUrl !== undefined && (typeof jobs.callbackBaseUrl !== 'string' || !/^https?:\/\//.test(jobs.callbackBaseUrl))) {
+    errors.push('Field "jobs.callbackBaseUrl": Must be an http(s) URL.');
+  }
+  return errors;
+}
+
+/**
+ * Validate the top-level "secrets" block (secret provider settings)
+ * @param {Object} secrets - Secrets configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateSecretsConfig(secrets) {
+  const errors = [];
+  if (secrets === undefined) {
+    return errors;
+  }
+  if (typeof secrets !== 'object' || secrets === null || Array.isArray(secrets)) {
+    errors.push('Field "secrets": Must be an object if defined.');
+    return errors;
+  }
+  if (secrets.ttl !== undefined && (typeof secrets.ttl !== 'number' || secrets.ttl < 0)) {
+    errors.push('Field "secrets.ttl": Must be a non-negative number (milliseconds, 0 disables caching).');
+  }
+  ['dir', 'dotenvPath', 'vaultPath', 'vaultPassphraseEnv'].forEach(field => {
+    if (secrets[field] !== undefined && (typeof secrets[field] !== 'string' || !secrets[field].trim())) {
+      errors.push(`Field "secrets.${field}": Must be a non-empty string.`);
+    }
+  });
+  const command = secrets.secretCommand;
+  const validCommand = (typeof command === 'string' && command.trim())
+    || (Array.isArray(command) && command.length > 0 && command.every(part => typeof part === 'string'));
+  if (command !== undefined && !validCommand) {
+    errors.push('Field "secrets.secretCommand": Must be a command string or an array of arguments, e.g. ["op", "read", "op://Automation/{key}"].');
+  }
+  return errors;
+}
+
+/**
+ * Validate the top-level "server" block (client authentication and CORS for SSE/HTTP)
+ * @param {Object} server - Server configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateServerConfig(server) {
+  const errors = [];
+  if (server === undefined) {
+    return errors;
+  }
+  if (typeof server !== 'object' || server === null || Array.isArray(server)) {
+    errors.push('Field "server": Must be an object if defined.');
+    return errors;
+  }
+
+  const auth = server.auth;
+  if (auth !== undefined && (typeof auth !== 'object' || auth === null || Array.isArray(auth))) {
+    errors.push('Field "server.auth": Must be an object if defined.');
+  } else if (auth) {
+    if (auth.allowAnonymous !== undefined && typeof auth.allowAnonymous !== 'boolean') {
+      errors.push('Field "server.auth.allowAnonymous": Must be a boolean.');
+    }
+    if (auth.clients !== undefined && !Array.isArray(auth.clients)) {
+      errors.push('Field "server.auth.clients": Must be an array.');
+    }
+    const names = new Set();
+    (Array.isArray(auth.clients) ? auth.clients : []).forEach((client, index) => {
+      const label = `server.auth.clients[${index}]`;
+      if (typeof client !== 'object' || client === null || Array.isArray(client)) {
+        errors.push(`Field "${label}": Must be an object.`);
+        return;
+      }
+      if (typeof client.name !== 'string' || !client.name.trim()) {
+        errors.push(`Field "${label}.name": Must be a non-empty string.`);
+      } else if (names.has(client.name)) {
+        errors.push(`Field "${label}.name": Duplicate client name "${client.name}".`);
+      } else {
+        names.add(client.name);
+      }
+      if (!client.token && !client.tokenFromEnv) {
+        errors.push(`Field "${label}": Requires "token" or "tokenFromEnv".`);
+      }
+      ['token', 'tokenFromEnv'].forEach(field => {
+        if (client[field] !== undefined && (typeof client[field] !== 'string' || !client[field].trim())) {
+          errors.push(`Field "${label}.${field}": Must be a non-empty string.`);
+        }
+      });
+      const tokenRef = parseSecretRef(client.token);
+      if (tokenRef && !SECRET_PROVIDERS.includes(tokenRef.provider)) {
+        errors.push(`Field "${label}.token": Unknown secret provider "${tokenRef.provider}". Must be one of: ${SECRET_PROVIDERS.join(', ')}.`);
+      }
+      if (client.tools !== undefined && client.tools !== '*'
+        && (!Array.isArray(client.tools) || !client.tools.every(tool => typeof tool === 'string'))) {
+        errors.push(`Field "${label}.tools": Must be an array of tool names or "*".`);
+      }
+      if (client.tags !== undefined && (!Array.isArray(client.tags) || !client.tags.every(tag => typeof tag === 'string'))) {
+        errors.push(`Field "${label}.tags": Must be an array of strings.`);
+      }
+      if (client.credits !== undefined && client.credits !== UNLIMITED_CREDITS && (typeof client.credits !== 'number' || client.credits < 0)) {
+        errors.push(`Field "${label}.credits": Must be a non-negative number or "${UNLIMITED_CREDITS}".`);
+      }
+      if (client.creditsPeriod !== undefined && !CREDIT_PERIODS.includes(client.creditsPeriod)) {
+        errors.push(`Field "${label}.creditsPeriod": Must be one of: ${CREDIT_PERIODS.join(', ')}.`);
+      }
+    });
+  }
+
+  const sessions = server.sessions;
+  if (sessions !== undefined && (typeof sessions !== 'object' || sessions === null || Array.isArray(sessions))) {
+    errors.push('Field "server.sessions": Must be an object if defined.');
+  } else if (sessions) {
+    if (sessions.idleTimeout !== undefined && (!Number.isInteger(sessions.idleTimeout) || sessions.idleTimeout <= 0)) {
+      errors.push('Field "server.sessions.idleTimeout": Must be a positive integer (milliseconds).');
+    }
+    if (sessions.max !== undefined && (!Number.isInteger(sessions.max) || sessions.max <= 0)) {
+      errors.push('Field "server.sessions.max": Must be a positive integer.');
+    }
+  }
+
+  const origins = server.cors?.origins;
+  if (server.cors !== undefined && (typeof server.cors !== 'object' || server.cors === null || Array.isArray(server.cors))) {
+    errors.push('Field "server.cors": Must be an object if defined.');
+  } else if (origins !== undefined && origins !== '*'
+    && (!Array.isArray(origins) || !origins.every(origin => typeof origin === 'string' && origin.trim()))) {
+    errors.push('Field "server.cors.origins": Must be "*" or an array of origins (e.g. ["https://app.example.com"]).');
+  }
+  return errors;
+}
+
+/**
+ * Validate the top-level "usage" block (credit ledger for paid tools)
+ * @param {Object} usage - Usage configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateUsageConfig(usage) {
+  const errors = [];
+  if (usage === undefined) {
+    return errors;
+  }
+  if (typeof usage !== 'object' || usage === null || Array.isArray(usage)) {
+    errors.push('Field "usage": Must be an object if defined.');
+    return errors;
+  }
+  if (usage.ledgerPath !== undefined && (typeof usage.ledgerPath !== 'string' || !usage.ledgerPath.trim())) {
+    errors.push('Field "usage.ledgerPath": Must be a non-empty string.');
+  }
+  return errors;
+}
+
+/**
+ * Validate the top-level "rateLimiting" block (shared store and global limit)
+ * @param {Object} rateLimiting - Rate limiting configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateRateLimitingConfig(rateLimiting) {
+  const errors = [];
+  if (rateLimiting === undefined) {
+    return errors;
+  }
+  if (typeof rateLimiting !== 'object' || rateLimiting === null || Array.isArray(rateLimiting)) {
+    errors.push('Field "rateLimiting": Must be an object if defined.');
+    return errors;
+  }
+  if (rateLimiting.store !== undefined && !RATE_LIMIT_STORE_TYPES.includes(rateLimiting.store)) {
+    errors.push(`Field "rateLimiting.store": Must be one of: ${RATE_LIMIT_STORE_TYPES.join(', ')}.`);
+  }
+  if (rateLimiting.path !== undefined && (typeof rateLimiting.path !== 'string' || !rateLimiting.path.trim())) {
+    errors.push('Field "rateLimiting.path": Must be a non-empty string.');
+  }
+  if (rateLimiting.global !== undefined) {
+    getRateLimitErrors(rateLimiting.global, false).forEach(problem => {
+      errors.push(`Field "rateLimiting.global": ${problem}`);
+    });
+  }
+  return errors;
+}
+
+/**
+ * Validate the top-level "caching" block (response cache store)
+ * @param {Object} caching - Caching configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateCachingConfig(caching) {
+  const errors = [];
+  if (caching === undefined) {
+    return errors;
+  }
+  if (typeof caching !== 'object' || caching === null || Array.isArray(caching)) {
+    errors.push('Field "caching": Must be an object if defined.');
+    return errors;
+  }
+  if (caching.store !== undefined && !CACHE_STORE_TYPES.includes(caching.store)) {
+    errors.push(`Field "caching.store": Must be one of: ${CACHE_STORE_TYPES.join(', ')}.`);
+  }
+  if (caching.path !== undefined && (typeof caching.path !== 'string' || !caching.path.trim())) {
+    errors.push('Field "caching.path": Must be a non-empty string.');
+  }
+  return errors;
+}
+
+/**
+ * Validate the top-level "http" block (connection pools and proxy)
+ * @param {Object} http - HTTP client configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateHttpConfig(http) {
+  const errors = [];
+  if (http === undefined) {
+    return errors;
+  }
+  if (typeof http !== 'object' || http === null || Array.isArray(http)) {
+    errors.push('Field "http": Must be an object if defined.');
+    return errors;
+  }
+  getHttpPoolErrors(http, ['proxy', 'noProxy', 'hosts']).forEach(problem => {
+    errors.push(`Field "http": ${problem}`);
+  });
+  const noProxy = http.noProxy;
+  if (noProxy !== undefined && typeof noProxy !== 'string' && (!Array.isArray(noProxy) || !noProxy.every(entry => typeof entry === 'string' && entry.trim()))) {
+    errors.push('Field "http.noProxy": Must be a comma-separated string or an array of host names.');
+  }
+  if (http.hosts !== undefined) {
+    if (typeof http.hosts !== 'object' || http.hosts === null || Array.isArray(http.hosts)) {
+      errors.push('Field "http.hosts": Must be an object mapping host names to pool options.');
+    } else {
+      Object.entries(http.hosts).forEach(([host, options]) => {
+        getHttpPoolErrors(options, []).forEach(problem => {
+          errors.push(`Field "http.hosts.${host}": ${problem}`);
+        });
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check connection pool options ({connections, pipelining, keepAliveTimeout, ...})
+ * @param {Object} options - Pool options of the manifest, a host or a tool
+ * @param {Array<string>} extraFields - Other fields allowed alongside the pool options
+ * @returns {Array<string>} - Problems found
+ */
+function getHttpPoolErrors(options, extraFields) {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    return ['Must be an object.'];
+  }
+  const problems = [];
+  const knownFields = [...HTTP_POOL_OPTIONS, ...extraFields];
+  Object.keys(options).filter(field => !knownFields.includes(field)).forEach(field => {
+    problems.push(`Unknown field "${field}". Known fields: ${knownFields.join(', ')}.`);
+  });
+  if (options.connections !== undefined && (!Number.isInteger(options.connections) || options.connections < 1)) {
+    problems.push('"connections" must be a positive integer.');
+  }
+  if (options.pipelining !== undefined && (!Number.isInteger(options.pipelining) || options.pipelining < 0)) {
+    problems.push('"pipelining" must be a non-negative integer (0 disables keep-alive).');
+  }
+  ['keepAliveTimeout', 'keepAliveMaxTimeout', 'connectTimeout'].forEach(field => {
+    if (options[field] !== undefined && (typeof options[field] !== 'number' || !(options[field] > 0))) {
+      problems.push(`"${field}" must be a positive number (milliseconds).`);
+    }
+  });
+  if (options.allowH2 !== undefined && typeof options.allowH2 !== 'boolean') {
+    problems.push('"allowH2" must be a boolean.');
+  }
+  if (options.proxy !== undefined && options.proxy !== false && !isProxyUrl(options.proxy)) {
+    problems.push('"proxy" must be an http:// or https:// URL, or false to connect directly.');
+  }
+  return problems;
+}
+
+function isProxyUrl(value) {
+  try {
+    return typeof value === 'string' && ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check a rate limit definition ({requests, window, algorithm, key, burst} and, for tools, queueing)
+ * @param {Object} rateLimit - Tool or global rate limit
+ * @param {boolean} isToolLimit - Whether the queue options (onExceeded, maxWait, maxQueue) apply
+ * @returns {Array<string>} - Problems found
+ */
+function getRateLimitErrors(rateLimit, isToolLimit) {
+  if (typeof rateLimit !== 'object' || rateLimit === null || Array.isArray(rateLimit)) {
+    return ['Must be {requests: number, window: number}.'];
+  }
+  const problems = [];
+  // A tool may only set queue bounds for maxConcurrent, without a request limit
+  const queueOnly = isToolLimit && rateLimit.requests === undefined && rateLimit.window === undefined
+    && (rateLimit.maxWait !== undefined || rateLimit.maxQueue !== undefined);
+  if (!queueOnly && (!Number.isInteger(rateLimit.requests) || rateLimit.requests < 1)) {
+    problems.push('"requests" must be a positive integer.');
+  }
+  if (!queueOnly && (typeof rateLimit.window !== 'number' || !(rateLimit.window > 0))) {
+    problems.push('"window" must be a positive number (milliseconds).');
+  }
+  if (rateLimit.algorithm !== undefined && !RATE_LIMIT_ALGORITHMS.includes(rateLimit.algorithm)) {
+    problems.push(`"algorithm" must be one of: ${RATE_LIMIT_ALGORITHMS.join(', ')}.`);
+  }
+  if (rateLimit.key !== undefined && !RATE_LIMIT_KEYS.includes(rateLimit.key)) {
+    problems.push(`"key" must be one of: ${RATE_LIMIT_KEYS.join(', ')}.`);
+  }
+  if (rateLimit.burst !== undefined) {
+    if (rateLimit.algorithm !== 'token-bucket') {
+      problems.push('"burst" only applies to the token-bucket algorithm.');
+    } else if (!Number.isInteger(rateLimit.burst) || rateLimit.burst < 1) {
+      problems.push('"burst" must be a positive integer.');
+    }
+  }
+  ['onExceeded', 'maxWait', 'maxQueue'].forEach(field => {
+    if (!isToolLimit && rateLimit[field] !== undefined) {
+      problems.push(`"${field}" only applies to tool rate limits.`);
+    }
+  });
+  if (isToolLimit) {
+    if (rateLimit.onExceeded !== undefined && !RATE_LIMIT_OVERFLOW_MODES.includes(rateLimit.onExceeded)) {
+      problems.push(`"onExceeded" must be one of: ${RATE_LIMIT_OVERFLOW_MODES.join(', ')}.`);
+    }
+    if (rateLimit.maxWait !== undefined && (typeof rateLimit.maxWait !== 'number' || !(rateLimit.maxWait > 0))) {
+      problems.push('"maxWait" must be a positive number (milliseconds).');
+    }
+    if (rateLimit.maxQueue !== undefined && (!Number.isInteger(rateLimit.maxQueue) || rateLimit.maxQueue < 1)) {
+      problems.push('"maxQueue" must be a positive integer.');
+    }
+  }
+  return problems;
+}
+
+/**
+ * Collect the secret:// references in an auth block
+ * @param {Object} auth - Tool auth config
+ * @returns {Array<Object>} - {field, ref} for every reference
+ */
+function getSecretRefs(auth) {
+  if (typeof auth !== 'object' || auth === null) {
+    return [];
+  }
+  return Object.entries(auth).flatMap(([field, value]) => parseSecretRef(value) ? [{ field, ref: value }] : []);
+}
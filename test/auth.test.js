@@ -0,0 +1,255 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync } from 'child_process'
+import crypto from 'crypto'
+import fs from 'fs'
+import https from 'https'
+import path from 'path'
+import { callTool, createTempDir, sendJson, startProxy, startWebhookServer, startWyreup, waitFor } from './helpers.js'
+
+test('OAuth2 client credentials tokens are fetched once, cached and renewed after a 401', async (t) => {
+  let issued = 0
+  let revoked = null
+  const server = await startWebhookServer((request, res) => {
+    if (request.url === '/oauth/token') {
+      issued++
+      return sendJson(res, 200, { access_token: `token-${issued}`, expires_in: 3600 })
+    }
+    const token = request.headers.authorization?.slice('Bearer '.length)
+    if (token === revoked) {
+      return sendJson(res, 401, { error: 'revoked' })
+    }
+    sendJson(res, 200, { token })
+  })
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'crm_lookup',
+      description: 'Look up a contact',
+      url: `${server.url}/crm`,
+      auth: {
+        type: 'oauth2_client_credentials',
+        tokenUrl: `${server.url}/oauth/token`,
+        clientId: 'wyreup',
+        clientSecretFromEnv: 'TEST_CLIENT_SECRET',
+        scope: 'contacts:read'
+      }
+    }]
+  }, { env: { TEST_CLIENT_SECRET: 's3cret' } })
+  t.after(() => Promise.all([wyreup.close(), server.close()]))
+
+  assert.deepEqual((await callTool(wyreup.client, 'crm_lookup', {})).data, { token: 'token-1' })
+  assert.deepEqual((await callTool(wyreup.client, 'crm_lookup', {})).data, { token: 'token-1' })
+  assert.equal(issued, 1)
+
+  const tokenRequest = new URLSearchParams(server.requests[0].body)
+  assert.equal(tokenRequest.get('grant_type'), 'client_credentials')
+  assert.equal(tokenRequest.get('client_id'), 'wyreup')
+  assert.equal(tokenRequest.get('client_secret'), 's3cret')
+  assert.equal(tokenRequest.get('scope'), 'contacts:read')
+
+  revoked = 'token-1'
+  assert.deepEqual((await callTool(wyreup.client, 'crm_lookup', {})).data, { token: 'token-2' })
+  assert.equal(issued, 2)
+})
+
+test('OAuth2 token requests go through the tool proxy', async (t) => {
+  const server = await startWebhookServer((request, res) => {
+    if (request.url === '/oauth/token') {
+      return sendJson(res, 200, { access_token: 'proxied-token' })
+    }
+    sendJson(res, 200, { authorization: request.headers.authorization })
+  })
+  const proxy = await startProxy()
+  const tokenOrigin = server.url.replace('127.0.0.1', 'localhost')
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'crm_lookup',
+      description: 'Look up a contact',
+      url: `${server.url}/crm`,
+      // The token endpoint is addressed as another host than the webhook
+      auth: { type: 'oauth2_client_credentials', tokenUrl: `${tokenOrigin}/oauth/token`, clientId: 'wyreup', clientSecret: 's3cret' },
+      http: { proxy: proxy.url }
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), server.close(), proxy.close()]))
+
+  const { data } = await callTool(wyreup.client, 'crm_lookup', {})
+  assert.deepEqual(data, { authorization: 'Bearer proxied-token' })
+  assert.deepEqual(proxy.targets, [new URL(tokenOrigin).host, new URL(server.url).host])
+})
+
+test('token failures are returned as OAuth2Error without calling the webhook', async (t) => {
+  const server = await startWebhookServer((request, res) => {
+    if (request.url === '/oauth/token') {
+      return sendJson(res, 400, { error: 'invalid_client', error_description: 'Unknown client' })
+    }
+    sendJson(res, 200, { called: true })
+  })
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'crm_lookup',
+      description: 'Look up a contact',
+      url: `${server.url}/crm`,
+      auth: { type: 'oauth2_client_credentials', tokenUrl: `${server.url}/oauth/token`, clientId: 'nobody', clientSecret: 'wrong' }
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), server.close()]))
+
+  const result = await wyreup.client.callTool({ name: 'crm_lookup', arguments: {} })
+  assert.equal(result.isError, true)
+  assert.match(result.content[0].text, /invalid_client: Unknown client/)
+  assert.equal(server.requests.filter(request => request.url === '/crm').length, 0)
+})
+
+test('HMAC-signed requests carry a verifiable signature, timestamp and nonce', async (t) => {
+  const SIGNING_SECRET = 'signing-secret'
+  const server = await startWebhookServer((request, res) => sendJson(res, 200, { ok: true }))
+  const wyreup = await startWyreup({
+    tools: [
+      {
+        name: 'signed_custom',
+        description: 'Signed with the default template',
+        url: `${server.url}/custom?source=wyreup`,
+        auth: { type: 'hmac', secretFromEnv: 'TEST_SIGNING_SECRET' }
+      },
+      {
+        name: 'signed_github',
+        description: 'Signed like GitHub webhooks',
+        url: `${server.url}/github`,
+        auth: { type: 'hmac', secretFromEnv: 'TEST_SIGNING_SECRET', canonicalization: 'github' }
+      }
+    ]
+  }, { env: { TEST_SIGNING_SECRET: SIGNING_SECRET } })
+  t.after(() => Promise.all([wyreup.close(), server.close()]))
+  const sign = payload => crypto.createHmac('sha256', SIGNING_SECRET).update(payload).digest('hex')
+
+  await callTool(wyreup.client, 'signed_custom', {})
+  await callTool(wyreup.client, 'signed_custom', {})
+  const [first, second] = server.requests
+  const timestamp = first.headers['x-wyreup-timestamp']
+  const nonce = first.headers['x-wyreup-nonce']
+  assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 60)
+  assert.equal(first.headers['x-wyreup-signature'], sign(`POST\n/custom?source=wyreup\n${timestamp}\n${nonce}\n${first.body}`))
+  assert.notEqual(second.headers['x-wyreup-nonce'], nonce)
+  assert.equal(first.headers.authorization, undefined)
+
+  await callTool(wyreup.client, 'signed_github', {})
+  const github = server.requests[2]
+  assert.equal(github.headers['x-hub-signature-256'], `sha256=${sign(github.body)}`)
+})
+
+test('basic auth and query parameter keys are added to webhook requests', async (t) => {
+  const server = await startWebhookServer((request, res) => sendJson(res, 200, { ok: true }))
+  const wyreup = await startWyreup({
+    tools: [
+      {
+        name: 'basic_tool',
+        description: 'Basic auth',
+        url: `${server.url}/basic`,
+        auth: { type: 'basic', username: 'wyreup', passwordFromEnv: 'TEST_BASIC_PASSWORD' }
+      },
+      {
+        name: 'query_tool',
+        description: 'Query key',
+        url: `${server.url}/hook`,
+        method: 'GET',
+        input: { type: 'object', properties: { api_key: { type: 'string' }, q: { type: 'string' } } },
+        auth: { type: 'query', name: 'api_key', value: 'k3y' }
+      }
+    ]
+  }, { env: { TEST_BASIC_PASSWORD: 'p@ss:word' } })
+  t.after(() => Promise.all([wyreup.close(), server.close()]))
+
+  await callTool(wyreup.client, 'basic_tool', {})
+  assert.equal(server.requests[0].headers.authorization, `Basic ${Buffer.from('wyreup:p@ss:word').toString('base64')}`)
+
+  // Tool input cannot replace the key
+  await callTool(wyreup.client, 'query_tool', { q: 'x', api_key: 'forged' })
+  const query = new URL(server.requests[1].url, server.url).searchParams
+  assert.equal(query.get('q'), 'x')
+  assert.deepEqual(query.getAll('api_key'), ['k3y'])
+})
+
+test('mTLS tools present their client certificate', { skip: !hasOpenssl() && 'openssl is not installed' }, async (t) => {
+  const dir = createTempDir()
+  createCertificates(dir)
+  const read = name => fs.readFileSync(path.join(dir, name))
+  const server = https.createServer({
+    key: read('server.key'),
+    cert: read('server.crt'),
+    ca: read('ca.crt'),
+    requestCert: true,
+    rejectUnauthorized: true
+  }, (req, res) => sendJson(res, 200, { client: req.socket.getPeerCertificate().subject.CN }))
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const url = `https://127.0.0.1:${server.address().port}/secure`
+
+  const wyreup = await startWyreup({
+    tools: [
+      {
+        name: 'secure_tool',
+        description: 'Calls an mTLS endpoint',
+        url,
+        maxRetries: 1,
+        auth: { type: 'mtls', certFile: 'certs/client.crt', keyFile: 'certs/client.key', caFile: 'certs/ca.crt' }
+      },
+      {
+        name: 'missing_cert_tool',
+        description: 'Has no client certificate',
+        url,
+        maxRetries: 1,
+        auth: { type: 'mtls', certFile: 'certs/missing.crt', keyFile: 'certs/client.key' }
+      }
+    ]
+  }, {
+    watch: true,
+    files: {
+      'certs/client.crt': read('client.crt').toString(),
+      'certs/client.key': read('client.key').toString(),
+      'certs/ca.crt': read('ca.crt').toString()
+    }
+  })
+  t.after(async () => {
+    await wyreup.close()
+    server.closeAllConnections()
+    await new Promise(resolve => server.close(resolve))
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  assert.deepEqual((await callTool(wyreup.client, 'secure_tool', {})).data, { client: 'wyreup-client' })
+
+  const failed = await wyreup.client.callTool({ name: 'missing_cert_tool', arguments: {} })
+  assert.equal(failed.isError, true)
+  assert.match(failed.content[0].text, /Cannot read mTLS cert file/)
+
+  // Certificate files are read once per manifest load
+  fs.rmSync(path.join(wyreup.dir, 'certs/client.crt'))
+  assert.deepEqual((await callTool(wyreup.client, 'secure_tool', {})).data, { client: 'wyreup-client' })
+  const manifest = JSON.parse(fs.readFileSync(wyreup.manifestPath, 'utf-8'))
+  manifest.tools[0].description = 'Calls an mTLS endpoint again'
+  fs.writeFileSync(wyreup.manifestPath, JSON.stringify(manifest, null, 2))
+  await waitFor(async () => {
+    const result = await wyreup.client.callTool({ name: 'secure_tool', arguments: {} })
+    return result.isError && /Cannot read mTLS cert file/.test(result.content[0].text)
+  })
+})
+
+function hasOpenssl() {
+  try {
+    execFileSync('openssl', ['version'], { stdio: 'ignore' })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// A CA, a server certificate for 127.0.0.1 and a client certificate, all signed by the CA
+function createCertificates(dir) {
+  const openssl = args => execFileSync('openssl', args, { cwd: dir, stdio: 'ignore' })
+  openssl(['req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-keyout', 'ca.key', '-out', 'ca.crt', '-days', '1', '-subj', '/CN=wyreup-test-ca'])
+  fs.writeFileSync(path.join(dir, 'server.ext'), 'subjectAltName=IP:127.0.0.1\n')
+  for (const [name, subject, extensions] of [['server', '/CN=127.0.0.1', ['-extfile', 'server.ext']], ['client', '/CN=wyreup-client', []]]) {
+    openssl(['req', '-newkey', 'rsa:2048', '-nodes', '-keyout', `${name}.key`, '-out', `${name}.csr`, '-subj', subject])
+    openssl(['x509', '-req', '-in', `${name}.csr`, '-CA', 'ca.crt', '-CAkey', 'ca.key', '-CAcreateserial', '-out', `${name}.crt`, '-days', '1', ...extensions])
+  }
+}
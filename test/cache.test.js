@@ -0,0 +1,109 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { callTool, createTempDir, delay, sendJson, startWebhookServer, startWyreup } from './helpers.js'
+
+test('repeated calls are answered from the cache until it is cleared', async (t) => {
+  let price = 100
+  const webhook = await startWebhookServer((request, res) => {
+    if (request.json.symbol === 'FAIL') {
+      return sendJson(res, 404, { error: 'unknown symbol' })
+    }
+    sendJson(res, 200, { symbol: request.json.symbol, price: price++ })
+  })
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'stock_quote',
+      description: 'Get a stock quote',
+      url: `${webhook.url}/quote`,
+      input: { type: 'object', properties: { symbol: { type: 'string' }, reason: { type: 'string' } } },
+      maxRetries: 1,
+      cache: { ttl: 60000, keyFields: ['symbol'] }
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  assert.deepEqual((await callTool(wyreup.client, 'stock_quote', { symbol: 'ACME', reason: 'a' })).data, { symbol: 'ACME', price: 100 })
+  // Fields outside keyFields do not make a call different
+  assert.deepEqual((await callTool(wyreup.client, 'stock_quote', { symbol: 'ACME', reason: 'b' })).data, { symbol: 'ACME', price: 100 })
+  assert.deepEqual((await callTool(wyreup.client, 'stock_quote', { symbol: 'INIT' })).data, { symbol: 'INIT', price: 101 })
+  assert.equal(webhook.requests.length, 2)
+
+  // Failures are not cached
+  await wyreup.client.callTool({ name: 'stock_quote', arguments: { symbol: 'FAIL' } })
+  await wyreup.client.callTool({ name: 'stock_quote', arguments: { symbol: 'FAIL' } })
+  assert.equal(webhook.requests.length, 4)
+
+  const { data: stats } = await callTool(wyreup.client, 'cache-stats', { toolName: 'stock_quote' })
+  assert.equal(stats.entries, 2)
+  assert.equal(stats.hits, 1)
+  assert.equal(stats.misses, 4)
+
+  const { data: cleared } = await callTool(wyreup.client, 'cache-clear', {})
+  assert.deepEqual(cleared, { cleared: { stock_quote: 2 } })
+  assert.deepEqual((await callTool(wyreup.client, 'stock_quote', { symbol: 'ACME' })).data, { symbol: 'ACME', price: 102 })
+})
+
+test('Cache-Control and ETag headers from the webhook are followed', async (t) => {
+  let version = 1
+  const webhook = await startWebhookServer((request, res) => {
+    if (request.url === '/no-store') {
+      return sendJson(res, 200, { call: webhook.requests.length }, { 'Cache-Control': 'no-store' })
+    }
+    const etag = `"v${version}"`
+    if (request.headers['if-none-match'] === etag) {
+      res.writeHead(304, { ETag: etag, 'Cache-Control': 'max-age=0' })
+      return res.end()
+    }
+    sendJson(res, 200, { version }, { ETag: etag, 'Cache-Control': 'max-age=0' })
+  })
+  const tool = (name, path) => ({ name, description: name, url: `${webhook.url}${path}`, cache: { ttl: 60000 } })
+  const wyreup = await startWyreup({ tools: [tool('live_feed', '/no-store'), tool('catalog', '/catalog')] })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  await callTool(wyreup.client, 'live_feed', {})
+  await callTool(wyreup.client, 'live_feed', {})
+  assert.equal(webhook.requests.filter(request => request.url === '/no-store').length, 2)
+
+  assert.deepEqual((await callTool(wyreup.client, 'catalog', {})).data, { version: 1 })
+  await delay(20)
+  // The expired response is revalidated with its ETag and renewed by a 304
+  assert.deepEqual((await callTool(wyreup.client, 'catalog', {})).data, { version: 1 })
+  const catalogRequests = webhook.requests.filter(request => request.url === '/catalog')
+  assert.equal(catalogRequests[1].headers['if-none-match'], '"v1"')
+
+  version = 2
+  assert.deepEqual((await callTool(wyreup.client, 'catalog', {})).data, { version: 2 })
+  const { data: stats } = await callTool(wyreup.client, 'cache-stats', { toolName: 'catalog' })
+  assert.equal(stats.revalidated, 1)
+})
+
+test('the file store keeps responses across restarts in a private project directory', async (t) => {
+  let price = 100
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { price: price++ }))
+  const dir = createTempDir()
+  t.after(async () => {
+    await webhook.close()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+  const manifest = {
+    caching: { store: 'file' },
+    tools: [{ name: 'quote', description: 'Quote', url: webhook.url, cache: { ttl: 60000 } }]
+  }
+
+  const first = await startWyreup(manifest, { dir })
+  assert.deepEqual((await callTool(first.client, 'quote', {})).data, { price: 100 })
+  await first.close()
+
+  const cacheDir = path.join(dir, '.wyreup-cache')
+  assert.equal(fs.statSync(cacheDir).mode & 0o777, 0o700)
+  const files = fs.readdirSync(cacheDir)
+  assert.equal(files.length, 1)
+  assert.equal(fs.statSync(path.join(cacheDir, files[0])).mode & 0o777, 0o600)
+
+  const second = await startWyreup(manifest, { dir })
+  t.after(() => second.close())
+  assert.deepEqual((await callTool(second.client, 'quote', {})).data, { price: 100 })
+  assert.equal(webhook.requests.length, 1)
+})
@@ -0,0 +1,102 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import http from 'http'
+import { callTool, delay, getFreePort, sendJson, startWebhookServer, startWyreup } from './helpers.js'
+
+const SECRET = 'callback-secret'
+
+function postCallback(callbackUrl, payload) {
+  const body = JSON.stringify(payload)
+  const signature = crypto.createHmac('sha256', SECRET).update(body).digest('hex')
+  return fetch(callbackUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Wyreup-Signature': `sha256=${signature}` },
+    body
+  })
+}
+
+async function startCallbackTool(respond) {
+  const webhook = await startWebhookServer(respond)
+  const port = await getFreePort()
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'render_report',
+      description: 'Render a report',
+      url: `${webhook.url}/render`,
+      async: true,
+      awaitCallback: true,
+      webhookVerification: { secret: SECRET }
+    }]
+  }, { args: ['--port', String(port), '--host', '127.0.0.1'] })
+  return { webhook, wyreup }
+}
+
+test('a signed callback completes a job awaiting it', async (t) => {
+  const { webhook, wyreup } = await startCallbackTool((request, res) => sendJson(res, 202, { accepted: true }))
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const { data: started } = await callTool(wyreup.client, 'render_report', { month: 'may' })
+  const { data: waiting } = await callTool(wyreup.client, 'job-result', { jobId: started.jobId, waitMs: 200 })
+  assert.equal(waiting.status, 'processing')
+
+  const callbackUrl = webhook.requests[0].headers['x-wyreup-callback-url']
+  const response = await postCallback(callbackUrl, { result: { pages: 3 } })
+  assert.equal(response.status, 200)
+
+  const { data } = await callTool(wyreup.client, 'job-result', { jobId: started.jobId, waitMs: 2000 })
+  assert.deepEqual(data, { pages: 3 })
+
+  const unsigned = await fetch(callbackUrl, { method: 'POST', body: '{}' })
+  assert.equal(unsigned.status, 401)
+})
+
+test('a callback that arrives before the acknowledgement is applied once it is recorded', async (t) => {
+  const callbackStatuses = []
+  const { webhook, wyreup } = await startCallbackTool(async (request, res) => {
+    // The workflow finishes and calls back before answering the original request
+    const callback = await postCallback(request.headers['x-wyreup-callback-url'], { result: { pages: 7 } })
+    callbackStatuses.push(callback.status)
+    const duplicate = await postCallback(request.headers['x-wyreup-callback-url'], { result: { pages: 8 } })
+    callbackStatuses.push(duplicate.status)
+    sendJson(res, 202, { accepted: true })
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const { data: started } = await callTool(wyreup.client, 'render_report', {})
+  const { data } = await callTool(wyreup.client, 'job-result', { jobId: started.jobId, waitMs: 5000 })
+  assert.deepEqual(data, { pages: 7 })
+  assert.deepEqual(callbackStatuses, [202, 409])
+
+  const { data: status } = await callTool(wyreup.client, 'job-status', { jobId: started.jobId })
+  assert.equal(status.status, 'completed')
+})
+
+test('signatures are checked over the raw bytes when a character is split across chunks', async (t) => {
+  const { webhook, wyreup } = await startCallbackTool((request, res) => sendJson(res, 202, { accepted: true }))
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const { data: started } = await callTool(wyreup.client, 'render_report', {})
+  await callTool(wyreup.client, 'job-result', { jobId: started.jobId, waitMs: 200 })
+
+  const body = Buffer.from(JSON.stringify({ result: { title: 'Überblick – 東京 📈' } }))
+  const signature = crypto.createHmac('sha256', SECRET).update(body).digest('hex')
+  // Split inside the multi-byte "Ü"
+  const split = body.indexOf(Buffer.from('Ü')) + 1
+  const status = await new Promise((resolve, reject) => {
+    const req = http.request(webhook.requests[0].headers['x-wyreup-callback-url'], {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Wyreup-Signature': `sha256=${signature}` }
+    }, (res) => {
+      res.resume()
+      resolve(res.statusCode)
+    })
+    req.on('error', reject)
+    req.write(body.subarray(0, split))
+    delay(100).then(() => req.end(body.subarray(split)))
+  })
+  assert.equal(status, 200)
+
+  const { data } = await callTool(wyreup.client, 'job-result', { jobId: started.jobId, waitMs: 2000 })
+  assert.deepEqual(data, { title: 'Überblick – 東京 📈' })
+})
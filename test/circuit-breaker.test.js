@@ -0,0 +1,63 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { callTool, delay, sendJson, startWebhookServer, startWyreup } from './helpers.js'
+
+test('the circuit opens after repeated failures, fails fast and closes after a successful trial', async (t) => {
+  let healthy = false
+  const webhook = await startWebhookServer((request, res) => sendJson(res, healthy ? 200 : 500, { healthy }))
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'crm_lookup',
+      description: 'Look up a contact',
+      url: `${webhook.url}/crm`,
+      maxRetries: 1,
+      circuitBreaker: { consecutiveFailures: 2, openDuration: 500 }
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await wyreup.client.callTool({ name: 'crm_lookup', arguments: {} })).isError, true)
+  }
+  assert.equal(webhook.requests.length, 2)
+
+  const fastFailure = await wyreup.client.callTool({ name: 'crm_lookup', arguments: {} })
+  assert.equal(fastFailure.isError, true)
+  assert.match(fastFailure.content[0].text, /Circuit for crm_lookup is open/)
+  assert.match(fastFailure.content[0].text, /Retry after 1 seconds/)
+  assert.equal(webhook.requests.length, 2)
+
+  const { data: open } = await callTool(wyreup.client, 'health-status', { toolName: 'crm_lookup' })
+  assert.equal(open.circuit.state, 'open')
+  assert.equal(open.circuit.consecutiveFailures, 2)
+  const { data: overall } = await callTool(wyreup.client, 'health-status', {})
+  assert.equal(overall.openCircuits, 1)
+
+  // After openDuration a trial call reaches the endpoint and closes the circuit
+  healthy = true
+  await delay(600)
+  assert.deepEqual((await callTool(wyreup.client, 'crm_lookup', {})).data, { healthy: true })
+  const { data: closed } = await callTool(wyreup.client, 'health-status', { toolName: 'crm_lookup' })
+  assert.equal(closed.circuit.state, 'closed')
+})
+
+test('4xx responses do not open the circuit', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 404, { error: 'no such record' }))
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'crm_lookup',
+      description: 'Look up a contact',
+      url: `${webhook.url}/crm`,
+      maxRetries: 1,
+      circuitBreaker: { consecutiveFailures: 2 }
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  for (let i = 0; i < 4; i++) {
+    await wyreup.client.callTool({ name: 'crm_lookup', arguments: {} })
+  }
+  assert.equal(webhook.requests.length, 4)
+  const { data } = await callTool(wyreup.client, 'health-status', { toolName: 'crm_lookup' })
+  assert.equal(data.circuit.state, 'closed')
+})
@@ -0,0 +1,316 @@
+import fs from 'fs'
+import http from 'http'
+import net from 'net'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { Client } from '@modelcontextprotocol/sdk/client/index.js'
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js'
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js'
+
+/**
+ * Helpers for end-to-end tests
+ *
+ * Each test starts a local webhook server, writes a manifest into a temporary
+ * directory and talks to a wyreup-mcp process through the MCP SDK client, over
+ * stdio or the streamable HTTP transport.
+ */
+
+const INDEX_PATH = fileURLToPath(new URL('../index.js', import.meta.url))
+const STARTUP_TIMEOUT = 15000
+
+/**
+ * Start a local webhook server
+ * @param {Function} handler - (request, res) handler; request is {method, url, headers, body, json, remotePort},
+ *   where remotePort tells apart the connections requests arrived on
+ * @returns {Promise<Object>} - {url, requests, close}; requests lists every request received
+ */
+export async function startWebhookServer(handler = (request, res) => sendJson(res, 200, { ok: true })) {
+  const requests = []
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req)
+    const request = { method: req.method, url: req.url, headers: req.headers, body, json: parseJson(body), remotePort: req.socket.remotePort }
+    requests.push(request)
+    try {
+      await handler(request, res)
+    } catch (error) {
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: error.message })
+      }
+    }
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections()
+      server.close(() => resolve())
+    })
+  }
+}
+
+/**
+ * Start a forward proxy that tunnels CONNECT requests
+ * @returns {Promise<Object>} - {url, targets, close}; targets lists every host:port tunnelled to
+ */
+export async function startProxy() {
+  const targets = []
+  const tunnels = new Set()
+  const server = http.createServer((req, res) => {
+    res.writeHead(405)
+    res.end()
+  })
+  server.on('connect', (req, socket, head) => {
+    targets.push(req.url)
+    const [host, port] = req.url.split(':')
+    const upstream = net.connect(Number(port), host, () => {
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n')
+      upstream.write(head)
+      upstream.pipe(socket)
+      socket.pipe(upstream)
+    })
+    upstream.on('error', () => socket.destroy())
+    socket.on('error', () => upstream.destroy())
+    tunnels.add(socket).add(upstream)
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    targets,
+    close: () => new Promise(resolve => {
+      tunnels.forEach(socket => socket.destroy())
+      server.closeAllConnections()
+      server.close(() => resolve())
+    })
+  }
+}
+
+/**
+ * Start wyreup-mcp over stdio and connect an MCP client to it
+ * @param {Object|string} manifest - Manifest object, or manifest text
+ * @param {Object} options - {args, env, files, manifestName, watch, dir}; files maps relative paths
+ *   in the working directory to their contents (objects are written as JSON). Without `dir`
+ *   a temporary directory is used and removed on close.
+ * @returns {Promise<Object>} - {client, dir, manifestPath, stderr(), close}
+ */
+export async function startWyreup(manifest, { args = [], env = {}, files = {}, manifestName = 'wyreup.json', watch = false, dir: workDir } = {}) {
+  const dir = workDir ? writeFiles(workDir, { ...files, [manifestName]: manifest }) : createTempDir({ ...files, [manifestName]: manifest })
+  const removeDir = () => {
+    if (!workDir) {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  }
+  const manifestPath = path.join(dir, manifestName)
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [INDEX_PATH, '--config', manifestPath, ...(watch ? [] : ['--no-watch']), ...args],
+    cwd: dir,
+    env: { ...process.env, ...env },
+    stderr: 'pipe'
+  })
+  let stderr = ''
+  transport.stderr.on('data', chunk => {
+    stderr += chunk.toString()
+  })
+
+  const client = new Client({ name: 'wyreup-test', version: '1.0.0' })
+  try {
+    await withTimeout(client.connect(transport), STARTUP_TIMEOUT, () => 'timed out')
+  } catch (error) {
+    removeDir()
+    throw new Error(`wyreup-mcp did not start (${error.message}):\n${stderr}`, { cause: error })
+  }
+  return {
+    client,
+    dir,
+    manifestPath,
+    stderr: () => stderr,
+    close: async () => {
+      await client.close()
+      removeDir()
+    }
+  }
+}
+
+/**
+ * Start wyreup-mcp with the streamable HTTP transport
+ * @param {Object|string} manifest - Manifest object, or manifest text
+ * @param {Object} options - {args, env, files}
+ * @returns {Promise<Object>} - {url, dir, connect(headers), stderr(), close}; connect opens an
+ *   MCP client session, sending the given headers on every request
+ */
+export async function startWyreupHttp(manifest, { args = [], env = {}, files = {} } = {}) {
+  const dir = createTempDir({ ...files, 'wyreup.json': manifest })
+  const port = await getFreePort()
+  const { spawn } = await import('child_process')
+  const child = spawn(process.execPath, [
+    INDEX_PATH, '--config', path.join(dir, 'wyreup.json'), '--no-watch', '--transport', 'http', '--host', '127.0.0.1', '--port', String(port), ...args
+  ], { cwd: dir, env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'pipe'] })
+  let output = ''
+  child.stdout.on('data', chunk => {
+    output += chunk.toString()
+  })
+  child.stderr.on('data', chunk => {
+    output += chunk.toString()
+  })
+  const exited = new Promise(resolve => child.once('exit', resolve))
+
+  const url = `http://127.0.0.1:${port}`
+  const clients = []
+  const close = async () => {
+    await Promise.allSettled(clients.map(client => client.close()))
+    if (child.exitCode === null) {
+      child.kill()
+      await exited
+    }
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+  try {
+    await withTimeout(waitForPort(port, exited), STARTUP_TIMEOUT, () => `wyreup-mcp did not start:\n${output}`)
+  } catch (error) {
+    await close()
+    throw error
+  }
+
+  return {
+    url,
+    dir,
+    stderr: () => output,
+    connect: async (headers = {}) => {
+      const client = new Client({ name: 'wyreup-test', version: '1.0.0' })
+      await client.connect(new StreamableHTTPClientTransport(new URL(`${url}/mcp`), { requestInit: { headers } }))
+      clients.push(client)
+      return client
+    },
+    close
+  }
+}
+
+/**
+ * Parse the JSON text of a tool result
+ * @param {Object} result - callTool result
+ * @returns {*} - Parsed content text
+ */
+export function parseResult(result) {
+  return JSON.parse(result.content[0].text)
+}
+
+/**
+ * Call a tool and parse its JSON text
+ * @param {Client} client - Connected MCP client
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - {result, data}
+ */
+export async function callTool(client, name, args = {}) {
+  const result = await client.callTool({ name, arguments: args })
+  return { result, data: parseResult(result) }
+}
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>} - Port number
+ */
+export async function getFreePort() {
+  const server = http.createServer()
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const { port } = server.address()
+  await new Promise(resolve => server.close(resolve))
+  return port
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} check - Returns a truthy value when done (may be async)
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<*>} - The truthy value
+ */
+export async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs
+  while (true) {
+    const value = await check()
+    if (value) {
+      return value
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition')
+    }
+    await delay(25)
+  }
+}
+
+export function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+export function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Create a temporary directory holding the given files
+ * @param {Object} files - Relative paths mapped to their contents
+ * @returns {string} - Directory path
+ */
+export function createTempDir(files = {}) {
+  return writeFiles(fs.mkdtempSync(path.join(os.tmpdir(), 'wyreup-test-')), files)
+}
+
+function writeFiles(dir, files) {
+  Object.entries(files).forEach(([name, content]) => {
+    const filePath = path.join(dir, name)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2))
+  })
+  return dir
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    req.on('data', chunk => {
+      body += chunk.toString()
+    })
+    req.on('end', () => resolve(body))
+    req.on('error', reject)
+  })
+}
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : null
+  } catch {
+    return null
+  }
+}
+
+async function waitForPort(port, exited) {
+  let stopped = false
+  exited.then(() => {
+    stopped = true
+  })
+  while (!stopped) {
+    const open = await new Promise(resolve => {
+      const req = http.get({ host: '127.0.0.1', port, path: '/' }, res => {
+        res.resume()
+        resolve(true)
+      })
+      req.on('error', () => resolve(false))
+    })
+    if (open) {
+      return
+    }
+    await delay(50)
+  }
+  throw new Error('wyreup-mcp exited')
+}
+
+function withTimeout(promise, timeoutMs, message) {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message())), timeoutMs)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
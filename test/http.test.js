@@ -0,0 +1,70 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { callTool, sendJson, startProxy, startWebhookServer, startWyreup } from './helpers.js'
+
+test('tools share keep-alive pools and health-status reports them', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { path: request.url }))
+  const tool = (name, extra = {}) => ({ name, description: name, url: `${webhook.url}/${name}`, ...extra })
+  const wyreup = await startWyreup({
+    http: { hosts: { '127.0.0.1': { connections: 2 } } },
+    tools: [tool('first'), tool('second'), tool('impatient', { http: { connectTimeout: 2000 } })]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  for (const name of ['first', 'second', 'first', 'impatient']) {
+    await callTool(wyreup.client, name, {})
+  }
+
+  const { data: health } = await callTool(wyreup.client, 'health-status', {})
+  const pools = health.connectionPools
+  assert.equal(pools.length, 2)
+  const shared = pools.find(pool => pool.tools.includes('first'))
+  assert.deepEqual(shared.tools.sort(), ['first', 'second'])
+  assert.equal(shared.options.connections, 2)
+  assert.equal(shared.proxy, null)
+  assert.ok(shared.origins[webhook.url])
+  // The shared pool's three calls arrived on one reused connection, the other pool opened its own
+  const ports = webhook.requests.map(request => request.remotePort)
+  assert.equal(new Set(ports.slice(0, 3)).size, 1)
+  assert.notEqual(ports[3], ports[0])
+
+  const { data: impatient } = await callTool(wyreup.client, 'health-status', { toolName: 'impatient' })
+  assert.equal(impatient.connections.length, 1)
+  assert.equal(impatient.connections[0].options.connect.timeout, 2000)
+})
+
+test('calls go through the configured proxy unless the host or tool opts out', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { path: request.url }))
+  const proxy = await startProxy()
+  const localhostUrl = webhook.url.replace('127.0.0.1', 'localhost')
+  const wyreup = await startWyreup({
+    http: { proxy: proxy.url, noProxy: ['localhost'] },
+    tools: [
+      { name: 'proxied', description: 'Through the proxy', url: `${webhook.url}/proxied` },
+      { name: 'no_proxy_host', description: 'Host on the noProxy list', url: `${localhostUrl}/no-proxy-host` },
+      { name: 'direct', description: 'Tool without a proxy', url: `${webhook.url}/direct`, http: { proxy: false } }
+    ]
+  }, { env: { HTTP_PROXY: '', HTTPS_PROXY: '', NO_PROXY: '' } })
+  t.after(() => Promise.all([wyreup.close(), webhook.close(), proxy.close()]))
+
+  for (const name of ['proxied', 'no_proxy_host', 'direct']) {
+    await callTool(wyreup.client, name, {})
+  }
+  assert.equal(webhook.requests.length, 3)
+  assert.deepEqual(proxy.targets, [new URL(webhook.url).host])
+
+  const { data: health } = await callTool(wyreup.client, 'health-status', { toolName: 'proxied' })
+  assert.equal(health.connections[0].proxy, new URL(proxy.url).href)
+})
+
+test('HTTP_PROXY is used when the manifest has no proxy setting', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { ok: true }))
+  const proxy = await startProxy()
+  const wyreup = await startWyreup({
+    tools: [{ name: 'proxied', description: 'Through the proxy', url: `${webhook.url}/proxied` }]
+  }, { env: { HTTP_PROXY: proxy.url, http_proxy: '', NO_PROXY: '', no_proxy: '' } })
+  t.after(() => Promise.all([wyreup.close(), webhook.close(), proxy.close()]))
+
+  await callTool(wyreup.client, 'proxied', {})
+  assert.deepEqual(proxy.targets, [new URL(webhook.url).host])
+})
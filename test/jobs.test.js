@@ -0,0 +1,136 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { callTool, createTempDir, sendJson, startWebhookServer, startWyreup, waitFor } from './helpers.js'
+
+test('async tools return a job id and jobs are followed with the job tools', async (t) => {
+  const webhook = await startWebhookServer((request, res) => {
+    setTimeout(() => sendJson(res, 200, { report: `report for ${request.json.month}` }), 300)
+  })
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'generate_report',
+      description: 'Generate a report',
+      url: `${webhook.url}/report`,
+      input: { type: 'object', properties: { month: { type: 'string' } } },
+      async: true
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const { data: started } = await callTool(wyreup.client, 'generate_report', { month: 'may' })
+  assert.match(started.jobId, /^job_/)
+  assert.equal(started.status, 'pending')
+
+  const { data: status } = await callTool(wyreup.client, 'job-status', { jobId: started.jobId })
+  assert.ok(['pending', 'processing'].includes(status.status))
+
+  const { result: finished, data } = await callTool(wyreup.client, 'job-result', { jobId: started.jobId, waitMs: 5000 })
+  assert.equal(finished.isError, undefined)
+  assert.deepEqual(data, { report: 'report for may' })
+
+  const { data: done } = await callTool(wyreup.client, 'job-status', { jobId: started.jobId })
+  assert.equal(done.status, 'completed')
+
+  const unknown = await wyreup.client.callTool({ name: 'job-status', arguments: { jobId: 'job_missing' } })
+  assert.equal(unknown.isError, true)
+})
+
+test('job-cancel aborts the webhook request of a running job', async (t) => {
+  let aborted = false
+  const webhook = await startWebhookServer((request, res) => {
+    res.on('close', () => {
+      aborted = !res.writableEnded
+    })
+  })
+  const wyreup = await startWyreup({
+    tools: [{ name: 'slow_export', description: 'Slow export', url: `${webhook.url}/export`, async: true }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const { data: started } = await callTool(wyreup.client, 'slow_export', {})
+  await waitFor(() => webhook.requests.length === 1)
+
+  const { data: cancelled } = await callTool(wyreup.client, 'job-cancel', { jobId: started.jobId })
+  assert.equal(cancelled.cancelled, true)
+  await waitFor(() => aborted)
+
+  const { data: status } = await callTool(wyreup.client, 'job-status', { jobId: started.jobId })
+  assert.equal(status.status, 'cancelled')
+
+  // Finished jobs cannot be cancelled again
+  const { data: again } = await callTool(wyreup.client, 'job-cancel', { jobId: started.jobId })
+  assert.equal(again.cancelled, false)
+})
+
+test('jobs persist in the file store and interrupted jobs are resumed after a restart', async (t) => {
+  let hold = true
+  const webhook = await startWebhookServer((request, res) => {
+    if (request.url === '/export' && hold) {
+      // Never answers: the server is stopped while the job runs
+      return
+    }
+    sendJson(res, 200, { exported: request.url })
+  })
+  const dir = createTempDir()
+  t.after(async () => {
+    await webhook.close()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+  const manifest = {
+    jobs: { store: 'file', onRestart: 'resume' },
+    tools: [
+      { name: 'quick_export', description: 'Quick export', url: `${webhook.url}/quick`, async: true },
+      // POST retries send an idempotency key: the job id
+      { name: 'slow_export', description: 'Slow export', url: `${webhook.url}/export`, async: true, retry: { methods: ['POST'] } }
+    ]
+  }
+
+  const first = await startWyreup(manifest, { dir })
+  const { data: quick } = await callTool(first.client, 'quick_export', {})
+  await callTool(first.client, 'job-result', { jobId: quick.jobId, waitMs: 5000 })
+  const { data: slow } = await callTool(first.client, 'slow_export', {})
+  await waitFor(() => webhook.requests.some(request => request.url === '/export'))
+  await first.close()
+  assert.ok(fs.existsSync(path.join(dir, '.wyreup-jobs.jsonl')))
+
+  hold = false
+  const second = await startWyreup(manifest, { dir })
+  t.after(() => second.close())
+
+  const { data: kept } = await callTool(second.client, 'job-result', { jobId: quick.jobId })
+  assert.deepEqual(kept, { exported: '/quick' })
+
+  const { data: resumed } = await callTool(second.client, 'job-result', { jobId: slow.jobId, waitMs: 5000 })
+  assert.deepEqual(resumed, { exported: '/export' })
+  // The resumed call repeats the original idempotency key
+  const exports = webhook.requests.filter(request => request.url === '/export')
+  assert.equal(exports.length, 2)
+  assert.ok(exports[0].headers['idempotency-key'])
+  assert.equal(exports[1].headers['idempotency-key'], exports[0].headers['idempotency-key'])
+})
+
+test('jobs interrupted by a restart fail by default', async (t) => {
+  const webhook = await startWebhookServer(() => {})
+  const dir = createTempDir()
+  t.after(async () => {
+    await webhook.close()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+  const manifest = {
+    jobs: { store: 'file' },
+    tools: [{ name: 'slow_export', description: 'Slow export', url: `${webhook.url}/export`, async: true }]
+  }
+
+  const first = await startWyreup(manifest, { dir })
+  const { data: slow } = await callTool(first.client, 'slow_export', {})
+  await waitFor(() => webhook.requests.length === 1)
+  await first.close()
+
+  const second = await startWyreup(manifest, { dir })
+  t.after(() => second.close())
+  const { data: status } = await callTool(second.client, 'job-status', { jobId: slow.jobId })
+  assert.equal(status.status, 'failed')
+  assert.equal(webhook.requests.length, 1)
+})
@@ -0,0 +1,235 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync } from 'child_process'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { callTool, createTempDir, delay, sendJson, startWebhookServer, startWyreup, waitFor } from './helpers.js'
+
+const INDEX_PATH = fileURLToPath(new URL('../index.js', import.meta.url))
+
+function countOccurrences(text, pattern) {
+  return text.split(pattern).length - 1
+}
+
+async function listToolNames(client) {
+  const { tools } = await client.listTools()
+  return tools.map(tool => tool.name)
+}
+
+test('manifest edits are reloaded without a restart and invalid edits are rejected once', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { path: request.url }))
+  const tool = (name, extra = {}) => ({ name, description: name, url: `${webhook.url}/${name}`, ...extra })
+  const wyreup = await startWyreup({ tools: [tool('first')] }, { watch: true })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+  const writeManifest = manifest => fs.writeFileSync(wyreup.manifestPath, JSON.stringify(manifest, null, 2))
+
+  writeManifest({ tools: [tool('first'), tool('second')] })
+  await waitFor(async () => (await listToolNames(wyreup.client)).includes('second'))
+  const { data } = await callTool(wyreup.client, 'second', {})
+  assert.deepEqual(data, { path: '/second' })
+
+  // Rewriting identical contents does not reload
+  writeManifest({ tools: [tool('first'), tool('second')] })
+  await delay(600)
+  assert.equal(countOccurrences(wyreup.stderr(), 'Reloaded tool manifest'), 1)
+
+  writeManifest({ tools: [tool('first'), { name: 'broken', url: `${webhook.url}/broken` }] })
+  await waitFor(() => wyreup.stderr().includes('Rejected edit'))
+  // Other files in the directory do not trigger another attempt
+  for (let i = 0; i < 5; i++) {
+    fs.writeFileSync(path.join(wyreup.dir, 'notes.txt'), `note ${i}`)
+    await delay(50)
+  }
+  await delay(600)
+  assert.equal(countOccurrences(wyreup.stderr(), 'Rejected edit'), 1)
+  assert.match(wyreup.stderr(), /Tool "broken" has invalid description/)
+  assert.deepEqual((await listToolNames(wyreup.client)).filter(name => ['first', 'second', 'broken'].includes(name)), ['first', 'second'])
+})
+
+test('manifests combine included files and extended base manifests', async (t) => {
+  const dev = await startWebhookServer((request, res) => sendJson(res, 200, { env: 'dev', path: request.url }))
+  const prod = await startWebhookServer((request, res) => sendJson(res, 200, { env: 'prod', path: request.url }))
+  t.after(() => Promise.all([dev.close(), prod.close()]))
+
+  const wyreup = await startWyreup({
+    extends: '../wyreup.base.json',
+    base_url: prod.url,
+    tools: [{ name: 'ping', description: 'Ping production' }]
+  }, {
+    manifestName: 'env/prod.json',
+    files: {
+      'wyreup.base.json': {
+        base_url: dev.url,
+        include: ['teams/**/*.json'],
+        tools: [{ name: 'ping', description: 'Ping', webhook: '/ping', method: 'GET' }]
+      },
+      'teams/billing/invoices.json': [{ name: 'list_invoices', description: 'List invoices', webhook: '/invoices' }],
+      'teams/sales.json': { name: 'list_leads', description: 'List leads', webhook: '/leads' }
+    }
+  })
+  t.after(() => wyreup.close())
+
+  const { tools } = await wyreup.client.listTools()
+  const ping = tools.find(tool => tool.name === 'ping')
+  assert.equal(ping.description, 'Ping production')
+  assert.ok(tools.some(tool => tool.name === 'list_invoices'))
+
+  // Relative webhooks resolve against the overlay's base_url
+  assert.deepEqual((await callTool(wyreup.client, 'ping', {})).data, { env: 'prod', path: '/ping' })
+  assert.deepEqual((await callTool(wyreup.client, 'list_leads', {})).data, { env: 'prod', path: '/leads' })
+  assert.equal(prod.requests[0].method, 'GET')
+  assert.equal(dev.requests.length, 0)
+})
+
+test('validation errors name the included file a tool came from', async (t) => {
+  await assert.rejects(
+    startWyreup({ include: ['tools/*.json'] }, {
+      files: { 'tools/broken.json': [{ name: 'broken', url: 'http://127.0.0.1:9/broken' }] }
+    }),
+    /Tool at tools\/broken\.json:\d+:\d+ \$\[0\]: Tool "broken" has invalid description/
+  )
+})
+
+test('YAML and JSONC manifests are loaded like JSON', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { path: request.url }))
+  t.after(() => webhook.close())
+
+  const yaml = await startWyreup([
+    'tools:',
+    '  - name: summarize',
+    '    description: Summarize a text',
+    `    webhook: ${webhook.url}/summarize`,
+    '    timeout: 60000 # cold starts can be slow'
+  ].join('\n'), { manifestName: 'wyreup.yaml' })
+  t.after(() => yaml.close())
+  assert.deepEqual((await callTool(yaml.client, 'summarize', {})).data, { path: '/summarize' })
+
+  const jsonc = await startWyreup(`{
+    // Comments and trailing commas are allowed
+    "tools": [
+      { "name": "translate", "description": "Translate a text", "webhook": "${webhook.url}/translate", },
+    ],
+  }`, { manifestName: 'wyreup.jsonc' })
+  t.after(() => jsonc.close())
+  assert.deepEqual((await callTool(jsonc.client, 'translate', {})).data, { path: '/translate' })
+})
+
+test('YAML errors report the line of the offending tool', async () => {
+  await assert.rejects(
+    startWyreup([
+      'tools:',
+      '  - name: ok',
+      '    description: Fine',
+      '    webhook: http://127.0.0.1:9/ok',
+      '  - name: broken',
+      '    url: http://127.0.0.1:9/broken'
+    ].join('\n'), { manifestName: 'wyreup.yaml' }),
+    /wyreup\.yaml:5:\d+ \$\.tools\[1\]/
+  )
+})
+
+test('relative webhooks resolve against base_url with path parameters filled from the input', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { method: request.method, path: request.url }))
+  t.after(() => webhook.close())
+  const wyreup = await startWyreup({
+    base_url: `${webhook.url}/webhook/`,
+    username: 'acme',
+    tools: [
+      { name: 'random_quote', webhook: 'random-quote' },
+      { name: 'get_order', webhook: '/{username}/orders/{orderId}', method: 'GET' }
+    ]
+  })
+  t.after(() => wyreup.close())
+
+  assert.deepEqual((await callTool(wyreup.client, 'random_quote', {})).data, { method: 'POST', path: '/webhook/random-quote' })
+
+  const { tools } = await wyreup.client.listTools()
+  const getOrder = tools.find(tool => tool.name === 'get_order')
+  assert.deepEqual(getOrder.inputSchema.required, ['orderId'])
+  const { data } = await callTool(wyreup.client, 'get_order', { orderId: 'A/1' })
+  assert.deepEqual(data, { method: 'GET', path: '/webhook/acme/orders/A%2F1' })
+})
+
+test('internal://health-monitor reports the health of the other tools', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { ok: true }))
+  t.after(() => webhook.close())
+  const wyreup = await startWyreup({
+    tools: [
+      { name: 'ping', description: 'Ping', url: `${webhook.url}/ping` },
+      {
+        name: 'webhook_health_monitor',
+        description: 'Built-in health monitoring for all webhook endpoints',
+        url: 'internal://health-monitor',
+        input: { type: 'object', properties: { check_all: { type: 'boolean' } } }
+      }
+    ]
+  })
+  t.after(() => wyreup.close())
+
+  await callTool(wyreup.client, 'ping', {})
+  const { data } = await callTool(wyreup.client, 'webhook_health_monitor', { check_all: true })
+  assert.equal(data.overall_status, 'healthy')
+  assert.equal(data.total_tools, 1)
+  assert.equal(data.tool_details.ping.status, 'healthy')
+
+  const { data: summary } = await callTool(wyreup.client, 'webhook_health_monitor', { check_all: false })
+  assert.equal(summary.tool_details, undefined)
+  assert.equal(webhook.requests.length, 1)
+})
+
+test('health checks of URLs with path parameters only reach the origin', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { ok: true }))
+  const wyreup = await startWyreup({
+    tools: [
+      { name: 'order', description: 'Order', url: `${webhook.url}/orders/{orderId}` },
+      { name: 'tenant', description: 'Tenant', url: 'https://{tenant}.example.com/orders' }
+    ]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const { data: order } = await callTool(wyreup.client, 'health-check', { toolName: 'order' })
+  assert.equal(order.healthy, true)
+  assert.equal(order.checked, 'origin')
+  assert.deepEqual(webhook.requests.map(request => [request.method, request.url]), [['HEAD', '/']])
+
+  const { data: tenant } = await callTool(wyreup.client, 'health-check', { toolName: 'tenant' })
+  assert.equal(tenant.skipped, true)
+  assert.equal(webhook.requests.length, 1)
+})
+
+test('unknown internal URLs are rejected at startup', async () => {
+  await assert.rejects(
+    startWyreup({ tools: [{ name: 'mystery', description: 'Mystery', url: 'internal://mystery' }] }),
+    /unknown internal url "internal:\/\/mystery"/
+  )
+})
+
+test('--print-resolved shows the prepared manifest with credentials masked', () => {
+  const dir = createTempDir({
+    'base.json': { base_url: 'https://hooks.example.com', username: 'ops' },
+    'wyreup.json': {
+      extends: './base.json',
+      tools: [
+        { name: 'lookup', webhook: '{username}/lookup', auth: { type: 'header', name: 'X-Token', value: 'inline-secret-123' } },
+        { name: 'report', description: 'Report', url: 'https://api.example.com/report?key=$REPORT_KEY', auth: { type: 'jwt', tokenFromEnv: 'REPORT_KEY' } },
+        { name: 'vault', description: 'Vault', url: 'https://api.example.com/vault', auth: { type: 'jwt', token: 'secret://env/VAULT_TOKEN' } }
+      ]
+    }
+  })
+  const output = execFileSync(process.execPath, [INDEX_PATH, '--validate', '--config', 'wyreup.json', '--print-resolved'], {
+    cwd: dir,
+    env: { ...process.env, REPORT_KEY: 'env-secret-456' },
+    encoding: 'utf-8'
+  })
+
+  const printed = JSON.parse(output.slice(output.indexOf('{'), output.lastIndexOf('}') + 1))
+  const [lookup, report, vault] = printed.tools
+  // Simplified tools are shown transformed, with the extended base_url applied
+  assert.equal(lookup.url, 'https://hooks.example.com/ops/lookup')
+  assert.equal(lookup.auth.value, '[REDACTED]')
+  assert.equal(report.url, 'https://api.example.com/report?key=[REDACTED]')
+  assert.equal(report.auth.tokenFromEnv, 'REPORT_KEY')
+  assert.equal(vault.auth.token, 'secret://env/VAULT_TOKEN')
+  assert.doesNotMatch(output, /inline-secret-123|env-secret-456/)
+})
@@ -0,0 +1,85 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseResult, sendJson, startWebhookServer, startWyreup } from './helpers.js'
+
+const OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['total'],
+  properties: { total: { type: 'number' } }
+}
+
+test('output is checked against the tool output schema', async (t) => {
+  const webhook = await startWebhookServer((request, res) => {
+    if (request.url === '/good') {
+      sendJson(res, 200, { total: 3 })
+    } else if (request.url === '/bad') {
+      sendJson(res, 200, { total: 'three' })
+    } else {
+      sendJson(res, 404, { error: 'missing' })
+    }
+  })
+  const tool = (name, path, outputValidation) => ({
+    name, description: name, url: `${webhook.url}${path}`, output: OUTPUT_SCHEMA, outputValidation, maxRetries: 1
+  })
+  const wyreup = await startWyreup({
+    tools: [
+      tool('strict_good', '/good', 'strict'),
+      tool('strict_bad', '/bad', 'strict'),
+      tool('strict_error', '/missing', 'strict'),
+      tool('warn_bad', '/bad', 'warn'),
+      tool('off_bad', '/bad', 'off')
+    ]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const { tools } = await wyreup.client.listTools()
+  const schemas = Object.fromEntries(tools.map(tool => [tool.name, tool.outputSchema]))
+  assert.equal(schemas.strict_good.properties.total.type, 'number')
+  assert.equal(schemas.warn_bad, undefined)
+  assert.equal(schemas.off_bad, undefined)
+
+  const good = await wyreup.client.callTool({ name: 'strict_good', arguments: {} })
+  assert.deepEqual(good.structuredContent, { total: 3 })
+  assert.deepEqual(parseResult(good), { total: 3 })
+
+  const bad = await wyreup.client.callTool({ name: 'strict_bad', arguments: {} })
+  assert.equal(bad.isError, true)
+  assert.equal(bad.structuredContent, undefined)
+  assert.match(bad.content[0].text, /\$\.total: Expected number, received string/)
+
+  // Webhook errors carry no structured content, even for tools with an output schema
+  const failed = await wyreup.client.callTool({ name: 'strict_error', arguments: {} })
+  assert.equal(failed.isError, true)
+  assert.equal(failed.structuredContent, undefined)
+
+  // warn mode returns mismatching data as text only
+  const warned = await wyreup.client.callTool({ name: 'warn_bad', arguments: {} })
+  assert.equal(warned.isError, undefined)
+  assert.equal(warned.structuredContent, undefined)
+  assert.deepEqual(parseResult(warned), { total: 'three' })
+
+  const unchecked = await wyreup.client.callTool({ name: 'off_bad', arguments: {} })
+  assert.deepEqual(parseResult(unchecked), { total: 'three' })
+})
+
+test('streamed responses of strict tools are validated whole instead of streamed', async (t) => {
+  const webhook = await startWebhookServer((request, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' })
+    res.write(request.url === '/json' ? '{"total":' : 'three')
+    setTimeout(() => res.end(request.url === '/json' ? '3}\n' : ' items\n'), 50)
+  })
+  const tool = (name, path) => ({
+    name, description: name, url: `${webhook.url}${path}`, output: OUTPUT_SCHEMA, outputValidation: 'strict', maxRetries: 1
+  })
+  const wyreup = await startWyreup({ tools: [tool('streamed_json', '/json'), tool('streamed_text', '/text')] })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const good = await wyreup.client.callTool({ name: 'streamed_json', arguments: {} })
+  assert.deepEqual(good.structuredContent, { total: 3 })
+
+  // Text fails the object schema with an error result, not a protocol error
+  const bad = await wyreup.client.callTool({ name: 'streamed_text', arguments: {} })
+  assert.equal(bad.isError, true)
+  assert.equal(bad.structuredContent, undefined)
+  assert.match(bad.content[0].text, /did not match output schema/)
+})
@@ -0,0 +1,169 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { callTool, createTempDir, startWebhookServer, startWyreup, startWyreupHttp, waitFor } from './helpers.js'
+
+test('queued calls wait their turn and time out with 429 and a retry hint', async (t) => {
+  const webhook = await startWebhookServer()
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'send_sms',
+      description: 'Send an SMS',
+      url: `${webhook.url}/sms`,
+      rateLimit: { requests: 1, window: 50, onExceeded: 'queue', maxWait: 200 }
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const results = await Promise.all(Array.from({ length: 8 }, (_, index) => wyreup.client.callTool({
+    name: 'send_sms',
+    arguments: { index }
+  })))
+
+  const succeeded = results.filter(result => !result.isError)
+  const failed = results.filter(result => result.isError)
+  // The first call runs at once and one queued call gets the next window
+  assert.ok(succeeded.length >= 2, `expected queued calls to run, got ${succeeded.length}`)
+  assert.equal(webhook.requests.length, succeeded.length)
+  for (const result of failed) {
+    assert.match(result.content[0].text, /Rate limit exceeded/)
+    assert.match(result.content[0].text, /Retry after \d+ seconds/)
+  }
+})
+
+test('calls over the limit are rejected with a retry hint by default', async (t) => {
+  const webhook = await startWebhookServer()
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'send_sms',
+      description: 'Send an SMS',
+      url: `${webhook.url}/sms`,
+      rateLimit: { requests: 1, window: 60000 }
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const first = await wyreup.client.callTool({ name: 'send_sms', arguments: {} })
+  const second = await wyreup.client.callTool({ name: 'send_sms', arguments: {} })
+  assert.equal(first.isError, undefined)
+  assert.equal(second.isError, true)
+  assert.match(second.content[0].text, /Rate limit exceeded: 1 requests per 60000ms/)
+  assert.equal(webhook.requests.length, 1)
+
+  const { data: status } = await callTool(wyreup.client, 'rate-limit-status', { toolName: 'send_sms' })
+  assert.equal(status.tool.remaining, 0)
+})
+
+test('a call that times out behind other queued calls fails with 429 and a retry hint', async (t) => {
+  const webhook = await startWebhookServer()
+  const manifest = (maxWait) => ({
+    tools: [{
+      name: 'send_sms',
+      description: 'Send an SMS',
+      url: `${webhook.url}/sms`,
+      rateLimit: { requests: 1, window: 3000, algorithm: 'token-bucket', onExceeded: 'queue', maxWait }
+    }]
+  })
+  const wyreup = await startWyreup(manifest(10000), { watch: true })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  await wyreup.client.callTool({ name: 'send_sms', arguments: {} })
+  // Waits for the next window, holding the head of the queue
+  const queued = wyreup.client.callTool({ name: 'send_sms', arguments: { queued: true } })
+
+  // Calls arriving now may only wait 200ms, less than the call ahead of them
+  fs.writeFileSync(wyreup.manifestPath, JSON.stringify(manifest(200)))
+  await waitFor(() => wyreup.stderr().includes('Reloaded tool manifest'))
+
+  const timedOut = await wyreup.client.callTool({ name: 'send_sms', arguments: {} })
+  assert.equal(timedOut.isError, true)
+  assert.match(timedOut.content[0].text, /Rate limit exceeded/)
+  assert.match(timedOut.content[0].text, /Retry after [1-3] seconds/)
+
+  const result = await queued
+  assert.equal(result.isError, undefined)
+  assert.equal(webhook.requests.length, 2)
+})
+
+test('key: client gives every client its own budget', async (t) => {
+  const webhook = await startWebhookServer()
+  const tool = (name, key) => ({
+    name, description: name, url: `${webhook.url}/${name}`, public: true, rateLimit: { requests: 1, window: 60000, key }
+  })
+  const wyreup = await startWyreupHttp({ tools: [tool('per_client', 'client'), tool('shared', 'shared')] })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  // Each anonymous session counts as its own client
+  const first = await wyreup.connect()
+  const second = await wyreup.connect()
+  assert.equal((await first.callTool({ name: 'per_client', arguments: {} })).isError, undefined)
+  assert.equal((await first.callTool({ name: 'per_client', arguments: {} })).isError, true)
+  assert.equal((await second.callTool({ name: 'per_client', arguments: {} })).isError, undefined)
+
+  assert.equal((await first.callTool({ name: 'shared', arguments: {} })).isError, undefined)
+  const rejected = await second.callTool({ name: 'shared', arguments: {} })
+  assert.equal(rejected.isError, true)
+  assert.match(rejected.content[0].text, /Rate limit exceeded/)
+})
+
+test('token buckets allow a burst and then refill at the configured rate', async (t) => {
+  const webhook = await startWebhookServer()
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'send_sms',
+      description: 'Send an SMS',
+      url: `${webhook.url}/sms`,
+      rateLimit: { algorithm: 'token-bucket', requests: 1, window: 60000, burst: 3 }
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await wyreup.client.callTool({ name: 'send_sms', arguments: {} })).isError, undefined)
+  }
+  const rejected = await wyreup.client.callTool({ name: 'send_sms', arguments: {} })
+  assert.equal(rejected.isError, true)
+  assert.match(rejected.content[0].text, /Retry after (59|60) seconds/)
+  assert.equal(webhook.requests.length, 3)
+})
+
+test('the file store shares a global limit between processes', async (t) => {
+  const webhook = await startWebhookServer()
+  const stateDir = createTempDir()
+  const manifest = {
+    rateLimiting: {
+      store: 'file',
+      path: path.join(stateDir, 'rate-limits.json'),
+      global: { requests: 2, window: 60000 }
+    },
+    tools: [{ name: 'send_sms', description: 'Send an SMS', url: `${webhook.url}/sms` }]
+  }
+  const first = await startWyreup(manifest)
+  const second = await startWyreup(manifest)
+  t.after(async () => {
+    await Promise.all([first.close(), second.close(), webhook.close()])
+    fs.rmSync(stateDir, { recursive: true, force: true })
+  })
+
+  assert.equal((await first.client.callTool({ name: 'send_sms', arguments: {} })).isError, undefined)
+  assert.equal((await second.client.callTool({ name: 'send_sms', arguments: {} })).isError, undefined)
+  const rejected = await first.client.callTool({ name: 'send_sms', arguments: {} })
+  assert.equal(rejected.isError, true)
+  assert.match(rejected.content[0].text, /Retry after \d+ seconds/)
+  assert.equal(webhook.requests.length, 2)
+})
+
+test('the file store defaults to a private state file in the working directory', async (t) => {
+  const webhook = await startWebhookServer()
+  const wyreup = await startWyreup({
+    rateLimiting: { store: 'file', global: { requests: 5, window: 60000 } },
+    tools: [{ name: 'send_sms', description: 'Send an SMS', url: `${webhook.url}/sms` }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  await callTool(wyreup.client, 'send_sms', {})
+  const statePath = path.join(wyreup.dir, '.wyreup-rate-limits.json')
+  assert.equal(fs.statSync(statePath).mode & 0o777, 0o600)
+  assert.equal(Object.keys(JSON.parse(fs.readFileSync(statePath, 'utf-8'))).length, 1)
+})
@@ -0,0 +1,66 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { callTool, sendJson, startWebhookServer, startWyreup } from './helpers.js'
+
+const API_KEY = 'sk-live-4f9a2c'
+
+test('secrets and redact fields are masked in errors, job details, health records and debug logs', async (t) => {
+  // The webhook echoes the key and the sensitive fields back in its error body
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 422, {
+    error: `Key ${request.headers['x-api-key']} is not allowed`,
+    password: request.json.password,
+    customer: request.json.customer
+  }))
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'create_customer',
+      description: 'Create a customer',
+      url: `${webhook.url}/customers`,
+      input: { type: 'object', properties: { password: { type: 'string' }, customer: { type: 'object' } } },
+      auth: { type: 'header', name: 'X-API-Key', valueFromEnv: 'TEST_API_KEY' },
+      redact: ['password', 'customer.ssn'],
+      maxRetries: 1,
+      async: true
+    }]
+  }, { args: ['--debug'], env: { TEST_API_KEY: API_KEY } })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const input = { password: 'hunter2', customer: { name: 'Ada', ssn: '078-05-1120' } }
+  const { data: started } = await callTool(wyreup.client, 'create_customer', input)
+  const failed = await wyreup.client.callTool({ name: 'job-result', arguments: { jobId: started.jobId, waitMs: 5000 } })
+  assert.equal(failed.isError, true)
+  assert.equal(webhook.requests[0].headers['x-api-key'], API_KEY)
+
+  const { data: status } = await callTool(wyreup.client, 'job-status', { jobId: started.jobId })
+  assert.deepEqual(status.error.details, {
+    error: 'Key [REDACTED] is not allowed',
+    password: '[REDACTED]',
+    customer: { name: 'Ada', ssn: '[REDACTED]' }
+  })
+
+  const { data: health } = await callTool(wyreup.client, 'health-status', {})
+  const published = JSON.stringify([failed, status, health])
+  const logs = wyreup.stderr()
+  assert.match(logs, /Error Response Data/)
+  assert.match(logs, /\[REDACTED\]/)
+  for (const secret of [API_KEY, 'hunter2', '078-05-1120']) {
+    assert.equal(published.includes(secret), false, `${secret} was returned`)
+    assert.equal(logs.includes(secret), false, `${secret} was logged`)
+  }
+})
+
+test('successful results are returned unchanged', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { password: request.json.password }))
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'echo',
+      description: 'Echo',
+      url: `${webhook.url}/echo`,
+      input: { type: 'object', properties: { password: { type: 'string' } } },
+      redact: ['password']
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  assert.deepEqual((await callTool(wyreup.client, 'echo', { password: 'hunter2' })).data, { password: 'hunter2' })
+})
@@ -0,0 +1,80 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { callTool, sendJson, startWebhookServer, startWyreup } from './helpers.js'
+
+// Answers each path with the given statuses in turn, then with 200
+function startFlakyWebhook(statusesByPath) {
+  const attempts = new Map()
+  return startWebhookServer((request, res) => {
+    const attempt = attempts.get(request.url) || 0
+    attempts.set(request.url, attempt + 1)
+    const status = statusesByPath[request.url]?.[attempt] ?? 200
+    sendJson(res, status, { attempt: attempt + 1 })
+  })
+}
+
+test('safe methods are retried on retryable statuses until they succeed', async (t) => {
+  const webhook = await startFlakyWebhook({ '/contact': [503, 502], '/invalid': [400] })
+  const tool = (name, path) => ({
+    name, description: name, url: `${webhook.url}${path}`, method: 'GET', maxRetries: 3, retryDelay: 10, retry: { jitter: 'none' }
+  })
+  const wyreup = await startWyreup({ tools: [tool('get_contact', '/contact'), tool('get_invalid', '/invalid')] })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  assert.deepEqual((await callTool(wyreup.client, 'get_contact', {})).data, { attempt: 3 })
+
+  // 4xx responses other than 408 and 429 are not retried
+  assert.equal((await wyreup.client.callTool({ name: 'get_invalid', arguments: {} })).isError, true)
+  assert.equal(webhook.requests.filter(request => request.url === '/invalid').length, 1)
+})
+
+test('POST is only retried when opted in, with the same idempotency key on every attempt', async (t) => {
+  const webhook = await startFlakyWebhook({ '/default': [500], '/opted-in': [500, 500] })
+  const tool = (name, path, retry = {}) => ({
+    name, description: name, url: `${webhook.url}${path}`, maxRetries: 3, retryDelay: 10, retry: { jitter: 'none', ...retry }
+  })
+  const wyreup = await startWyreup({
+    tools: [
+      tool('create_invoice', '/default'),
+      tool('create_invoice_safely', '/opted-in', { methods: ['POST'] })
+    ]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  assert.equal((await wyreup.client.callTool({ name: 'create_invoice', arguments: {} })).isError, true)
+  const defaults = webhook.requests.filter(request => request.url === '/default')
+  assert.equal(defaults.length, 1)
+  assert.equal(defaults[0].headers['idempotency-key'], undefined)
+
+  assert.deepEqual((await callTool(wyreup.client, 'create_invoice_safely', {})).data, { attempt: 3 })
+  const keys = webhook.requests.filter(request => request.url === '/opted-in').map(request => request.headers['idempotency-key'])
+  assert.equal(keys.length, 3)
+  assert.match(keys[0], /^[0-9a-f-]{36}$/)
+  assert.equal(new Set(keys).size, 1)
+})
+
+test('Retry-After is honoured and a wait beyond maxDelay fails at once with retryAfter', async (t) => {
+  const attempts = { '/short': [], '/long': [] }
+  const webhook = await startWebhookServer((request, res) => {
+    const times = attempts[request.url]
+    times.push(Date.now())
+    if (times.length > 1) {
+      return sendJson(res, 200, { attempt: times.length })
+    }
+    sendJson(res, 429, { error: 'slow down' }, { 'Retry-After': request.url === '/short' ? '1' : '120' })
+  })
+  const tool = (name, path) => ({
+    name, description: name, url: `${webhook.url}${path}`, method: 'GET', maxRetries: 2, retryDelay: 10, retry: { maxDelay: 5000 }
+  })
+  const wyreup = await startWyreup({ tools: [tool('short_wait', '/short'), tool('long_wait', '/long')] })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  assert.deepEqual((await callTool(wyreup.client, 'short_wait', {})).data, { attempt: 2 })
+  const [first, second] = attempts['/short']
+  assert.ok(second - first >= 950, `retried after ${second - first}ms`)
+
+  const failed = await wyreup.client.callTool({ name: 'long_wait', arguments: {} })
+  assert.equal(failed.isError, true)
+  assert.match(failed.content[0].text, /Retry after 120 seconds/)
+  assert.equal(attempts['/long'].length, 1)
+})
@@ -0,0 +1,85 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { callTool, sendJson, startWebhookServer, startWyreup } from './helpers.js'
+
+const ORDER_SCHEMA = {
+  type: 'object',
+  required: ['email', 'items'],
+  properties: {
+    email: { type: 'string', format: 'email' },
+    priority: { type: 'string', enum: ['low', 'high'], default: 'low' },
+    items: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['sku', 'quantity'],
+        properties: {
+          sku: { type: 'string', pattern: '^[A-Z]{3}-\\d+$' },
+          quantity: { type: 'integer', minimum: 1 }
+        }
+      }
+    },
+    note: { type: ['string', 'null'], maxLength: 20 }
+  }
+}
+
+async function startOrderTool(t) {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { received: request.json }))
+  const wyreup = await startWyreup({
+    tools: [{ name: 'create_order', description: 'Create an order', url: `${webhook.url}/orders`, input: ORDER_SCHEMA }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+  return { webhook, wyreup }
+}
+
+test('input schemas are published in tools/list', async (t) => {
+  const { wyreup } = await startOrderTool(t)
+
+  const { tools } = await wyreup.client.listTools()
+  const { inputSchema } = tools.find(tool => tool.name === 'create_order')
+  assert.deepEqual(inputSchema.required, ['email', 'items'])
+  assert.deepEqual(inputSchema.properties.priority.enum, ['low', 'high'])
+  assert.equal(inputSchema.properties.email.format, 'email')
+  assert.equal(inputSchema.properties.items.minItems, 1)
+  assert.equal(inputSchema.properties.items.items.properties.quantity.minimum, 1)
+})
+
+test('valid input reaches the webhook with defaults applied', async (t) => {
+  const { wyreup, webhook } = await startOrderTool(t)
+
+  const { data } = await callTool(wyreup.client, 'create_order', {
+    email: 'ada@example.com',
+    items: [{ sku: 'ABC-1', quantity: 2 }],
+    note: null
+  })
+  assert.deepEqual(data.received, {
+    email: 'ada@example.com',
+    priority: 'low',
+    items: [{ sku: 'ABC-1', quantity: 2 }],
+    note: null
+  })
+  assert.equal(webhook.requests.length, 1)
+})
+
+test('invalid input is rejected before the webhook is called', async (t) => {
+  const { wyreup, webhook } = await startOrderTool(t)
+
+  const invalidInputs = [
+    { items: [{ sku: 'ABC-1', quantity: 1 }] },
+    { email: 'not-an-email', items: [{ sku: 'ABC-1', quantity: 1 }] },
+    { email: 'ada@example.com', items: [] },
+    { email: 'ada@example.com', items: [{ sku: 'abc', quantity: 1 }] },
+    { email: 'ada@example.com', items: [{ sku: 'ABC-1', quantity: 1.5 }] },
+    { email: 'ada@example.com', items: [{ sku: 'ABC-1', quantity: 1 }], priority: 'urgent' },
+    { email: 'ada@example.com', items: [{ sku: 'ABC-1', quantity: 1 }], note: 'x'.repeat(21) }
+  ]
+  for (const input of invalidInputs) {
+    await assert.rejects(
+      wyreup.client.callTool({ name: 'create_order', arguments: input }),
+      /Invalid arguments/,
+      JSON.stringify(input)
+    )
+  }
+  assert.equal(webhook.requests.length, 0)
+})
@@ -0,0 +1,94 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync } from 'child_process'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { callTool, createTempDir, sendJson, startWebhookServer, startWyreup } from './helpers.js'
+
+const INDEX_PATH = fileURLToPath(new URL('../index.js', import.meta.url))
+
+test('secret:// references are resolved from every provider', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { ok: true }))
+  const dir = createTempDir({
+    '.env.wyreup': 'DOTENV_TOKEN="from-dotenv" # comment\n',
+    'secrets/ops.json': { crm: { token: 'from-file' } }
+  })
+  t.after(async () => {
+    await webhook.close()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+  const env = { TEST_ENV_TOKEN: 'from-env', TEST_VAULT_PASSPHRASE: 'correct horse' }
+
+  // The vault is written with the CLI, reading the value from stdin
+  execFileSync(process.execPath, [INDEX_PATH, '--vault-set', 'crm-password', '--vault', 'vault.json'], {
+    cwd: dir,
+    input: 'from-vault\n',
+    env: { ...process.env, WYREUP_VAULT_PASSPHRASE: env.TEST_VAULT_PASSPHRASE }
+  })
+  assert.doesNotMatch(fs.readFileSync(path.join(dir, 'vault.json'), 'utf-8'), /from-vault/)
+
+  const tool = (name, value) => ({
+    name, description: name, url: `${webhook.url}/${name}`, auth: { type: 'header', name: 'X-Token', value }
+  })
+  const wyreup = await startWyreup({
+    secrets: {
+      dir: 'secrets',
+      dotenvPath: '.env.wyreup',
+      vaultPath: 'vault.json',
+      vaultPassphraseEnv: 'TEST_VAULT_PASSPHRASE',
+      secretCommand: [process.execPath, '-e', 'process.stdout.write(`cmd-${process.argv[1]}\\n`)', '{key}']
+    },
+    tools: [
+      tool('env_tool', 'secret://env/TEST_ENV_TOKEN'),
+      tool('dotenv_tool', 'secret://dotenv/DOTENV_TOKEN'),
+      tool('file_tool', 'secret://file/ops/crm/token'),
+      tool('vault_tool', 'secret://vault/crm-password'),
+      tool('command_tool', 'secret://command/crm'),
+      tool('missing_tool', 'secret://env/TEST_MISSING_TOKEN')
+    ]
+  }, { dir, env })
+  t.after(() => wyreup.close())
+
+  const expected = {
+    env_tool: 'from-env',
+    dotenv_tool: 'from-dotenv',
+    file_tool: 'from-file',
+    vault_tool: 'from-vault',
+    command_tool: 'cmd-crm'
+  }
+  for (const name of Object.keys(expected)) {
+    await callTool(wyreup.client, name, {})
+  }
+  const received = Object.fromEntries(webhook.requests.map(request => [request.url.slice(1), request.headers['x-token']]))
+  assert.deepEqual(received, expected)
+
+  // Values are cached for secrets.ttl, so a changed file is not re-read
+  fs.writeFileSync(path.join(dir, '.env.wyreup'), 'DOTENV_TOKEN=rotated\n')
+  await callTool(wyreup.client, 'dotenv_tool', {})
+  assert.equal(webhook.requests.at(-1).headers['x-token'], 'from-dotenv')
+
+  const missing = await wyreup.client.callTool({ name: 'missing_tool', arguments: {} })
+  assert.equal(missing.isError, true)
+  assert.match(missing.content[0].text, /secret:\/\/env\/TEST_MISSING_TOKEN not found/)
+  assert.equal(webhook.requests.some(request => request.url === '/missing_tool'), false)
+})
+
+test('a secrets.ttl of 0 reads the provider on every call', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { ok: true }))
+  const wyreup = await startWyreup({
+    secrets: { ttl: 0 },
+    tools: [{
+      name: 'dotenv_tool',
+      description: 'Dotenv token',
+      url: `${webhook.url}/hook`,
+      auth: { type: 'header', name: 'X-Token', value: 'secret://dotenv/DOTENV_TOKEN' }
+    }]
+  }, { files: { '.env': 'DOTENV_TOKEN=first\n' } })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  await callTool(wyreup.client, 'dotenv_tool', {})
+  fs.writeFileSync(path.join(wyreup.dir, '.env'), 'DOTENV_TOKEN=second\n')
+  await callTool(wyreup.client, 'dotenv_tool', {})
+  assert.deepEqual(webhook.requests.map(request => request.headers['x-token']), ['first', 'second'])
+})
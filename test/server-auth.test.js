@@ -0,0 +1,133 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { callTool, sendJson, startWebhookServer, startWyreupHttp } from './helpers.js'
+
+const SUPPORT_TOKEN = 'support-token'
+const ADMIN_TOKEN = 'admin-token'
+
+async function startTeamServer(t, auth = {}) {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { path: request.url }))
+  const tool = (name, extra = {}) => ({ name, description: name, url: `${webhook.url}/${name}`, ...extra })
+  const wyreup = await startWyreupHttp({
+    server: {
+      auth: {
+        clients: [
+          { name: 'support-bot', tokenFromEnv: 'TEST_SUPPORT_TOKEN', tags: ['support'] },
+          { name: 'admin', token: ADMIN_TOKEN, tools: '*' }
+        ],
+        ...auth
+      },
+      cors: { origins: ['https://app.example.com'] }
+    },
+    tools: [
+      tool('status_page', { public: true }),
+      tool('refund_order', { tags: ['support'] }),
+      tool('delete_account')
+    ]
+  }, { env: { TEST_SUPPORT_TOKEN: SUPPORT_TOKEN } })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+  return { wyreup, webhook }
+}
+
+function postInitialize(url, headers = {}) {
+  return fetch(`${url}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'raw', version: '1.0.0' } }
+    })
+  })
+}
+
+async function listToolNames(client) {
+  const { tools } = await client.listTools()
+  return tools.map(tool => tool.name).filter(name => ['status_page', 'refund_order', 'delete_account'].includes(name)).sort()
+}
+
+test('clients only see and call the tools they are allowed to use', async (t) => {
+  const { wyreup, webhook } = await startTeamServer(t)
+
+  const support = await wyreup.connect({ Authorization: `Bearer ${SUPPORT_TOKEN}` })
+  assert.deepEqual(await listToolNames(support), ['refund_order', 'status_page'])
+  assert.deepEqual((await callTool(support, 'refund_order', {})).data, { path: '/refund_order' })
+  await assert.rejects(support.callTool({ name: 'delete_account', arguments: {} }), /Tool delete_account not found/)
+  assert.deepEqual(webhook.requests.map(request => request.url), ['/refund_order'])
+
+  // X-API-Key works as well as a bearer token
+  const admin = await wyreup.connect({ 'X-API-Key': ADMIN_TOKEN })
+  assert.deepEqual(await listToolNames(admin), ['delete_account', 'refund_order', 'status_page'])
+  assert.deepEqual((await callTool(admin, 'delete_account', {})).data, { path: '/delete_account' })
+})
+
+test('missing or unknown tokens get 401 and sessions stay bound to their client', async (t) => {
+  const { wyreup } = await startTeamServer(t)
+
+  assert.equal((await postInitialize(wyreup.url)).status, 401)
+  assert.equal((await postInitialize(wyreup.url, { Authorization: 'Bearer wrong' })).status, 401)
+  await assert.rejects(wyreup.connect())
+
+  const support = await wyreup.connect({ Authorization: `Bearer ${SUPPORT_TOKEN}` })
+  const response = await fetch(`${wyreup.url}/mcp`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      Authorization: `Bearer ${ADMIN_TOKEN}`,
+      'Mcp-Session-Id': support.transport.sessionId
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' })
+  })
+  assert.equal(response.status, 403)
+})
+
+test('allowAnonymous offers the public tools to clients without a token', async (t) => {
+  const { wyreup } = await startTeamServer(t, { allowAnonymous: true })
+
+  const anonymous = await wyreup.connect()
+  assert.deepEqual(await listToolNames(anonymous), ['status_page'])
+})
+
+test('browser origins outside cors.origins are refused', async (t) => {
+  const { wyreup } = await startTeamServer(t)
+  const headers = { Authorization: `Bearer ${SUPPORT_TOKEN}` }
+
+  assert.equal((await postInitialize(wyreup.url, { ...headers, Origin: 'https://evil.example.com' })).status, 403)
+  const allowed = await postInitialize(wyreup.url, { ...headers, Origin: 'https://app.example.com' })
+  assert.equal(allowed.status, 200)
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://app.example.com')
+})
+
+test('clients only see and cancel the jobs they started', async (t) => {
+  const webhook = await startWebhookServer((request, res) => setTimeout(() => sendJson(res, 200, { report: 'ready' }), 300))
+  const wyreup = await startWyreupHttp({
+    server: {
+      auth: {
+        clients: [
+          { name: 'sales', token: 'sales-token', tools: ['generate_report'] },
+          { name: 'support', token: 'support-token', tools: ['generate_report'] }
+        ]
+      }
+    },
+    tools: [{ name: 'generate_report', description: 'Generate a report', url: `${webhook.url}/report`, async: true }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const sales = await wyreup.connect({ Authorization: 'Bearer sales-token' })
+  const support = await wyreup.connect({ Authorization: 'Bearer support-token' })
+  const { data: started } = await callTool(sales, 'generate_report', {})
+  assert.match(started.jobId, /^job_[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/)
+
+  for (const name of ['job-status', 'job-result', 'job-cancel']) {
+    const result = await support.callTool({ name, arguments: { jobId: started.jobId } })
+    assert.equal(result.isError, true, name)
+    assert.match(result.content[0].text, /not found/)
+  }
+
+  // Another session of the same client shares its jobs
+  const salesAgain = await wyreup.connect({ Authorization: 'Bearer sales-token' })
+  const { data } = await callTool(salesAgain, 'job-result', { jobId: started.jobId, waitMs: 5000 })
+  assert.deepEqual(data, { report: 'ready' })
+})
@@ -0,0 +1,128 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { callTool, delay, parseResult, sendJson, startWebhookServer, startWyreup, startWyreupHttp, waitFor } from './helpers.js'
+
+const ENRICH_INPUT = { type: 'object', properties: { domain: { type: 'string' }, caller: { type: 'string' } } }
+
+test('concurrent calls with the same key share one webhook execution', async (t) => {
+  const webhook = await startWebhookServer((request, res) => {
+    setTimeout(() => sendJson(res, 200, { domain: request.json.domain, run: webhook.requests.length }), 300)
+  })
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'company_enrichment',
+      description: 'Enrich a company',
+      url: `${webhook.url}/enrich`,
+      input: ENRICH_INPUT,
+      singleFlight: { keyFields: ['domain'] }
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const call = args => wyreup.client.callTool({ name: 'company_enrichment', arguments: args })
+  const results = await Promise.all([
+    call({ domain: 'acme.com', caller: 'a' }),
+    call({ domain: 'acme.com', caller: 'b' }),
+    call({ domain: 'acme.com', caller: 'c' }),
+    call({ domain: 'globex.com', caller: 'a' })
+  ])
+  const data = results.map(parseResult)
+  assert.deepEqual(data.slice(0, 3).map(item => item.domain), ['acme.com', 'acme.com', 'acme.com'])
+  assert.equal(new Set(data.slice(0, 3).map(item => item.run)).size, 1)
+  assert.equal(data[3].domain, 'globex.com')
+  assert.equal(webhook.requests.length, 2)
+
+  const { data: health } = await callTool(wyreup.client, 'health-status', { toolName: 'company_enrichment' })
+  assert.deepEqual(health.singleFlight, { inFlight: 0, executions: 2, coalesced: 2 })
+
+  // Calls that do not overlap run again
+  await call({ domain: 'acme.com' })
+  assert.equal(webhook.requests.length, 3)
+})
+
+test('calls from different clients are not shared', async (t) => {
+  const webhook = await startWebhookServer((request, res) => {
+    const run = webhook.requests.length
+    setTimeout(() => sendJson(res, 200, { run }), 300)
+  })
+  const wyreup = await startWyreupHttp({
+    server: {
+      auth: {
+        clients: [
+          { name: 'sales', token: 'sales-token', tools: ['company_enrichment'] },
+          { name: 'support', token: 'support-token', tools: ['company_enrichment'] }
+        ]
+      }
+    },
+    tools: [{
+      name: 'company_enrichment',
+      description: 'Enrich a company',
+      url: `${webhook.url}/enrich`,
+      input: ENRICH_INPUT,
+      singleFlight: true,
+      rateLimit: { requests: 1, window: 60000, key: 'client' }
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const sessions = await Promise.all([
+    wyreup.connect({ Authorization: 'Bearer sales-token' }),
+    wyreup.connect({ Authorization: 'Bearer sales-token' }),
+    wyreup.connect({ Authorization: 'Bearer support-token' })
+  ])
+  const results = await Promise.all(sessions.map(session =>
+    session.callTool({ name: 'company_enrichment', arguments: { domain: 'acme.com' } })))
+  assert.deepEqual(results.map(result => result.isError), [undefined, undefined, undefined])
+  const [sales, salesAgain, support] = results.map(parseResult)
+  // The sales sessions share one execution; support passes its own rate limit with its own
+  assert.equal(sales.run, salesAgain.run)
+  assert.notEqual(support.run, sales.run)
+  assert.equal(webhook.requests.length, 2)
+})
+
+test('the shared execution is cancelled only when every caller has cancelled', async (t) => {
+  const responses = []
+  let aborted = 0
+  const webhook = await startWebhookServer((request, res) => {
+    responses.push(res)
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        aborted++
+      }
+    })
+  })
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'company_enrichment',
+      description: 'Enrich a company',
+      url: `${webhook.url}/enrich`,
+      input: ENRICH_INPUT,
+      maxRetries: 1,
+      singleFlight: true
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const call = (signal) => wyreup.client.callTool({ name: 'company_enrichment', arguments: { domain: 'acme.com' } }, undefined, { signal })
+
+  // One caller leaves; the other still gets the result
+  const leaving = new AbortController()
+  const left = call(leaving.signal)
+  const staying = call()
+  await waitFor(() => responses.length === 1)
+  leaving.abort()
+  await assert.rejects(left)
+  await delay(100)
+  assert.equal(aborted, 0)
+  sendJson(responses[0], 200, { domain: 'acme.com' })
+  assert.deepEqual(parseResult(await staying), { domain: 'acme.com' })
+
+  // When both callers leave, the webhook request is aborted
+  const controllers = [new AbortController(), new AbortController()]
+  const calls = controllers.map(controller => call(controller.signal))
+  await waitFor(() => responses.length === 2)
+  controllers.forEach(controller => controller.abort())
+  await Promise.allSettled(calls)
+  await waitFor(() => aborted === 1)
+  assert.equal(webhook.requests.length, 2)
+})
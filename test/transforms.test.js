@@ -0,0 +1,102 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { callTool, sendJson, startWebhookServer, startWyreup } from './helpers.js'
+
+test('requestTemplate reshapes the input and responseMapping trims the response', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, [{
+    json: {
+      total: 2,
+      results: [
+        { id: 1, score: 0.9, properties: { fullName: 'Ada Lovelace', address: { city: 'London' }, bio: 'x'.repeat(50) } },
+        { id: 2, score: 0.4, properties: { fullName: 'Grace Hopper', address: { city: 'Arlington' }, bio: 'short' } }
+      ]
+    }
+  }]))
+  const wyreup = await startWyreup({
+    tools: [{
+      name: 'find_customer',
+      description: 'Find a customer',
+      url: `${webhook.url}/crm-search`,
+      input: {
+        type: 'object',
+        properties: { email: { type: 'string' }, workspace: { type: 'string' } },
+        required: ['email']
+      },
+      requestTemplate: {
+        rename: { email: 'filter.contact_email' },
+        omit: ['workspace'],
+        set: { source: 'mcp', 'options.includeArchived': false },
+        headers: { 'X-Workspace': '{{workspace}}' }
+      },
+      responseMapping: {
+        unwrap: true,
+        extract: '$.results[*]',
+        pick: { id: 'id', name: 'properties.fullName', city: 'properties.address.city', bio: 'properties.bio' },
+        maxStringLength: 10
+      }
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const { data } = await callTool(wyreup.client, 'find_customer', { email: 'ada@example.com', workspace: 'emea' })
+  assert.deepEqual(data, [
+    { id: 1, name: 'Ada Lovela…', city: 'London', bio: 'xxxxxxxxxx…' },
+    { id: 2, name: 'Grace Hopp…', city: 'Arlington', bio: 'short' }
+  ])
+
+  const [request] = webhook.requests
+  assert.deepEqual(request.json, {
+    filter: { contact_email: 'ada@example.com' },
+    source: 'mcp',
+    options: { includeArchived: false }
+  })
+  assert.equal(request.headers['x-workspace'], 'emea')
+
+  // Empty headers are left out
+  await callTool(wyreup.client, 'find_customer', { email: 'grace@example.com' })
+  assert.equal('x-workspace' in webhook.requests[1].headers, false)
+})
+
+test('body templates keep value types, fill GET query strings and leave errors unmapped', async (t) => {
+  const webhook = await startWebhookServer((request, res) => {
+    if (request.url.startsWith('/missing')) {
+      return sendJson(res, 404, { error: 'no such order', detail: { id: 'A-1' } })
+    }
+    sendJson(res, 200, { method: request.method, url: request.url, body: request.json, debug: { trace: 'abc' } })
+  })
+  const input = {
+    type: 'object',
+    properties: { orderId: { type: 'string' }, cart: { type: 'object' }, note: { type: 'string' } }
+  }
+  const template = { body: { order: '{{orderId}}', items: '{{cart.items}}', note: '{{note}}', label: 'Order {{orderId}}', raw: '{{$}}' } }
+  const wyreup = await startWyreup({
+    tools: [
+      { name: 'submit_order', description: 'Submit an order', url: `${webhook.url}/orders`, input, requestTemplate: template, responseMapping: { drop: ['debug'] } },
+      { name: 'lookup_order', description: 'Look up an order', url: `${webhook.url}/orders/{orderId}`, method: 'GET', input, requestTemplate: { body: { expand: 'items', ref: '{{orderId}}' } } },
+      // Async, so job-status shows the error details
+      { name: 'missing_order', description: 'Missing order', url: `${webhook.url}/missing`, maxRetries: 1, async: true, responseMapping: { pick: ['id'] } }
+    ]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const cart = { items: [{ sku: 'ABC-1', quantity: 2 }] }
+  const { data: submitted } = await callTool(wyreup.client, 'submit_order', { orderId: 'A-1', cart })
+  assert.deepEqual(submitted.body, {
+    order: 'A-1',
+    items: [{ sku: 'ABC-1', quantity: 2 }],
+    label: 'Order A-1',
+    raw: { orderId: 'A-1', cart }
+  })
+  assert.equal(submitted.debug, undefined)
+
+  // Path parameters are filled before the template becomes the query string
+  const { data: looked } = await callTool(wyreup.client, 'lookup_order', { orderId: 'A-1' })
+  assert.equal(looked.method, 'GET')
+  assert.equal(looked.url, '/orders/A-1?expand=items&ref=A-1')
+
+  const { data: job } = await callTool(wyreup.client, 'missing_order', {})
+  const failed = await wyreup.client.callTool({ name: 'job-result', arguments: { jobId: job.jobId, waitMs: 5000 } })
+  assert.equal(failed.isError, true)
+  const { data: status } = await callTool(wyreup.client, 'job-status', { jobId: job.jobId })
+  assert.deepEqual(status.error.details, { error: 'no such order', detail: { id: 'A-1' } })
+})
@@ -0,0 +1,162 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { callTool, delay, sendJson, startWebhookServer, startWyreupHttp } from './helpers.js'
+
+const MCP_HEADERS = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' }
+
+function postMcp(url, message, headers = {}) {
+  return fetch(`${url}/mcp`, { method: 'POST', headers: { ...MCP_HEADERS, ...headers }, body: JSON.stringify(message) })
+}
+
+// Open a session without the SDK client and return its id
+async function initializeSession(url) {
+  const response = await postMcp(url, {
+    jsonrpc: '2.0',
+    id: 0,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'raw', version: '1.0.0' } }
+  })
+  await response.text()
+  const sessionId = response.headers.get('mcp-session-id')
+  await (await postMcp(url, { jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId })).text()
+  return sessionId
+}
+
+// Read server-sent events from a response until `count` have arrived
+async function readEvents(response, count) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  const events = []
+  let buffer = ''
+  while (events.length < count) {
+    const { value, done } = await reader.read()
+    if (done) {
+      break
+    }
+    buffer += decoder.decode(value, { stream: true })
+    let end
+    while ((end = buffer.indexOf('\n\n')) !== -1 && events.length < count) {
+      const fields = Object.fromEntries(buffer.slice(0, end).split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]))
+      buffer = buffer.slice(end + 2)
+      if (fields.data) {
+        events.push({ id: fields.id, message: JSON.parse(fields.data) })
+      }
+    }
+  }
+  await reader.cancel()
+  return events
+}
+
+test('tools are listed and called over the streamable HTTP transport', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { echo: request.json }))
+  const wyreup = await startWyreupHttp({
+    tools: [{
+      name: 'echo',
+      description: 'Echo the input',
+      url: `${webhook.url}/echo`,
+      input: { type: 'object', properties: { message: { type: 'string' } } },
+      // Remote clients only see public tools unless they authenticate
+      public: true
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const client = await wyreup.connect()
+  const { tools } = await client.listTools()
+  assert.ok(tools.some(tool => tool.name === 'echo'))
+
+  const { data } = await callTool(client, 'echo', { message: 'hi' })
+  assert.deepEqual(data, { echo: { message: 'hi' } })
+
+  // Every session gets its own server instance
+  const second = await wyreup.connect()
+  const { data: again } = await callTool(second, 'echo', { message: 'again' })
+  assert.deepEqual(again, { echo: { message: 'again' } })
+})
+
+test('requests without a session id are rejected unless they initialize one', async (t) => {
+  const wyreup = await startWyreupHttp({
+    tools: [{ name: 'echo', description: 'Echo the input', url: 'http://127.0.0.1:9/echo' }]
+  })
+  t.after(() => wyreup.close())
+
+  const response = await fetch(`${wyreup.url}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+  })
+  assert.equal(response.status, 400)
+})
+
+test('DELETE ends a session and unknown session ids get 404', async (t) => {
+  const wyreup = await startWyreupHttp({
+    tools: [{ name: 'echo', description: 'Echo the input', url: 'http://127.0.0.1:9/echo', public: true }]
+  })
+  t.after(() => wyreup.close())
+
+  const unknown = await postMcp(wyreup.url, { jsonrpc: '2.0', id: 1, method: 'tools/list' }, { 'Mcp-Session-Id': 'no-such-session' })
+  assert.equal(unknown.status, 404)
+
+  const client = await wyreup.connect()
+  const sessionId = client.transport.sessionId
+  await client.transport.terminateSession()
+  const ended = await postMcp(wyreup.url, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'Mcp-Session-Id': sessionId })
+  assert.equal(ended.status, 404)
+})
+
+test('a dropped response stream is resumed with Last-Event-ID', async (t) => {
+  const webhook = await startWebhookServer((request, res) => setTimeout(() => sendJson(res, 200, { echo: request.json }), 500))
+  const wyreup = await startWyreupHttp({
+    tools: [{
+      name: 'echo',
+      description: 'Echo the input',
+      url: `${webhook.url}/echo`,
+      input: { type: 'object', properties: { message: { type: 'string' } } },
+      public: true,
+      // The second call queues, so its stream carries a progress event before the result
+      maxConcurrent: 1
+    }]
+  })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const sessionId = await initializeSession(wyreup.url)
+  const call = (id, message, meta) => postMcp(wyreup.url, {
+    jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'echo', arguments: { message }, ...(meta && { _meta: meta }) }
+  }, { 'Mcp-Session-Id': sessionId })
+
+  const first = call(1, 'first')
+  await delay(100)
+  const second = await call(2, 'second', { progressToken: 'second' })
+  // Drop the stream after the progress event, before the result
+  const [progress] = await readEvents(second, 1)
+  assert.equal(progress.message.method, 'notifications/progress')
+  await (await first).text()
+
+  await delay(800)
+  const resumed = await fetch(`${wyreup.url}/mcp`, {
+    headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId, 'Last-Event-ID': progress.id }
+  })
+  assert.equal(resumed.status, 200)
+  const events = await readEvents(resumed, 1)
+  assert.equal(events[0].message.id, 2)
+  assert.deepEqual(JSON.parse(events[0].message.result.content[0].text), { echo: { message: 'second' } })
+})
+
+test('idle sessions expire and the number of sessions is capped', async (t) => {
+  const wyreup = await startWyreupHttp({
+    server: { sessions: { idleTimeout: 300, max: 1 } },
+    tools: [{ name: 'echo', description: 'Echo the input', url: 'http://127.0.0.1:9/echo', public: true }]
+  })
+  t.after(() => wyreup.close())
+
+  // A raw session keeps no stream open, unlike the SDK client's standalone GET stream
+  const sessionId = await initializeSession(wyreup.url)
+  await assert.rejects(wyreup.connect(), /503/)
+
+  await delay(900)
+  const expired = await postMcp(wyreup.url, { jsonrpc: '2.0', id: 1, method: 'tools/list' }, { 'Mcp-Session-Id': sessionId })
+  assert.equal(expired.status, 404)
+  // The expired session no longer counts towards the cap
+  const next = await wyreup.connect()
+  assert.ok((await next.listTools()).tools.some(tool => tool.name === 'echo'))
+})
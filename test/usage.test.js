@@ -0,0 +1,110 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { callTool, sendJson, startWebhookServer, startWyreup, startWyreupHttp } from './helpers.js'
+
+const BOT_TOKEN = 'bot-token'
+const VIEWER_TOKEN = 'viewer-token'
+
+function usageManifest(webhookUrl) {
+  return {
+    server: {
+      auth: {
+        clients: [
+          { name: 'support-bot', token: BOT_TOKEN, tools: ['summarize', 'broken_summarize'], credits: 12 },
+          { name: 'viewer', token: VIEWER_TOKEN, tools: ['summarize'] }
+        ],
+        allowAnonymous: true
+      }
+    },
+    tools: [
+      { name: 'status_page', description: 'Status', url: `${webhookUrl}/status`, public: true },
+      { name: 'summarize', description: 'Summarize', url: `${webhookUrl}/summarize`, public: true, paid: true, cost: 5 },
+      { name: 'broken_summarize', description: 'Always fails', url: `${webhookUrl}/broken`, paid: true, cost: 5, maxRetries: 1 }
+    ]
+  }
+}
+
+async function listToolNames(client) {
+  const { tools } = await client.listTools()
+  return tools.map(tool => tool.name).filter(name => ['status_page', 'summarize', 'broken_summarize'].includes(name)).sort()
+}
+
+test('paid tools are charged per client and refused once the credits run out', async (t) => {
+  const webhook = await startWebhookServer((request, res) =>
+    request.url === '/broken' ? sendJson(res, 500, { error: 'down' }) : sendJson(res, 200, { summary: 'short' }))
+  const wyreup = await startWyreupHttp(usageManifest(webhook.url))
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  // Paid tools are offered only to clients with credits, even when public
+  assert.deepEqual(await listToolNames(await wyreup.connect()), ['status_page'])
+  assert.deepEqual(await listToolNames(await wyreup.connect({ Authorization: `Bearer ${VIEWER_TOKEN}` })), ['status_page'])
+
+  const bot = await wyreup.connect({ Authorization: `Bearer ${BOT_TOKEN}` })
+  await callTool(bot, 'summarize', {})
+  // Failed calls are not charged
+  const failed = await bot.callTool({ name: 'broken_summarize', arguments: {} })
+  assert.equal(failed.isError, true)
+  await callTool(bot, 'summarize', {})
+
+  const refused = await bot.callTool({ name: 'summarize', arguments: {} })
+  assert.equal(refused.isError, true)
+  assert.match(refused.content[0].text, /Insufficient credits for summarize: costs 5, 2 remaining/)
+  assert.equal(webhook.requests.filter(request => request.url === '/summarize').length, 2)
+
+  const { data: balance } = await callTool(bot, 'usage-balance', {})
+  assert.equal(balance.client, 'support-bot')
+  assert.equal(balance.credits, 12)
+  assert.equal(balance.used, 10)
+  assert.equal(balance.remaining, 2)
+  assert.deepEqual(balance.paidTools, [{ name: 'summarize', cost: 5 }, { name: 'broken_summarize', cost: 5 }])
+
+  const ledger = fs.readFileSync(path.join(wyreup.dir, '.wyreup-usage.jsonl'), 'utf-8').trim().split('\n').map(line => JSON.parse(line))
+  assert.deepEqual(ledger.map(entry => [entry.client, entry.tool, entry.credits]), [
+    ['support-bot', 'summarize', 5],
+    ['support-bot', 'summarize', 5]
+  ])
+})
+
+test('the usage ledger is replayed on startup and stdio calls are recorded without a limit', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { summary: 'short' }))
+  const ledger = [
+    { timestamp: new Date().toISOString(), client: 'support-bot', tool: 'summarize', credits: 5, period: 'total' },
+    { timestamp: new Date().toISOString(), client: 'support-bot', tool: 'summarize', credits: 5, period: 'total' }
+  ].map(entry => JSON.stringify(entry) + '\n').join('')
+  const wyreup = await startWyreup(usageManifest(webhook.url), { files: { '.wyreup-usage.jsonl': ledger } })
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  for (let i = 0; i < 3; i++) {
+    await callTool(wyreup.client, 'summarize', {})
+  }
+
+  const { data: balance } = await callTool(wyreup.client, 'usage-balance', {})
+  assert.equal(balance.client, 'stdio')
+  assert.equal(balance.used, 15)
+  const bot = balance.clients.find(client => client.client === 'support-bot')
+  assert.equal(bot.used, 10)
+  assert.equal(bot.remaining, 2)
+})
+
+test('paid calls answered from the response cache are not charged', async (t) => {
+  const webhook = await startWebhookServer((request, res) => sendJson(res, 200, { summary: 'short' }))
+  const manifest = usageManifest(webhook.url)
+  manifest.tools[1].cache = { ttl: 60000 }
+  const wyreup = await startWyreupHttp(manifest)
+  t.after(() => Promise.all([wyreup.close(), webhook.close()]))
+
+  const bot = await wyreup.connect({ Authorization: `Bearer ${BOT_TOKEN}` })
+  for (let call = 0; call < 3; call++) {
+    const { result } = await callTool(bot, 'summarize', { text: 'same' })
+    assert.equal(result.isError, undefined)
+  }
+  assert.equal(webhook.requests.length, 1)
+
+  const { data: balance } = await callTool(bot, 'usage-balance', {})
+  assert.equal(balance.used, 5)
+  assert.equal(balance.remaining, 7)
+  const ledger = fs.readFileSync(path.join(wyreup.dir, '.wyreup-usage.jsonl'), 'utf-8').trim().split('\n')
+  assert.equal(ledger.length, 1)
+})